@@ -1,10 +1,17 @@
 require('dotenv').config();
+const crypto = require('crypto');
 
 const config = {
   env: process.env.NODE_ENV || 'development',
   port: process.env.PORT || 3000,
   jwtSecret: process.env.JWT_SECRET || 'your-secret-key',
+  // Signs OAuth state values. Kept apart from jwtSecret so a state value
+  // can never pass as a login token.
+  oauthStateSecret: process.env.OAUTH_STATE_SECRET ||
+    crypto.createHmac('sha256', process.env.JWT_SECRET || 'your-secret-key').update('oauth-state').digest('hex'),
   db: {
+    client: process.env.DB_CLIENT || 'pg',
+    filename: process.env.DB_FILENAME || './music_crossword.sqlite',
     host: process.env.DB_HOST || 'localhost',
     port: process.env.DB_PORT || 5432,
     database: process.env.DB_NAME || 'music_crossword',
@@ -15,11 +22,51 @@ const config = {
     clientId: process.env.SPOTIFY_CLIENT_ID,
     clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
     redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://localhost:3000/api/auth/spotify/callback',
+    // Overridable so the OAuth flow can run against a local mock server
+    accountsUrl: process.env.SPOTIFY_ACCOUNTS_URL || 'https://accounts.spotify.com',
+    apiUrl: process.env.SPOTIFY_API_URL || 'https://api.spotify.com/v1',
+    scopes: [
+      'user-read-email',
+      'user-read-private',
+      'playlist-read-private',
+      'playlist-read-collaborative',
+      'user-library-read',
+      'user-top-read',
+      'user-read-recently-played',
+    ],
   },
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
-    model: process.env.OPENAI_MODEL || 'gpt-4-turbo',
+    model: process.env.OPENAI_MODEL || 'o4-mini',
+    ttsModel: process.env.OPENAI_TTS_MODEL || 'gpt-4o-mini-tts',
   },
+  llm: {
+    // openai, local or fixture
+    provider: process.env.LLM_PROVIDER || 'openai',
+    // Any OpenAI-compatible server, such as Ollama or the llama.cpp server
+    local: {
+      baseUrl: process.env.LLM_LOCAL_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.LLM_LOCAL_API_KEY || 'local',
+      model: process.env.LLM_LOCAL_MODEL || 'llama3.1',
+    },
+    // Models requests may ask for besides each provider's defaults, so
+    // callers cannot run up costs on models nobody chose
+    allowedModels: (process.env.LLM_ALLOWED_MODELS || '').split(',').map(model => model.trim()).filter(Boolean),
+  },
+  jobs: {
+    // Turn off on instances that should only serve the API
+    worker: process.env.JOB_WORKER !== 'false',
+    concurrency: Number(process.env.JOB_CONCURRENCY) || 1,
+    pollIntervalMs: Number(process.env.JOB_POLL_INTERVAL_MS) || 1000,
+    maxAttempts: Number(process.env.JOB_MAX_ATTEMPTS) || 3,
+    // Doubled after each failed attempt
+    retryDelayMs: Number(process.env.JOB_RETRY_DELAY_MS) || 5000,
+    // A running job without progress for this long is taken to be lost
+    leaseMs: Number(process.env.JOB_LEASE_MS) || 10 * 60 * 1000,
+    // How long finished jobs and their results are kept
+    retentionMs: Number(process.env.JOB_RETENTION_MS) || 24 * 60 * 60 * 1000,
+  },
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
   corsOrigins: process.env.CORS_ORIGINS?.split(',') || ['http://localhost:5173'],
 };
 
@@ -27,7 +74,8 @@ const config = {
 const requiredEnvVars = [
   'SPOTIFY_CLIENT_ID',
   'SPOTIFY_CLIENT_SECRET',
-  'OPENAI_API_KEY',
+  // Other LLM providers run without an OpenAI account
+  ...(config.llm.provider === 'openai' ? ['OPENAI_API_KEY'] : []),
 ];
 
 if (process.env.NODE_ENV === 'production') {
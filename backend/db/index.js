@@ -1,23 +1,31 @@
+const path = require('path');
 const knex = require('knex');
 const { config } = require('../config');
 
-// Initialize knex with PostgreSQL configuration
-const db = knex({
-  client: 'pg',
-  connection: {
+// PostgreSQL by default; SQLite (better-sqlite3) for local runs and tests
+const connection = config.db.client === 'pg'
+  ? {
     host: config.db.host,
     port: config.db.port,
     user: config.db.user,
     password: config.db.password,
     database: config.db.database,
-  },
-  pool: {
-    min: 2,
-    max: 10,
-  },
+  }
+  : {
+    filename: config.db.filename,
+  };
+
+// Initialize knex with the configured database
+const db = knex({
+  client: config.db.client,
+  connection,
+  useNullAsDefault: config.db.client !== 'pg',
+  pool: config.db.client === 'pg'
+    ? { min: 2, max: 10 }
+    : { min: 1, max: 1 },
   migrations: {
     tableName: 'knex_migrations',
-    directory: './migrations',
+    directory: path.join(__dirname, 'migrations'),
   },
 });
 
@@ -33,7 +41,25 @@ const connect = async () => {
   }
 };
 
+/**
+ * Serialize a value for a JSON column
+ * @param {*} value - Value to store
+ * @returns {string|undefined} - JSON string, or undefined to leave the column untouched
+ */
+const toJson = (value) => (value === undefined ? undefined : JSON.stringify(value));
+
+/**
+ * Read a JSON column. PostgreSQL returns it parsed, SQLite as text.
+ * @param {*} value - Column value
+ * @returns {*} - Parsed value
+ */
+const fromJson = (value) => (
+  config.db.client !== 'pg' && typeof value === 'string' ? JSON.parse(value) : value
+);
+
 module.exports = {
   db,
   connect,
-};
\ No newline at end of file
+  toJson,
+  fromJson,
+};
@@ -1 +1,94 @@
-_
\ No newline at end of file
+/**
+ * Initial schema: users, quizzes with their questions, crossword layouts
+ * and song groups, and quiz attempts
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async (knex) => {
+  await knex.schema.createTable('users', (table) => {
+    table.increments('id').primary();
+    table.string('email').unique();
+    table.string('display_name');
+    table.string('role').notNullable().defaultTo('user');
+    table.timestamps(true, true);
+  });
+
+  await knex.schema.createTable('quizzes', (table) => {
+    table.increments('id').primary();
+    table.integer('user_id').unsigned().references('id').inTable('users').onDelete('CASCADE');
+    table.string('title').notNullable();
+    table.text('description');
+    table.boolean('is_public').notNullable().defaultTo(false);
+    table.string('playlist_id').index();
+    table.jsonb('playlist');
+    table.timestamps(true, true);
+  });
+
+  await knex.schema.createTable('questions', (table) => {
+    table.increments('id').primary();
+    table.integer('quiz_id').unsigned().notNullable()
+      .references('id').inTable('quizzes').onDelete('CASCADE');
+    table.integer('number').notNullable();
+    table.text('question').notNullable();
+    table.string('answer').notNullable();
+    table.string('track_id').index();
+    table.string('track_name');
+    table.jsonb('artists');
+    table.string('album_name');
+    table.string('release_year');
+    table.string('preview_url');
+    table.timestamps(true, true);
+  });
+
+  await knex.schema.createTable('crossword_layouts', (table) => {
+    table.increments('id').primary();
+    table.integer('quiz_id').unsigned().notNullable().unique()
+      .references('id').inTable('quizzes').onDelete('CASCADE');
+    table.jsonb('grid').notNullable();
+    table.jsonb('entries').notNullable();
+    table.jsonb('dropped_words');
+    table.jsonb('seed');
+    table.timestamps(true, true);
+  });
+
+  await knex.schema.createTable('song_groups', (table) => {
+    table.increments('id').primary();
+    table.integer('quiz_id').unsigned().notNullable()
+      .references('id').inTable('quizzes').onDelete('CASCADE');
+    table.string('track_id').notNullable();
+    table.string('name');
+    table.jsonb('artists');
+    table.jsonb('album');
+    table.string('preview_url');
+    table.string('image_url');
+    table.integer('popularity_score');
+    table.integer('position').notNullable();
+    table.timestamps(true, true);
+    table.unique(['quiz_id', 'track_id']);
+  });
+
+  await knex.schema.createTable('attempts', (table) => {
+    table.increments('id').primary();
+    table.integer('quiz_id').unsigned().notNullable()
+      .references('id').inTable('quizzes').onDelete('CASCADE');
+    table.integer('user_id').unsigned().references('id').inTable('users').onDelete('SET NULL');
+    table.integer('score');
+    table.integer('total');
+    table.boolean('completed').notNullable().defaultTo(false);
+    table.jsonb('answers');
+    table.timestamp('started_at');
+    table.timestamp('completed_at');
+    table.timestamps(true, true);
+  });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('attempts');
+  await knex.schema.dropTableIfExists('song_groups');
+  await knex.schema.dropTableIfExists('crossword_layouts');
+  await knex.schema.dropTableIfExists('questions');
+  await knex.schema.dropTableIfExists('quizzes');
+  await knex.schema.dropTableIfExists('users');
+};
@@ -0,0 +1,37 @@
+/**
+ * Per-entry attempt results (correctness, time per clue, hints) and
+ * team scores from host mode
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async (knex) => {
+  await knex.schema.alterTable('attempts', (table) => {
+    table.jsonb('teams');
+  });
+
+  await knex.schema.createTable('attempt_entries', (table) => {
+    table.increments('id').primary();
+    table.integer('attempt_id').unsigned().notNullable()
+      .references('id').inTable('attempts').onDelete('CASCADE');
+    table.integer('quiz_id').unsigned().notNullable()
+      .references('id').inTable('quizzes').onDelete('CASCADE');
+    table.integer('number').notNullable();
+    table.string('direction').notNullable();
+    table.string('answer');
+    table.string('track_id');
+    table.boolean('correct').notNullable().defaultTo(false);
+    table.integer('time_ms');
+    table.integer('hints_used').notNullable().defaultTo(0);
+    table.timestamps(true, true);
+    table.index(['quiz_id', 'number', 'direction']);
+  });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('attempt_entries');
+  await knex.schema.alterTable('attempts', (table) => {
+    table.dropColumn('teams');
+  });
+};
@@ -0,0 +1,25 @@
+/**
+ * Spotify accounts for users logging in with OAuth
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.string('spotify_id').unique();
+    table.text('spotify_access_token');
+    table.text('spotify_refresh_token');
+    table.timestamp('spotify_token_expires_at');
+  });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.dropUnique(['spotify_id']);
+    table.dropColumn('spotify_id');
+    table.dropColumn('spotify_access_token');
+    table.dropColumn('spotify_refresh_token');
+    table.dropColumn('spotify_token_expires_at');
+  });
+};
@@ -0,0 +1,34 @@
+/**
+ * Background jobs for long generation pipelines, run by the in-process
+ * job worker
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async (knex) => {
+  await knex.schema.createTable('jobs', (table) => {
+    table.uuid('id').primary();
+    table.string('type').notNullable();
+    table.string('status').notNullable().defaultTo('queued');
+    table.integer('user_id').unsigned().references('id').inTable('users').onDelete('CASCADE');
+    table.jsonb('payload').notNullable();
+    table.jsonb('progress');
+    table.jsonb('result');
+    table.text('error');
+    table.integer('attempts').notNullable().defaultTo(0);
+    table.integer('max_attempts').notNullable();
+    // Milliseconds since the epoch when the worker next looks at the job:
+    // a queued job may start, the lease of a running job runs out, or a
+    // finished job may be deleted
+    table.bigInteger('run_at').notNullable();
+    table.timestamp('started_at');
+    table.timestamp('finished_at');
+    table.timestamps(true, true);
+    table.index(['status', 'run_at']);
+  });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('jobs');
+};
@@ -0,0 +1,18 @@
+/**
+ * Difficulty (easy, medium or hard) of each stored question
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async (knex) => {
+  await knex.schema.alterTable('questions', (table) => {
+    table.string('difficulty');
+  });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async (knex) => {
+  await knex.schema.alterTable('questions', (table) => {
+    table.dropColumn('difficulty');
+  });
+};
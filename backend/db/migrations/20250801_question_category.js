@@ -0,0 +1,19 @@
+/**
+ * Category of each stored question (artist, lyrics, album, era,
+ * instrument, genre, music-theory or wordplay)
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async (knex) => {
+  await knex.schema.alterTable('questions', (table) => {
+    table.string('category');
+  });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async (knex) => {
+  await knex.schema.alterTable('questions', (table) => {
+    table.dropColumn('category');
+  });
+};
@@ -0,0 +1,19 @@
+/**
+ * Locale of each stored crossword layout, such as sv-SE. Layouts stored
+ * before locales were added are English.
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async (knex) => {
+  await knex.schema.alterTable('crossword_layouts', (table) => {
+    table.string('locale').notNullable().defaultTo('en-US');
+  });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async (knex) => {
+  await knex.schema.alterTable('crossword_layouts', (table) => {
+    table.dropColumn('locale');
+  });
+};
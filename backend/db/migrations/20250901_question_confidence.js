@@ -0,0 +1,18 @@
+/**
+ * Confidence of the fact check of each stored question, from 0 to 1
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async (knex) => {
+  await knex.schema.alterTable('questions', (table) => {
+    table.float('confidence');
+  });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async (knex) => {
+  await knex.schema.alterTable('questions', (table) => {
+    table.dropColumn('confidence');
+  });
+};
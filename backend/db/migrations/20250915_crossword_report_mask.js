@@ -0,0 +1,21 @@
+/**
+ * Layout quality report and shape mask of each stored crossword layout.
+ * Layouts stored before have neither.
+ * @param {import('knex').Knex} knex
+ */
+exports.up = async (knex) => {
+  await knex.schema.alterTable('crossword_layouts', (table) => {
+    table.jsonb('report');
+    table.jsonb('mask');
+  });
+};
+
+/**
+ * @param {import('knex').Knex} knex
+ */
+exports.down = async (knex) => {
+  await knex.schema.alterTable('crossword_layouts', (table) => {
+    table.dropColumn('report');
+    table.dropColumn('mask');
+  });
+};
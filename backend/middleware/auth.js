@@ -21,6 +21,11 @@ const authenticate = (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, config.jwtSecret);
     
+    // Only login tokens carry the ID of a user
+    if (!Number.isInteger(decoded.id)) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    
     // Add user to request
     req.user = decoded;
     
@@ -40,6 +45,21 @@ const authenticate = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware that authenticates a JWT token if one is sent, and lets
+ * anonymous requests through
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const optionalAuthenticate = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  
+  return authenticate(req, res, next);
+};
+
 /**
  * Generate a JWT token for a user
  * @param {Object} user - User object
@@ -57,5 +77,6 @@ const generateToken = (user) => {
 
 module.exports = {
   authenticate,
+  optionalAuthenticate,
   generateToken
 };
\ No newline at end of file
@@ -0,0 +1,94 @@
+const { db, toJson, fromJson } = require('../db');
+
+class Attempt {
+  static tableName = 'attempts';
+  static entriesTableName = 'attempt_entries';
+  
+  /**
+   * Parse the JSON columns of an attempt row
+   * @param {Object} row - Database row
+   * @returns {Object} - Attempt object
+   */
+  static parse(row) {
+    if (!row) return row;
+    
+    return {
+      ...row,
+      answers: fromJson(row.answers),
+      teams: fromJson(row.teams)
+    };
+  }
+  
+  /**
+   * Find an attempt by ID
+   * @param {number} id - Attempt ID
+   * @param {Object} trx - Optional transaction
+   * @returns {Promise<Object>} - Attempt object
+   */
+  static async findById(id, trx = db) {
+    const row = await trx(this.tableName)
+      .where({ id })
+      .first();
+      
+    return this.parse(row);
+  }
+  
+  /**
+   * Record an attempt with its per-entry results
+   * @param {Object} attemptData - Attempt data
+   * @param {Array} entries - Entry result rows (number, direction, correct, time_ms, hints_used)
+   * @returns {Promise<Object>} - Created attempt object with its entries
+   */
+  static async create(attemptData, entries = []) {
+    return db.transaction(async (trx) => {
+      const [{ id }] = await trx(this.tableName)
+        .insert({
+          ...attemptData,
+          answers: toJson(attemptData.answers),
+          teams: toJson(attemptData.teams)
+        })
+        .returning('id');
+      
+      if (entries.length > 0) {
+        await trx(this.entriesTableName).insert(entries.map(entry => ({
+          ...entry,
+          attempt_id: id,
+          quiz_id: attemptData.quiz_id
+        })));
+      }
+      
+      const attempt = await this.findById(id, trx);
+      const attemptEntries = await trx(this.entriesTableName)
+        .where({ attempt_id: id })
+        .orderBy('id', 'asc');
+      
+      return { ...attempt, entries: attemptEntries };
+    });
+  }
+  
+  /**
+   * Get all attempts of a quiz
+   * @param {number} quizId - Quiz ID
+   * @returns {Promise<Array>} - Array of attempt objects
+   */
+  static async getByQuizId(quizId) {
+    const rows = await db(this.tableName)
+      .where({ quiz_id: quizId })
+      .orderBy('created_at', 'asc');
+      
+    return rows.map(row => this.parse(row));
+  }
+  
+  /**
+   * Get the per-entry results of all attempts of a quiz
+   * @param {number} quizId - Quiz ID
+   * @returns {Promise<Array>} - Array of attempt entry rows
+   */
+  static async getEntriesByQuizId(quizId) {
+    return db(this.entriesTableName)
+      .where({ quiz_id: quizId })
+      .orderBy('id', 'asc');
+  }
+}
+
+module.exports = Attempt;
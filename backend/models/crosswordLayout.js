@@ -0,0 +1,66 @@
+const { db, toJson, fromJson } = require('../db');
+
+class CrosswordLayout {
+  static tableName = 'crossword_layouts';
+  
+  /**
+   * Parse the JSON columns of a layout row
+   * @param {Object} row - Database row
+   * @returns {Object} - Layout object
+   */
+  static parse(row) {
+    if (!row) return row;
+    
+    return {
+      ...row,
+      grid: fromJson(row.grid),
+      entries: fromJson(row.entries),
+      dropped_words: fromJson(row.dropped_words),
+      seed: fromJson(row.seed),
+      report: fromJson(row.report) ?? null,
+      mask: fromJson(row.mask) ?? null
+    };
+  }
+  
+  /**
+   * Get the crossword layout of a quiz
+   * @param {number} quizId - Quiz ID
+   * @param {Object} trx - Optional transaction
+   * @returns {Promise<Object>} - Layout object
+   */
+  static async getByQuizId(quizId, trx = db) {
+    const row = await trx(this.tableName)
+      .where({ quiz_id: quizId })
+      .first();
+      
+    return this.parse(row);
+  }
+  
+  /**
+   * Store the crossword layout of a quiz, replacing any previous one
+   * @param {number} quizId - Quiz ID
+   * @param {Object} layoutData - Layout data (grid, entries, dropped_words, seed, locale, report, mask)
+   * @param {Object} trx - Optional transaction
+   * @returns {Promise<Object>} - Stored layout object
+   */
+  static async save(quizId, layoutData, trx = db) {
+    await trx(this.tableName)
+      .where({ quiz_id: quizId })
+      .delete();
+      
+    await trx(this.tableName).insert({
+      quiz_id: quizId,
+      grid: toJson(layoutData.grid),
+      entries: toJson(layoutData.entries),
+      dropped_words: toJson(layoutData.dropped_words || []),
+      seed: toJson(layoutData.seed ?? null),
+      locale: layoutData.locale || 'en-US',
+      report: toJson(layoutData.report ?? null),
+      mask: toJson(layoutData.mask ?? null)
+    });
+    
+    return this.getByQuizId(quizId, trx);
+  }
+}
+
+module.exports = CrosswordLayout;
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const { db, toJson, fromJson } = require('../db');
+const { config } = require('../config');
+
+class Job {
+  static tableName = 'jobs';
+
+  /**
+   * Parse the JSON columns of a job row
+   * @param {Object} row - Database row
+   * @returns {Object} - Job object
+   */
+  static parse(row) {
+    if (!row) return row;
+
+    return {
+      ...row,
+      payload: fromJson(row.payload),
+      progress: fromJson(row.progress),
+      result: fromJson(row.result),
+      // PostgreSQL returns bigint columns as strings
+      run_at: Number(row.run_at)
+    };
+  }
+
+  /**
+   * Find a job by ID
+   * @param {string} id - Job ID
+   * @param {Object} trx - Optional transaction
+   * @returns {Promise<Object>} - Job object
+   */
+  static async findById(id, trx = db) {
+    const row = await trx(this.tableName)
+      .where({ id })
+      .first();
+
+    return this.parse(row);
+  }
+
+  /**
+   * Queue a new job
+   * @param {Object} jobData - type, payload, user_id, max_attempts and run_at
+   * @returns {Promise<Object>} - Created job object
+   */
+  static async create(jobData) {
+    const id = crypto.randomUUID();
+    await db(this.tableName).insert({
+      ...jobData,
+      id,
+      status: 'queued',
+      payload: toJson(jobData.payload)
+    });
+
+    return this.findById(id);
+  }
+
+  /**
+   * Claim the next queued job that is due. On PostgreSQL the row is locked
+   * with SKIP LOCKED so several workers never claim the same job; SQLite
+   * runs one transaction at a time.
+   * @param {Array} types - Job types the worker can run
+   * @param {number} leaseUntil - Time in ms until which the job belongs to this worker
+   * @returns {Promise<Object|null>} - Claimed job, or null if none is due
+   */
+  static async claimNext(types, leaseUntil) {
+    return db.transaction(async (trx) => {
+      let query = trx(this.tableName)
+        .where({ status: 'queued' })
+        .whereIn('type', types)
+        .where('run_at', '<=', Date.now())
+        .orderBy('run_at', 'asc')
+        .orderBy('created_at', 'asc')
+        .first();
+      if (config.db.client === 'pg') {
+        query = query.forUpdate().skipLocked();
+      }
+
+      const row = await query;
+      if (!row) return null;
+
+      await trx(this.tableName)
+        .where({ id: row.id })
+        .update({
+          status: 'running',
+          attempts: row.attempts + 1,
+          run_at: leaseUntil,
+          started_at: trx.fn.now(),
+          updated_at: trx.fn.now()
+        });
+
+      return this.findById(row.id, trx);
+    });
+  }
+
+  /**
+   * Update a job that is still running under the given attempt, so a worker
+   * whose lease ran out cannot overwrite a newer attempt
+   * @param {Object} job - Claimed job
+   * @param {Object} data - Columns to update
+   * @returns {Promise<boolean>} - True if the job was updated
+   */
+  static async updateRunning(job, data) {
+    const result = await db(this.tableName)
+      .where({ id: job.id, status: 'running', attempts: job.attempts })
+      .update({ ...data, updated_at: db.fn.now() });
+
+    return result > 0;
+  }
+
+  /**
+   * Record the progress of a running job and extend its lease
+   * @param {Object} job - Claimed job
+   * @param {Object} progress - Current stage and its details
+   * @param {number} leaseUntil - New end of the lease in ms
+   * @returns {Promise<boolean>} - True if the job was updated
+   */
+  static async updateProgress(job, progress, leaseUntil) {
+    return this.updateRunning(job, { progress: toJson(progress), run_at: leaseUntil });
+  }
+
+  /**
+   * Mark a running job as succeeded
+   * @param {Object} job - Claimed job
+   * @param {Object} result - Job result
+   * @param {number} deleteAt - Time in ms after which the job may be deleted
+   * @returns {Promise<boolean>} - True if the job was updated
+   */
+  static async succeed(job, result, deleteAt) {
+    return this.updateRunning(job, {
+      status: 'succeeded',
+      result: toJson(result),
+      error: null,
+      run_at: deleteAt,
+      finished_at: db.fn.now()
+    });
+  }
+
+  /**
+   * Mark a running job as failed for good
+   * @param {Object} job - Claimed job
+   * @param {string} error - Error message
+   * @param {number} deleteAt - Time in ms after which the job may be deleted
+   * @returns {Promise<boolean>} - True if the job was updated
+   */
+  static async fail(job, error, deleteAt) {
+    return this.updateRunning(job, {
+      status: 'failed',
+      error,
+      run_at: deleteAt,
+      finished_at: db.fn.now()
+    });
+  }
+
+  /**
+   * Queue a running job again after a failed attempt
+   * @param {Object} job - Claimed job
+   * @param {string} error - Error message of the failed attempt
+   * @param {number} retryAt - Time in ms when the job may run again
+   * @returns {Promise<boolean>} - True if the job was updated
+   */
+  static async retry(job, error, retryAt) {
+    return this.updateRunning(job, {
+      status: 'queued',
+      error,
+      run_at: retryAt
+    });
+  }
+
+  /**
+   * Handle running jobs whose lease ran out because their worker stopped:
+   * queue them again, or fail them once they used all their attempts
+   * @param {number} now - Current time in ms
+   * @param {number} deleteAt - Time in ms after which failed jobs may be deleted
+   * @returns {Promise<number>} - Number of jobs handled
+   */
+  static async expireLeases(now, deleteAt) {
+    const expired = () => db(this.tableName)
+      .where({ status: 'running' })
+      .where('run_at', '<=', now);
+
+    const failed = await expired()
+      .where('attempts', '>=', db.ref('max_attempts'))
+      .update({
+        status: 'failed',
+        error: 'Job timed out',
+        run_at: deleteAt,
+        finished_at: db.fn.now(),
+        updated_at: db.fn.now()
+      });
+    const requeued = await expired()
+      .update({
+        status: 'queued',
+        error: 'Job timed out',
+        run_at: now,
+        updated_at: db.fn.now()
+      });
+
+    return failed + requeued;
+  }
+
+  /**
+   * Delete finished jobs that are past their retention time
+   * @param {number} now - Current time in ms
+   * @returns {Promise<number>} - Number of deleted jobs
+   */
+  static async deleteExpired(now) {
+    return db(this.tableName)
+      .whereIn('status', ['succeeded', 'failed'])
+      .where('run_at', '<=', now)
+      .delete();
+  }
+}
+
+module.exports = Job;
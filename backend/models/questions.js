@@ -1,28 +1,59 @@
-const { db } = require('../db');
+const { db, toJson, fromJson } = require('../db');
 
 class Question {
   static tableName = 'questions';
   
+  /**
+   * Parse the JSON columns of a question row
+   * @param {Object} row - Database row
+   * @returns {Object} - Question object
+   */
+  static parse(row) {
+    if (!row) return row;
+    
+    return {
+      ...row,
+      artists: fromJson(row.artists)
+    };
+  }
+  
+  /**
+   * Prepare question data for insertion
+   * @param {Object} questionData - Question data
+   * @returns {Object} - Row data
+   */
+  static serialize(questionData) {
+    return {
+      ...questionData,
+      artists: toJson(questionData.artists)
+    };
+  }
+  
   /**
    * Find a question by ID
    * @param {number} id - Question ID
    * @returns {Promise<Object>} - Question object
    */
   static async findById(id) {
-    return db(this.tableName)
+    const row = await db(this.tableName)
       .where({ id })
       .first();
+      
+    return this.parse(row);
   }
   
   /**
    * Get questions for a quiz
    * @param {number} quizId - Quiz ID
+   * @param {Object} trx - Optional transaction
    * @returns {Promise<Array>} - Array of question objects
    */
-  static async getByQuizId(quizId) {
-    return db(this.tableName)
+  static async getByQuizId(quizId, trx = db) {
+    const rows = await trx(this.tableName)
       .where({ quiz_id: quizId })
       .orderBy('number', 'asc');
+      
+    return rows.map(row => this.parse(row));
   }
   
   /**
@@ -31,8 +62,8 @@ class Question {
    * @returns {Promise<Object>} - Created question object with ID
    */
   static async create(questionData) {
-    const [id] = await db(this.tableName)
-      .insert(questionData)
+    const [{ id }] = await db(this.tableName)
+      .insert(this.serialize(questionData))
       .returning('id');
       
     return this.findById(id);
@@ -41,12 +72,32 @@ class Question {
   /**
    * Create multiple questions
    * @param {Array} questionsData - Array of question data objects
+   * @param {Object} trx - Optional transaction
    * @returns {Promise<Array>} - Array of created question IDs
    */
-  static async createBulk(questionsData) {
-    return db(this.tableName)
-      .insert(questionsData)
+  static async createBulk(questionsData, trx = db) {
+    if (questionsData.length === 0) return [];
+    
+    const rows = await trx(this.tableName)
+      .insert(questionsData.map(q => this.serialize(q)))
       .returning('id');
+      
+    return rows.map(row => row.id);
+  }
+  
+  /**
+   * Replace all questions of a quiz
+   * @param {number} quizId - Quiz ID
+   * @param {Array} questionsData - Array of question data objects
+   * @param {Object} trx - Optional transaction
+   * @returns {Promise<Array>} - Array of created question IDs
+   */
+  static async replaceForQuiz(quizId, questionsData, trx = db) {
+    await trx(this.tableName)
+      .where({ quiz_id: quizId })
+      .delete();
+      
+    return this.createBulk(questionsData.map(q => ({ ...q, quiz_id: quizId })), trx);
   }
   
   /**
@@ -58,7 +109,7 @@ class Question {
   static async update(id, questionData) {
     await db(this.tableName)
       .where({ id })
-      .update(questionData);
+      .update(this.serialize(questionData));
       
     return this.findById(id);
   }
@@ -1,40 +1,120 @@
-const { db } = require('../db');
+const { db, toJson, fromJson } = require('../db');
+const Question = require('./questions');
+const CrosswordLayout = require('./crosswordLayout');
+const SongGroup = require('./songGroup');
+const Attempt = require('./attempt');
 
 class Quiz {
   static tableName = 'quizzes';
   
+  /**
+   * Parse the JSON columns of a quiz row
+   * @param {Object} row - Database row
+   * @returns {Object} - Quiz object
+   */
+  static parse(row) {
+    if (!row) return row;
+    
+    return {
+      ...row,
+      playlist: fromJson(row.playlist)
+    };
+  }
+  
+  /**
+   * Prepare quiz data for insertion
+   * @param {Object} quizData - Quiz data
+   * @returns {Object} - Row data
+   */
+  static serialize(quizData) {
+    return {
+      ...quizData,
+      playlist: toJson(quizData.playlist)
+    };
+  }
+  
   /**
    * Find a quiz by ID
    * @param {number} id - Quiz ID
+   * @param {Object} trx - Optional transaction
    * @returns {Promise<Object>} - Quiz object
    */
-  static async findById(id) {
-    return db(this.tableName)
+  static async findById(id, trx = db) {
+    const row = await trx(this.tableName)
       .where({ id })
       .first();
+      
+    return this.parse(row);
+  }
+  
+  /**
+   * Find the most recently updated quiz made from a playlist that a user
+   * may see: one of their own or a public one
+   * @param {string} playlistId - Spotify playlist ID
+   * @param {number} userId - ID of the user looking, or none for public quizzes only
+   * @returns {Promise<Object>} - Quiz object
+   */
+  static async findLatestByPlaylistId(playlistId, userId) {
+    const row = await db(this.tableName)
+      .where({ playlist_id: playlistId })
+      .where((query) => {
+        query.where({ is_public: true });
+        if (userId) query.orWhere({ user_id: userId });
+      })
+      .orderBy('updated_at', 'desc')
+      .orderBy('id', 'desc')
+      .first();
+      
+    return this.parse(row);
   }
   
   /**
-   * Get a complete quiz with questions
+   * Get a complete quiz with questions, crossword layout and song groups
    * @param {number} id - Quiz ID
-   * @returns {Promise<Object>} - Quiz object with questions
+   * @param {Object} trx - Optional transaction
+   * @returns {Promise<Object>} - Quiz object with questions, layout and songGroups
    */
-  static async getComplete(id) {
+  static async getComplete(id, trx = db) {
     // Get the quiz
-    const quiz = await this.findById(id);
+    const quiz = await this.findById(id, trx);
     if (!quiz) return null;
     
-    // Get the questions
-    const questions = await db('questions')
-      .where({ quiz_id: id })
-      .orderBy('number', 'asc');
+    // Get the questions, layout and song groups
+    const [questions, layout, songGroups] = await Promise.all([
+      Question.getByQuizId(id, trx),
+      CrosswordLayout.getByQuizId(id, trx),
+      SongGroup.getByQuizId(id, trx)
+    ]);
     
     return {
       ...quiz,
-      questions
+      questions,
+      layout: layout || null,
+      songGroups
     };
   }
   
+  /**
+   * Get the quizzes of a user, newest first
+   * @param {Object} options - Query options (userId, limit, offset)
+   * @returns {Promise<Array>} - Array of quiz objects
+   * @throws {Error} - Without a userId, rather than listing every user's quizzes
+   */
+  static async getAll(options = {}) {
+    const { userId, limit = 10, offset = 0 } = options;
+    if (!userId) {
+      throw new Error('A user ID is required to list quizzes');
+    }
+    
+    const rows = await db(this.tableName)
+      .where({ user_id: userId })
+      .limit(limit)
+      .offset(offset)
+      .orderBy('created_at', 'desc');
+      
+    return rows.map(row => this.parse(row));
+  }
+  
   /**
    * Get public quizzes
    * @param {Object} options - Query options (limit, offset)
@@ -43,54 +123,82 @@ class Quiz {
   static async getPublic(options = {}) {
     const { limit = 10, offset = 0 } = options;
     
-    return db(this.tableName)
+    const rows = await db(this.tableName)
       .where({ is_public: true })
       .limit(limit)
       .offset(offset)
       .orderBy('created_at', 'desc');
+      
+    return rows.map(row => this.parse(row));
   }
   
   /**
-   * Create a new quiz with questions
+   * Create a new quiz with questions and, optionally, its crossword
    * @param {Object} quizData - Quiz data
    * @param {Array} questions - Array of question objects
+   * @param {Object} crossword - Optional crossword data (layout, songGroups)
    * @returns {Promise<Object>} - Created quiz object with ID
    */
-  static async create(quizData, questions = []) {
+  static async create(quizData, questions = [], crossword = {}) {
     // Begin transaction
     return db.transaction(async (trx) => {
       // Insert quiz
-      const [quizId] = await trx(this.tableName)
-        .insert(quizData)
+      const [{ id: quizId }] = await trx(this.tableName)
+        .insert(this.serialize(quizData))
         .returning('id');
       
       // Insert questions if provided
       if (questions.length > 0) {
-        const questionsWithQuizId = questions.map(q => ({
-          ...q,
-          quiz_id: quizId
-        }));
-        
-        await trx('questions').insert(questionsWithQuizId);
+        await Question.replaceForQuiz(quizId, questions, trx);
       }
       
+      await this.saveCrossword(quizId, crossword, trx);
+      
       // Return complete quiz
-      return this.getComplete(quizId);
+      return this.getComplete(quizId, trx);
     });
   }
   
   /**
-   * Update a quiz
+   * Update a quiz and, if given, replace its questions and crossword
    * @param {number} id - Quiz ID
    * @param {Object} quizData - Quiz data to update
-   * @returns {Promise<Object>} - Updated quiz object
+   * @param {Array} questions - Optional array of question objects
+   * @param {Object} crossword - Optional crossword data (layout, songGroups)
+   * @returns {Promise<Object>} - Updated quiz object with questions, layout and songGroups
    */
-  static async update(id, quizData) {
-    await db(this.tableName)
-      .where({ id })
-      .update(quizData);
+  static async update(id, quizData, questions = null, crossword = {}) {
+    return db.transaction(async (trx) => {
+      await trx(this.tableName)
+        .where({ id })
+        .update({ ...this.serialize(quizData), updated_at: trx.fn.now() });
+      
+      if (questions) {
+        await Question.replaceForQuiz(id, questions, trx);
+      }
+      
+      await this.saveCrossword(id, crossword, trx);
       
-    return this.findById(id);
+      return this.getComplete(id, trx);
+    });
+  }
+  
+  /**
+   * Store the crossword parts of a quiz that were provided
+   * @param {number} quizId - Quiz ID
+   * @param {Object} crossword - Crossword data (layout, songGroups)
+   * @param {Object} trx - Transaction
+   */
+  static async saveCrossword(quizId, crossword, trx) {
+    const { layout, songGroups } = crossword;
+    
+    if (layout) {
+      await CrosswordLayout.save(quizId, layout, trx);
+    }
+    
+    if (songGroups) {
+      await SongGroup.replaceForQuiz(quizId, songGroups, trx);
+    }
   }
   
   /**
@@ -109,17 +217,12 @@ class Quiz {
   /**
    * Record a quiz attempt
    * @param {Object} attemptData - Attempt data
-   * @returns {Promise<Object>} - Created attempt object with ID
+   * @param {Array} entries - Optional per-entry results
+   * @returns {Promise<Object>} - Created attempt object with ID and entries
    */
-  static async recordAttempt(attemptData) {
-    const [id] = await db('attempts')
-      .insert(attemptData)
-      .returning('id');
-      
-    return db('attempts')
-      .where({ id })
-      .first();
+  static async recordAttempt(attemptData, entries = []) {
+    return Attempt.create(attemptData, entries);
   }
 }
 
-module.exports = Quiz;
\ No newline at end of file
+module.exports = Quiz;
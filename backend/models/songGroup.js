@@ -0,0 +1,61 @@
+const { db, toJson, fromJson } = require('../db');
+
+class SongGroup {
+  static tableName = 'song_groups';
+  
+  /**
+   * Parse the JSON columns of a song group row
+   * @param {Object} row - Database row
+   * @returns {Object} - Song group object
+   */
+  static parse(row) {
+    if (!row) return row;
+    
+    return {
+      ...row,
+      artists: fromJson(row.artists),
+      album: fromJson(row.album)
+    };
+  }
+  
+  /**
+   * Get the song groups of a quiz
+   * @param {number} quizId - Quiz ID
+   * @param {Object} trx - Optional transaction
+   * @returns {Promise<Array>} - Array of song group objects
+   */
+  static async getByQuizId(quizId, trx = db) {
+    const rows = await trx(this.tableName)
+      .where({ quiz_id: quizId })
+      .orderBy('position', 'asc');
+      
+    return rows.map(row => this.parse(row));
+  }
+  
+  /**
+   * Replace the song groups of a quiz
+   * @param {number} quizId - Quiz ID
+   * @param {Array} groups - Array of song group data objects
+   * @param {Object} trx - Optional transaction
+   * @returns {Promise<Array>} - Array of stored song group objects
+   */
+  static async replaceForQuiz(quizId, groups, trx = db) {
+    await trx(this.tableName)
+      .where({ quiz_id: quizId })
+      .delete();
+      
+    if (groups.length > 0) {
+      await trx(this.tableName).insert(groups.map((group, index) => ({
+        ...group,
+        quiz_id: quizId,
+        artists: toJson(group.artists || []),
+        album: toJson(group.album || null),
+        position: index
+      })));
+    }
+    
+    return this.getByQuizId(quizId, trx);
+  }
+}
+
+module.exports = SongGroup;
@@ -25,13 +25,24 @@ class User {
       .first();
   }
   
+  /**
+   * Find a user by Spotify account ID
+   * @param {string} spotifyId - Spotify user ID
+   * @returns {Promise<Object>} - User object
+   */
+  static async findBySpotifyId(spotifyId) {
+    return db(this.tableName)
+      .where({ spotify_id: spotifyId })
+      .first();
+  }
+  
   /**
    * Create a new user
    * @param {Object} userData - User data
    * @returns {Promise<Object>} - Created user object with ID
    */
   static async create(userData) {
-    const [id] = await db(this.tableName)
+    const [{ id }] = await db(this.tableName)
       .insert(userData)
       .returning('id');
       
@@ -47,7 +58,7 @@ class User {
   static async update(id, userData) {
     await db(this.tableName)
       .where({ id })
-      .update(userData);
+      .update({ ...userData, updated_at: db.fn.now() });
       
     return this.findById(id);
   }
@@ -0,0 +1,165 @@
+// backend/scripts/benchmarkLayout.js
+
+const fs = require('fs');
+const path = require('path');
+const {
+  CANVAS_SIZE,
+  initializeEmptyGrid,
+  createLetterIndex,
+  findPlacements,
+  canPlaceWordHorizontally,
+  canPlaceWordVertically,
+  placeWordInGrid
+} = require('../src/utils/gridUtils');
+const crosswordService = require('../src/services/crosswordService');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Times each placement search is repeated, to smooth out timer noise
+const ROUNDS = Number(process.env.BENCHMARK_ROUNDS) || 5;
+
+/**
+ * Find every valid placement by testing both directions at every cell,
+ * the way placements were searched before the letter index
+ * @param {Array} grid - 2D grid array
+ * @param {string} word - Word to place
+ * @returns {Array} Placements with row, col, direction and intersections
+ */
+const scanPlacements = (grid, word) => {
+  const placements = [];
+
+  for (let row = 0; row < grid.length; row++) {
+    for (let col = 0; col < grid[0].length; col++) {
+      const across = canPlaceWordHorizontally(grid, word, row, col);
+      if (across.canPlace) {
+        placements.push({ row, col, direction: 'across', intersections: across.intersections });
+      }
+      const down = canPlaceWordVertically(grid, word, row, col);
+      if (down.canPlace) {
+        placements.push({ row, col, direction: 'down', intersections: down.intersections });
+      }
+    }
+  }
+
+  return placements;
+};
+
+/**
+ * Read a fixture word list, one word per line
+ * @param {string} file - Path of the word list
+ * @returns {Array} Uppercase words, longest first
+ */
+const readWords = (file) =>
+  fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map(word => word.trim().toUpperCase())
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+
+/**
+ * Time a function over a number of rounds
+ * @param {Function} fn - Function to time
+ * @returns {Object} Result of the last round and the total time in milliseconds
+ */
+const time = (fn) => {
+  let result;
+  const startedAt = process.hrtime.bigint();
+  for (let round = 0; round < ROUNDS; round++) {
+    result = fn();
+  }
+  return { result, ms: Number(process.hrtime.bigint() - startedAt) / 1e6 };
+};
+
+/**
+ * Replay a greedy layout of the words, timing the full scan and the indexed
+ * search on every grid along the way and checking they agree
+ * @param {Array} words - Words, longest first
+ * @returns {Object} Words placed and the time each search took
+ */
+const benchmarkPlacementSearch = (words) => {
+  const grid = initializeEmptyGrid(CANVAS_SIZE, CANVAS_SIZE);
+  placeWordInGrid(grid, words[0], {
+    row: Math.floor(CANVAS_SIZE / 2),
+    col: Math.floor((CANVAS_SIZE - words[0].length) / 2),
+    direction: 'across'
+  });
+  const index = createLetterIndex(grid);
+  let scanMs = 0;
+  let indexedMs = 0;
+  let placed = 1;
+
+  words.slice(1).forEach(word => {
+    const scan = time(() => scanPlacements(grid, word));
+    const indexed = time(() => findPlacements(grid, word, index));
+    scanMs += scan.ms;
+    indexedMs += indexed.ms;
+
+    if (JSON.stringify(scan.result) !== JSON.stringify(indexed.result)) {
+      throw new Error(`Indexed search disagrees with the full scan for ${word}`);
+    }
+
+    // Place at the first placement with the most intersections, as the greedy strategy does
+    const best = indexed.result.reduce((top, placement) =>
+      (!top || placement.intersections > top.intersections ? placement : top), null);
+    if (best) {
+      placeWordInGrid(grid, word, best, index);
+      placed++;
+    }
+  });
+
+  return { placed, scanMs, indexedMs };
+};
+
+/**
+ * Build a crossword from the words with a layout strategy, without its logging
+ * @param {Array} words - Words to use as answers
+ * @param {string} strategy - Layout strategy name
+ * @returns {Object} Entries placed and the time the build took
+ */
+const benchmarkBuild = (words, strategy) => {
+  const questions = words.map((word, i) => ({ question: `Clue ${i + 1}`, answer: word }));
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const startedAt = Date.now();
+    const crossword = crosswordService.buildCrossword(questions, { strategy, seed: 1 });
+    return { placed: crossword.entries.length, ms: Date.now() - startedAt };
+  } finally {
+    console.log = log;
+  }
+};
+
+/**
+ * Run the benchmark for the fixture word lists, or the lists given as
+ * arguments, smallest list first
+ */
+const runBenchmark = () => {
+  const files = process.argv.length > 2
+    ? process.argv.slice(2)
+    : fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.txt')).map(file => path.join(FIXTURES_DIR, file));
+  const lists = files
+    .map(file => ({ name: path.basename(file), words: readWords(file) }))
+    .sort((a, b) => a.words.length - b.words.length);
+
+  // Warm up both searches so the first list is not timed while the JIT compiles them
+  const log = console.log;
+  console.log = () => {};
+  lists.forEach(({ words }) => benchmarkPlacementSearch(words));
+  console.log = log;
+
+  console.log(`Placement search on a ${CANVAS_SIZE}x${CANVAS_SIZE} canvas, ${ROUNDS} rounds per search\n`);
+
+  lists.forEach(({ name, words }) => {
+    const search = benchmarkPlacementSearch(words);
+    const greedy = benchmarkBuild(words, 'greedy');
+    const backtracking = benchmarkBuild(words, 'backtracking');
+
+    console.log(`${name}: ${words.length} words, ${search.placed} placed`);
+    console.log(`  full scan     ${search.scanMs.toFixed(1)} ms`);
+    console.log(`  indexed       ${search.indexedMs.toFixed(1)} ms (${(search.scanMs / search.indexedMs).toFixed(1)}x faster)`);
+    console.log(`  greedy        ${greedy.ms} ms, ${greedy.placed} entries`);
+    console.log(`  backtracking  ${backtracking.ms} ms, ${backtracking.placed} entries\n`);
+  });
+};
+
+runBenchmark();
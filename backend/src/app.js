@@ -6,8 +6,11 @@ const dotenv = require('dotenv');
 // Load environment variables
 dotenv.config();
 
+const { config } = require('../config');
+
 // Import routes
 const apiRoutes = require('./routes/api');
+const jobService = require('./services/jobs');
 
 // Initialize Express app
 const app = express();
@@ -15,7 +18,7 @@ const app = express();
 // Middleware
 app.use(helmet()); // Security headers
 app.use(cors()); // Enable CORS
-app.use(express.json()); // Parse JSON bodies
+app.use(express.json({ limit: '5mb' })); // Parse JSON bodies (stored crosswords and saved playlist pages can be large)
 
 // API Routes
 app.use('/api', apiRoutes);
@@ -26,7 +29,8 @@ app.get('/health', (req, res) => {
 });
 
 // Error handling middleware
-app.use((err, req, res, next) => {
+// Express needs all four arguments to treat this as an error handler
+app.use((err, req, res, _next) => {
   console.error(err.stack);
   res.status(err.status || 500).json({
     error: {
@@ -40,6 +44,10 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  // Run background jobs such as lucky crosswords in this process
+  if (config.jobs.worker) {
+    jobService.startWorker();
+  }
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,189 @@
+// backend/src/controllers/authController.js
+
+const { config } = require('../../config');
+const authService = require('../services/authService');
+
+/**
+ * Check whether the client asked for JSON rather than a browser redirect
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True for API clients
+ */
+const wantsJson = (req) => req.accepts(['html', 'json']) === 'json';
+
+// Cookie holding the OAuth state nonce, so only the browser that started
+// a login can complete it
+const STATE_COOKIE = 'spotify_oauth_state';
+const STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  // Sent along when Spotify redirects back to the callback
+  sameSite: 'lax',
+  secure: config.env === 'production',
+  path: '/api/auth/spotify'
+};
+
+/**
+ * Read a cookie from the request
+ * @param {Object} req - Express request object
+ * @param {string} name - Cookie name
+ * @returns {string|undefined} - Cookie value
+ */
+const getCookie = (req, name) => (req.headers.cookie || '')
+  .split(';')
+  .map(cookie => cookie.trim().split('='))
+  .filter(([key]) => key === name)
+  .map(([, value]) => decodeURIComponent(value || ''))[0];
+
+/**
+ * Finish the OAuth callback, handing the result back to the frontend
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status for JSON clients
+ * @param {Object} body - Response body for JSON clients
+ * @param {Object} fragment - Values passed to the frontend in the URL fragment
+ */
+const finishCallback = (req, res, status, body, fragment) => {
+  if (wantsJson(req)) {
+    return res.status(status).json(body);
+  }
+  // The fragment never reaches server logs
+  return res.redirect(`${config.frontendUrl}/#${new URLSearchParams(fragment)}`);
+};
+
+/**
+ * Start the Spotify authorization-code flow
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const spotifyLogin = (req, res) => {
+  if (!config.spotify.clientId) {
+    return res.status(500).json({
+      error: 'Spotify login is not configured'
+    });
+  }
+
+  const nonce = authService.createStateNonce();
+  res.cookie(STATE_COOKIE, nonce, {
+    ...STATE_COOKIE_OPTIONS,
+    maxAge: authService.STATE_EXPIRES_IN_SECONDS * 1000
+  });
+  return res.redirect(authService.getAuthorizationUrl(nonce));
+};
+
+/**
+ * Handle the Spotify OAuth callback and issue our JWT
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const spotifyCallback = async (req, res) => {
+  const { code, state, error } = req.query;
+  const nonce = getCookie(req, STATE_COOKIE);
+  // A state can only be used once
+  res.clearCookie(STATE_COOKIE, STATE_COOKIE_OPTIONS);
+
+  if (error) {
+    console.log('Spotify authorization denied:', error);
+    return finishCallback(req, res, 401,
+      { error: 'Spotify authorization was denied', message: error },
+      { authError: error });
+  }
+
+  if (!code || !state) {
+    return finishCallback(req, res, 400,
+      { error: 'Missing required parameters: code, state' },
+      { authError: 'missing_code' });
+  }
+
+  if (!authService.verifyState(state, nonce)) {
+    return finishCallback(req, res, 400,
+      { error: 'Invalid or expired OAuth state' },
+      { authError: 'invalid_state' });
+  }
+
+  try {
+    const { token, user } = await authService.loginWithCode(code);
+
+    console.log(`User ${user.id} logged in with Spotify`);
+    return finishCallback(req, res, 200,
+      { success: true, data: { token, user } },
+      { authToken: token });
+  } catch (err) {
+    console.error('Error completing Spotify login:', err.message);
+    if (err.response && err.response.status < 500) {
+      return finishCallback(req, res, 401,
+        { error: 'Spotify authorization failed', message: err.response.data?.error || err.message },
+        { authError: 'authorization_failed' });
+    }
+    return finishCallback(req, res, 500,
+      { error: 'Failed to complete Spotify login', message: err.message },
+      { authError: 'login_failed' });
+  }
+};
+
+/**
+ * Refresh the Spotify access token of the current user and issue a new JWT
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const session = await authService.refreshSession(req.user.id);
+
+    if (!session) {
+      return res.status(400).json({
+        error: 'No Spotify account linked to this user'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Error refreshing Spotify token:', error.message);
+    if (error.response && error.response.status < 500) {
+      return res.status(401).json({
+        error: 'Spotify session expired, please log in again',
+        message: error.response.data?.error || error.message
+      });
+    }
+    return res.status(500).json({
+      error: 'Failed to refresh token',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCurrentUser = async (req, res) => {
+  try {
+    const user = await authService.getUser(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Error getting current user:', error);
+    return res.status(500).json({
+      error: 'Failed to get current user',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  spotifyLogin,
+  spotifyCallback,
+  refreshToken,
+  getCurrentUser
+};
@@ -1,4 +1,10 @@
 const crosswordService = require('../services/crosswordService');
+const { validateLayout } = require('../services/layoutValidator');
+const { strategyNames, validateLayoutOptions } = require('../services/layoutStrategies');
+const { MIN_GRID_SIZE, MAX_GRID_SIZE } = require('../services/layoutStrategies/fixedGridStrategy');
+const { getLocale, validateLocale, normalizeAnswer } = require('../services/locales');
+const { validateMask } = require('../services/masks');
+const { isValidSeed } = require('../utils/random');
 
 /**
  * Build a crossword grid from selected questions
@@ -7,7 +13,7 @@ const crosswordService = require('../services/crosswordService');
  */
 const buildCrossword = (req, res) => {
   try {
-    const { questions } = req.body;
+    const { questions, seed, options = {} } = req.body;
     
     console.log('Received request to build crossword');
     
@@ -17,21 +23,71 @@ const buildCrossword = (req, res) => {
       });
     }
     
+    const localeError = validateLocale(options.locale);
+    if (localeError) {
+      return res.status(400).json({
+        error: localeError
+      });
+    }
+    const locale = getLocale(options.locale);
+    
     // Validate that we have enough questions with valid answers
-    const validQuestions = questions.filter(q => {
-      const answer = q.answer ? q.answer.toUpperCase().replace(/[^A-Z]/g, '') : '';
-      return answer.length >= 3 && /^[A-Z]+$/.test(answer);
-    });
+    const validQuestions = questions.filter(q => normalizeAnswer(q.answer, locale).length >= 3);
     
     if (validQuestions.length < 3) {
       return res.status(400).json({
-        error: 'At least 3 valid questions are required. Valid answers must have at least 3 letters and contain only letters A-Z.'
+        error: `At least 3 valid questions are required. Valid answers must have at least 3 letters ${locale.alphabetLabel}.`
+      });
+    }
+    
+    if (options.strategy && !strategyNames.includes(options.strategy)) {
+      return res.status(400).json({
+        error: `Unknown layout strategy. Available strategies: ${strategyNames.join(', ')}`
+      });
+    }
+    
+    const layoutOptionsError = validateLayoutOptions(options);
+    if (layoutOptionsError) {
+      return res.status(400).json({
+        error: layoutOptionsError
+      });
+    }
+    
+    if (options.strategy === 'fixed' && options.gridSize !== undefined &&
+        !(Number.isInteger(options.gridSize) && options.gridSize >= MIN_GRID_SIZE && options.gridSize <= MAX_GRID_SIZE)) {
+      return res.status(400).json({
+        error: `Grid size must be a whole number between ${MIN_GRID_SIZE} and ${MAX_GRID_SIZE}`
+      });
+    }
+    
+    if (options.strategy === 'fixed' && !locale.wordList) {
+      return res.status(400).json({
+        error: `The fixed strategy has no fill word list for ${locale.name} yet`
+      });
+    }
+    
+    const maskError = validateMask(options.mask);
+    if (maskError) {
+      return res.status(400).json({
+        error: maskError
+      });
+    }
+    
+    if (options.strategy === 'fixed' && options.mask !== undefined && options.mask !== null) {
+      return res.status(400).json({
+        error: 'The fixed strategy fills a square grid and cannot use a mask'
+      });
+    }
+    
+    if (seed !== undefined && !isValidSeed(seed)) {
+      return res.status(400).json({
+        error: 'Seed must be a number or a non-empty string'
       });
     }
     
     // Build crossword grid
     console.log(`Building crossword with ${questions.length} questions`);
-    const crosswordData = crosswordService.buildCrossword(questions);
+    const crosswordData = crosswordService.buildCrossword(questions, { ...options, seed });
     console.log('Crossword built successfully');
     
     // Return crossword data
@@ -48,6 +104,107 @@ const buildCrossword = (req, res) => {
   }
 };
 
+/**
+ * Check the layout of a crossword, such as an imported puzzle, for
+ * connectivity, illegal adjacency, numbering and grid/entry consistency
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const validateCrossword = (req, res) => {
+  try {
+    const { grid, entries } = req.body || {};
+
+    if (!grid || !Array.isArray(entries)) {
+      return res.status(400).json({
+        error: 'A grid and an array of entries are required'
+      });
+    }
+
+    // Accept the grid as built by build-crossword, with its bounds, or as rows
+    const rows = Array.isArray(grid) ? grid : grid.grid;
+    const validation = validateLayout(rows, entries);
+    console.log(`Validated crossword with ${entries.length} entries: ${validation.valid ? 'valid' : `${validation.errors.length} errors`}`);
+
+    return res.status(200).json({
+      success: true,
+      data: validation
+    });
+  } catch (error) {
+    console.error('Error in validateCrossword controller:', error);
+    return res.status(500).json({
+      error: 'Failed to validate crossword',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Add or remove words of an existing crossword, keeping its locked entries in place
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const relayoutCrossword = (req, res) => {
+  try {
+    const { crossword, add = [], remove = [], locked } = req.body || {};
+
+    if (!crossword || !crossword.grid || !Array.isArray(crossword.entries)) {
+      return res.status(400).json({
+        error: 'A crossword with a grid and entries is required'
+      });
+    }
+
+    if (!Array.isArray(add) || add.some(question => !question || typeof question.answer !== 'string')) {
+      return res.status(400).json({
+        error: 'add must be an array of questions with an answer'
+      });
+    }
+
+    if ([remove, locked ?? []].some(answers => !Array.isArray(answers) || answers.some(answer => typeof answer !== 'string'))) {
+      return res.status(400).json({
+        error: 'remove and locked must be arrays of answers'
+      });
+    }
+
+    const localeError = validateLocale(crossword.locale);
+    if (localeError) {
+      return res.status(400).json({
+        error: localeError
+      });
+    }
+
+    console.log(`Received request to re-lay out crossword: ${add.length} to add, ${remove.length} to remove`);
+    const crosswordData = crosswordService.relayoutCrossword(crossword, { add, remove, locked });
+
+    return res.status(200).json({
+      success: true,
+      data: crosswordData
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        error: 'Locked entries block the change',
+        message: error.message,
+        unplaced: error.unplaced,
+        disconnected: error.disconnected
+      });
+    }
+
+    console.error('Error in relayoutCrossword controller:', error);
+    return res.status(500).json({
+      error: 'Failed to re-lay out crossword',
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
-  buildCrossword
+  buildCrossword,
+  validateCrossword,
+  relayoutCrossword
 };
\ No newline at end of file
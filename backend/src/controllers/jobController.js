@@ -0,0 +1,88 @@
+// backend/src/controllers/jobController.js
+
+const jobService = require('../services/jobs');
+const { parseLuckyRequest } = require('../services/luckyCrosswordService');
+
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Shape a job for API responses
+ * @param {Object} job - Job from the database
+ * @returns {Object} - Job status, progress and result
+ */
+const toJobResponse = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  progress: job.progress || null,
+  attempts: job.attempts,
+  maxAttempts: job.max_attempts,
+  result: job.result || null,
+  error: job.error || null,
+  createdAt: job.created_at,
+  startedAt: job.started_at || null,
+  finishedAt: job.finished_at || null
+});
+
+/**
+ * Queue a lucky crossword job. Takes the same body as the lucky crossword
+ * endpoint and answers right away with the job to poll.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createLuckyCrosswordJob = async (req, res) => {
+  try {
+    // Reject invalid requests now instead of in the worker
+    const lucky = await parseLuckyRequest(req.body, req.user?.id);
+    if (lucky.error) {
+      return res.status(lucky.error.status).json(lucky.error.body);
+    }
+
+    const job = await jobService.enqueueJob('lucky-crossword', req.body, { userId: req.user?.id });
+    return res.status(202)
+      .location(`${req.baseUrl}/jobs/${job.id}`)
+      .json({
+        success: true,
+        data: toJobResponse(job)
+      });
+  } catch (error) {
+    console.error('Error queueing lucky crossword job:', error);
+    return res.status(500).json({
+      error: 'Failed to queue lucky crossword job',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the status, progress and result of a job. Jobs queued by a logged in
+ * user are only visible to that user.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = JOB_ID_PATTERN.test(id) ? await jobService.getJob(id) : null;
+
+    if (!job || (job.user_id && job.user_id !== req.user?.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: toJobResponse(job)
+    });
+  } catch (error) {
+    console.error('Error getting job:', error);
+    return res.status(500).json({
+      error: 'Failed to get job',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  createLuckyCrosswordJob,
+  getJob
+};
@@ -1,96 +1,28 @@
 // backend/src/controllers/luckyController.js
 
-const spotifyService = require('../services/spotifyService');
-const openaiService = require('../services/openaiService');
-const crosswordService = require('../services/crosswordService');
+const {
+  createSongGroups,
+  parseLuckyRequest,
+  buildLuckyCrossword
+} = require('../services/luckyCrosswordService');
+const { startNdjsonStream } = require('../utils/ndjsonStream');
 
 /**
- * Select best questions for crossword building
- * @param {Array} questions - Array of question objects
- * @returns {Array} - Selected questions for crossword
+ * Map a lucky crossword error to an HTTP status and body
+ * @param {Error} error - Error thrown while building
+ * @returns {Object} - status and body
  */
-const selectBestQuestions = (questions) => {
-  // Filter for valid questions (3-12 letters, alphabetic only)
-  const validQuestions = questions.filter(q => {
-    const answer = q.answer ? q.answer.toUpperCase().replace(/[^A-Z]/g, '') : '';
-    return answer.length >= 3 && answer.length <= 12 && /^[A-Z]+$/.test(answer);
-  });
-
-  if (validQuestions.length < 5) {
-    throw new Error(`Not enough valid questions. Need at least 5 valid questions to create a crossword.`);
+const toErrorResponse = (error) => {
+  if (error.message.includes('Not enough valid questions') || error.statusCode === 400) {
+    return { status: 400, body: { error: error.message } };
   }
-
-  // Group questions by "question type" to ensure diversity
-  const questionsByType = new Map();
-  
-  validQuestions.forEach(question => {
-    // Simple heuristic for question type: first few words
-    const questionWords = question.question.split(' ').slice(0, 3).join(' ').toLowerCase();
-    if (!questionsByType.has(questionWords)) {
-      questionsByType.set(questionWords, []);
-    }
-    questionsByType.get(questionWords).push(question);
-  });
-  
-  // Select a diverse set of questions (up to 3 per type)
-  const selectedQuestions = [];
-  
-  // Take questions from each type until we have enough
-  let typesArray = Array.from(questionsByType.entries());
-  while (selectedQuestions.length < 15 && typesArray.some(([_, qs]) => qs.length > 0)) {
-    for (let i = 0; i < typesArray.length; i++) {
-      const [type, questions] = typesArray[i];
-      if (questions.length > 0) {
-        // Take one question from this type
-        selectedQuestions.push(questions.shift());
-        
-        // Break if we have enough
-        if (selectedQuestions.length >= 15) break;
-      }
-    }
-  }
-  
-  return selectedQuestions;
-};
-
-/**
- * Create song groups directly by matching questions to tracks
- * @param {Array} generatedQuestions - All generated questions
- * @param {Array} tracks - Tracks from the playlist
- * @returns {Array} - Song groups with associated questions
- */
-const createSongGroups = (generatedQuestions, tracks) => {
-  const songGroups = [];
-  const trackMap = new Map();
-
-  tracks.forEach(track => {
-    trackMap.set(track.id, {
-      id: track.id,
-      name: track.name,
-      artists: track.artists,
-      album: track.album,
-      previewUrl: track.previewUrl,
-      popularityScore: track.popularityScore || 0,
-      questions: [],
-      imageUrl: track.album.images?.[0]?.url || null
-    });
-  });
-
-  generatedQuestions.forEach(question => {
-    if (question.trackId && trackMap.has(question.trackId)) {
-      trackMap.get(question.trackId).questions.push(question);
-    } else {
-      console.warn(`Question "${question.question}" has no valid trackId`);
-    }
-  });
-
-  trackMap.forEach(group => {
-    if (group.questions.length > 0) {
-      songGroups.push(group);
+  return {
+    status: 500,
+    body: {
+      error: 'Failed to create lucky crossword',
+      message: error.message
     }
-  });
-
-  return songGroups;
+  };
 };
 
 /**
@@ -100,86 +32,56 @@ const createSongGroups = (generatedQuestions, tracks) => {
  */
 const createLuckyCrossword = async (req, res) => {
   try {
-    const { playlistUrl } = req.body;
-    
-    console.log('Creating lucky crossword for playlist:', playlistUrl);
-    
-    if (!playlistUrl) {
-      return res.status(400).json({ 
-        error: 'Missing required parameter: playlistUrl' 
-      });
+    const lucky = await parseLuckyRequest(req.body, req.user?.id);
+    if (lucky.error) {
+      return res.status(lucky.error.status).json(lucky.error.body);
     }
     
-    // Step 1: Get playlist data
-    console.log('Fetching playlist data...');
-    const playlistData = await spotifyService.getPlaylistData(playlistUrl);
-    
-    // Step 2: Generate questions
-    console.log('Generating questions...');
-    const questions = await openaiService.generateQuestions(playlistData.tracks, {
-      maxQuestions: 25, // Increased for more variety
-      minAnswerLength: 3,
-      maxAnswerLength: 12
-    });
-    
-    // Step 3: Select best questions
-    console.log('Selecting best questions...');
-    const selectedQuestions = selectBestQuestions(questions);
-    
-    // Step 4: Generate crossword data
-    console.log('Generating crossword data...');
-    const crosswordData = await crosswordService.generateCrossword(selectedQuestions);
-    
-    // Step 5: Create song groups
-    console.log('Creating song groups...');
-    const songGroups = createSongGroups(selectedQuestions, playlistData.tracks);
-    console.log('Generated song groups:', songGroups.length, songGroups);
-
-    // Ensure crossword entries are associated with song groups
-    const clueEntryMap = new Map();
-    crosswordData.entries.forEach(entry => {
-      clueEntryMap.set(entry.clue, entry);
-    });
-
-    songGroups.forEach(group => {
-      group.crosswordQuestions = group.questions.filter(question => 
-        clueEntryMap.has(question.question)
-      );
-      group.crosswordQuestions.forEach(question => {
-        const entry = clueEntryMap.get(question.question);
-        question.crosswordEntry = entry; // Associate crossword entry with the question
-      });
-    });
-
-    // Create enhanced crossword
-    const enhancedCrossword = {
-      ...crosswordData,
-      songGroups: songGroups,
-      playlist: {
-        id: playlistData.id,
-        name: playlistData.name,
-        description: playlistData.description,
-        owner: playlistData.owner,
-        images: playlistData.images,
-        tracksCount: playlistData.tracksCount
-      }
-    };
-    console.log('Enhanced crossword song groups:', enhancedCrossword.songGroups.length);
-    console.log('Crossword entries:', enhancedCrossword.entries.length);
+    const enhancedCrossword = await buildLuckyCrossword(lucky);
     return res.status(200).json({
       success: true,
       data: enhancedCrossword
     });
   } catch (error) {
     console.error('Error creating lucky crossword:', error);
-    if (error.message.includes('Not enough valid questions')) {
-      return res.status(400).json({ error: error.message });
+    const { status, body } = toErrorResponse(error);
+    return res.status(status).json(body);
+  }
+};
+
+/**
+ * Create a lucky crossword as a stream of newline-delimited JSON events:
+ * stage events for each step, a question event for each generated question
+ * as soon as it is parsed, then a result event with the same data as
+ * createLuckyCrossword or an error event
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const streamLuckyCrossword = async (req, res) => {
+  let stream = null;
+  
+  try {
+    const lucky = await parseLuckyRequest(req.body, req.user?.id);
+    if (lucky.error) {
+      return res.status(lucky.error.status).json(lucky.error.body);
     }
-    return res.status(500).json({ 
-      error: 'Failed to create lucky crossword',
-      message: error.message
+    
+    stream = startNdjsonStream(res);
+    const enhancedCrossword = await buildLuckyCrossword(lucky, {
+      onStage: (stage, details) => stream.send({ type: 'stage', stage, ...details }),
+      onQuestion: (question) => stream.send({ type: 'question', question })
     });
+    stream.send({ type: 'result', success: true, data: enhancedCrossword });
+  } catch (error) {
+    console.error('Error streaming lucky crossword:', error);
+    const { status, body } = toErrorResponse(error);
+    if (!stream) {
+      return res.status(status).json(body);
+    }
+    stream.send({ type: 'error', status, ...body });
   }
+  
+  stream.end();
 };
 
 /**
@@ -330,5 +232,6 @@ const createQuizFromCrossword = async (req, res) => {
 };
 module.exports = {
   createLuckyCrossword,
+  streamLuckyCrossword,
   createQuizFromCrossword
 };
\ No newline at end of file
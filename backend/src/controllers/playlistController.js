@@ -1,26 +1,46 @@
-const spotifyService = require('../services/spotifyService');
+const authService = require('../services/authService');
+const { getProvider, providerNames } = require('../services/musicSources');
 
 /**
- * Get playlist data from Spotify
+ * Get playlist data from a music source provider: from Spotify a playlist,
+ * album, artist or track URL, a search query or the logged in user's
+ * library (saved tracks, top tracks, recently played); from the file
+ * provider an uploaded CSV or JSON track list
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const getPlaylistData = async (req, res) => {
   try {
-    const { playlistUrl } = req.body;
+    const { provider, ...request } = req.body;
     
-    console.log('Received request for playlist:', playlistUrl);
+    console.log('Received request for playlist:', request.playlistUrl || request.query || request.source || provider);
     
-    if (!playlistUrl) {
+    if (provider && !providerNames.includes(provider)) {
+      return res.status(400).json({
+        error: `Unknown music source provider. Available providers: ${providerNames.join(', ')}`
+      });
+    }
+    const musicSource = getProvider(provider);
+    
+    const validationError = musicSource.validateSourceRequest(request);
+    if (validationError) {
       return res.status(400).json({ 
-        error: 'Missing required parameter: playlistUrl' 
+        error: validationError 
+      });
+    }
+    
+    // Logged in users read Spotify with their own token
+    const accessToken = req.user ? await authService.getSpotifyAccessToken(req.user.id) : null;
+    if (musicSource.needsUserToken(request) && !accessToken) {
+      return res.status(401).json({
+        error: 'Log in with Spotify to use your library'
       });
     }
     
-    // Extract playlist data from Spotify
-    console.log('Calling Spotify service...');
-    const playlistData = await spotifyService.getPlaylistData(playlistUrl);
-    console.log('Spotify service returned data successfully');
+    // Extract playlist data from the provider
+    console.log(`Calling ${musicSource.name} provider...`);
+    const playlistData = await musicSource.getSourceData(request, { accessToken });
+    console.log('Provider returned data successfully');
 
     // Return playlist data
     return res.status(200).json({
@@ -31,12 +51,12 @@ const getPlaylistData = async (req, res) => {
     console.error('Error in getPlaylistData controller:', error);
     
     // Handle common errors
-    if (error.message === 'Invalid Spotify playlist URL') {
+    if (error.message === 'Invalid Spotify playlist URL' || error.statusCode === 400) {
       return res.status(400).json({ error: error.message });
     }
     
     if (error.statusCode === 404) {
-      return res.status(404).json({ error: 'Spotify playlist not found' });
+      return res.status(404).json({ error: 'Spotify playlist, album, artist or track not found' });
     }
     
     if (error.statusCode === 401 || error.statusCode === 403) {
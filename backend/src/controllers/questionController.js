@@ -1,30 +1,74 @@
 const openaiService = require('../services/openaiService');
+const { validateLlmOptions } = require('../services/llm');
+const { validateDifficultyMix } = require('../services/questionSchema');
+const { validateLocale } = require('../services/locales');
+const { startNdjsonStream } = require('../utils/ndjsonStream');
 
 /**
- * Generate questions using OpenAI
+ * Validate a question generation request
+ * @param {Object} body - Request body with trackData, options and llm
+ * @returns {string|null} - Error message or null if valid
+ */
+const validateQuestionRequest = ({ trackData, options = {}, llm }) => {
+  if (!trackData || !Array.isArray(trackData) || trackData.length === 0) {
+    return 'Missing or invalid required parameter: trackData';
+  }
+  return validateLlmOptions(llm) ||
+    validateDifficultyMix(options.difficultyMix) ||
+    validateLocale(options.locale);
+};
+
+/**
+ * Map a question generation error to an HTTP status and body
+ * @param {Error} error - Error thrown while generating
+ * @returns {Object} - status and body
+ */
+const toErrorResponse = (error) => {
+  // Handle LLM API errors
+  if (error.status === 429) {
+    return { status: 429, body: { error: 'Too many requests to the LLM API' } };
+  }
+  
+  if (error.message.includes('Not enough valid questions')) {
+    return {
+      status: 500,
+      body: {
+        error: 'Failed to generate valid questions',
+        message: error.message
+      }
+    };
+  }
+  
+  return {
+    status: 500,
+    body: {
+      error: 'Internal server error',
+      message: error.message
+    }
+  };
+};
+
+/**
+ * Generate questions with the configured or requested LLM provider
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const generateQuestions = async (req, res) => {
   try {
-    const { trackData, options } = req.body;
+    const { trackData, options, llm } = req.body;
     
     console.log('Received request to generate questions');
     
-    if (!trackData || !Array.isArray(trackData) || trackData.length === 0) {
+    const validationError = validateQuestionRequest(req.body);
+    if (validationError) {
       return res.status(400).json({ 
-        error: 'Missing or invalid required parameter: trackData' 
+        error: validationError 
       });
     }
     
-    // Generate questions using OpenAI
+    // Generate questions using the LLM
     console.log(`Generating questions for ${trackData.length} tracks...`);
-    const questions = await openaiService.generateQuestions(trackData, options);
-    
-    if (!questions || questions.length === 0) {
-      console.error('No questions were generated');
-      return res.status(500).json({ error: 'Failed to generate questions' });
-    }
+    const questions = await openaiService.generateQuestions(trackData, { ...options, llm });
     
     // Enhance questions with additional track metadata
     const enhancedQuestions = enhanceQuestionsWithTrackData(questions, trackData);
@@ -41,28 +85,95 @@ const generateQuestions = async (req, res) => {
     });
   } catch (error) {
     console.error('Error in generateQuestions controller:', error);
+    const { status, body } = toErrorResponse(error);
+    return res.status(status).json(body);
+  }
+};
+
+/**
+ * Generate questions as a stream of newline-delimited JSON events: stage
+ * events while the model runs, a question event for each question as soon
+ * as it is parsed, then a result event with the same data as
+ * generateQuestions or an error event
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const streamQuestions = async (req, res) => {
+  const { trackData, options, llm } = req.body;
+  
+  console.log('Received request to stream questions');
+  
+  const validationError = validateQuestionRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({ 
+      error: validationError 
+    });
+  }
+  
+  const stream = startNdjsonStream(res);
+  const trackMap = createTrackMap(trackData);
+  
+  try {
+    const questions = await openaiService.generateQuestions(trackData, { ...options, llm }, {
+      onStage: (stage, details) => stream.send({ type: 'stage', stage, ...details }),
+      onQuestion: (question) => stream.send({ type: 'question', question: enhanceQuestion(question, trackMap) })
+    });
+    const enhancedQuestions = questions.map(question => enhanceQuestion(question, trackMap));
     
-    // Handle OpenAI API errors
-    if (error.status === 429) {
-      return res.status(429).json({ error: 'Too many requests to OpenAI API' });
-    }
-    
-    if (error.message.includes('Invalid response format')) {
-      return res.status(500).json({ error: 'Failed to generate valid questions' });
-    }
-    
-    if (error.message.includes('valid track IDs')) {
-      return res.status(500).json({ 
-        error: 'Track association error',
-        message: error.message 
-      });
-    }
-    
-    return res.status(500).json({ 
-      error: 'Internal server error',
-      message: error.message
+    console.log(`Streamed ${enhancedQuestions.length} questions successfully`);
+    stream.send({
+      type: 'result',
+      success: true,
+      data: {
+        questions: enhancedQuestions,
+        count: enhancedQuestions.length
+      }
     });
+  } catch (error) {
+    console.error('Error in streamQuestions controller:', error);
+    const { status, body } = toErrorResponse(error);
+    stream.send({ type: 'error', status, ...body });
   }
+  
+  stream.end();
+};
+
+/**
+ * Map track IDs to tracks
+ * @param {Array} tracks - Array of track objects
+ * @returns {Map} - Tracks by ID
+ */
+const createTrackMap = (tracks) => new Map(tracks.map(track => [track.id, track]));
+
+/**
+ * Enhance a question with additional track metadata
+ * @param {Object} question - Generated question with trackId
+ * @param {Map} trackMap - Tracks by ID
+ * @returns {Object} - Question with enhanced track data
+ */
+const enhanceQuestion = (question, trackMap) => {
+  // Verify trackId already exists from the question service
+  if (!question.trackId) {
+    console.error(`Question missing trackId: ${question.question}`);
+    throw new Error(`Question missing trackId: "${question.question.substring(0, 50)}..."`);
+  }
+  
+  // Get track by ID
+  const track = trackMap.get(question.trackId);
+  if (!track) {
+    console.error(`Invalid trackId ${question.trackId} for question: ${question.question}`);
+    throw new Error(`Invalid trackId ${question.trackId} for question: "${question.question.substring(0, 50)}..."`);
+  }
+  
+  // Enhance question with additional track metadata that might be useful
+  return {
+    ...question,
+    trackName: track.name,
+    artists: track.artists,
+    albumName: track.album?.name,
+    releaseYear: track.album?.releaseDate?.split('-')[0],
+    previewUrl: track.previewUrl
+  };
 };
 
 /**
@@ -74,44 +185,14 @@ const generateQuestions = async (req, res) => {
 const enhanceQuestionsWithTrackData = (questions, tracks) => {
   console.log('Enhancing questions with track metadata...');
   
-  // Create a map of track IDs to track objects for quick lookup
-  const trackMap = new Map();
-  tracks.forEach(track => {
-    trackMap.set(track.id, track);
-  });
-  
-  const enhancedQuestions = questions.map(question => {
-    // Verify trackId already exists from OpenAI service
-    if (!question.trackId) {
-      console.error(`Question missing trackId: ${question.question}`);
-      throw new Error(`Question missing trackId: "${question.question.substring(0, 50)}..."`);
-    }
-    
-    // Get track by ID
-    const track = trackMap.get(question.trackId);
-    if (!track) {
-      console.error(`Invalid trackId ${question.trackId} for question: ${question.question}`);
-      throw new Error(`Invalid trackId ${question.trackId} for question: "${question.question.substring(0, 50)}..."`);
-    }
-    
-    // Enhance question with additional track metadata that might be useful
-    const enhancedQuestion = {
-      ...question,
-      trackName: track.name,
-      artists: track.artists,
-      albumName: track.album?.name,
-      releaseYear: track.album?.releaseDate?.split('-')[0],
-      previewUrl: track.previewUrl
-    };
-    
-    console.log(`Enhanced question for track "${track.name}": ${question.question.substring(0, 30)}...`);
-    return enhancedQuestion;
-  });
+  const trackMap = createTrackMap(tracks);
+  const enhancedQuestions = questions.map(question => enhanceQuestion(question, trackMap));
   
   console.log(`Enhanced ${enhancedQuestions.length} questions with track metadata`);
   return enhancedQuestions;
 };
 
 module.exports = {
-  generateQuestions
+  generateQuestions,
+  streamQuestions
 };
\ No newline at end of file
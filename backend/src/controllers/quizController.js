@@ -1,10 +1,261 @@
 // backend/src/controllers/quizController.js
 
 const spotifyService = require('../services/spotifyService');
+const authService = require('../services/authService');
 const songGroupingService = require('../services/songGroupingService');
+const quizService = require('../services/quizService');
+const quizResultsService = require('../services/quizResultsService');
+const questionRepository = require('../repositories/questionRepository');
+const crosswordRepository = require('../repositories/crosswordRepository');
+const { isImportedPlaylistId } = require('../services/musicSources');
+const { validateMask } = require('../services/masks');
 
 /**
- * Get song groups for a playlist
+ * Parse a quiz ID route parameter
+ * @param {string} value - Route parameter
+ * @returns {number|null} - Quiz ID or null if invalid
+ */
+const parseQuizId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Check that a crossword payload has a layout to store
+ * @param {Object} crossword - Crossword data
+ * @returns {boolean} - True if the crossword has a grid and entries
+ */
+const isValidCrossword = (crossword) =>
+  Boolean(crossword && crossword.grid && Array.isArray(crossword.entries));
+
+/**
+ * Check whether a user may change a quiz
+ * @param {Object} access - Quiz owner and visibility
+ * @param {Object} user - Authenticated user from the JWT
+ * @returns {boolean} - True for the owner and admins
+ */
+const canManageQuiz = (access, user) =>
+  user.role === 'admin' || access.userId === user.id;
+
+/**
+ * List the quizzes of the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listQuizzes = async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    
+    const quizzes = await quizService.listQuizzes({ userId: req.user.id, limit, offset });
+    
+    return res.status(200).json({
+      success: true,
+      data: quizzes
+    });
+  } catch (error) {
+    console.error('Error listing quizzes:', error);
+    return res.status(500).json({ 
+      error: 'Failed to list quizzes',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a stored quiz with its crossword and questions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getQuiz = async (req, res) => {
+  try {
+    const id = parseQuizId(req.params.id);
+    
+    if (!id) {
+      return res.status(400).json({ 
+        error: 'Invalid quiz ID' 
+      });
+    }
+    
+    const quiz = await quizService.getQuiz(id);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        error: 'Quiz not found'
+      });
+    }
+    
+    if (!quiz.isPublic && !canManageQuiz(quiz, req.user)) {
+      return res.status(403).json({
+        error: 'You do not have access to this quiz'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: quiz
+    });
+  } catch (error) {
+    console.error('Error getting quiz:', error);
+    return res.status(500).json({ 
+      error: 'Failed to get quiz',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Store a quiz with the output of buildCrossword or createQuizFromCrossword
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createQuiz = async (req, res) => {
+  try {
+    const { title, crossword } = req.body;
+    
+    console.log('Creating quiz:', title);
+    
+    if (!title || !crossword) {
+      return res.status(400).json({ 
+        error: 'Missing required parameters: title, crossword' 
+      });
+    }
+    
+    if (!isValidCrossword(crossword)) {
+      return res.status(400).json({
+        error: 'Crossword must contain a grid and an entries array'
+      });
+    }
+    
+    const maskError = validateMask(crossword.mask);
+    if (maskError) {
+      return res.status(400).json({ error: maskError });
+    }
+    
+    const quiz = await quizService.createQuiz(req.body, req.user.id);
+    
+    return res.status(201).json({
+      success: true,
+      data: quiz
+    });
+  } catch (error) {
+    console.error('Error creating quiz:', error);
+    return res.status(500).json({ 
+      error: 'Failed to create quiz',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a stored quiz
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateQuiz = async (req, res) => {
+  try {
+    const id = parseQuizId(req.params.id);
+    const { title, crossword } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ 
+        error: 'Invalid quiz ID' 
+      });
+    }
+    
+    if (title !== undefined && !title) {
+      return res.status(400).json({
+        error: 'Title cannot be empty'
+      });
+    }
+    
+    if (crossword !== undefined && !isValidCrossword(crossword)) {
+      return res.status(400).json({
+        error: 'Crossword must contain a grid and an entries array'
+      });
+    }
+    
+    const maskError = crossword && validateMask(crossword.mask);
+    if (maskError) {
+      return res.status(400).json({ error: maskError });
+    }
+    
+    const access = await quizService.getQuizAccess(id);
+    
+    if (!access) {
+      return res.status(404).json({
+        error: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageQuiz(access, req.user)) {
+      return res.status(403).json({
+        error: 'You do not have access to this quiz'
+      });
+    }
+    
+    const quiz = await quizService.updateQuiz(id, req.body);
+    
+    return res.status(200).json({
+      success: true,
+      data: quiz
+    });
+  } catch (error) {
+    console.error('Error updating quiz:', error);
+    return res.status(500).json({ 
+      error: 'Failed to update quiz',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a stored quiz
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteQuiz = async (req, res) => {
+  try {
+    const id = parseQuizId(req.params.id);
+    
+    if (!id) {
+      return res.status(400).json({ 
+        error: 'Invalid quiz ID' 
+      });
+    }
+    
+    const access = await quizService.getQuizAccess(id);
+    
+    if (!access) {
+      return res.status(404).json({
+        error: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageQuiz(access, req.user)) {
+      return res.status(403).json({
+        error: 'You do not have access to this quiz'
+      });
+    }
+    
+    await quizService.deleteQuiz(id);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Quiz deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting quiz:', error);
+    return res.status(500).json({ 
+      error: 'Failed to delete quiz',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get song groups for a playlist, from the latest of the user's own or
+ * public quizzes made from it
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -20,25 +271,30 @@ const getSongGroups = async (req, res) => {
       });
     }
     
-    // Get playlist data with tracks from Spotify
-    console.log('Fetching playlist data...');
-    const playlistData = await spotifyService.getPlaylistData(`spotify:playlist:${playlistId}`);
-    
-    // Get existing questions and crossword data
-    // In a real implementation, these would be fetched from a database
-    // For now, we'll return an error since we don't have a full implementation
-    return res.status(501).json({
-      error: 'Song group retrieval not fully implemented',
-      message: 'This endpoint requires database integration to retrieve saved questions and crossword data'
-    });
+    // Imported playlists cannot be fetched again
+    if (isImportedPlaylistId(playlistId)) {
+      return res.status(400).json({
+        error: 'Song groups can only be reloaded for Spotify sources'
+      });
+    }
     
-    // The below code would be used in a full implementation:
-    /*
     // Get saved questions for this playlist
-    const questions = await questionRepository.getByPlaylistId(playlistId);
+    const questions = await questionRepository.getByPlaylistId(playlistId, req.user.id);
     
     // Get saved crossword for this playlist
-    const crosswordData = await crosswordRepository.getByPlaylistId(playlistId);
+    const crosswordData = await crosswordRepository.getByPlaylistId(playlistId, req.user.id);
+    
+    if (!questions || questions.length === 0 || !crosswordData) {
+      return res.status(404).json({
+        error: 'No stored quiz found for this playlist'
+      });
+    }
+    
+    // Get playlist data with tracks from Spotify, with the user's token for
+    // private playlists and library sources
+    console.log('Fetching playlist data...');
+    const accessToken = await authService.getSpotifyAccessToken(req.user.id);
+    const playlistData = await spotifyService.getDataById(playlistId, { accessToken });
     
     // Process playlist data for quiz with song grouping
     const enhancedCrossword = songGroupingService.processPlaylistForQuiz(
@@ -52,9 +308,11 @@ const getSongGroups = async (req, res) => {
       success: true,
       data: enhancedCrossword.songGroups
     });
-    */
   } catch (error) {
     console.error('Error getting song groups:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     return res.status(500).json({ 
       error: 'Failed to retrieve song groups',
       message: error.message
@@ -63,16 +321,16 @@ const getSongGroups = async (req, res) => {
 };
 
 /**
- * Save quiz results
+ * Save quiz results of a public quiz, or of a private one for its owner
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const saveQuizResults = async (req, res) => {
   try {
-    const { quizId } = req.params;
+    const quizId = parseQuizId(req.params.quizId);
     const { results } = req.body;
     
-    console.log(`Saving quiz results for quiz ID: ${quizId}`);
+    console.log(`Saving quiz results for quiz ID: ${req.params.quizId}`);
     
     if (!quizId || !results) {
       return res.status(400).json({ 
@@ -80,16 +338,45 @@ const saveQuizResults = async (req, res) => {
       });
     }
     
-    // In a real implementation, save to database
-    console.log('Quiz results:', results);
+    const validationError = quizResultsService.validateResults(results);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+    
+    const access = await quizService.getQuizAccess(quizId);
+    
+    if (!access) {
+      return res.status(404).json({
+        error: 'Quiz not found'
+      });
+    }
+    
+    if (!access.isPublic && !(req.user && canManageQuiz(access, req.user))) {
+      return res.status(403).json({
+        error: 'You do not have access to this quiz'
+      });
+    }
+    
+    const attempt = await quizResultsService.recordResults(quizId, results, req.user?.id);
+    
+    if (!attempt) {
+      return res.status(404).json({
+        error: 'Quiz not found'
+      });
+    }
     
-    // For now, just return success
     return res.status(200).json({
       success: true,
-      message: 'Quiz results saved successfully'
+      message: 'Quiz results saved successfully',
+      data: attempt
     });
   } catch (error) {
     console.error('Error saving quiz results:', error);
+    if (error.message.includes('Unknown crossword entry')) {
+      return res.status(400).json({ error: error.message });
+    }
     return res.status(500).json({ 
       error: 'Failed to save quiz results',
       message: error.message
@@ -97,6 +384,50 @@ const saveQuizResults = async (req, res) => {
   }
 };
 
+/**
+ * Get stats for a quiz from its stored results
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getQuizStats = async (req, res) => {
+  try {
+    const id = parseQuizId(req.params.id);
+    
+    if (!id) {
+      return res.status(400).json({ 
+        error: 'Invalid quiz ID' 
+      });
+    }
+    
+    const access = await quizService.getQuizAccess(id);
+    
+    if (!access) {
+      return res.status(404).json({
+        error: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageQuiz(access, req.user)) {
+      return res.status(403).json({
+        error: 'You do not have access to this quiz'
+      });
+    }
+    
+    const stats = await quizResultsService.getQuizStats(id);
+    
+    return res.status(200).json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Error getting quiz stats:', error);
+    return res.status(500).json({ 
+      error: 'Failed to get quiz stats',
+      message: error.message
+    });
+  }
+};
+
 /**
  * Get audio preview URL from Spotify
  * @param {Object} req - Express request object
@@ -141,7 +472,13 @@ const getAudioPreview = async (req, res) => {
 };
 
 module.exports = {
+  listQuizzes,
+  getQuiz,
+  createQuiz,
+  updateQuiz,
+  deleteQuiz,
   getSongGroups,
   saveQuizResults,
+  getQuizStats,
   getAudioPreview
 };
\ No newline at end of file
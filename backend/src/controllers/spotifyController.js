@@ -1,3 +1,5 @@
+const spotifyService = require('../services/spotifyService');
+
 const getPlaylistData = async (req, res) => {
   try {
     const { playlistUrl } = req.body;
@@ -16,3 +18,7 @@ const getPlaylistData = async (req, res) => {
     return res.status(500).json({ error: 'Failed to fetch playlist data', message: error.message });
   }
 };
+
+module.exports = {
+  getPlaylistData
+};
@@ -1,15 +1,9 @@
 // backend/src/controllers/ttsController.js
 
-const { OpenAI } = require('openai');
-require('dotenv').config();
-
-// Initialize OpenAI client
-const openai = new OpenAI({ 
-  apiKey: process.env.OPENAI_API_KEY 
-});
+const llm = require('../services/llm');
 
 /**
- * Convert text to speech using OpenAI's TTS API
+ * Convert text to speech with the configured or requested LLM provider
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -18,19 +12,32 @@ const generateSpeech = async (req, res) => {
     const { 
       text, 
       voice = 'coral', 
-      model = 'gpt-4o-mini-tts',
+      model,
+      provider,
       responseFormat = 'mp3',
       instructions = ''
     } = req.body;
     
-    console.log(`Generating speech for text: "${text.substring(0, 50)}..."${text.length > 50 ? '...' : ''}`);
-    
     if (!text) {
       return res.status(400).json({ 
         error: 'Missing required parameter: text' 
       });
     }
     
+    console.log(`Generating speech for text: "${text.substring(0, 50)}..."${text.length > 50 ? '...' : ''}`);
+    
+    const llmError = llm.validateLlmOptions({ provider, model });
+    if (llmError) {
+      return res.status(400).json({
+        error: llmError
+      });
+    }
+    if (!llm.supportsSpeech(provider)) {
+      return res.status(400).json({
+        error: `LLM provider "${provider || llm.DEFAULT_PROVIDER}" does not support speech`
+      });
+    }
+    
     // Available voices
     const validVoices = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'];
     if (!validVoices.includes(voice)) {
@@ -47,17 +54,13 @@ const generateSpeech = async (req, res) => {
       });
     }
     
-    // Generate speech using OpenAI API
-    const mp3 = await openai.audio.speech.create({
-      model: model,
-      voice: voice,
+    // Generate speech with the LLM provider
+    const buffer = await llm.synthesizeSpeech({
+      voice,
       input: text,
-      response_format: responseFormat,
-      instructions: instructions
-    });
-    
-    // Convert to Buffer
-    const buffer = Buffer.from(await mp3.arrayBuffer());
+      responseFormat,
+      instructions
+    }, { provider, model });
     
     // Set content type based on format
     const contentTypes = {
@@ -140,9 +143,16 @@ const checkStatus = async (req, res) => {
     // Attempt to create a minimal speech snippet to verify the service is working
     const testText = "Testing text-to-speech functionality.";
     
+    if (!llm.supportsSpeech()) {
+      return res.status(200).json({
+        success: false,
+        status: 'unavailable',
+        message: `LLM provider "${llm.DEFAULT_PROVIDER}" does not support speech`
+      });
+    }
+    
     try {
-      await openai.audio.speech.create({
-        model: "gpt-4o-mini-tts",
+      await llm.synthesizeSpeech({
         voice: "alloy",
         input: testText,
       });
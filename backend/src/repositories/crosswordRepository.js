@@ -0,0 +1,54 @@
+// backend/src/repositories/crosswordRepository.js
+
+const Quiz = require('../../models/quiz');
+const CrosswordLayout = require('../../models/crosswordLayout');
+
+/**
+ * Map crossword data from buildCrossword to a layout row
+ * @param {Object} crossword - Crossword data (grid, entries, droppedWords, seed, locale, report, mask)
+ * @returns {Object} - Layout row
+ */
+const toRow = (crossword) => ({
+  grid: crossword.grid,
+  entries: crossword.entries,
+  dropped_words: crossword.droppedWords || [],
+  seed: crossword.seed,
+  locale: crossword.locale,
+  report: crossword.report,
+  mask: crossword.mask
+});
+
+/**
+ * Map a layout row back to the buildCrossword shape
+ * @param {Object} row - Layout row
+ * @returns {Object} - Crossword data
+ */
+const fromRow = (row) => ({
+  grid: row.grid,
+  entries: row.entries,
+  droppedWords: row.dropped_words || [],
+  seed: row.seed,
+  locale: row.locale,
+  report: row.report || null,
+  mask: row.mask || null
+});
+
+/**
+ * Get the stored crossword of the latest quiz made from a playlist
+ * @param {string} playlistId - Spotify playlist ID
+ * @param {number} userId - ID of the user asking, who sees their own and public quizzes
+ * @returns {Promise<Object|null>} - Crossword data or null if none is stored
+ */
+const getByPlaylistId = async (playlistId, userId) => {
+  const quiz = await Quiz.findLatestByPlaylistId(playlistId, userId);
+  if (!quiz) return null;
+
+  const row = await CrosswordLayout.getByQuizId(quiz.id);
+  return row ? fromRow(row) : null;
+};
+
+module.exports = {
+  toRow,
+  fromRow,
+  getByPlaylistId
+};
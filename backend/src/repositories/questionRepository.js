@@ -0,0 +1,64 @@
+// backend/src/repositories/questionRepository.js
+
+const Quiz = require('../../models/quiz');
+const Question = require('../../models/questions');
+
+/**
+ * Map a question to a database row
+ * @param {Object} question - Question object
+ * @param {number} index - Position of the question
+ * @returns {Object} - Question row
+ */
+const toRow = (question, index) => ({
+  number: index + 1,
+  question: question.question,
+  answer: question.answer,
+  track_id: question.trackId || null,
+  track_name: question.trackName || null,
+  artists: question.artists || null,
+  album_name: question.albumName || null,
+  release_year: question.releaseYear != null ? String(question.releaseYear) : null,
+  preview_url: question.previewUrl || null,
+  difficulty: question.difficulty || null,
+  category: question.category || null,
+  confidence: question.confidence ?? null
+});
+
+/**
+ * Map a question row back to the API shape
+ * @param {Object} row - Question row
+ * @returns {Object} - Question object
+ */
+const fromRow = (row) => ({
+  question: row.question,
+  answer: row.answer,
+  trackId: row.track_id,
+  trackName: row.track_name,
+  artists: row.artists,
+  albumName: row.album_name,
+  releaseYear: row.release_year,
+  previewUrl: row.preview_url,
+  difficulty: row.difficulty,
+  category: row.category,
+  confidence: row.confidence
+});
+
+/**
+ * Get the stored questions of the latest quiz made from a playlist
+ * @param {string} playlistId - Spotify playlist ID
+ * @param {number} userId - ID of the user asking, who sees their own and public quizzes
+ * @returns {Promise<Array|null>} - Questions or null if the playlist has no stored quiz
+ */
+const getByPlaylistId = async (playlistId, userId) => {
+  const quiz = await Quiz.findLatestByPlaylistId(playlistId, userId);
+  if (!quiz) return null;
+
+  const rows = await Question.getByQuizId(quiz.id);
+  return rows.map(fromRow);
+};
+
+module.exports = {
+  toRow,
+  fromRow,
+  getByPlaylistId
+};
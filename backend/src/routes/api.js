@@ -8,28 +8,53 @@ const crosswordController = require('../controllers/crosswordController');
 const luckyController = require('../controllers/luckyController');
 const quizController = require('../controllers/quizController');
 const ttsController = require('../controllers/ttsController');
+const authController = require('../controllers/authController');
+const jobController = require('../controllers/jobController');
+const { authenticate, optionalAuthenticate } = require('../../middleware/auth');
 
 // Default route for testing
 router.get('/', (req, res) => {
   res.json({ message: 'Music Crossword API is running' });
 });
 
+// Auth routes
+router.get('/auth/spotify', authController.spotifyLogin);
+router.get('/auth/spotify/callback', authController.spotifyCallback);
+router.post('/auth/refresh', authenticate, authController.refreshToken);
+router.get('/auth/me', authenticate, authController.getCurrentUser);
+
 // Playlist routes
-router.post('/playlist', playlistController.getPlaylistData);
+router.post('/playlist', optionalAuthenticate, playlistController.getPlaylistData);
 
 // Question generation routes
 router.post('/generate-questions', questionController.generateQuestions);
+router.post('/generate-questions/stream', questionController.streamQuestions);
 
 // Crossword routes
 router.post('/build-crossword', crosswordController.buildCrossword);
+router.post('/crosswords/validate', crosswordController.validateCrossword);
+router.post('/crosswords/relayout', crosswordController.relayoutCrossword);
 
 // Lucky crossword routes
-router.post('/lucky-crossword', luckyController.createLuckyCrossword);
+router.post('/lucky-crossword', optionalAuthenticate, luckyController.createLuckyCrossword);
+router.post('/lucky-crossword/stream', optionalAuthenticate, luckyController.streamLuckyCrossword);
+
+// Background job routes
+router.post('/jobs/lucky-crossword', optionalAuthenticate, jobController.createLuckyCrosswordJob);
+router.get('/jobs/:id', optionalAuthenticate, jobController.getJob);
+
+// Quiz routes
+router.get('/quizzes', authenticate, quizController.listQuizzes);
+router.get('/quizzes/:id', authenticate, quizController.getQuiz);
+router.post('/quizzes', authenticate, quizController.createQuiz);
+router.put('/quizzes/:id', authenticate, quizController.updateQuiz);
+router.delete('/quizzes/:id', authenticate, quizController.deleteQuiz);
+router.get('/quizzes/:id/stats', authenticate, quizController.getQuizStats);
 
 // Quiz-specific routes
 router.post('/create-quiz-from-crossword', luckyController.createQuizFromCrossword);
-router.get('/song-groups/:playlistId', quizController.getSongGroups);
-router.post('/quiz-results/:quizId', quizController.saveQuizResults);
+router.get('/song-groups/:playlistId', authenticate, quizController.getSongGroups);
+router.post('/quiz-results/:quizId', optionalAuthenticate, quizController.saveQuizResults);
 router.get('/audio-preview/:trackId', quizController.getAudioPreview);
 
 // TTS routes
@@ -0,0 +1,257 @@
+// backend/src/services/authService.js
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { config } = require('../../config');
+const { generateToken } = require('../../middleware/auth');
+const User = require('../../models/user');
+
+// OAuth state tokens only need to outlive the trip to Spotify and back
+const STATE_EXPIRES_IN_SECONDS = 10 * 60;
+const STATE_PURPOSE = 'spotify-oauth-state';
+
+// Refresh Spotify access tokens this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+/**
+ * Create the random value that ties an OAuth state to the browser that
+ * started the login, sent back to it in a cookie
+ * @returns {string} - Nonce
+ */
+const createStateNonce = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Create a signed OAuth state value, so the callback can be verified
+ * without keeping server-side sessions
+ * @param {string} nonce - Nonce from createStateNonce
+ * @returns {string} - State token
+ */
+const createState = (nonce) => jwt.sign(
+  { purpose: STATE_PURPOSE, nonce },
+  config.oauthStateSecret,
+  { expiresIn: STATE_EXPIRES_IN_SECONDS }
+);
+
+/**
+ * Check an OAuth state value returned to the callback
+ * @param {string} state - State token
+ * @param {string} nonce - Nonce from the cookie of the browser making the callback
+ * @returns {boolean} - True if the state was issued by us to this browser and has not expired
+ */
+const verifyState = (state, nonce) => {
+  if (!nonce) return false;
+  try {
+    const decoded = jwt.verify(state, config.oauthStateSecret);
+    return decoded.purpose === STATE_PURPOSE && decoded.nonce === nonce;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Build the Spotify authorization URL the user is sent to
+ * @param {string} nonce - Nonce from createStateNonce, also set as a cookie
+ * @returns {string} - Authorization URL
+ */
+const getAuthorizationUrl = (nonce) => {
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.spotify.clientId,
+    scope: config.spotify.scopes.join(' '),
+    redirect_uri: config.spotify.redirectUri,
+    state: createState(nonce)
+  });
+
+  return `${config.spotify.accountsUrl}/authorize?${params}`;
+};
+
+/**
+ * Request tokens from the Spotify accounts service
+ * @param {Object} params - Grant parameters
+ * @returns {Promise<Object>} - accessToken, refreshToken (if issued) and expiresAt
+ */
+const requestToken = async (params) => {
+  const credentials = Buffer
+    .from(`${config.spotify.clientId}:${config.spotify.clientSecret}`)
+    .toString('base64');
+
+  const response = await axios.post(
+    `${config.spotify.accountsUrl}/api/token`,
+    new URLSearchParams(params).toString(),
+    {
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    }
+  );
+
+  return {
+    accessToken: response.data.access_token,
+    refreshToken: response.data.refresh_token,
+    expiresAt: new Date(Date.now() + response.data.expires_in * 1000)
+  };
+};
+
+/**
+ * Get the Spotify profile of the user an access token belongs to
+ * @param {string} accessToken - Spotify user access token
+ * @returns {Promise<Object>} - Spotify profile
+ */
+const getSpotifyProfile = async (accessToken) => {
+  const response = await axios.get(`${config.spotify.apiUrl}/me`, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+
+  return response.data;
+};
+
+/**
+ * Map a user row to the API shape, leaving out Spotify tokens
+ * @param {Object} user - User row
+ * @returns {Object} - Public user data
+ */
+const toPublicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  displayName: user.display_name,
+  role: user.role,
+  spotifyId: user.spotify_id
+});
+
+/**
+ * Find the user for a Spotify profile, creating it on first login, and
+ * store their current Spotify tokens
+ * @param {Object} profile - Spotify profile
+ * @param {Object} tokens - Spotify tokens
+ * @returns {Promise<Object>} - User row
+ */
+const findOrCreateUser = async (profile, tokens) => {
+  const userData = {
+    display_name: profile.display_name || profile.id,
+    spotify_access_token: tokens.accessToken,
+    spotify_token_expires_at: tokens.expiresAt
+  };
+  if (tokens.refreshToken) {
+    userData.spotify_refresh_token = tokens.refreshToken;
+  }
+
+  const user = await User.findBySpotifyId(profile.id);
+
+  if (user) {
+    console.log(`Spotify login for existing user ${user.id}`);
+    return User.update(user.id, userData);
+  }
+
+  // Spotify does not verify email addresses, so an account is never linked
+  // by email. A new account only keeps an email no other user has.
+  const emailTaken = profile.email && await User.findByEmail(profile.email);
+  if (emailTaken) {
+    console.log(`Email of Spotify account ${profile.id} belongs to another user, not storing it`);
+  }
+
+  console.log(`Creating user for Spotify account ${profile.id}`);
+  return User.create({
+    ...userData,
+    email: (!emailTaken && profile.email) || null,
+    spotify_id: profile.id
+  });
+};
+
+/**
+ * Complete the authorization-code flow: exchange the code, look up or
+ * create the user and issue our JWT
+ * @param {string} code - Authorization code from the callback
+ * @returns {Promise<Object>} - token and user
+ */
+const loginWithCode = async (code) => {
+  const tokens = await requestToken({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.spotify.redirectUri
+  });
+  const profile = await getSpotifyProfile(tokens.accessToken);
+  const user = await findOrCreateUser(profile, tokens);
+
+  return {
+    token: generateToken(user),
+    user: toPublicUser(user)
+  };
+};
+
+/**
+ * Refresh a user's Spotify access token and store it
+ * @param {Object} user - User row with a Spotify refresh token
+ * @returns {Promise<Object>} - Updated user row
+ */
+const refreshSpotifyTokens = async (user) => {
+  const tokens = await requestToken({
+    grant_type: 'refresh_token',
+    refresh_token: user.spotify_refresh_token
+  });
+
+  return User.update(user.id, {
+    spotify_access_token: tokens.accessToken,
+    spotify_token_expires_at: tokens.expiresAt,
+    // Spotify may rotate the refresh token
+    spotify_refresh_token: tokens.refreshToken || user.spotify_refresh_token
+  });
+};
+
+/**
+ * Refresh a user's Spotify access token and issue a new JWT
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} - token and user, or null if the user has no Spotify account
+ */
+const refreshSession = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || !user.spotify_refresh_token) return null;
+
+  const updated = await refreshSpotifyTokens(user);
+
+  return {
+    token: generateToken(updated),
+    user: toPublicUser(updated)
+  };
+};
+
+/**
+ * Get a valid Spotify access token for a user, refreshing it when it is
+ * about to expire
+ * @param {number} userId - User ID
+ * @returns {Promise<string|null>} - Access token or null if the user has no Spotify account
+ */
+const getSpotifyAccessToken = async (userId) => {
+  let user = await User.findById(userId);
+  if (!user || !user.spotify_access_token) return null;
+
+  const expiresAt = new Date(user.spotify_token_expires_at).getTime();
+  if (user.spotify_refresh_token && !(expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_MS)) {
+    console.log(`Refreshing Spotify access token for user ${user.id}`);
+    user = await refreshSpotifyTokens(user);
+  }
+
+  return user.spotify_access_token;
+};
+
+/**
+ * Get a user in the API shape
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} - Public user data or null if not found
+ */
+const getUser = async (userId) => {
+  const user = await User.findById(userId);
+  return user ? toPublicUser(user) : null;
+};
+
+module.exports = {
+  STATE_EXPIRES_IN_SECONDS,
+  createStateNonce,
+  getAuthorizationUrl,
+  verifyState,
+  loginWithCode,
+  refreshSession,
+  getSpotifyAccessToken,
+  getUser
+};
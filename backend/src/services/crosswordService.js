@@ -1,447 +1,457 @@
+const { getStrategy, validateLayoutOptions, clampLayoutOptions } = require('./layoutStrategies');
+const { getLocale, normalizeAnswer, getEnumeration } = require('./locales');
+const { generateSeed, isValidSeed, createRandom } = require('../utils/random');
+const {
+  CANVAS_SIZE,
+  initializeEmptyGrid,
+  createEntry,
+  measureGrid,
+  createLetterIndex,
+  findMaskStart,
+  findPlacements,
+  findBestPlacement,
+  placeWordInGrid
+} = require('../utils/gridUtils');
+const { validateLayout } = require('./layoutValidator');
+const { getMask, validateMask, centerMask } = require('./masks');
+
 /**
- * Build a crossword grid from a set of questions and answers
+ * Turn questions into word data for a layout, dropping answers that are
+ * too short, have no letters of the alphabet or repeat another answer
  * @param {Array} questions - Array of question objects with answer property
- * @returns {Object} Crossword grid and entry data
+ * @param {Object} locale - Locale from getLocale
+ * @param {Set} usedWords - Grid answers already in the crossword
+ * @returns {Object} Word data and the dropped words with their reasons
  */
-const buildCrossword = (questions) => {
-  // Validate input
-  if (!questions || !Array.isArray(questions) || questions.length < 3) {
-    throw new Error('At least 3 questions are required to build a crossword');
-  }
-
+const prepareWords = (questions, locale, usedWords = new Set()) => {
   // Extract answers from questions and ensure they are uppercase
-  let words = questions.map(q => ({
-    word: q.answer.toUpperCase().replace(/[^A-Z]/g, ''), // Remove non-letter characters
+  const words = questions.map(q => ({
+    word: normalizeAnswer(q.answer, locale), // Remove characters outside the alphabet
     question: q.question,
-    originalAnswer: q.answer, // Keep the original answer for reference
+    originalAnswer: q.answer, // Keep the word breaks and punctuation for display
+    enumeration: getEnumeration(q.answer, locale), // Word lengths such as 4,5
     trackId: q.trackId,        // Preserve track ID from the question
     trackName: q.trackName,    // Preserve track name for debugging
-    artists: q.artists         // Preserve artists information
+    artists: q.artists,        // Preserve artists information
+    difficulty: q.difficulty,  // Preserve difficulty so players can pick a level
+    category: q.category,      // Preserve category
+    confidence: q.confidence   // Preserve fact-check confidence
   }));
 
-  console.log('Processing words:', words);
+  console.log(`Processing ${words.length} words`);
+
+  // Words rejected before layout, with the reason they were rejected
+  const droppedWords = [];
+  const seenWords = new Set(usedWords);
 
   // Filter out words that don't match our criteria
-  words = words.filter(wordData => {
-    // Ensure the word has only letters A-Z
-    if (!/^[A-Z]+$/.test(wordData.word)) {
-      console.warn(`Skipping word "${wordData.word}" because it contains non-letter characters`);
+  const validWords = words.filter(wordData => {
+    // Ensure the word has letters of the alphabet left
+    if (!wordData.word) {
+      console.warn(`Skipping answer "${wordData.originalAnswer}" because it has no letters ${locale.alphabetLabel}`);
+      droppedWords.push({ answer: wordData.originalAnswer, clue: wordData.question, reason: `Contains no letters ${locale.alphabetLabel}` });
       return false;
     }
     
     // Ensure the word has at least 3 characters
     if (wordData.word.length < 3) {
       console.warn(`Skipping word "${wordData.word}" because it is too short`);
+      droppedWords.push({ answer: wordData.word, clue: wordData.question, reason: 'Shorter than 3 letters' });
+      return false;
+    }
+
+    // Ensure each answer only appears once
+    if (seenWords.has(wordData.word)) {
+      console.warn(`Skipping word "${wordData.word}" because it is a duplicate`);
+      droppedWords.push({ answer: wordData.word, clue: wordData.question, reason: 'Duplicate answer' });
       return false;
     }
+    seenWords.add(wordData.word);
     
     return true;
   });
 
+  return { words: validWords, droppedWords };
+};
+
+/**
+ * Build a crossword grid from a set of questions and answers
+ * @param {Array} questions - Array of question objects with answer property
+ * @param {Object} options - Layout options
+ * @param {string} options.strategy - Layout strategy name (greedy, backtracking)
+ * @param {number} options.timeBudgetMs - Search time budget for the backtracking and fixed
+ *   strategies, capped at LAYOUT_OPTION_LIMITS like attempts (greedy) and beamWidth (backtracking)
+ * @param {number|string} options.seed - Seed for the layout; the same questions and seed
+ *   give the same grid (a backtracking search cut short by its time budget may still differ)
+ * @param {string} options.locale - Locale whose alphabet the grid uses, such as sv-SE
+ * @param {string|Array} options.mask - Shape letters must stay inside: a built-in mask name
+ *   (note, guitar, vinyl), ASCII rows of '#' and '.', or a matrix of booleans
+ * @returns {Object} Crossword grid, entry data, the words that were dropped, the seed, the locale used,
+ * the mask cells over the grid if a mask was given and a quality report of the layout
+ */
+const buildCrossword = (questions, options = {}) => {
+  // Validate input
+  if (!questions || !Array.isArray(questions) || questions.length < 3) {
+    throw new Error('At least 3 questions are required to build a crossword');
+  }
+
+  const strategy = getStrategy(options.strategy);
+  const locale = getLocale(options.locale);
+
+  const seed = options.seed !== undefined ? options.seed : generateSeed();
+  if (!isValidSeed(seed)) {
+    throw new Error('Seed must be a number or a non-empty string');
+  }
+
+  const layoutOptionsError = validateLayoutOptions(options);
+  if (layoutOptionsError) {
+    throw new Error(layoutOptionsError);
+  }
+
+  const mask = options.mask !== undefined && options.mask !== null ? centerMask(getMask(options.mask)) : null;
+  if (mask && strategy.name === 'fixed') {
+    throw new Error('The fixed strategy fills a square grid and cannot use a mask');
+  }
+
+  const prepared = prepareWords(questions, locale);
+  const droppedWords = prepared.droppedWords;
+  // Answers longer than every straight line of the mask can never be placed
+  const words = prepared.words.filter(wordData => {
+    if (!mask || findMaskStart(mask, wordData.word, { row: 0, col: 0 }, 'across')) return true;
+    console.warn(`Skipping word "${wordData.word}" because it does not fit inside the mask`);
+    droppedWords.push({ answer: wordData.word, clue: wordData.question, reason: 'Does not fit inside the mask' });
+    return false;
+  });
+
   // If we don't have enough valid words, throw an error
   if (words.length < 3) {
+    if (mask && prepared.words.length >= 3) {
+      throw new Error('Not enough answers fit inside the mask to build a crossword. Try a larger mask or shorter answers.');
+    }
     throw new Error('Not enough valid words to build a crossword. Words must contain only letters and be at least 3 characters long.');
   }
 
-  console.log(`Building crossword with ${words.length} valid words`);
+  console.log(`Building ${locale.name} crossword with ${words.length} valid words using the ${strategy.name} strategy`);
 
   // Sort words by length (longest first) for better grid construction
   words.sort((a, b) => b.word.length - a.word.length);
 
-  // Multiple attempts to create a better crossword
-  const attempts = 3;
-  let bestCrossword = null;
-  let bestScore = -1;
-
-  for (let attempt = 0; attempt < attempts; attempt++) {
-    try {
-      console.log(`Attempt ${attempt + 1} to build crossword`);
-      
-      // Try with different arrangements of words
-      const startingPositions = [
-        { row: 10, col: 10 },  // Center
-        { row: 5, col: 5 },    // Top-left
-        { row: 5, col: 15 }    // Top-right
-      ];
-      
-      const position = startingPositions[attempt % startingPositions.length];
-      
-      // Initialize grid with the first word
-      const grid = initializeEmptyGrid(30, 30); // Larger grid to allow more words
-      const entries = [];
-      
-      // Place first word horizontally
-      const firstWordData = words[0];
-      const firstEntry = {
-        answer: firstWordData.word,
-        clue: firstWordData.question,
-        position: { row: position.row, col: position.col },
-        direction: attempt % 2 === 0 ? 'across' : 'down',  // Alternate directions
-        number: 1,
-        trackId: firstWordData.trackId,      // Preserve track ID
-        trackName: firstWordData.trackName,  // Preserve track name
-        artists: firstWordData.artists       // Preserve artists
-      };
-      
-      placeWordInGrid(grid, firstWordData.word, {
-        row: position.row,
-        col: position.col,
-        direction: firstEntry.direction
-      });
-      
-      entries.push(firstEntry);
-      
-      // Track used words to avoid duplicates
-      const usedWords = new Set([firstWordData.word]);
-      
-      // Try to place remaining words
-      let entryNumber = 2;
-      let placedWords = 1;
-      
-      // Shuffle remaining words slightly to get different arrangements
-      const remainingWords = words.slice(1);
-      if (attempt > 0) {
-        // Simple Fisher-Yates shuffle
-        for (let i = remainingWords.length - 1; i > 0; i--) {
-          const j = Math.floor(Math.random() * (i + 1));
-          [remainingWords[i], remainingWords[j]] = [remainingWords[j], remainingWords[i]];
-        }
-      }
-      
-      // Try multiple times to place words
-      for (let i = 0; i < remainingWords.length; i++) {
-        const wordData = remainingWords[i];
-        if (usedWords.has(wordData.word)) continue; // Skip duplicates
-        
-        const placement = findBestPlacement(grid, wordData.word);
-        if (placement) {
-          placeWordInGrid(grid, wordData.word, placement);
-          entries.push({
-            answer: wordData.word,
-            clue: wordData.question,
-            position: { row: placement.row, col: placement.col },
-            direction: placement.direction,
-            number: entryNumber++,
-            trackId: wordData.trackId,      // Preserve track ID
-            trackName: wordData.trackName,  // Preserve track name
-            artists: wordData.artists       // Preserve artists
-          });
-          usedWords.add(wordData.word);
-          placedWords++;
-          console.log(`Placed word: ${wordData.word} (${placedWords} of ${words.length})`);
-        } else {
-          console.log(`Could not place word: ${wordData.word}`);
-        }
-      }
-      
-      
-      // Require at least 3 words to be placed for a valid crossword
-      if (placedWords < 3) {
-        console.log(`Only placed ${placedWords} words, need at least 3`);
-        continue;
-      }
-      
-      // Score this crossword
-      const score = scoreGrid(grid, placedWords, words.length);
-      console.log(`Attempt ${attempt + 1} score: ${score} (placed ${placedWords}/${words.length} words)`);
-      
-      if (score > bestScore) {
-        console.log(`New best score: ${score}`);
-        
-        // Trim the grid to remove empty rows and columns
-        const trimmedGrid = trimGrid(grid);
-        
-        // Adjust entry positions based on trimmed grid
-        const trimmedEntries = adjustEntryPositions(entries, grid, trimmedGrid);
-        
-        // Number entries correctly
-        numberEntries(trimmedEntries);
-        
-        bestCrossword = {
-          grid: trimmedGrid,
-          entries: trimmedEntries
-        };
-        bestScore = score;
-      }
-      
-      // If we've placed all words, no need to try more iterations
-      if (placedWords === words.length) {
-        console.log('Placed all words, breaking early');
-        break;
-      }
-    } catch (error) {
-      console.error(`Attempt ${attempt + 1} failed:`, error);
-    }
-  }
+  const startedAt = Date.now();
+  const layout = strategy.layout(words, { ...clampLayoutOptions(options), locale, mask, random: createRandom(seed) });
 
-  if (bestCrossword && bestCrossword.entries.length >= 3) {
-    console.log(`Successfully built crossword with ${bestCrossword.entries.length} entries`);
-    return bestCrossword;
+  if (!layout || layout.entries.length < 3) {
+    throw new Error('Failed to create a valid crossword with the provided words. Try different questions.');
   }
 
-  throw new Error('Failed to create a valid crossword with the provided words. Try different questions.');
+  const { grid: trimmedGrid, entries: trimmedEntries, mask: trimmedMask } = finishLayout(layout.grid, layout.entries, strategy.name, mask);
+
+  console.log(`Successfully built crossword with ${trimmedEntries.length} entries`);
+
+  const allDroppedWords = [...droppedWords, ...layout.dropped];
+
+  return {
+    grid: trimmedGrid,
+    entries: trimmedEntries,
+    droppedWords: allDroppedWords,
+    seed,
+    locale: locale.name,
+    mask: trimmedMask,
+    report: createReport(trimmedGrid.grid, trimmedEntries, allDroppedWords, {
+      strategy: strategy.name,
+      totalWords: questions.length,
+      attempts: layout.attempts,
+      durationMs: Date.now() - startedAt
+    })
+  };
 };
 
 /**
- * Score a grid based on various factors
- * @param {Array} grid - 2D grid array
- * @param {number} placedWords - Number of words placed in the grid
- * @param {number} totalWords - Total number of words attempted
- * @returns {number} Score
+ * Turn an entry of a crossword back into word data so it can be placed again
+ * @param {Object} entry - Crossword entry
+ * @returns {Object} Word data as made by prepareWords
  */
-const scoreGrid = (grid, placedWords, totalWords) => {
-  // Basic score is the percentage of words placed
-  const placementScore = (placedWords / totalWords) * 100;
-  
-  // Count filled cells and grid dimensions
-  let filledCells = 0;
-  let totalCells = 0;
-  let minRow = grid.length;
-  let maxRow = 0;
-  let minCol = grid[0].length;
-  let maxCol = 0;
-  
-  for (let row = 0; row < grid.length; row++) {
-    for (let col = 0; col < grid[0].length; col++) {
-      if (grid[row][col] !== '') {
-        filledCells++;
-        minRow = Math.min(minRow, row);
-        maxRow = Math.max(maxRow, row);
-        minCol = Math.min(minCol, col);
-        maxCol = Math.max(maxCol, col);
-      }
-    }
-  }
-  
-  // Calculate used grid area
-  const usedArea = (maxRow - minRow + 1) * (maxCol - minCol + 1);
-  
-  // Density score is the percentage of filled cells in the used area
-  const densityScore = (filledCells / usedArea) * 20;  // Weight less than word placement
-  
-  // Shape score favors more square-like grids
-  const aspectRatio = Math.max(
-    (maxRow - minRow + 1) / (maxCol - minCol + 1),
-    (maxCol - minCol + 1) / (maxRow - minRow + 1)
-  );
-  const shapeScore = (1 / aspectRatio) * 10;  // Better when closer to 1
-  
-  // Combine scores
-  return placementScore + densityScore + shapeScore;
-};
+const entryToWordData = (entry) => ({
+  word: entry.answer,
+  question: entry.clue,
+  originalAnswer: entry.originalAnswer,
+  enumeration: entry.enumeration,
+  trackId: entry.trackId,
+  trackName: entry.trackName,
+  artists: entry.artists,
+  difficulty: entry.difficulty,
+  category: entry.category,
+  confidence: entry.confidence,
+  isFill: entry.isFill
+});
 
 /**
- * Initialize an empty grid of specified dimensions
- * @param {number} rows - Number of rows
- * @param {number} cols - Number of columns
- * @returns {Array} 2D grid array
+ * Describe an entry for a conflict report
+ * @param {Object} entry - Crossword entry
+ * @returns {Object} Number, direction and answer of the entry
  */
-const initializeEmptyGrid = (rows, cols) => {
-  return Array(rows).fill().map(() => Array(cols).fill(''));
-};
+const describeEntry = ({ number, direction, answer }) => ({ number, direction, answer });
 
 /**
- * Find the best placement for a word in the grid
- * @param {Array} grid - 2D grid array
- * @param {string} word - Word to place
- * @returns {Object|null} Placement information or null if no placement found
+ * Find the locked entries that keep a word from being placed: those whose
+ * letters, once cleared, leave room for the word
+ * @param {Array} grid - 2D grid array with the placed words
+ * @param {Array} locked - Locked entries on the grid
+ * @param {Array} placed - All entries on the grid, locked ones included
+ * @param {string} word - Word that could not be placed
+ * @param {Array} mask - Optional grid-sized 2D array of booleans, true for cells letters may use
+ * @returns {Array} Locked entries blocking the word
  */
-const findBestPlacement = (grid, word) => {
-  const rows = grid.length;
-  const cols = grid[0].length;
-  let bestScore = -1;
-  let bestPlacement = null;
-  
-  // Check each cell in the grid
-  for (let row = 0; row < rows; row++) {
-    for (let col = 0; col < cols; col++) {
-      // Try placing horizontally
-      const horizontalPlacement = canPlaceWordHorizontally(grid, word, row, col);
-      if (horizontalPlacement.canPlace && horizontalPlacement.intersections > bestScore) {
-        bestScore = horizontalPlacement.intersections;
-        bestPlacement = { row, col, direction: 'across' };
-      }
-      
-      // Try placing vertically
-      const verticalPlacement = canPlaceWordVertically(grid, word, row, col);
-      if (verticalPlacement.canPlace && verticalPlacement.intersections > bestScore) {
-        bestScore = verticalPlacement.intersections;
-        bestPlacement = { row, col, direction: 'down' };
-      }
+const findBlockingEntries = (grid, locked, placed, word, mask) => locked.filter(entry => {
+  // Cells shared with another entry stay, so the rest of the grid is unchanged
+  const otherCells = new Set();
+  placed.filter(other => other !== entry).forEach(other => {
+    for (let i = 0; i < other.answer.length; i++) {
+      otherCells.add(other.direction === 'across'
+        ? `${other.position.row},${other.position.col + i}`
+        : `${other.position.row + i},${other.position.col}`);
     }
+  });
+
+  const trial = grid.map(cells => [...cells]);
+  for (let i = 0; i < entry.answer.length; i++) {
+    const row = entry.direction === 'across' ? entry.position.row : entry.position.row + i;
+    const col = entry.direction === 'across' ? entry.position.col + i : entry.position.col;
+    if (!otherCells.has(`${row},${col}`)) trial[row][col] = '';
   }
-  
-  return bestPlacement;
-};
+  return findPlacements(trial, word, createLetterIndex(trial), mask).length > 0;
+});
 
 /**
- * Check if a word can be placed horizontally
- * @param {Array} grid - 2D grid array
- * @param {string} word - Word to place
- * @param {number} row - Starting row
- * @param {number} col - Starting column
- * @returns {Object} Object with canPlace and intersections properties
+ * Change the words of an existing crossword without rebuilding it. Locked
+ * entries stay where they are, and new words and unlocked entries are
+ * placed around them, best intersecting position first.
+ * @param {Object} crossword - Crossword with grid, entries, locale and mask, as built by buildCrossword
+ * @param {Object} changes - Changes to make
+ * @param {Array} changes.add - Question objects with answer property to add
+ * @param {Array} changes.remove - Answers of entries to remove
+ * @param {Array} changes.locked - Answers of entries to keep in place, defaults to every entry kept
+ * @returns {Object} Crossword grid, entries, dropped words, locale, mask and layout report, as from buildCrossword
+ * @throws {Error} With statusCode 400 for an invalid crossword or change, or 409 with
+ * unplaced (words and the locked entries blocking them) and disconnected (locked
+ * entries left without a link to the rest of the grid) when the locked entries block the change
  */
-const canPlaceWordHorizontally = (grid, word, row, col) => {
-  const rows = grid.length;
-  const cols = grid[0].length;
-  
-  // Check if the word would go out of bounds
-  if (col + word.length > cols) {
-    return { canPlace: false, intersections: 0 };
+const relayoutCrossword = (crossword, { add = [], remove = [], locked } = {}) => {
+  const invalidChange = (message) => Object.assign(new Error(message), { statusCode: 400 });
+  const locale = getLocale(crossword.locale);
+  const grid = Array.isArray(crossword.grid) ? crossword.grid : crossword.grid?.grid;
+
+  const validation = validateLayout(grid, crossword.entries);
+  if (!validation.valid) {
+    throw invalidChange(`The crossword layout is invalid: ${validation.errors[0].message}`);
   }
-  
-  // Check if the cell before the word is empty or out of bounds
-  if (col > 0 && grid[row][col - 1] !== '') {
-    return { canPlace: false, intersections: 0 };
+  const maskError = validateMask(crossword.mask);
+  if (maskError) {
+    throw invalidChange(maskError);
   }
-  
-  // Check if the cell after the word is empty or out of bounds
-  if (col + word.length < cols && grid[row][col + word.length] !== '') {
-    return { canPlace: false, intersections: 0 };
+
+  const entriesByAnswer = new Map(crossword.entries.map(entry => [entry.answer, entry]));
+  const findEntry = (answer) => {
+    const entry = entriesByAnswer.get(normalizeAnswer(answer, locale));
+    if (!entry) throw invalidChange(`"${answer}" is not an answer in the crossword`);
+    return entry;
+  };
+  const removed = new Set(remove.map(findEntry));
+  const kept = crossword.entries.filter(entry => !removed.has(entry));
+  const lockedEntries = new Set(locked === undefined ? kept : locked.map(findEntry));
+  const removedLocked = [...lockedEntries].find(entry => removed.has(entry));
+  if (removedLocked) {
+    throw invalidChange(`"${removedLocked.answer}" cannot be both locked and removed`);
   }
-  
-  let intersections = 0;
-  let intersectionFound = false;
-  
-  // Check each letter of the word
-  for (let i = 0; i < word.length; i++) {
-    const currentCol = col + i;
-    const currentCell = grid[row][currentCol];
-    
-    if (currentCell !== '' && currentCell !== word[i]) {
-      // Cell is occupied by a different letter
-      return { canPlace: false, intersections: 0 };
+
+  const { words: newWords, droppedWords } = prepareWords(add, locale, new Set(kept.map(entry => entry.answer)));
+  const words = [...kept.filter(entry => !lockedEntries.has(entry)).map(entryToWordData), ...newWords]
+    .sort((a, b) => b.word.length - a.word.length);
+
+  if (kept.length + newWords.length < 3) {
+    throw invalidChange('A crossword needs at least 3 words');
+  }
+
+  console.log(`Re-laying out crossword: ${lockedEntries.size} locked, ${words.length} to place, ${removed.size} removed`);
+  const startedAt = Date.now();
+
+  // Leave room around the locked entries for the longest word to place
+  const margin = Math.max(0, ...words.map(wordData => wordData.word.length)) + 1;
+  const rows = Math.max(CANVAS_SIZE, grid.length + margin * 2);
+  const cols = Math.max(CANVAS_SIZE, grid[0].length + margin * 2);
+  const top = Math.floor((rows - grid.length) / 2);
+  const left = Math.floor((cols - grid[0].length) / 2);
+  const canvas = initializeEmptyGrid(rows, cols);
+  // The mask covers the grid, so it moves onto the canvas with it
+  const maskCells = crossword.mask ? getMask(crossword.mask) : null;
+  const mask = maskCells && Array.from({ length: rows }, (_, row) => Array.from({ length: cols }, (_, col) =>
+    Boolean(maskCells[row - top]?.[col - left])));
+
+  const placed = [...lockedEntries].map(entry => {
+    const position = { row: entry.position.row + top, col: entry.position.col + left };
+    placeWordInGrid(canvas, entry.answer, { ...position, direction: entry.direction });
+    return { ...entry, position };
+  });
+  const letterIndex = createLetterIndex(canvas);
+  const unplaced = [];
+
+  words.forEach(wordData => {
+    let placement = findBestPlacement(canvas, wordData.word, letterIndex, mask);
+    // With nothing locked, the first word starts the grid in the middle
+    if (!placement && placed.length === 0) {
+      const middle = { row: Math.floor(rows / 2), col: Math.floor((cols - wordData.word.length) / 2) };
+      placement = mask ? findMaskStart(mask, wordData.word, middle, 'across') : { ...middle, direction: 'across' };
     }
-    
-    if (currentCell === word[i]) {
-      // Intersection with existing letter
-      intersections++;
-      
-      // Check if there's a vertical word at this intersection
-      const hasVerticalWord = 
-        (row > 0 && grid[row - 1][currentCol] !== '') || 
-        (row < rows - 1 && grid[row + 1][currentCol] !== '');
-      
-      if (hasVerticalWord) {
-        intersectionFound = true;
-      }
+
+    if (placement) {
+      placeWordInGrid(canvas, wordData.word, placement, letterIndex);
+      placed.push({ ...createEntry(wordData, placement, 0), ...(wordData.isFill ? { isFill: true } : {}) });
+      console.log(`Placed word: ${wordData.word}`);
     } else {
-      // Check if there are adjacent letters above or below
-      if (row > 0 && grid[row - 1][currentCol] !== '') {
-        return { canPlace: false, intersections: 0 };
-      }
-      if (row < rows - 1 && grid[row + 1][currentCol] !== '') {
-        return { canPlace: false, intersections: 0 };
-      }
+      console.log(`Could not place word: ${wordData.word}`);
+      unplaced.push(wordData);
     }
+  });
+
+  const lockedPlaced = placed.slice(0, lockedEntries.size);
+  const conflicts = {
+    unplaced: unplaced.map(wordData => ({
+      answer: wordData.word,
+      clue: wordData.question,
+      blockedBy: findBlockingEntries(canvas, lockedPlaced, placed, wordData.word, mask).map(describeEntry)
+    })),
+    // Removing words can cut locked entries off from each other
+    disconnected: validateLayout(canvas, placed).orphans
+  };
+
+  if (conflicts.unplaced.length > 0 || conflicts.disconnected.length > 0) {
+    const names = [...conflicts.unplaced.map(({ answer }) => answer), ...conflicts.disconnected.map(({ answer }) => answer)];
+    throw Object.assign(new Error(`The locked entries leave no room for the change: ${names.join(', ')}`), { statusCode: 409, ...conflicts });
   }
-  
-  // Valid placement if word has at least one intersection or it's the first word
-  if (intersections > 0) {
-    intersectionFound = true;
-  }
-  
-  return { canPlace: intersectionFound, intersections };
+
+  const { grid: trimmedGrid, entries: trimmedEntries, mask: trimmedMask } = finishLayout(canvas, placed, 'relayout', mask);
+  console.log(`Successfully re-laid out crossword with ${trimmedEntries.length} entries`);
+
+  return {
+    grid: trimmedGrid,
+    entries: trimmedEntries,
+    droppedWords,
+    locale: locale.name,
+    mask: trimmedMask,
+    report: createReport(trimmedGrid.grid, trimmedEntries, droppedWords, {
+      strategy: 'relayout',
+      totalWords: kept.length + add.length,
+      attempts: 1,
+      durationMs: Date.now() - startedAt
+    })
+  };
 };
 
 /**
- * Check if a word can be placed vertically
- * @param {Array} grid - 2D grid array
- * @param {string} word - Word to place
- * @param {number} row - Starting row
- * @param {number} col - Starting column
- * @returns {Object} Object with canPlace and intersections properties
+ * Trim a finished layout, number its entries and check it with
+ * validateLayout
+ * @param {Array} grid - 2D canvas the words were placed on
+ * @param {Array} entries - Entries placed on the canvas
+ * @param {string} source - Strategy or step that made the layout, for the error message
+ * @param {Array} mask - Optional canvas-sized mask, kept whole by the trim
+ * @returns {Object} Trimmed grid with bounds, the numbered entries and the mask over the trimmed grid
+ * @throws {Error} If the layout fails validation, which a correct layout step never causes
  */
-const canPlaceWordVertically = (grid, word, row, col) => {
-  const rows = grid.length;
-  const cols = grid[0].length;
-  
-  // Check if the word would go out of bounds
-  if (row + word.length > rows) {
-    return { canPlace: false, intersections: 0 };
-  }
-  
-  // Check if the cell before the word is empty or out of bounds
-  if (row > 0 && grid[row - 1][col] !== '') {
-    return { canPlace: false, intersections: 0 };
-  }
-  
-  // Check if the cell after the word is empty or out of bounds
-  if (row + word.length < rows && grid[row + word.length][col] !== '') {
-    return { canPlace: false, intersections: 0 };
-  }
-  
-  let intersections = 0;
-  let intersectionFound = false;
-  
-  // Check each letter of the word
-  for (let i = 0; i < word.length; i++) {
-    const currentRow = row + i;
-    const currentCell = grid[currentRow][col];
-    
-    if (currentCell !== '' && currentCell !== word[i]) {
-      // Cell is occupied by a different letter
-      return { canPlace: false, intersections: 0 };
-    }
-    
-    if (currentCell === word[i]) {
-      // Intersection with existing letter
-      intersections++;
-      
-      // Check if there's a horizontal word at this intersection
-      const hasHorizontalWord = 
-        (col > 0 && grid[currentRow][col - 1] !== '') || 
-        (col < cols - 1 && grid[currentRow][col + 1] !== '');
-      
-      if (hasHorizontalWord) {
-        intersectionFound = true;
-      }
-    } else {
-      // Check if there are adjacent letters to the left or right
-      if (col > 0 && grid[currentRow][col - 1] !== '') {
-        return { canPlace: false, intersections: 0 };
-      }
-      if (col < cols - 1 && grid[currentRow][col + 1] !== '') {
-        return { canPlace: false, intersections: 0 };
-      }
-    }
-  }
-  
-  // Valid placement if word has at least one intersection or it's the first word
-  if (intersections > 0) {
-    intersectionFound = true;
+const finishLayout = (grid, entries, source, mask) => {
+  // Trim the grid to remove empty rows and columns
+  const trimmedGrid = trimGrid(grid, mask);
+
+  // Adjust entry positions based on trimmed grid
+  const trimmedEntries = adjustEntryPositions(entries, grid, trimmedGrid);
+
+  // Number entries correctly
+  numberEntries(trimmedEntries);
+
+  // Never hand out a layout with orphan words or stray letter strings
+  const validation = validateLayout(trimmedGrid.grid, trimmedEntries);
+  if (!validation.valid) {
+    console.error('Layout failed validation:', validation.errors);
+    throw new Error(`The ${source} layout is invalid: ${validation.errors[0].message}`);
   }
-  
-  return { canPlace: intersectionFound, intersections };
+
+  const { minRow, maxRow, minCol, maxCol } = trimmedGrid.bounds;
+  const trimmedMask = mask ? mask.slice(minRow, maxRow + 1).map(cells => cells.slice(minCol, maxCol + 1)) : undefined;
+
+  return { grid: trimmedGrid, entries: trimmedEntries, mask: trimmedMask };
 };
 
 /**
- * Place a word in the grid
- * @param {Array} grid - 2D grid array
- * @param {string} word - Word to place
- * @param {Object} placement - Placement information
+ * Round a ratio for the report
+ * @param {number} value - Ratio
+ * @returns {number} Value rounded to 3 decimals
  */
-const placeWordInGrid = (grid, word, placement) => {
-  const { row, col, direction } = placement;
-  
-  if (direction === 'across') {
-    for (let i = 0; i < word.length; i++) {
-      grid[row][col + i] = word[i];
-    }
-  } else { // down
-    for (let i = 0; i < word.length; i++) {
-      grid[row + i][col] = word[i];
-    }
-  }
+const roundRatio = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Describe the quality of a finished layout so it can be judged before it
+ * is published
+ * @param {Array} grid - Trimmed 2D grid array
+ * @param {Array} entries - Numbered entries
+ * @param {Array} droppedWords - Answers left out, with their reasons
+ * @param {Object} layoutInfo - strategy name, totalWords given, attempts and durationMs of the layout
+ * @returns {Object} Report with word counts, dropped words by reason, intersections per entry,
+ * unchecked-cell ratio, density, aspect ratio, score breakdown and attempts
+ */
+const createReport = (grid, entries, droppedWords, { strategy, totalWords, attempts, durationMs }) => {
+  // Number of entries covering each letter cell
+  const coverage = new Map();
+  const cellsOf = (entry) => Array.from(entry.answer, (_, i) => (entry.direction === 'across'
+    ? `${entry.position.row},${entry.position.col + i}`
+    : `${entry.position.row + i},${entry.position.col}`));
+  entries.forEach(entry => {
+    cellsOf(entry).forEach(key => coverage.set(key, (coverage.get(key) || 0) + 1));
+  });
+
+  const intersections = entries.map(entry => ({
+    number: entry.number,
+    direction: entry.direction,
+    answer: entry.answer,
+    intersections: cellsOf(entry).filter(key => coverage.get(key) > 1).length
+  }));
+  const uncheckedCells = [...coverage.values()].filter(count => count === 1).length;
+
+  const droppedByReason = {};
+  droppedWords.forEach(({ reason }) => {
+    droppedByReason[reason] = (droppedByReason[reason] || 0) + 1;
+  });
+
+  // Fill words of the fixed strategy are not answers to place
+  const placed = entries.filter(entry => !entry.isFill).length;
+  const measures = measureGrid(grid, placed, totalWords);
+
+  return {
+    strategy,
+    words: { total: totalWords, placed, fill: entries.length - placed, dropped: droppedWords.length },
+    droppedByReason,
+    intersections,
+    averageIntersections: roundRatio(intersections.reduce((sum, entry) => sum + entry.intersections, 0) / entries.length),
+    uncheckedRatio: roundRatio(uncheckedCells / coverage.size),
+    density: roundRatio(measures.density),
+    width: measures.width,
+    height: measures.height,
+    aspectRatio: roundRatio(measures.aspectRatio),
+    scores: {
+      placement: roundRatio(measures.placementScore),
+      density: roundRatio(measures.densityScore),
+      shape: roundRatio(measures.shapeScore),
+      total: roundRatio(measures.score)
+    },
+    attempts: attempts ?? 1,
+    durationMs
+  };
 };
 
 /**
  * Trim the grid to remove empty rows and columns
  * @param {Array} grid - 2D grid array
+ * @param {Array} mask - Optional grid-sized mask whose open cells are kept as well
  * @returns {Object} Trimmed grid with bounds information
  */
-const trimGrid = (grid) => {
+const trimGrid = (grid, mask) => {
   const rows = grid.length;
   const cols = grid[0].length;
   
@@ -453,7 +463,7 @@ const trimGrid = (grid) => {
   
   for (let row = 0; row < rows; row++) {
     for (let col = 0; col < cols; col++) {
-      if (grid[row][col] !== '') {
+      if (grid[row][col] !== '' || (mask && mask[row][col])) {
         minRow = Math.min(minRow, row);
         maxRow = Math.max(maxRow, row);
         minCol = Math.min(minCol, col);
@@ -545,14 +555,16 @@ const numberEntries = (entries) => {
 /**
  * Generate crossword data from selected questions
  * @param {Array} questions - Array of selected question objects
+ * @param {Object} options - Layout options passed to buildCrossword
  * @returns {Object} - Crossword data
  */
-const generateCrossword = (questions) => {
+const generateCrossword = (questions, options = {}) => {
   // Use the actual buildCrossword function to generate crossword data
-  return buildCrossword(questions);
+  return buildCrossword(questions, options);
 };
 
 module.exports = {
   buildCrossword,
+  relayoutCrossword,
   generateCrossword
 };
\ No newline at end of file
@@ -0,0 +1,190 @@
+// backend/src/services/factCheckService.js
+
+const { getLocale, normalizeAnswer } = require('./locales');
+
+// Confidence of a clue that names nothing the track metadata can confirm
+const BASE_CONFIDENCE = 0.6;
+
+// Confidence added when the answer or the clue matches the metadata
+const ANSWER_SUPPORT = 0.3;
+const CLUE_SUPPORT = 0.1;
+
+// Confidence taken off for each fact that looks doubtful
+const ISSUE_PENALTY = 0.25;
+
+const MIN_CONFIDENCE = 0.1;
+
+// Years and decades written in a clue: 1983, 1980s, '80s, 80-talet
+const YEAR_PATTERN = /\b(1[89]\d\d|20\d\d)(?!s|-tal)\b/g;
+const DECADE_PATTERN = /(?:\b(1[89]|20)|'|\b)(\d)0(?:'?s\b|-talet\b)/g;
+
+// Names in quotes, such as "Thriller" or „Främling“
+const QUOTED_PATTERN = /["“”„«»]([^"“”„«»]+)["“”„«»]/g;
+
+/**
+ * Get the decade key of a year, the year divided by ten
+ * @param {number} year - Four-digit year
+ * @returns {number} - Decade key such as 198
+ */
+const decadeOf = (year) => Math.floor(year / 10);
+
+/**
+ * Read the decade of a decade written in a clue. A two-digit decade such
+ * as the 40 in '40s is taken in the century that puts it closest to the
+ * release, so '40s means the 1940s for a song from 1946 and '00s means
+ * the 2000s for a song from 1998. A tie keeps the earlier century.
+ * @param {string} century - First two digits if written, such as 19
+ * @param {string} digit - Tens digit of the decade
+ * @param {number} releaseDecade - Decade key of the release
+ * @returns {number} - Decade key such as 198
+ */
+const toDecade = (century, digit, releaseDecade) => {
+  if (century) return Number(century) * 10 + Number(digit);
+  return [180, 190, 200]
+    .map(hundreds => hundreds + Number(digit))
+    .reduce((closest, decade) =>
+      Math.abs(decade - releaseDecade) < Math.abs(closest - releaseDecade) ? decade : closest);
+};
+
+/**
+ * Read the facts of a track as strings, whether it is a prompt track
+ * (title, artists, album, year) or a music source track (name, artists
+ * and album objects with a releaseDate)
+ * @param {Object} track - Prompt track or music source track
+ * @returns {Object} - title, artists, album and year
+ */
+const toFacts = (track) => {
+  const album = track.album && typeof track.album === 'object' ? track.album.name : track.album;
+  const releaseDate = track.album?.releaseDate || track.album?.release_date;
+  return {
+    title: track.title ?? track.name,
+    artists: Array.isArray(track.artists) ? track.artists.map(artist => artist.name ?? artist).join(', ') : track.artists,
+    album: album || '',
+    year: Number(track.year ?? String(releaseDate || '').split('-')[0])
+  };
+};
+
+/**
+ * Split text into words of a locale's alphabet
+ * @param {string} text - Text
+ * @param {Object} locale - Locale from getLocale
+ * @returns {Array} - Uppercase words
+ */
+const toWords = (text, locale) =>
+  String(text || '')
+    .split(/[^\p{L}]+/u)
+    .map(word => normalizeAnswer(word, locale))
+    .filter(Boolean);
+
+/**
+ * Check whether the letters of a name appear in a text
+ * @param {string} text - Text such as a clue
+ * @param {string} name - Name such as a track title
+ * @param {Object} locale - Locale from getLocale
+ * @returns {boolean} - True if the text contains the name
+ */
+const mentions = (text, name, locale) => {
+  const letters = normalizeAnswer(name, locale);
+  return letters.length >= 3 && normalizeAnswer(text, locale).includes(letters);
+};
+
+/**
+ * Cross-check a question against the metadata of its track. Decade
+ * answers that disagree with the release year are contradictions, and so
+ * are years and decades in era clues that name the track. Other doubtful
+ * facts, such as a year in a clue about something else or a quoted name
+ * that is not the track's title, album or artist, lower the confidence.
+ * Answers found in the metadata raise it.
+ * Album answers must come from the album title, and are contradictions
+ * when the clue names the track.
+ * @param {Object} question - Validated question (question, answer, category)
+ * @param {Object} promptTrack - Prompt track (title, artists, album, year)
+ *   or music source track (name, artists, album with releaseDate)
+ * @param {Object} locale - Locale from getLocale
+ * @returns {Object} - confidence from 0 to 1, issues and contradictions
+ */
+const checkQuestion = (question, promptTrack, locale = getLocale()) => {
+  const issues = [];
+  const contradictions = [];
+
+  if (!promptTrack) {
+    return { confidence: BASE_CONFIDENCE, issues, contradictions };
+  }
+
+  const track = toFacts(promptTrack);
+  const year = track.year;
+  const releaseDecade = Number.isInteger(year) && year > 0 ? decadeOf(year) : null;
+  const clue = question.question;
+  const namesTrack = mentions(clue, track.title, locale);
+  const namesAlbum = mentions(clue, track.album, locale);
+  let confidence = BASE_CONFIDENCE;
+
+  // An answer made of words of the title, artists or album is confirmed,
+  // and the answer to an album question must be words of the album title
+  const answerWords = toWords(question.answer, locale);
+  const isAlbumQuestion = question.category === 'album';
+  const metadataWords = new Set(toWords(
+    isAlbumQuestion ? track.album : `${track.title} ${track.artists} ${track.album}`, locale));
+  const inAlbumTitle = isAlbumQuestion && mentions(track.album, question.answer, locale);
+  if ((answerWords.length > 0 && answerWords.every(word => metadataWords.has(word))) || inAlbumTitle) {
+    confidence += ANSWER_SUPPORT;
+  } else if (isAlbumQuestion && track.album) {
+    // An album clue naming the track asserts the album it is on
+    (namesTrack ? contradictions : issues).push(`answer "${question.answer}" is not in the album title "${track.album}" of "${track.title}"`);
+  }
+  if (namesTrack || namesAlbum) {
+    confidence += CLUE_SUPPORT;
+  }
+
+  if (releaseDecade !== null) {
+    const decadeNames = new Map(Object.entries(locale.decades).map(([key, name]) => [name, Number(key)]));
+    // Other clues naming the track may be about a later event, such as a reissue
+    const report = (message) => (question.category === 'era' && namesTrack ? contradictions : issues).push(message);
+
+    // A decade answer must be the decade of the release
+    const answerDecade = decadeNames.get(normalizeAnswer(question.answer, locale));
+    if (answerDecade !== undefined) {
+      if (answerDecade === releaseDecade) {
+        confidence += ANSWER_SUPPORT;
+      } else {
+        contradictions.push(`answer "${question.answer}" is not the decade of "${track.title}", released in ${year}`);
+      }
+    }
+
+    for (const [, written] of clue.matchAll(YEAR_PATTERN)) {
+      if (Number(written) !== year) {
+        report(`clue mentions ${written} but "${track.title}" was released in ${year}`);
+      }
+    }
+
+    for (const [written, century, digit] of clue.matchAll(DECADE_PATTERN)) {
+      if (toDecade(century, digit, releaseDecade) !== releaseDecade) {
+        report(`clue mentions the ${written.trim()} but "${track.title}" was released in ${year}`);
+      }
+    }
+
+    toWords(clue, locale)
+      .filter(word => decadeNames.has(word) && decadeNames.get(word) !== releaseDecade)
+      .forEach(word => report(`clue mentions the ${word.toLowerCase()} but "${track.title}" was released in ${year}`));
+  }
+
+  // Quoted names should be the track's own title, album or artists
+  for (const [, name] of clue.matchAll(QUOTED_PATTERN)) {
+    const known = [track.title, track.album, track.artists].some(field => mentions(field, name, locale) || mentions(name, field, locale));
+    if (!known) {
+      issues.push(`clue quotes "${name}", which is not the title, album or artist of "${track.title}"`);
+    }
+  }
+
+  confidence -= issues.length * ISSUE_PENALTY;
+  return {
+    confidence: Math.round(Math.min(1, Math.max(MIN_CONFIDENCE, confidence)) * 100) / 100,
+    issues,
+    contradictions
+  };
+};
+
+module.exports = {
+  toDecade,
+  checkQuestion
+};
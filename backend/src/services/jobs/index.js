@@ -0,0 +1,181 @@
+// backend/src/services/jobs/index.js
+
+const Job = require('../../../models/job');
+const { config } = require('../../../config');
+const luckyCrosswordJob = require('./luckyCrosswordJob');
+
+/**
+ * A JobHandler runs one type of background job. Jobs are stored in the
+ * jobs table, so they survive restarts and any instance running the worker
+ * can pick them up.
+ *
+ * @typedef {Object} JobHandler
+ * @property {string} type - Job type stored with each job
+ * @property {Function} run - async (payload, { userId, onProgress }) => JSON-serializable result
+ */
+
+// Registered job handlers, keyed by type
+const handlers = new Map([
+  [luckyCrosswordJob.type, luckyCrosswordJob]
+]);
+
+// Leases and retention are checked at most this often
+const MAINTENANCE_INTERVAL_MS = 60 * 1000;
+// Longest wait between polls while the database keeps failing
+const MAX_POLL_DELAY_MS = 60 * 1000;
+
+const worker = {
+  started: false,
+  polling: false,
+  timer: null,
+  active: 0,
+  failures: 0,
+  lastMaintenance: 0
+};
+
+/**
+ * Queue a background job
+ * @param {string} type - Job type
+ * @param {Object} payload - Input of the job handler
+ * @param {Object} options - Optional userId of the user the job runs for
+ * @returns {Promise<Object>} - Created job
+ */
+const enqueueJob = async (type, payload, { userId = null } = {}) => {
+  if (!handlers.has(type)) {
+    throw new Error(`Unknown job type "${type}". Available types: ${[...handlers.keys()].join(', ')}`);
+  }
+
+  const job = await Job.create({
+    type,
+    payload,
+    user_id: userId,
+    max_attempts: config.jobs.maxAttempts,
+    run_at: Date.now()
+  });
+  console.log(`Queued ${type} job ${job.id}`);
+  return job;
+};
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} - Job, or undefined if it does not exist
+ */
+const getJob = (id) => Job.findById(id);
+
+/**
+ * Run a claimed job and record its result. Failed attempts are retried
+ * with exponential backoff until the job runs out of attempts; errors
+ * caused by the request itself (status 400 or 401) fail the job at once.
+ * @param {Object} job - Claimed job
+ */
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+  const deleteAt = () => Date.now() + config.jobs.retentionMs;
+
+  console.log(`Running ${job.type} job ${job.id} (attempt ${job.attempts} of ${job.max_attempts})`);
+  try {
+    const result = await handler.run(job.payload, {
+      userId: job.user_id,
+      onProgress: (progress) => {
+        Job.updateProgress(job, progress, Date.now() + config.jobs.leaseMs)
+          .catch(error => console.error(`Error saving progress of job ${job.id}:`, error.message));
+      }
+    });
+
+    if (await Job.succeed(job, result, deleteAt())) {
+      console.log(`Job ${job.id} succeeded`);
+    } else {
+      // The lease ran out, so a newer attempt owns the job now
+      console.warn(`Job ${job.id} finished after losing its lease, result discarded`);
+    }
+  } catch (error) {
+    console.error(`Job ${job.id} failed:`, error.message);
+
+    if ([400, 401].includes(error.statusCode) || job.attempts >= job.max_attempts) {
+      await Job.fail(job, error.message, deleteAt());
+      return;
+    }
+
+    const retryAt = Date.now() + config.jobs.retryDelayMs * 2 ** (job.attempts - 1);
+    await Job.retry(job, error.message, retryAt);
+  }
+};
+
+/**
+ * Schedule the next poll of the worker
+ * @param {number} delay - Delay in ms
+ */
+const schedulePoll = (delay) => {
+  if (!worker.started) return;
+
+  clearTimeout(worker.timer);
+  worker.timer = setTimeout(poll, delay);
+  // Polling alone should not keep the process running
+  worker.timer.unref();
+};
+
+/**
+ * Claim and start due jobs until all worker slots are busy
+ */
+const poll = async () => {
+  if (worker.polling) return;
+  worker.polling = true;
+
+  try {
+    const now = Date.now();
+    if (now - worker.lastMaintenance >= MAINTENANCE_INTERVAL_MS) {
+      await Job.expireLeases(now, now + config.jobs.retentionMs);
+      await Job.deleteExpired(now);
+      worker.lastMaintenance = now;
+    }
+
+    while (worker.started && worker.active < config.jobs.concurrency) {
+      const job = await Job.claimNext([...handlers.keys()], Date.now() + config.jobs.leaseMs);
+      if (!job) break;
+
+      worker.active += 1;
+      runJob(job)
+        .catch(error => console.error(`Error recording result of job ${job.id}:`, error.message))
+        .finally(() => {
+          worker.active -= 1;
+          schedulePoll(0);
+        });
+    }
+    worker.failures = 0;
+  } catch (error) {
+    worker.failures += 1;
+    console.error('Error polling jobs:', error.message);
+  }
+
+  worker.polling = false;
+  schedulePoll(Math.min(config.jobs.pollIntervalMs * 2 ** worker.failures, MAX_POLL_DELAY_MS));
+};
+
+/**
+ * Start the job worker in this process
+ */
+const startWorker = () => {
+  if (worker.started) return;
+
+  worker.started = true;
+  console.log(`Job worker started (concurrency ${config.jobs.concurrency})`);
+  schedulePoll(0);
+};
+
+/**
+ * Stop claiming new jobs. Jobs already running finish on their own.
+ */
+const stopWorker = () => {
+  worker.started = false;
+  clearTimeout(worker.timer);
+  worker.timer = null;
+};
+
+module.exports = {
+  jobTypes: [...handlers.keys()],
+  enqueueJob,
+  getJob,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,30 @@
+// backend/src/services/jobs/luckyCrosswordJob.js
+
+const { parseLuckyRequest, buildLuckyCrossword } = require('../luckyCrosswordService');
+
+/**
+ * Run the lucky crossword pipeline for a queued request. The request is
+ * parsed again so the user's Spotify token is fresh when the job starts.
+ * @param {Object} payload - Lucky crossword request body
+ * @param {Object} context - userId and onProgress(progress)
+ * @returns {Promise<Object>} - Crossword with song groups and playlist info
+ */
+const run = async (payload, { userId, onProgress }) => {
+  const lucky = await parseLuckyRequest(payload, userId);
+  if (lucky.error) {
+    throw Object.assign(new Error(lucky.error.body.error), { statusCode: lucky.error.status });
+  }
+
+  let questions = 0;
+  return buildLuckyCrossword(lucky, {
+    onStage: (stage, details) => onProgress({ stage, ...details, questions }),
+    onQuestion: () => {
+      questions += 1;
+    }
+  });
+};
+
+module.exports = {
+  type: 'lucky-crossword',
+  run
+};
@@ -0,0 +1,187 @@
+// backend/src/services/layoutStrategies/backtrackingStrategy.js
+
+const {
+  CANVAS_SIZE,
+  initializeEmptyGrid,
+  createEntry,
+  scoreGrid,
+  createLetterIndex,
+  findMaskStart,
+  findPlacements,
+  findBestPlacement,
+  placeWordInGrid,
+  clearCells
+} = require('../../utils/gridUtils');
+
+/**
+ * Order candidate placements so the search tries the most promising first:
+ * more intersections, then closer to the middle of the canvas
+ * @param {Array} placements - Placements from findPlacements
+ * @returns {Array} Sorted placements
+ */
+const rankPlacements = (placements) => {
+  const center = CANVAS_SIZE / 2;
+  const distance = (p) => Math.abs(p.row - center) + Math.abs(p.col - center);
+
+  return placements.sort((a, b) => {
+    if (a.intersections !== b.intersections) {
+      return b.intersections - a.intersections;
+    }
+    return distance(a) - distance(b);
+  });
+};
+
+/**
+ * Explain why a word could not be placed in the final layout
+ * @param {Object} wordData - Prepared word data
+ * @param {Array} placedWords - Words that made it into the layout
+ * @param {boolean} timedOut - Whether the search hit its time budget
+ * @returns {string} Reason
+ */
+const explainDrop = (wordData, placedWords, timedOut) => {
+  const sharesLetter = placedWords.some(placed =>
+    [...wordData.word].some(letter => placed.includes(letter))
+  );
+
+  if (!sharesLetter) {
+    return 'Shares no letters with the placed answers';
+  }
+  if (timedOut) {
+    return 'Time budget ran out before a fitting position was found';
+  }
+  return 'Every intersecting position conflicts with the placed answers';
+};
+
+/**
+ * Lay out words with a depth-first search over placements. Each word is
+ * either placed at one of its best few positions or skipped, and the layout
+ * placing the most words wins. The search stops at the time budget and
+ * returns the best layout found so far, partial if it completed none.
+ * @param {Array} words - Prepared word data, longest first
+ * @param {Object} options - Layout options
+ * @param {number} options.timeBudgetMs - Time budget for the search
+ * @param {number} options.beamWidth - Placements tried per word
+ * @param {Array} options.mask - Optional canvas-sized 2D array of booleans, true for cells letters may use
+ * @returns {Object|null} Best layout found, with the number of complete layouts
+ * the search compared as attempts, or null if none had 3 words
+ */
+const layout = (words, options = {}) => {
+  const { timeBudgetMs = 2000, beamWidth = 4, mask } = options;
+  const startedAt = Date.now();
+  const deadline = startedAt + timeBudgetMs;
+
+  const grid = initializeEmptyGrid(CANVAS_SIZE, CANVAS_SIZE);
+  const placed = [];
+  let best = null;
+  let partial = null;
+  let timedOut = false;
+  let nodes = 0;
+  let completed = 0;
+
+  // Anchor the longest word across the middle of the canvas, or as near
+  // it as the mask allows
+  const firstWordData = words[0];
+  const middle = {
+    row: Math.floor(CANVAS_SIZE / 2),
+    col: Math.floor((CANVAS_SIZE - firstWordData.word.length) / 2)
+  };
+  const firstPlacement = mask
+    ? findMaskStart(mask, firstWordData.word, middle, 'across')
+    : { ...middle, direction: 'across' };
+  placeWordInGrid(grid, firstWordData.word, firstPlacement);
+  placed.push({ wordData: firstWordData, placement: firstPlacement });
+  const letterIndex = createLetterIndex(grid);
+
+  const search = (index) => {
+    nodes++;
+
+    // Remember the fullest layout so far in case time runs out before
+    // the search completes one
+    if (!best && (!partial || placed.length > partial.placed.length)) {
+      partial = { placed: [...placed] };
+    }
+
+    if (Date.now() > deadline) {
+      timedOut = true;
+      return;
+    }
+
+    // Even placing every remaining word can't beat the best layout
+    if (best && placed.length + (words.length - index) <= best.placed.length) {
+      return;
+    }
+
+    if (index === words.length) {
+      completed++;
+      best = { placed: [...placed], score: scoreGrid(grid, placed.length, words.length) };
+      return;
+    }
+
+    const wordData = words[index];
+    const candidates = rankPlacements(findPlacements(grid, wordData.word, letterIndex, mask)).slice(0, beamWidth);
+
+    for (const candidate of candidates) {
+      const placement = { row: candidate.row, col: candidate.col, direction: candidate.direction };
+      const filledCells = placeWordInGrid(grid, wordData.word, placement, letterIndex);
+      placed.push({ wordData, placement });
+
+      search(index + 1);
+
+      placed.pop();
+      clearCells(grid, filledCells, letterIndex);
+
+      if (timedOut || best.placed.length === words.length) return;
+    }
+
+    // Try leaving this word out
+    search(index + 1);
+  };
+
+  search(1);
+
+  // Rebuild the winning grid
+  const bestGrid = initializeEmptyGrid(CANVAS_SIZE, CANVAS_SIZE);
+  const entries = (best || partial).placed.map(({ wordData, placement }, i) => {
+    placeWordInGrid(bestGrid, wordData.word, placement);
+    return createEntry(wordData, placement, i + 1);
+  });
+
+  // Give skipped words one more chance against the final grid
+  const placedAnswers = new Set(entries.map(entry => entry.answer));
+  const skipped = words.filter(wordData => !placedAnswers.has(wordData.word));
+  const dropped = [];
+  const bestIndex = createLetterIndex(bestGrid);
+
+  skipped.forEach(wordData => {
+    const placement = findBestPlacement(bestGrid, wordData.word, bestIndex, mask);
+    if (placement) {
+      placeWordInGrid(bestGrid, wordData.word, placement, bestIndex);
+      entries.push(createEntry(wordData, placement, entries.length + 1));
+      placedAnswers.add(wordData.word);
+    } else {
+      dropped.push({ wordData });
+    }
+  });
+
+  console.log(`Backtracking search visited ${nodes} nodes in ${Date.now() - startedAt}ms${timedOut ? ' (time budget reached)' : ''}`);
+
+  if (entries.length < 3) {
+    return null;
+  }
+
+  return {
+    grid: bestGrid,
+    entries,
+    attempts: completed,
+    dropped: dropped.map(({ wordData }) => ({
+      answer: wordData.word,
+      clue: wordData.question,
+      reason: explainDrop(wordData, [...placedAnswers], timedOut)
+    }))
+  };
+};
+
+module.exports = {
+  name: 'backtracking',
+  layout
+};
@@ -0,0 +1,509 @@
+// backend/src/services/layoutStrategies/fixedGridStrategy.js
+
+const { createEntry, initializeEmptyGrid } = require('../../utils/gridUtils');
+const { getWordList, createWordIndex } = require('../../utils/wordList');
+const { shuffle } = require('../../utils/random');
+const { getLocale } = require('../locales');
+
+const BLOCK = '#';
+const MIN_GRID_SIZE = 9;
+const MAX_GRID_SIZE = 15;
+const DEFAULT_GRID_SIZE = 15;
+
+// Longest slot the fill is asked to complete from the word list
+const MAX_FILL_LENGTH = 7;
+// Share of the grid that may be black before a pattern is rejected
+const MAX_BLOCK_RATIO = 0.3;
+// Theme answers placed across the grid per attempt
+const MAX_THEMES = 2;
+const MIN_THEME_LENGTH = 5;
+// Time spent filling one pattern before trying another
+const ATTEMPT_BUDGET_MS = 1000;
+// Candidate words tried per slot before backtracking
+const CANDIDATES_PER_SLOT = 20;
+
+/**
+ * Find all runs of white cells in one direction
+ * @param {Array} cells - 2D grid with BLOCK for black squares
+ * @param {string} direction - 'across' or 'down'
+ * @returns {Array} Runs with row, col, direction and cells
+ */
+const getRuns = (cells, direction) => {
+  const size = cells.length;
+  const runs = [];
+
+  for (let line = 0; line < size; line++) {
+    let start = null;
+    for (let i = 0; i <= size; i++) {
+      const row = direction === 'across' ? line : i;
+      const col = direction === 'across' ? i : line;
+      const isWhite = i < size && cells[row][col] !== BLOCK;
+
+      if (isWhite && start === null) {
+        start = i;
+      } else if (!isWhite && start !== null) {
+        const runCells = [];
+        for (let j = start; j < i; j++) {
+          runCells.push(direction === 'across' ? { row: line, col: j } : { row: j, col: line });
+        }
+        runs.push({ ...runCells[0], direction, length: runCells.length, cells: runCells });
+        start = null;
+      }
+    }
+  }
+
+  return runs;
+};
+
+/**
+ * Find all runs of white cells in both directions
+ * @param {Array} cells - 2D grid with BLOCK for black squares
+ * @returns {Array} Across runs followed by down runs
+ */
+const getAllRuns = (cells) => [...getRuns(cells, 'across'), ...getRuns(cells, 'down')];
+
+/**
+ * Find white cells that are not part of both an across and a down entry
+ * of at least 3 letters
+ * @param {Array} cells - 2D grid with BLOCK for black squares
+ * @returns {Array} Unchecked cells as { row, col }
+ */
+const findUncheckedCells = (cells) => {
+  const size = cells.length;
+  const checkedAcross = initializeEmptyGrid(size, size);
+  const checkedDown = initializeEmptyGrid(size, size);
+
+  getRuns(cells, 'across').filter(run => run.length >= 3)
+    .forEach(run => run.cells.forEach(({ row, col }) => { checkedAcross[row][col] = true; }));
+  getRuns(cells, 'down').filter(run => run.length >= 3)
+    .forEach(run => run.cells.forEach(({ row, col }) => { checkedDown[row][col] = true; }));
+
+  const unchecked = [];
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      if (cells[row][col] !== BLOCK && !(checkedAcross[row][col] && checkedDown[row][col])) {
+        unchecked.push({ row, col });
+      }
+    }
+  }
+  return unchecked;
+};
+
+/**
+ * Check that all white cells form a single connected area
+ * @param {Array} cells - 2D grid with BLOCK for black squares
+ * @returns {boolean} True if connected
+ */
+const isConnected = (cells) => {
+  const size = cells.length;
+  const whiteCells = [];
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      if (cells[row][col] !== BLOCK) whiteCells.push({ row, col });
+    }
+  }
+  if (whiteCells.length === 0) return false;
+
+  const seen = new Set([`${whiteCells[0].row},${whiteCells[0].col}`]);
+  const queue = [whiteCells[0]];
+  while (queue.length > 0) {
+    const { row, col } = queue.shift();
+    [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dr, dc]) => {
+      const r = row + dr;
+      const c = col + dc;
+      const key = `${r},${c}`;
+      if (r >= 0 && r < size && c >= 0 && c < size && cells[r][c] !== BLOCK && !seen.has(key)) {
+        seen.add(key);
+        queue.push({ row: r, col: c });
+      }
+    });
+  }
+
+  return seen.size === whiteCells.length;
+};
+
+/**
+ * Generate a rotationally symmetric block pattern with theme answers
+ * placed across it
+ * @param {number} size - Grid size
+ * @param {Array} themes - Prepared word data to use as theme entries
+ * @param {Function} random - Random number generator
+ * @returns {Object|null} Pattern cells and placed themes, or null if it failed
+ */
+const createPattern = (size, themes, random) => {
+  let cells = initializeEmptyGrid(size, size);
+  const fixed = initializeEmptyGrid(size, size).map(row => row.map(() => false));
+  const mid = Math.floor(size / 2);
+
+  const countBlocks = () => cells.flat().filter(cell => cell === BLOCK).length;
+  const snapshot = () => cells.map(row => [...row]);
+
+  // Black squares always come in pairs rotated 180 degrees
+  const setBlock = (row, col) => {
+    const rotRow = size - 1 - row;
+    const rotCol = size - 1 - col;
+    if (fixed[row][col] || fixed[rotRow][rotCol]) return false;
+    cells[row][col] = BLOCK;
+    cells[rotRow][rotCol] = BLOCK;
+    return true;
+  };
+
+  // Blacken runs shorter than 3 letters until none are left
+  const repairShortRuns = () => {
+    for (;;) {
+      const shortRuns = getAllRuns(cells).filter(run => run.length < 3);
+      if (shortRuns.length === 0) return true;
+      for (const run of shortRuns) {
+        for (const { row, col } of run.cells) {
+          if (cells[row][col] !== BLOCK && !setBlock(row, col)) return false;
+        }
+      }
+    }
+  };
+
+  // Add a block pair, keeping the pattern valid or undoing it
+  const tryBlock = (row, col) => {
+    const previous = snapshot();
+    if (setBlock(row, col) && repairShortRuns() && isConnected(cells) &&
+        countBlocks() <= size * size * MAX_BLOCK_RATIO) {
+      return true;
+    }
+    cells = previous;
+    return false;
+  };
+
+  // Place theme answers across, one in the middle row and the rest in
+  // mirrored rows so their partner slots stay symmetric
+  const pairRows = [mid - 4, mid - 2].filter(row => row >= 0 && row < size - 1 - row);
+  let centerFree = size % 2 === 1;
+  const placedThemes = [];
+  const reserved = initializeEmptyGrid(size, size).map(row => row.map(() => false));
+
+  for (const theme of themes) {
+    const length = theme.word.length;
+    let row;
+    let col;
+
+    if (centerFree && length % 2 === 1) {
+      row = mid;
+      col = (size - length) / 2;
+      centerFree = false;
+    } else if (pairRows.length > 0) {
+      row = pairRows.shift();
+      col = Math.floor(random() * (size - length + 1));
+    } else {
+      continue;
+    }
+
+    for (let i = 0; i < length; i++) {
+      cells[row][col + i] = theme.word[i];
+      fixed[row][col + i] = true;
+      // The mirrored slot can't be split without splitting the theme
+      reserved[row][col + i] = true;
+      reserved[size - 1 - row][size - 1 - col - i] = true;
+    }
+    if (col > 0 && !setBlock(row, col - 1)) return null;
+    if (col + length < size && !setBlock(row, col + length)) return null;
+
+    placedThemes.push({ wordData: theme, row, col, direction: 'across', length });
+  }
+
+  if (!repairShortRuns()) return null;
+
+  const isLongRun = (run) =>
+    run.length > MAX_FILL_LENGTH && !run.cells.every(({ row, col }) => reserved[row][col]);
+
+  // Break up runs that are too long to fill from the word list, using
+  // whichever split blackens the fewest cells
+  for (let tries = 0; tries < size * 2; tries++) {
+    const longRuns = getAllRuns(cells).filter(isLongRun);
+    if (longRuns.length === 0) break;
+
+    const run = longRuns[Math.floor(random() * longRuns.length)];
+    const before = snapshot();
+    let best = null;
+
+    shuffle(run.cells.slice(3, run.length - 3), random).forEach(({ row, col }) => {
+      if (tryBlock(row, col)) {
+        const blocks = countBlocks();
+        if (!best || blocks < best.blocks) {
+          best = { blocks, cells };
+        }
+        cells = before.map(line => [...line]);
+      }
+    });
+
+    if (!best) return null;
+    cells = best.cells;
+  }
+
+  const allRuns = getAllRuns(cells);
+  if (allRuns.some(isLongRun) || allRuns.some(run => run.length < 3) || !isConnected(cells)) {
+    return null;
+  }
+
+  return { cells, themes: placedThemes };
+};
+
+/**
+ * Fill every open slot of a pattern with words by backtracking search.
+ * Each cell keeps the set of letters still possible there, and every
+ * assignment narrows the crossing slots until nothing changes.
+ * @param {Array} cells - Pattern cells; filled in place
+ * @param {Array} slots - Slots from getAllRuns
+ * @param {Object} index - Word index from createWordIndex
+ * @param {Set} used - Words already in the grid
+ * @param {number} deadline - Timestamp to give up at
+ * @param {string} alphabet - Letters a cell can hold, at most 31
+ * @returns {boolean} True if the grid was filled
+ */
+const fillSlots = (cells, slots, index, used, deadline, alphabet) => {
+  const size = cells.length;
+  const cellIndex = ({ row, col }) => row * size + col;
+
+  // One bit per letter of the alphabet
+  const allLetters = 2 ** alphabet.length - 1;
+  const letterBit = (letter) => 1 << alphabet.indexOf(letter);
+
+  // Letters still possible in each cell
+  let domains = new Uint32Array(size * size);
+  const slotsByCell = new Map();
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const cell = cells[row][col];
+      domains[row * size + col] = cell === BLOCK ? 0 : (cell === '' ? allLetters : letterBit(cell));
+    }
+  }
+  slots.forEach((slot, i) => slot.cells.forEach(cell => {
+    const key = cellIndex(cell);
+    if (!slotsByCell.has(key)) slotsByCell.set(key, []);
+    slotsByCell.get(key).push(i);
+  }));
+
+  // Words that fit a slot's current cell domains
+  const candidatesFor = (slot, limit = Infinity) => {
+    const slotDomains = slot.cells.map(cell => domains[cellIndex(cell)]);
+    let pool = index.byLength.get(slot.length) || [];
+    slotDomains.forEach((domain, i) => {
+      // A single possible letter narrows the pool to words with it there
+      if ((domain & (domain - 1)) === 0) {
+        const list = index.byLetter.get(`${slot.length}|${i}|${alphabet[31 - Math.clz32(domain)]}`) || [];
+        if (list.length < pool.length) pool = list;
+      }
+    });
+
+    const matches = [];
+    for (const word of pool) {
+      if (used.has(word)) continue;
+      let fits = true;
+      for (let i = 0; i < word.length; i++) {
+        if ((slotDomains[i] & letterBit(word[i])) === 0) {
+          fits = false;
+          break;
+        }
+      }
+      if (fits) {
+        matches.push(word);
+        if (matches.length >= limit) break;
+      }
+    }
+    return matches;
+  };
+
+  // Narrow cell domains to letters some candidate word can supply
+  const propagate = (queue) => {
+    while (queue.size > 0) {
+      if (Date.now() > deadline) return false;
+
+      const [slotIndex] = queue;
+      queue.delete(slotIndex);
+      const slot = slots[slotIndex];
+      if (slot.word) continue;
+
+      const slotDomains = slot.cells.map(cell => domains[cellIndex(cell)]);
+      const supported = slot.cells.map(() => 0);
+      const candidates = candidatesFor(slot);
+      if (candidates.length === 0) return false;
+
+      for (const word of candidates) {
+        for (let i = 0; i < word.length; i++) {
+          supported[i] |= letterBit(word[i]);
+        }
+      }
+
+      slot.cells.forEach((cell, i) => {
+        const narrowed = slotDomains[i] & supported[i];
+        if (narrowed !== slotDomains[i]) {
+          domains[cellIndex(cell)] = narrowed;
+          slotsByCell.get(cellIndex(cell)).forEach(other => {
+            if (other !== slotIndex) queue.add(other);
+          });
+        }
+      });
+    }
+    return true;
+  };
+
+  const search = () => {
+    if (Date.now() > deadline) return false;
+
+    // Pick the open slot with the fewest candidates
+    let bestSlot = -1;
+    let bestCount = Infinity;
+    for (let i = 0; i < slots.length; i++) {
+      if (slots[i].word) continue;
+      const count = candidatesFor(slots[i], bestCount).length;
+      if (count === 0) return false;
+      if (count < bestCount) {
+        bestCount = count;
+        bestSlot = i;
+      }
+    }
+
+    if (bestSlot === -1) return true;
+
+    const slot = slots[bestSlot];
+    for (const word of candidatesFor(slot, CANDIDATES_PER_SLOT)) {
+      const savedDomains = domains.slice();
+      const queue = new Set();
+
+      slot.cells.forEach((cell, i) => {
+        domains[cellIndex(cell)] = letterBit(word[i]);
+        slotsByCell.get(cellIndex(cell)).forEach(other => {
+          if (other !== bestSlot) queue.add(other);
+        });
+      });
+      slot.word = word;
+      used.add(word);
+
+      if (propagate(queue) && search()) return true;
+
+      used.delete(word);
+      slot.word = null;
+      domains = savedDomains;
+
+      if (Date.now() > deadline) return false;
+    }
+
+    return false;
+  };
+
+  if (!propagate(new Set(slots.map((slot, i) => i))) || !search()) {
+    return false;
+  }
+
+  slots.forEach(slot => slot.cells.forEach(({ row, col }, i) => {
+    cells[row][col] = slot.word[i];
+  }));
+  return true;
+};
+
+/**
+ * Lay out words on a fixed-size grid with rotationally symmetric black
+ * squares. The longest answers become theme entries, the remaining slots
+ * are filled from the other answers and the local word list.
+ * @param {Array} words - Prepared word data, longest first
+ * @param {Object} options - Layout options
+ * @param {number} options.gridSize - Width and height of the grid
+ * @param {number} options.timeBudgetMs - Time budget for generating and filling patterns
+ * @param {Function} options.random - Random number generator
+ * @param {Object} options.locale - Locale from getLocale, for the alphabet and fill word list
+ * @returns {Object|null} Filled layout, with the number of patterns tried as
+ * attempts, or null if no pattern could be filled in time
+ */
+const layout = (words, options = {}) => {
+  const { gridSize = DEFAULT_GRID_SIZE, timeBudgetMs = 3000, random = Math.random, locale = getLocale() } = options;
+
+  if (!Number.isInteger(gridSize) || gridSize < MIN_GRID_SIZE || gridSize > MAX_GRID_SIZE) {
+    throw new Error(`Grid size must be a whole number between ${MIN_GRID_SIZE} and ${MAX_GRID_SIZE}`);
+  }
+
+  if (!locale.wordList) {
+    throw new Error(`The fixed strategy has no fill word list for ${locale.name} yet`);
+  }
+
+  const deadline = Date.now() + timeBudgetMs;
+  const wordsByAnswer = new Map(words.map(wordData => [wordData.word, wordData]));
+  const themeCandidates = words.filter(wordData =>
+    wordData.word.length >= MIN_THEME_LENGTH && wordData.word.length <= gridSize
+  );
+
+  // Answers come first so the fill prefers them over dictionary words
+  const answers = shuffle(words.map(wordData => wordData.word), random);
+  const fillWords = shuffle(getWordList(locale.wordList).filter(word => !wordsByAnswer.has(word)), random);
+  const index = createWordIndex([...answers, ...fillWords]);
+
+  for (let attempt = 0; Date.now() < deadline; attempt++) {
+    // Start with the longest answers, then vary the theme set
+    const themeCount = Math.max(1, MAX_THEMES - Math.floor(attempt / 10));
+    const themes = attempt === 0
+      ? themeCandidates.slice(0, themeCount)
+      : shuffle([...themeCandidates], random).slice(0, themeCount);
+
+    const pattern = createPattern(gridSize, themes, random);
+    if (!pattern) continue;
+
+    const isThemeRun = (run) => run.direction === 'across' &&
+      pattern.themes.some(theme => theme.row === run.row && theme.col === run.col);
+    const themeSlots = getAllRuns(pattern.cells).filter(isThemeRun).map(run => ({
+      ...run,
+      word: pattern.themes.find(theme => theme.row === run.row && theme.col === run.col).wordData.word
+    }));
+    const openSlots = getAllRuns(pattern.cells).filter(run => !isThemeRun(run));
+    const used = new Set(themeSlots.map(theme => theme.word));
+
+    // Fills that work tend to work quickly, so move on to a fresh pattern
+    // rather than searching one for long
+    const attemptDeadline = Math.min(deadline, Date.now() + ATTEMPT_BUDGET_MS);
+    if (!fillSlots(pattern.cells, openSlots, index, used, attemptDeadline, locale.alphabet)) {
+      console.log(`Fixed grid attempt ${attempt + 1} could not be filled`);
+      continue;
+    }
+
+    const unchecked = findUncheckedCells(pattern.cells);
+    if (unchecked.length > 0) {
+      console.warn(`Fixed grid attempt ${attempt + 1} left ${unchecked.length} unchecked cells`);
+      continue;
+    }
+
+    console.log(`Filled ${gridSize}x${gridSize} grid on attempt ${attempt + 1}`);
+
+    const slots = [...themeSlots, ...openSlots];
+    const entries = slots.map((slot, i) => {
+      const wordData = wordsByAnswer.get(slot.word);
+      if (wordData) {
+        return createEntry(wordData, slot, i + 1);
+      }
+      // Fill words come from the word list and still need a clue
+      return { ...createEntry({ word: slot.word, question: '' }, slot, i + 1), isFill: true };
+    });
+
+    const placedAnswers = new Set(entries.map(entry => entry.answer));
+
+    return {
+      grid: pattern.cells.map(row => row.map(cell => (cell === BLOCK ? '' : cell))),
+      entries,
+      attempts: attempt + 1,
+      dropped: words
+        .filter(wordData => !placedAnswers.has(wordData.word))
+        .map(wordData => ({
+          answer: wordData.word,
+          clue: wordData.question,
+          reason: wordData.word.length > gridSize
+            ? `Longer than the ${gridSize}x${gridSize} grid`
+            : 'No matching slot in the filled grid'
+        }))
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  name: 'fixed',
+  layout,
+  findUncheckedCells,
+  MIN_GRID_SIZE,
+  MAX_GRID_SIZE,
+  DEFAULT_GRID_SIZE
+};
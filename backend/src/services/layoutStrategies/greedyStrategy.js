@@ -0,0 +1,129 @@
+// backend/src/services/layoutStrategies/greedyStrategy.js
+
+const {
+  CANVAS_SIZE,
+  initializeEmptyGrid,
+  createEntry,
+  scoreGrid,
+  createLetterIndex,
+  findMaskStart,
+  findBestPlacement,
+  placeWordInGrid
+} = require('../../utils/gridUtils');
+const { shuffle } = require('../../utils/random');
+
+/**
+ * Lay out words by placing each one at its best position in turn,
+ * keeping the highest scoring of a few attempts
+ * @param {Array} words - Prepared word data, longest first
+ * @param {Object} options - Layout options
+ * @param {number} options.attempts - Number of attempts to make
+ * @param {Function} options.random - Random number generator used to shuffle words
+ * @param {Array} options.mask - Optional canvas-sized 2D array of booleans, true for cells letters may use
+ * @returns {Object|null} Best layout found, with the number of attempts made,
+ * or null if none had 3 words
+ */
+const layout = (words, options = {}) => {
+  const { attempts = 3, random = Math.random, mask } = options;
+  let bestLayout = null;
+  let bestScore = -1;
+  let attemptsMade = 0;
+
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    attemptsMade++;
+    try {
+      console.log(`Attempt ${attempt + 1} to build crossword`);
+
+      // Try with different arrangements of words
+      const startingPositions = [
+        { row: 10, col: 10 },  // Center
+        { row: 5, col: 5 },    // Top-left
+        { row: 5, col: 15 }    // Top-right
+      ];
+
+      const position = startingPositions[attempt % startingPositions.length];
+
+      // Initialize grid with the first word
+      const grid = initializeEmptyGrid(CANVAS_SIZE, CANVAS_SIZE); // Larger grid to allow more words
+      const entries = [];
+      const dropped = [];
+
+      // Place first word, alternating directions between attempts
+      const firstWordData = words[0];
+      const direction = attempt % 2 === 0 ? 'across' : 'down';
+      // Inside a mask, start from the open cells nearest the starting position
+      const firstPlacement = mask
+        ? findMaskStart(mask, firstWordData.word, position, direction)
+        : { row: position.row, col: position.col, direction };
+
+      placeWordInGrid(grid, firstWordData.word, firstPlacement);
+      entries.push(createEntry(firstWordData, firstPlacement, 1));
+      const letterIndex = createLetterIndex(grid);
+
+      // Track used words to avoid duplicates
+      const usedWords = new Set([firstWordData.word]);
+
+      // Try to place remaining words
+      let entryNumber = 2;
+      let placedWords = 1;
+
+      // Shuffle remaining words slightly to get different arrangements
+      const remainingWords = words.slice(1);
+      if (attempt > 0) {
+        shuffle(remainingWords, random);
+      }
+
+      for (let i = 0; i < remainingWords.length; i++) {
+        const wordData = remainingWords[i];
+        if (usedWords.has(wordData.word)) continue; // Skip duplicates
+
+        const placement = findBestPlacement(grid, wordData.word, letterIndex, mask);
+        if (placement) {
+          placeWordInGrid(grid, wordData.word, placement, letterIndex);
+          entries.push(createEntry(wordData, placement, entryNumber++));
+          usedWords.add(wordData.word);
+          placedWords++;
+          console.log(`Placed word: ${wordData.word} (${placedWords} of ${words.length})`);
+        } else {
+          console.log(`Could not place word: ${wordData.word}`);
+          dropped.push({
+            answer: wordData.word,
+            clue: wordData.question,
+            reason: 'No valid intersecting position in the grid'
+          });
+        }
+      }
+
+      // Require at least 3 words to be placed for a valid crossword
+      if (placedWords < 3) {
+        console.log(`Only placed ${placedWords} words, need at least 3`);
+        continue;
+      }
+
+      // Score this crossword
+      const score = scoreGrid(grid, placedWords, words.length);
+      console.log(`Attempt ${attempt + 1} score: ${score} (placed ${placedWords}/${words.length} words)`);
+
+      if (score > bestScore) {
+        console.log(`New best score: ${score}`);
+        bestLayout = { grid, entries, dropped };
+        bestScore = score;
+      }
+
+      // If we've placed all words, no need to try more iterations
+      if (placedWords === words.length) {
+        console.log('Placed all words, breaking early');
+        break;
+      }
+    } catch (error) {
+      console.error(`Attempt ${attempt + 1} failed:`, error);
+    }
+  }
+
+  return bestLayout && { ...bestLayout, attempts: attemptsMade };
+};
+
+module.exports = {
+  name: 'greedy',
+  layout
+};
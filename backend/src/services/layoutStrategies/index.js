@@ -0,0 +1,71 @@
+// backend/src/services/layoutStrategies/index.js
+
+const greedyStrategy = require('./greedyStrategy');
+const backtrackingStrategy = require('./backtrackingStrategy');
+const fixedGridStrategy = require('./fixedGridStrategy');
+
+const DEFAULT_STRATEGY = greedyStrategy.name;
+
+// Registered layout strategies, keyed by name
+const strategies = new Map([
+  [greedyStrategy.name, greedyStrategy],
+  [backtrackingStrategy.name, backtrackingStrategy],
+  [fixedGridStrategy.name, fixedGridStrategy]
+]);
+
+// Largest search effort a request may ask for. Layouts run on the event
+// loop, so a bigger budget would hold up every other request.
+const LAYOUT_OPTION_LIMITS = {
+  timeBudgetMs: 5000,
+  attempts: 10,
+  beamWidth: 8
+};
+
+/**
+ * Look up a layout strategy by name
+ * @param {string} name - Strategy name
+ * @returns {Object} Strategy with a layout(words, options) function
+ */
+const getStrategy = (name = DEFAULT_STRATEGY) => {
+  const strategy = strategies.get(name);
+  if (!strategy) {
+    throw new Error(`Unknown layout strategy "${name}". Available strategies: ${[...strategies.keys()].join(', ')}`);
+  }
+  return strategy;
+};
+
+/**
+ * Validate the search effort options of a request
+ * @param {Object} options - Layout options with optional timeBudgetMs, attempts and beamWidth
+ * @returns {string|null} - Error message or null if valid
+ */
+const validateLayoutOptions = (options = {}) => {
+  const invalid = Object.keys(LAYOUT_OPTION_LIMITS).find(name =>
+    options[name] !== undefined && !(Number.isInteger(options[name]) && options[name] > 0));
+  if (invalid) {
+    return `${invalid} must be a positive whole number`;
+  }
+  return null;
+};
+
+/**
+ * Cap the search effort options at LAYOUT_OPTION_LIMITS
+ * @param {Object} options - Layout options
+ * @returns {Object} - Options with timeBudgetMs, attempts and beamWidth no larger than their limits
+ */
+const clampLayoutOptions = (options = {}) => {
+  const clamped = { ...options };
+  Object.entries(LAYOUT_OPTION_LIMITS).forEach(([name, max]) => {
+    if (clamped[name] !== undefined) clamped[name] = Math.min(clamped[name], max);
+  });
+  return clamped;
+};
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  LAYOUT_OPTION_LIMITS,
+  getStrategy,
+  validateLayoutOptions,
+  clampLayoutOptions,
+  strategyNames: [...strategies.keys()]
+};
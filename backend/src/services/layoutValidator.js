@@ -0,0 +1,245 @@
+// backend/src/services/layoutValidator.js
+
+const DIRECTIONS = ['across', 'down'];
+
+/**
+ * Get the grid cells an entry covers
+ * @param {Object} entry - Entry with answer, position and direction
+ * @returns {Array} Cells with row and col, first letter first
+ */
+const getEntryCells = (entry) => Array.from(entry.answer, (_, i) => (entry.direction === 'across'
+  ? { row: entry.position.row, col: entry.position.col + i }
+  : { row: entry.position.row + i, col: entry.position.col }));
+
+/**
+ * Describe an entry for an error message
+ * @param {Object} entry - Entry with answer, number and direction
+ * @returns {string} Such as "4 across (QUEEN)"
+ */
+const describeEntry = (entry) => `${entry.number ?? '?'} ${entry.direction} (${entry.answer})`;
+
+/**
+ * Check that the grid is a rectangle of cells holding '' or a single letter
+ * @param {*} grid - 2D grid array
+ * @returns {string|null} Error message or null if valid
+ */
+const validateGridShape = (grid) => {
+  if (!Array.isArray(grid) || grid.length === 0 || !grid.every(Array.isArray)) {
+    return 'Grid must be a non-empty array of rows';
+  }
+  const cols = grid[0].length;
+  if (cols === 0 || grid.some(cells => cells.length !== cols)) {
+    return 'Grid rows must all have the same, non-zero length';
+  }
+  if (grid.some(cells => cells.some(cell => typeof cell !== 'string' || [...cell].length > 1))) {
+    return 'Grid cells must be empty strings or single letters';
+  }
+  return null;
+};
+
+/**
+ * Check that an entry is well formed, lies inside the grid and matches
+ * the letters in it
+ * @param {*} entry - Entry from the puzzle
+ * @param {Array} grid - 2D grid array
+ * @returns {string|null} Error message or null if consistent
+ */
+const validateEntry = (entry, grid) => {
+  if (!entry || typeof entry !== 'object' || typeof entry.answer !== 'string' || !entry.answer) {
+    return 'Entry must have a non-empty answer';
+  }
+  if (!DIRECTIONS.includes(entry.direction)) {
+    return `Entry ${entry.answer} must have direction ${DIRECTIONS.join(' or ')}`;
+  }
+  const { row, col } = entry.position || {};
+  if (!Number.isInteger(row) || !Number.isInteger(col)) {
+    return `Entry ${describeEntry(entry)} must have a whole-number row and col position`;
+  }
+
+  const cells = getEntryCells(entry);
+  const last = cells[cells.length - 1];
+  if (row < 0 || col < 0 || last.row >= grid.length || last.col >= grid[0].length) {
+    return `Entry ${describeEntry(entry)} does not fit in the ${grid[0].length}x${grid.length} grid`;
+  }
+
+  const letters = cells.map(cell => grid[cell.row][cell.col]).join('');
+  if (letters !== entry.answer) {
+    return `Entry ${describeEntry(entry)} does not match the grid letters "${cells.map(cell => grid[cell.row][cell.col] || '_').join('')}"`;
+  }
+  return null;
+};
+
+/**
+ * Find the runs of two or more letters in one direction, which a valid
+ * layout has exactly one entry for each
+ * @param {Array} grid - 2D grid array
+ * @param {string} direction - 'across' or 'down'
+ * @returns {Array} Runs with row, col and letters
+ */
+const findLetterRuns = (grid, direction) => {
+  const lines = direction === 'across' ? grid.length : grid[0].length;
+  const length = direction === 'across' ? grid[0].length : grid.length;
+  const runs = [];
+
+  for (let line = 0; line < lines; line++) {
+    let start = null;
+    for (let i = 0; i <= length; i++) {
+      const letter = i < length ? (direction === 'across' ? grid[line][i] : grid[i][line]) : '';
+      if (letter !== '' && start === null) {
+        start = i;
+      } else if (letter === '' && start !== null) {
+        if (i - start >= 2) {
+          const position = direction === 'across' ? { row: line, col: start } : { row: start, col: line };
+          const cells = getEntryCells({ answer: ' '.repeat(i - start), position, direction });
+          runs.push({ ...position, letters: cells.map(cell => grid[cell.row][cell.col]).join('') });
+        }
+        start = null;
+      }
+    }
+  }
+
+  return runs;
+};
+
+/**
+ * Group entries that are linked by shared cells
+ * @param {Array} entries - Consistent entries
+ * @param {number} cols - Grid width
+ * @returns {Array} Groups of entries, largest first
+ */
+const groupConnectedEntries = (entries, cols) => {
+  const entriesByCell = new Map();
+  entries.forEach((entry, index) => {
+    getEntryCells(entry).forEach(({ row, col }) => {
+      const key = row * cols + col;
+      if (!entriesByCell.has(key)) entriesByCell.set(key, []);
+      entriesByCell.get(key).push(index);
+    });
+  });
+
+  const groupOf = new Array(entries.length).fill(-1);
+  const groups = [];
+  entries.forEach((_, first) => {
+    if (groupOf[first] !== -1) return;
+    const group = [];
+    const queue = [first];
+    groupOf[first] = groups.length;
+    while (queue.length > 0) {
+      const index = queue.shift();
+      group.push(entries[index]);
+      getEntryCells(entries[index]).forEach(({ row, col }) => {
+        entriesByCell.get(row * cols + col).forEach(next => {
+          if (groupOf[next] === -1) {
+            groupOf[next] = groups.length;
+            queue.push(next);
+          }
+        });
+      });
+    }
+    groups.push(group);
+  });
+
+  return groups.sort((a, b) => b.length - a.length);
+};
+
+/**
+ * Check a crossword layout. Finds entries that do not match the grid and
+ * letters no entry covers (consistency), letter runs that are not exactly
+ * one entry, such as side-by-side words spelling strings across each other
+ * (adjacency), numbers out of reading order or shared by two entries in the
+ * same direction (numbering), and entries cut off from the rest of the grid
+ * (connectivity).
+ * @param {Array} grid - 2D grid array, '' for empty cells
+ * @param {Array} entries - Entries with answer, position, direction and number
+ * @returns {Object} valid, errors with the check that failed and a message,
+ * the number of connected components and the orphan entries outside the largest one
+ */
+const validateLayout = (grid, entries) => {
+  const errors = [];
+  const addError = (check, message) => errors.push({ check, message });
+
+  const gridError = validateGridShape(grid);
+  if (gridError) {
+    addError('consistency', gridError);
+    return { valid: false, errors, components: 0, orphans: [] };
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    addError('consistency', 'Entries must be a non-empty array');
+    return { valid: false, errors, components: 0, orphans: [] };
+  }
+
+  const cols = grid[0].length;
+
+  // Consistency: every entry matches the grid and every letter is in an entry
+  const consistent = entries.filter(entry => {
+    const error = validateEntry(entry, grid);
+    if (error) addError('consistency', error);
+    return !error;
+  });
+
+  const covered = new Set();
+  consistent.forEach(entry => getEntryCells(entry).forEach(({ row, col }) => covered.add(row * cols + col)));
+  grid.forEach((cells, row) => cells.forEach((letter, col) => {
+    if (letter !== '' && !covered.has(row * cols + col)) {
+      addError('consistency', `Letter ${letter} at row ${row}, col ${col} is not part of any entry`);
+    }
+  }));
+
+  // Adjacency: each run of letters must be exactly one entry, so words
+  // neither touch end to end nor lie alongside each other
+  DIRECTIONS.forEach(direction => {
+    const inDirection = consistent.filter(entry => entry.direction === direction);
+    const entryStarts = new Map(inDirection.map(entry => [`${entry.position.row},${entry.position.col}`, entry]));
+    const runs = findLetterRuns(grid, direction);
+    const runStarts = new Map(runs.map(run => [`${run.row},${run.col}`, run]));
+
+    runs.forEach(run => {
+      const entry = entryStarts.get(`${run.row},${run.col}`);
+      if (!entry || entry.answer !== run.letters) {
+        addError('adjacency', `Letters ${run.letters} ${direction} at row ${run.row}, col ${run.col} are not an entry`);
+      }
+    });
+    inDirection.forEach(entry => {
+      const run = runStarts.get(`${entry.position.row},${entry.position.col}`);
+      if (!run || run.letters !== entry.answer) {
+        addError('adjacency', `Entry ${describeEntry(entry)} runs into adjacent letters`);
+      }
+    });
+  });
+
+  // Numbering: starts are numbered from 1 in reading order, an across and a
+  // down entry at the same start share a number and nothing else does
+  const starts = [...new Set(consistent.map(entry => entry.position.row * cols + entry.position.col))].sort((a, b) => a - b);
+  const expectedNumbers = new Map(starts.map((start, i) => [start, i + 1]));
+  const numbered = new Map();
+  consistent.forEach(entry => {
+    const expected = expectedNumbers.get(entry.position.row * cols + entry.position.col);
+    if (entry.number !== expected) {
+      addError('numbering', `Entry ${describeEntry(entry)} at row ${entry.position.row}, col ${entry.position.col} should be numbered ${expected}`);
+    }
+    const key = `${entry.number} ${entry.direction}`;
+    if (numbered.has(key)) {
+      addError('numbering', `Entries ${describeEntry(numbered.get(key))} and ${describeEntry(entry)} share a number`);
+    } else {
+      numbered.set(key, entry);
+    }
+  });
+
+  // Connectivity: all entries are linked through shared letters
+  const groups = groupConnectedEntries(consistent, cols);
+  const orphans = groups.slice(1).flat();
+  groups.slice(1).forEach(group => {
+    addError('connectivity', `${group.length === 1 ? 'Entry' : 'Entries'} ${group.map(describeEntry).join(', ')} ${group.length === 1 ? 'is' : 'are'} not connected to the rest of the grid`);
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    components: groups.length,
+    orphans: orphans.map(entry => ({ number: entry.number, direction: entry.direction, answer: entry.answer }))
+  };
+};
+
+module.exports = {
+  validateLayout
+};
@@ -0,0 +1,142 @@
+// backend/src/services/llm/fixtureProvider.js
+
+const { getLocale, normalizeAnswer } = require('../locales');
+
+/**
+ * Split text into uppercase words of a locale's alphabet
+ * @param {string} text - Text
+ * @param {Object} locale - Locale from getLocale
+ * @returns {Array} - Words
+ */
+const toWords = (text, locale) =>
+  String(text || '')
+    .split(/[^\p{L}]+/u)
+    .map(word => normalizeAnswer(word, locale))
+    .filter(Boolean);
+
+// Clues per locale
+const TEXTS = {
+  'en-US': {
+    band: (track) => `Artist behind "${track.title}"`,
+    artist: (track) => `Name in the artist credit of "${track.title}"`,
+    title: (track) => `Word from the title of the ${track.year} song by ${track.artists}`,
+    era: (track) => `Decade of "${track.title}" by ${track.artists}`,
+    album: (track) => `Word from the album that has "${track.title}" by ${track.artists}`
+  },
+  'sv-SE': {
+    band: (track) => `Artisten bakom "${track.title}"`,
+    artist: (track) => `Namn bland artisterna på "${track.title}"`,
+    title: (track) => `Ord ur titeln på låten från ${track.year} av ${track.artists}`,
+    era: (track) => `Årtiondet då "${track.title}" av ${track.artists} kom ut`,
+    album: (track) => `Ord ur albumet med "${track.title}" av ${track.artists}`
+  }
+};
+
+/**
+ * List the answers a fixture question can use for a track, with their clues
+ * @param {Object} track - Prompt track (id, title, artists, album, year)
+ * @param {Object} locale - Locale from getLocale
+ * @returns {Array} - Candidates with question and answer
+ */
+const trackCandidates = (track, locale) => {
+  const texts = TEXTS[locale.name];
+  const decade = locale.decades[Math.floor(Number(track.year) / 10)];
+  // Full name of the first artist, when it is more than one word
+  const band = toWords(String(track.artists || '').split(',')[0], locale);
+
+  return [
+    ...(band.length > 1 ? [{
+      question: texts.band(track),
+      answer: band.join(' '),
+      difficulty: 'easy',
+      category: 'artist'
+    }] : []),
+    ...toWords(track.artists, locale).map(answer => ({
+      question: texts.artist(track),
+      answer,
+      difficulty: 'easy',
+      category: 'artist'
+    })),
+    ...toWords(track.title, locale).map(answer => ({
+      question: texts.title(track),
+      answer,
+      difficulty: 'medium',
+      category: 'wordplay'
+    })),
+    ...(decade ? [{
+      question: texts.era(track),
+      answer: decade,
+      difficulty: 'medium',
+      category: 'era'
+    }] : []),
+    ...toWords(track.album, locale).map(answer => ({
+      question: texts.album(track),
+      answer,
+      difficulty: 'hard',
+      category: 'album'
+    }))
+  ];
+};
+
+/**
+ * Build fixture crossword questions from the prompt tracks, taking one
+ * answer per track in turn so every track gets questions
+ * @param {Object} input - tracks, maxQuestions, minAnswerLength, maxAnswerLength,
+ * excludeAnswers already used, optional difficulties (most questions per difficulty) and locale
+ * @returns {Array} - Questions with question, answer, trackId, difficulty and category
+ */
+const buildQuestions = ({ tracks, maxQuestions, minAnswerLength, maxAnswerLength, excludeAnswers = [], difficulties, locale }) => {
+  const questionLocale = getLocale(locale);
+  const used = new Set(excludeAnswers);
+  const left = { ...difficulties };
+  const candidatesByTrack = tracks.map(track =>
+    trackCandidates(track, questionLocale)
+      .filter(({ answer }) => {
+        const { length } = normalizeAnswer(answer, questionLocale);
+        return length >= minAnswerLength && length <= maxAnswerLength;
+      })
+      .map(candidate => ({ ...candidate, trackId: track.id }))
+  );
+
+  const questions = [];
+  const rounds = Math.max(0, ...candidatesByTrack.map(candidates => candidates.length));
+  for (let round = 0; round < rounds && questions.length < maxQuestions; round++) {
+    for (const candidates of candidatesByTrack) {
+      const candidate = candidates[round];
+      if (!candidate || used.has(candidate.answer)) continue;
+      if (difficulties && !(left[candidate.difficulty] > 0)) continue;
+      used.add(candidate.answer);
+      left[candidate.difficulty] -= 1;
+      questions.push(candidate);
+      if (questions.length === maxQuestions) break;
+    }
+  }
+
+  return questions;
+};
+
+// Response builders per task, keyed by the task name callers pass
+const responses = new Map([
+  ['questions', buildQuestions]
+]);
+
+/**
+ * Answer a completion request from built-in fixtures. The response only
+ * depends on the task and its input, so runs are repeatable offline.
+ * @param {Object} request - task and input
+ * @returns {Promise<string>} - Response text
+ */
+const complete = async ({ task, input }) => {
+  const buildResponse = responses.get(task);
+  if (!buildResponse) {
+    throw new Error(`No fixture response for task "${task}". Available tasks: ${[...responses.keys()].join(', ')}`);
+  }
+
+  return JSON.stringify(buildResponse(input));
+};
+
+module.exports = {
+  name: 'fixture',
+  defaultModel: 'fixture',
+  complete
+};
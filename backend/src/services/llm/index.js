@@ -0,0 +1,157 @@
+// backend/src/services/llm/index.js
+
+const { config } = require('../../../config');
+const openaiProvider = require('./openaiProvider');
+const localProvider = require('./localProvider');
+const fixtureProvider = require('./fixtureProvider');
+
+/**
+ * An LlmProvider runs completions for AI features. Callers describe the
+ * task and pass its structured input next to the prompt, so providers that
+ * do not run a model (the fixture provider) can still answer.
+ *
+ * @typedef {Object} LlmProvider
+ * @property {string} name - Provider name used to select it per request
+ * @property {string} defaultModel - Model used when a request names none
+ * @property {Function} complete - async ({ task, input, model, messages, temperature }) => response text
+ * @property {Function} [completeStream] - async (request, onText) => response text, passing text on as it arrives
+ * @property {string} [defaultSpeechModel] - Speech model used when a request names none
+ * @property {Function} [synthesizeSpeech] - async ({ model, voice, input, responseFormat, instructions }) => audio Buffer
+ */
+
+// Registered LLM providers, keyed by name
+const providers = new Map([
+  [openaiProvider.name, openaiProvider],
+  [localProvider.name, localProvider],
+  [fixtureProvider.name, fixtureProvider]
+]);
+
+const DEFAULT_PROVIDER = providers.has(config.llm.provider) ? config.llm.provider : openaiProvider.name;
+
+/**
+ * Look up an LLM provider by name
+ * @param {string} name - Provider name
+ * @returns {LlmProvider} Provider
+ */
+const getProvider = (name = DEFAULT_PROVIDER) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${name}". Available providers: ${[...providers.keys()].join(', ')}`);
+  }
+  return provider;
+};
+
+/**
+ * List the models requests may choose for a provider: its default models
+ * and the models of LLM_ALLOWED_MODELS
+ * @param {LlmProvider} llmProvider - Provider
+ * @returns {Array} - Model names
+ */
+const getAllowedModels = (llmProvider) => [...new Set([
+  llmProvider.defaultModel,
+  llmProvider.defaultSpeechModel,
+  ...config.llm.allowedModels
+].filter(Boolean))];
+
+/**
+ * Check that a requested model may be used with a provider
+ * @param {LlmProvider} llmProvider - Provider
+ * @param {string} model - Optional model from a request
+ * @returns {string|null} - Error message or null if allowed
+ */
+const checkModel = (llmProvider, model) => {
+  if (model === undefined || model === null) return null;
+  const allowedModels = getAllowedModels(llmProvider);
+  return allowedModels.includes(model)
+    ? null
+    : `Unknown model for LLM provider "${llmProvider.name}". Available models: ${allowedModels.join(', ')}`;
+};
+
+/**
+ * Validate the LLM options of a request
+ * @param {Object} llm - Optional provider and model
+ * @returns {string|null} - Error message or null if valid
+ */
+const validateLlmOptions = (llm) => {
+  if (llm === undefined) return null;
+  if (!llm || typeof llm !== 'object') {
+    return 'llm must be an object with an optional provider and model';
+  }
+  if (llm.provider !== undefined && !providers.has(llm.provider)) {
+    return `Unknown LLM provider. Available providers: ${[...providers.keys()].join(', ')}`;
+  }
+  if (llm.model !== undefined && (typeof llm.model !== 'string' || !llm.model.trim())) {
+    return 'llm.model must be a non-empty string';
+  }
+  return checkModel(getProvider(llm.provider), llm.model);
+};
+
+/**
+ * Get the model a completion or speech request runs with
+ * @param {LlmProvider} llmProvider - Provider
+ * @param {string} model - Optional model from the request
+ * @param {string} defaultModel - Model used when the request names none
+ * @returns {string} - Model name
+ */
+const selectModel = (llmProvider, model, defaultModel) => {
+  const error = checkModel(llmProvider, model || undefined);
+  if (error) {
+    throw Object.assign(new Error(error), { statusCode: 400 });
+  }
+  return model || defaultModel;
+};
+
+/**
+ * Run a completion with the chosen provider and model. With onText the
+ * response is streamed when the provider supports it; otherwise onText
+ * gets the whole response at once.
+ * @param {Object} request - task, input, messages and temperature
+ * @param {Object} llm - Optional provider and model, defaulting to the configured ones
+ * @param {Object} listeners - Optional onText, called with each new piece of text
+ * @returns {Promise<string>} - Response text
+ */
+const complete = async (request, { provider, model } = {}, { onText } = {}) => {
+  const llmProvider = getProvider(provider);
+  const selectedModel = selectModel(llmProvider, model, llmProvider.defaultModel);
+
+  console.log(`Running ${request.task} completion with ${llmProvider.name} (${selectedModel})`);
+  if (onText && llmProvider.completeStream) {
+    return llmProvider.completeStream({ ...request, model: selectedModel }, onText);
+  }
+
+  const content = await llmProvider.complete({ ...request, model: selectedModel });
+  if (onText) onText(content);
+  return content;
+};
+
+/**
+ * Check whether a provider can generate speech
+ * @param {string} name - Provider name
+ * @returns {boolean} - True if the provider has speech synthesis
+ */
+const supportsSpeech = (name = DEFAULT_PROVIDER) => Boolean(getProvider(name).synthesizeSpeech);
+
+/**
+ * Generate speech with the chosen provider and model
+ * @param {Object} request - voice, input, responseFormat and instructions
+ * @param {Object} llm - Optional provider and model, defaulting to the configured ones
+ * @returns {Promise<Buffer>} - Audio
+ */
+const synthesizeSpeech = (request, { provider, model } = {}) => {
+  const llmProvider = getProvider(provider);
+  if (!llmProvider.synthesizeSpeech) {
+    throw new Error(`LLM provider "${llmProvider.name}" does not support speech`);
+  }
+
+  return llmProvider.synthesizeSpeech({ ...request, model: selectModel(llmProvider, model, llmProvider.defaultSpeechModel) });
+};
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  getProvider,
+  providerNames: [...providers.keys()],
+  validateLlmOptions,
+  complete,
+  supportsSpeech,
+  synthesizeSpeech
+};
@@ -0,0 +1,33 @@
+// backend/src/services/llm/localProvider.js
+
+const { config } = require('../../../config');
+const { createLazyClient, createChatCompletion, createChatCompletionStream } = require('./openaiClient');
+
+// Local servers such as Ollama and the llama.cpp server speak the OpenAI
+// chat completions API and ignore the API key
+const getClient = createLazyClient(() => ({
+  apiKey: config.llm.local.apiKey,
+  baseURL: config.llm.local.baseUrl
+}));
+
+/**
+ * Run a chat completion with the local OpenAI-compatible server
+ * @param {Object} request - model, messages and temperature
+ * @returns {Promise<string>} - Response text
+ */
+const complete = (request) => createChatCompletion(getClient(), request);
+
+/**
+ * Run a streamed chat completion with the local OpenAI-compatible server
+ * @param {Object} request - model, messages and temperature
+ * @param {Function} onText - Called with each new piece of text
+ * @returns {Promise<string>} - Full response text
+ */
+const completeStream = (request, onText) => createChatCompletionStream(getClient(), request, onText);
+
+module.exports = {
+  name: 'local',
+  defaultModel: config.llm.local.model,
+  complete,
+  completeStream
+};
@@ -0,0 +1,68 @@
+// backend/src/services/llm/openaiClient.js
+
+const { OpenAI } = require('openai');
+
+/**
+ * Create a getter for an OpenAI SDK client that is only built on first
+ * use, so the server starts without credentials for unused providers
+ * @param {Function} getOptions - () => client options (apiKey, baseURL)
+ * @returns {Function} - () => OpenAI client
+ */
+const createLazyClient = (getOptions) => {
+  let client = null;
+  return () => {
+    if (!client) {
+      client = new OpenAI(getOptions());
+    }
+    return client;
+  };
+};
+
+/**
+ * Run a chat completion and return the text of the first choice
+ * @param {Object} client - OpenAI SDK client
+ * @param {Object} request - model, messages and temperature
+ * @returns {Promise<string>} - Response text
+ */
+const createChatCompletion = async (client, { model, messages, temperature }) => {
+  const response = await client.chat.completions.create({
+    model,
+    messages,
+    temperature
+  });
+
+  return response.choices[0].message.content;
+};
+
+/**
+ * Run a streamed chat completion, passing each piece of text on as it
+ * arrives
+ * @param {Object} client - OpenAI SDK client
+ * @param {Object} request - model, messages and temperature
+ * @param {Function} onText - Called with each new piece of text
+ * @returns {Promise<string>} - Full response text
+ */
+const createChatCompletionStream = async (client, { model, messages, temperature }, onText) => {
+  const stream = await client.chat.completions.create({
+    model,
+    messages,
+    temperature,
+    stream: true
+  });
+
+  let content = '';
+  for await (const chunk of stream) {
+    const text = chunk.choices[0]?.delta?.content;
+    if (text) {
+      content += text;
+      onText(text);
+    }
+  }
+  return content;
+};
+
+module.exports = {
+  createLazyClient,
+  createChatCompletion,
+  createChatCompletionStream
+};
@@ -0,0 +1,47 @@
+// backend/src/services/llm/openaiProvider.js
+
+const { config } = require('../../../config');
+const { createLazyClient, createChatCompletion, createChatCompletionStream } = require('./openaiClient');
+
+const getClient = createLazyClient(() => ({ apiKey: config.openai.apiKey }));
+
+/**
+ * Run a chat completion with OpenAI
+ * @param {Object} request - model, messages and temperature
+ * @returns {Promise<string>} - Response text
+ */
+const complete = (request) => createChatCompletion(getClient(), request);
+
+/**
+ * Run a streamed chat completion with OpenAI
+ * @param {Object} request - model, messages and temperature
+ * @param {Function} onText - Called with each new piece of text
+ * @returns {Promise<string>} - Full response text
+ */
+const completeStream = (request, onText) => createChatCompletionStream(getClient(), request, onText);
+
+/**
+ * Generate speech with the OpenAI TTS API
+ * @param {Object} request - model, voice, input, responseFormat and instructions
+ * @returns {Promise<Buffer>} - Audio
+ */
+const synthesizeSpeech = async ({ model, voice, input, responseFormat, instructions }) => {
+  const speech = await getClient().audio.speech.create({
+    model,
+    voice,
+    input,
+    response_format: responseFormat,
+    instructions
+  });
+
+  return Buffer.from(await speech.arrayBuffer());
+};
+
+module.exports = {
+  name: 'openai',
+  defaultModel: config.openai.model,
+  defaultSpeechModel: config.openai.ttsModel,
+  complete,
+  completeStream,
+  synthesizeSpeech
+};
@@ -0,0 +1,143 @@
+// backend/src/services/locales.js
+
+const DEFAULT_LOCALE = 'en-US';
+
+// Supported puzzle locales, keyed by name. alphabet lists the letters a
+// grid cell can hold, wordList names the fill word list in src/data
+// used by the fixed strategy, if the locale has one, and decades names the
+// decades as answers, keyed by the year divided by ten.
+const locales = new Map([
+  ['en-US', {
+    name: 'en-US',
+    language: 'English',
+    alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    alphabetLabel: 'A-Z',
+    wordList: 'wordlist.txt',
+    decades: {
+      195: 'FIFTIES',
+      196: 'SIXTIES',
+      197: 'SEVENTIES',
+      198: 'EIGHTIES',
+      199: 'NINETIES',
+      200: 'NOUGHTIES'
+    }
+  }],
+  ['sv-SE', {
+    name: 'sv-SE',
+    language: 'Swedish',
+    alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZÅÄÖ',
+    alphabetLabel: 'A-Z, Å, Ä and Ö',
+    wordList: null,
+    decades: {
+      195: 'FEMTIOTALET',
+      196: 'SEXTIOTALET',
+      197: 'SJUTTIOTALET',
+      198: 'ÅTTIOTALET',
+      199: 'NITTIOTALET',
+      200: 'NOLLTALET'
+    }
+  }]
+]);
+
+/**
+ * Look up a locale by name
+ * @param {string} name - Locale name such as sv-SE
+ * @returns {Object} Locale with name, language, alphabet, alphabetLabel, wordList and decades
+ */
+const getLocale = (name = DEFAULT_LOCALE) => {
+  const locale = locales.get(name);
+  if (!locale) {
+    throw new Error(`Unknown locale "${name}". Available locales: ${[...locales.keys()].join(', ')}`);
+  }
+  return locale;
+};
+
+/**
+ * Validate the locale of a request
+ * @param {string} name - Optional locale name
+ * @returns {string|null} - Error message or null if valid
+ */
+const validateLocale = (name) => {
+  if (name === undefined || locales.has(name)) return null;
+  return `Unknown locale. Available locales: ${[...locales.keys()].join(', ')}`;
+};
+
+/**
+ * Uppercase an answer, taking the accent off letters outside a locale's
+ * alphabet, so BEYONCÉ becomes BEYONCE while Swedish keeps the Ö in BJÖRK
+ * @param {string} text - Answer text
+ * @param {Object} locale - Locale from getLocale
+ * @returns {string} - Uppercase text
+ */
+const foldAccents = (text, locale) =>
+  Array.from(String(text || '').normalize('NFC').toLocaleUpperCase(locale.name))
+    .map(char => (locale.alphabet.includes(char) ? char : char.normalize('NFD').replace(/[\u0300-\u036f]/g, '')))
+    .join('');
+
+/**
+ * Uppercase an answer and keep only the letters of a locale's alphabet.
+ * Accented letters outside the alphabet lose their accent.
+ * @param {string} text - Answer text
+ * @param {Object} locale - Locale from getLocale
+ * @returns {string} - Grid letters
+ */
+const normalizeAnswer = (text, locale = getLocale()) =>
+  Array.from(foldAccents(text, locale)).filter(char => locale.alphabet.includes(char)).join('');
+
+// Characters allowed between the words of an answer such as GUNS N' ROSES
+const WORD_SEPARATORS = ' -';
+// Punctuation inside names such as AC/DC and R.E.M., dropped from the grid
+const WORD_PUNCTUATION = "'’/.";
+
+/**
+ * Check that an answer is words of a locale's alphabet, with single
+ * spaces or hyphens between them and apostrophes, slashes or periods
+ * where they belong. Accented letters outside the alphabet count as
+ * the letters normalizeAnswer folds them to.
+ * @param {string} text - Uppercase answer
+ * @param {Object} locale - Locale from getLocale
+ * @returns {boolean} - True if the answer only uses those characters
+ */
+const isAnswerText = (text, locale = getLocale()) => {
+  const chars = Array.from(foldAccents(text, locale));
+  return chars.some(char => locale.alphabet.includes(char)) &&
+    chars.every(char => locale.alphabet.includes(char) || WORD_SEPARATORS.includes(char) || WORD_PUNCTUATION.includes(char)) &&
+    !/^[\s-]|[\s-]$|[\s-]{2}/.test(text);
+};
+
+/**
+ * Describe the word lengths of an answer the way crossword clues do:
+ * "4,5" for PINK FLOYD, "2-2" for HI-HO and "6" for single words.
+ * Apostrophes and other punctuation don't split words.
+ * @param {string} text - Answer as written
+ * @param {Object} locale - Locale from getLocale
+ * @returns {string} - Letters per word, separated by , for spaces and - for hyphens
+ */
+const getEnumeration = (text, locale = getLocale()) => {
+  let enumeration = '';
+  let separator = null;
+
+  String(text || '').trim().split(/([\s-]+)/).forEach((part, i) => {
+    // Odd parts are the separators the split captured
+    if (i % 2 === 1) {
+      separator = separator === ',' || /\s/.test(part) ? ',' : '-';
+      return;
+    }
+    const length = normalizeAnswer(part, locale).length;
+    if (length === 0) return;
+    enumeration += `${enumeration && separator ? separator : ''}${length}`;
+    separator = null;
+  });
+
+  return enumeration;
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  getLocale,
+  validateLocale,
+  normalizeAnswer,
+  isAnswerText,
+  getEnumeration,
+  localeNames: [...locales.keys()]
+};
@@ -0,0 +1,316 @@
+// backend/src/services/luckyCrosswordService.js
+
+const openaiService = require('./openaiService');
+const crosswordService = require('./crosswordService');
+const authService = require('./authService');
+const { getProvider, providerNames } = require('./musicSources');
+const { validateLlmOptions } = require('./llm');
+const { getLocale, validateLocale, normalizeAnswer } = require('./locales');
+const {
+  CATEGORIES,
+  validateDifficultyMix,
+  getDifficultyTargets,
+  countByDifficulty,
+  countByCategory
+} = require('./questionSchema');
+const { isValidSeed } = require('../utils/random');
+
+// Fewest and most questions a lucky crossword is built from
+const MIN_SELECTED_QUESTIONS = 5;
+const MAX_SELECTED_QUESTIONS = 15;
+
+/**
+ * Validate the selection quotas of a request
+ * @param {Object} quotas - Optional maxPerCategory, maxPerTrack and categories
+ * (most questions for each named category)
+ * @returns {string|null} - Error message or null if valid
+ */
+const validateSelectionQuotas = (quotas) => {
+  if (quotas === undefined) return null;
+  if (!quotas || typeof quotas !== 'object' || Array.isArray(quotas)) {
+    return 'quotas must be an object with optional maxPerCategory, maxPerTrack and categories';
+  }
+
+  const invalidMax = ['maxPerCategory', 'maxPerTrack'].find(key =>
+    quotas[key] !== undefined && !(Number.isInteger(quotas[key]) && quotas[key] > 0)
+  );
+  if (invalidMax) {
+    return `quotas.${invalidMax} must be a positive integer`;
+  }
+
+  const { categories } = quotas;
+  if (categories === undefined) return null;
+  if (!categories || typeof categories !== 'object' || Array.isArray(categories)) {
+    return 'quotas.categories must be an object with the most questions per category';
+  }
+  const unknown = Object.keys(categories).filter(category => !CATEGORIES.includes(category));
+  if (unknown.length > 0) {
+    return `Unknown category in quotas.categories: ${unknown.join(', ')}. Categories are: ${CATEGORIES.join(', ')}`;
+  }
+  if (Object.values(categories).some(count => !Number.isInteger(count) || count < 0)) {
+    return 'quotas.categories counts must be non-negative integers';
+  }
+  return null;
+};
+
+/**
+ * Compare two sort keys element by element
+ * @param {Array} a - Sort key
+ * @param {Array} b - Sort key
+ * @returns {number} - Negative if a comes first
+ */
+const compareKeys = (a, b) => {
+  const index = a.findIndex((value, i) => value !== b[i]);
+  return index === -1 ? 0 : a[index] - b[index];
+};
+
+/**
+ * Select best questions for crossword building. Questions are picked one
+ * at a time within the quotas, preferring a difficulty that is still short
+ * of the mix, then the least used category, then the least used track,
+ * then the most confident fact check.
+ * @param {Array} questions - Array of question objects
+ * @param {Object} options - Optional difficultyMix the selection should follow,
+ * quotas (maxPerCategory, maxPerTrack and categories) it must stay within and
+ * the locale whose alphabet answers use
+ * @returns {Array} - Selected questions for crossword
+ */
+const selectBestQuestions = (questions, { difficultyMix, quotas = {}, locale } = {}) => {
+  // Filter for valid questions (3-12 letters of the alphabet)
+  const validQuestions = questions.filter(q => {
+    const answer = normalizeAnswer(q.answer, getLocale(locale));
+    return answer.length >= 3 && answer.length <= 12;
+  });
+
+  if (validQuestions.length < MIN_SELECTED_QUESTIONS) {
+    throw new Error(`Not enough valid questions. Need at least ${MIN_SELECTED_QUESTIONS} valid questions to create a crossword.`);
+  }
+
+  const limit = Math.min(MAX_SELECTED_QUESTIONS, validQuestions.length);
+  const difficultyTargets = getDifficultyTargets(difficultyMix, limit);
+  const difficultyCounts = countByDifficulty([]);
+  const categoryCounts = new Map();
+  const trackCounts = new Map();
+  const categoryLimit = (category) => Math.min(
+    quotas.categories?.[category] ?? Infinity,
+    quotas.maxPerCategory ?? Infinity
+  );
+  const fitsQuotas = (question) =>
+    (categoryCounts.get(question.category) || 0) < categoryLimit(question.category) &&
+    (trackCounts.get(question.trackId) || 0) < (quotas.maxPerTrack ?? Infinity);
+
+  const remaining = [...validQuestions];
+  const selectedQuestions = [];
+  while (selectedQuestions.length < limit) {
+    let bestIndex = -1;
+    let bestKey = null;
+    remaining.forEach((question, index) => {
+      if (!fitsQuotas(question)) return;
+
+      const key = [
+        difficultyCounts[question.difficulty] < difficultyTargets[question.difficulty] ? 0 : 1,
+        categoryCounts.get(question.category) || 0,
+        trackCounts.get(question.trackId) || 0,
+        -(question.confidence ?? 1)
+      ];
+      // Ties keep the order the questions were generated in
+      if (bestIndex === -1 || compareKeys(key, bestKey) < 0) {
+        bestIndex = index;
+        bestKey = key;
+      }
+    });
+    if (bestIndex === -1) break;
+
+    const [question] = remaining.splice(bestIndex, 1);
+    selectedQuestions.push(question);
+    if (question.difficulty in difficultyCounts) difficultyCounts[question.difficulty] += 1;
+    categoryCounts.set(question.category, (categoryCounts.get(question.category) || 0) + 1);
+    trackCounts.set(question.trackId, (trackCounts.get(question.trackId) || 0) + 1);
+  }
+
+  if (selectedQuestions.length < MIN_SELECTED_QUESTIONS) {
+    throw new Error(`Not enough valid questions within the selection quotas: got ${selectedQuestions.length}, need at least ${MIN_SELECTED_QUESTIONS}.`);
+  }
+
+  return selectedQuestions;
+};
+
+/**
+ * Count the clues of a crossword per difficulty, category and track
+ * @param {Array} entries - Crossword entries
+ * @returns {Object} - difficulties, categories and tracks with their counts
+ */
+const describeDistribution = (entries) => {
+  const clued = entries.filter(entry => !entry.isFill);
+  const tracks = {};
+  clued.forEach(entry => {
+    if (entry.trackId) tracks[entry.trackId] = (tracks[entry.trackId] || 0) + 1;
+  });
+
+  return {
+    difficulties: countByDifficulty(clued),
+    categories: countByCategory(clued),
+    tracks
+  };
+};
+
+/**
+ * Create song groups directly by matching questions to tracks
+ * @param {Array} generatedQuestions - All generated questions
+ * @param {Array} tracks - Tracks from the playlist
+ * @returns {Array} - Song groups with associated questions
+ */
+const createSongGroups = (generatedQuestions, tracks) => {
+  const songGroups = [];
+  const trackMap = new Map();
+
+  tracks.forEach(track => {
+    trackMap.set(track.id, {
+      id: track.id,
+      name: track.name,
+      artists: track.artists,
+      album: track.album,
+      previewUrl: track.previewUrl,
+      popularityScore: track.popularityScore || 0,
+      questions: [],
+      imageUrl: track.album.images?.[0]?.url || null
+    });
+  });
+
+  generatedQuestions.forEach(question => {
+    if (question.trackId && trackMap.has(question.trackId)) {
+      trackMap.get(question.trackId).questions.push(question);
+    } else {
+      console.warn(`Question "${question.question}" has no valid trackId`);
+    }
+  });
+
+  trackMap.forEach(group => {
+    if (group.questions.length > 0) {
+      songGroups.push(group);
+    }
+  });
+
+  return songGroups;
+};
+
+/**
+ * Validate a lucky crossword request and look up the user's Spotify token
+ * @param {Object} body - Request body
+ * @param {number} userId - Optional ID of the logged in user
+ * @returns {Promise<Object>} - Either error (status and body) or the parsed
+ * provider, request, seed, llm, difficultyMix, quotas, locale and accessToken
+ */
+const parseLuckyRequest = async (body, userId = null) => {
+  const { provider, seed, llm, difficultyMix, quotas, locale, ...request } = body;
+  
+  if (provider && !providerNames.includes(provider)) {
+    return {
+      error: {
+        status: 400,
+        body: { error: `Unknown music source provider. Available providers: ${providerNames.join(', ')}` }
+      }
+    };
+  }
+  const musicSource = getProvider(provider);
+  console.log(`Creating lucky crossword from ${musicSource.name}`);
+  
+  const validationError = musicSource.validateSourceRequest(request) ||
+    validateLlmOptions(llm) ||
+    validateDifficultyMix(difficultyMix) ||
+    validateSelectionQuotas(quotas) ||
+    validateLocale(locale);
+  if (validationError) {
+    return { error: { status: 400, body: { error: validationError } } };
+  }
+  
+  if (seed !== undefined && !isValidSeed(seed)) {
+    return { error: { status: 400, body: { error: 'Seed must be a number or a non-empty string' } } };
+  }
+  
+  // Logged in users read Spotify with their own token
+  const accessToken = userId ? await authService.getSpotifyAccessToken(userId) : null;
+  if (musicSource.needsUserToken(request) && !accessToken) {
+    return { error: { status: 401, body: { error: 'Log in with Spotify to use your library' } } };
+  }
+  
+  return { provider: musicSource.name, request, seed, llm, difficultyMix, quotas, locale, accessToken };
+};
+
+/**
+ * Fetch the tracks, generate and select questions, lay out the crossword
+ * and group it by song
+ * @param {Object} lucky - Parsed request from parseLuckyRequest
+ * @param {Object} listeners - Optional onStage(stage, details) and onQuestion(question)
+ * @returns {Promise<Object>} - Crossword with song groups and playlist info
+ */
+const buildLuckyCrossword = async ({ provider, request, seed, llm, difficultyMix, quotas, locale, accessToken }, listeners = {}) => {
+  const { onStage = () => {} } = listeners;
+  
+  // Step 1: Get playlist data
+  onStage('fetching-tracks');
+  const playlistData = await getProvider(provider).getSourceData(request, { accessToken });
+  
+  // Step 2: Generate questions
+  const questions = await openaiService.generateQuestions(playlistData.tracks, {
+    maxQuestions: 25, // Increased for more variety
+    minAnswerLength: 3,
+    maxAnswerLength: 12,
+    difficultyMix,
+    locale,
+    llm
+  }, { ...listeners, onStage });
+  
+  // Step 3: Select best questions
+  onStage('selecting-questions', { questions: questions.length });
+  const selectedQuestions = selectBestQuestions(questions, { difficultyMix, quotas, locale });
+  
+  // Step 4: Generate crossword data
+  onStage('building-crossword', { questions: selectedQuestions.length });
+  const crosswordData = await crosswordService.generateCrossword(selectedQuestions, { seed, locale });
+  
+  // Step 5: Create song groups
+  onStage('grouping-songs');
+  const songGroups = createSongGroups(selectedQuestions, playlistData.tracks);
+
+  // Ensure crossword entries are associated with song groups
+  const clueEntryMap = new Map();
+  crosswordData.entries.forEach(entry => {
+    clueEntryMap.set(entry.clue, entry);
+  });
+
+  songGroups.forEach(group => {
+    group.crosswordQuestions = group.questions.filter(question => 
+      clueEntryMap.has(question.question)
+    );
+    group.crosswordQuestions.forEach(question => {
+      const entry = clueEntryMap.get(question.question);
+      question.crosswordEntry = entry; // Associate crossword entry with the question
+    });
+  });
+
+  // Create enhanced crossword
+  const enhancedCrossword = {
+    ...crosswordData,
+    songGroups: songGroups,
+    distribution: describeDistribution(crosswordData.entries),
+    playlist: {
+      id: playlistData.id,
+      name: playlistData.name,
+      description: playlistData.description,
+      owner: playlistData.owner,
+      images: playlistData.images,
+      tracksCount: playlistData.tracksCount
+    }
+  };
+  console.log(`Lucky crossword has ${enhancedCrossword.entries.length} entries in ${songGroups.length} song groups`);
+  return enhancedCrossword;
+};
+
+module.exports = {
+  validateSelectionQuotas,
+  selectBestQuestions,
+  createSongGroups,
+  parseLuckyRequest,
+  buildLuckyCrossword
+};
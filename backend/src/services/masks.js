@@ -0,0 +1,184 @@
+// backend/src/services/masks.js
+
+const { CANVAS_SIZE } = require('../utils/gridUtils');
+
+// Fewest open cells a mask needs to hold a crossword
+const MIN_OPEN_CELLS = 9;
+
+// Built-in shapes for themed crosswords, keyed by name. '#' marks a cell
+// letters may use and '.' one they may not.
+const masks = new Map([
+  ['note', [
+    '...........######.....',
+    '...........########...',
+    '...........#########..',
+    '...........##########.',
+    '...........######.####',
+    '...........######..###',
+    '...........######..###',
+    '...........######...##',
+    '...........######...##',
+    '...........######....#',
+    '...........######.....',
+    '...........######.....',
+    '...........######.....',
+    '...........######.....',
+    '...........######.....',
+    '....#############.....',
+    '..###############.....',
+    '.################.....',
+    '#################.....',
+    '#################.....',
+    '.###############......',
+    '..#############.......',
+    '....#########.........'
+  ]],
+  ['guitar', [
+    '.....#####.....',
+    '.....#####.....',
+    '.....#####.....',
+    '......###......',
+    '......###......',
+    '......###......',
+    '......###......',
+    '......###......',
+    '......###......',
+    '...#########...',
+    '..###########..',
+    '..###########..',
+    '...#########...',
+    '....#######....',
+    '...#########...',
+    '.#############.',
+    '###############',
+    '###############',
+    '###############',
+    '###############',
+    '.#############.',
+    '..###########..',
+    '....#######....'
+  ]],
+  ['vinyl', [
+    '.......#######.......',
+    '.....###########.....',
+    '....#############....',
+    '...###############...',
+    '..#################..',
+    '.###################.',
+    '.###################.',
+    '#####################',
+    '#####################',
+    '##########.##########',
+    '#########...#########',
+    '##########.##########',
+    '#####################',
+    '#####################',
+    '.###################.',
+    '.###################.',
+    '..#################..',
+    '...###############...',
+    '....#############....',
+    '.....###########.....',
+    '.......#######.......'
+  ]]
+]);
+
+/**
+ * Read ASCII mask rows, '#' for open cells and '.' or a space for closed
+ * ones. Short rows are padded with closed cells.
+ * @param {Array} rows - Rows of the mask
+ * @returns {Array|string} 2D array of booleans, or an error message
+ */
+const parseAsciiMask = (rows) => {
+  const width = Math.max(0, ...rows.map(row => row.length));
+  const invalid = rows.join('').match(/[^#. ]/);
+  if (invalid) {
+    return `Mask rows may only contain "#" for open cells and "." or spaces for closed ones, not "${invalid[0]}"`;
+  }
+  return rows.map(row => Array.from(row.padEnd(width, '.'), cell => cell === '#'));
+};
+
+/**
+ * Read a mask given as a built-in name, ASCII text or rows, or a matrix of
+ * booleans (or 1 and 0) with true for cells letters may use
+ * @param {*} mask - Mask from a request
+ * @returns {Array|string} 2D array of booleans, or an error message
+ */
+const parseMask = (mask) => {
+  if (typeof mask === 'string') {
+    if (masks.has(mask)) return parseAsciiMask(masks.get(mask));
+    if (!mask.includes('\n')) {
+      return `Unknown mask "${mask}". Built-in masks: ${[...masks.keys()].join(', ')}, or give rows of "#" and "."`;
+    }
+    // Blank lines around the shape are not part of it
+    return parseAsciiMask(mask.replace(/\r/g, '').replace(/^(\s*\n)+|(\n\s*)+$/g, '').split('\n'));
+  }
+
+  if (!Array.isArray(mask) || mask.length === 0) {
+    return 'Mask must be a built-in mask name, ASCII rows or a matrix of booleans';
+  }
+  if (mask.every(row => typeof row === 'string')) {
+    return parseAsciiMask(mask);
+  }
+  if (!mask.every(row => Array.isArray(row) && row.length === mask[0].length && row.length > 0)) {
+    return 'Mask matrix rows must all have the same, non-zero length';
+  }
+  if (!mask.every(row => row.every(cell => typeof cell === 'boolean' || cell === 0 || cell === 1))) {
+    return 'Mask matrix cells must be true or false (or 1 or 0)';
+  }
+  return mask.map(row => row.map(Boolean));
+};
+
+/**
+ * Validate a mask, which must fit on the layout canvas
+ * @param {*} mask - Optional mask from a request
+ * @returns {string|null} Error message or null if valid
+ */
+const validateMask = (mask) => {
+  if (mask === undefined || mask === null) return null;
+
+  const cells = parseMask(mask);
+  if (typeof cells === 'string') return cells;
+
+  if (cells.length > CANVAS_SIZE || cells[0].length > CANVAS_SIZE) {
+    return `Mask must be at most ${CANVAS_SIZE}x${CANVAS_SIZE} cells`;
+  }
+  if (cells.flat().filter(Boolean).length < MIN_OPEN_CELLS) {
+    return `Mask needs at least ${MIN_OPEN_CELLS} open cells`;
+  }
+  return null;
+};
+
+/**
+ * Get the cells of a mask
+ * @param {*} mask - Mask as accepted by validateMask
+ * @returns {Array} 2D array of booleans, true for cells letters may use
+ */
+const getMask = (mask) => {
+  const error = validateMask(mask);
+  if (error) {
+    throw new Error(error);
+  }
+  return parseMask(mask);
+};
+
+/**
+ * Place a mask in the middle of a canvas, closing the cells around it
+ * @param {Array} cells - Mask cells from getMask
+ * @param {number} rows - Canvas height
+ * @param {number} cols - Canvas width
+ * @returns {Array} Canvas-sized 2D array of booleans
+ */
+const centerMask = (cells, rows = CANVAS_SIZE, cols = CANVAS_SIZE) => {
+  const top = Math.floor((rows - cells.length) / 2);
+  const left = Math.floor((cols - cells[0].length) / 2);
+  return Array.from({ length: rows }, (_, row) => Array.from({ length: cols }, (_, col) =>
+    Boolean(cells[row - top]?.[col - left])));
+};
+
+module.exports = {
+  getMask,
+  validateMask,
+  centerMask,
+  maskNames: [...masks.keys()]
+};
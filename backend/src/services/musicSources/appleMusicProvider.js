@@ -0,0 +1,261 @@
+// backend/src/services/musicSources/appleMusicProvider.js
+
+const {
+  invalidImport,
+  parseJson,
+  hashContent,
+  slugify,
+  validateContent,
+  createPlaylistData
+} = require('./importUtils');
+
+const NAME = 'apple-music';
+
+// Size requested from Apple artwork URL templates
+const ARTWORK_SIZE = 1000;
+
+// Structured data scripts in the public playlist page
+const JSON_LD_PATTERN = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+
+/**
+ * Fill in an Apple artwork URL template
+ * @param {Object} artwork - Artwork with a url containing {w} and {h}
+ * @returns {Array} - Images in the common format
+ */
+const toImages = (artwork) => {
+  if (!artwork || !artwork.url) return [];
+
+  const width = Math.min(artwork.width || ARTWORK_SIZE, ARTWORK_SIZE);
+  const height = Math.min(artwork.height || ARTWORK_SIZE, ARTWORK_SIZE);
+  return [{
+    url: artwork.url.replace('{w}', width).replace('{h}', height).replace('{f}', 'jpg'),
+    width,
+    height
+  }];
+};
+
+/**
+ * Map a song resource from the Apple Music API to the common format
+ * @param {Object} song - Apple Music API song or library song
+ * @returns {Object} - Simplified track
+ */
+const fromApiSong = (song) => {
+  const attributes = song.attributes || {};
+  const catalogId = (attributes.playParams && attributes.playParams.catalogId) || song.id;
+
+  return {
+    id: `${NAME}:${catalogId}`,
+    name: attributes.name,
+    // The API gives all artists as one display name
+    artists: attributes.artistName
+      ? [{ id: `${NAME}:artist:${slugify(attributes.artistName)}`, name: attributes.artistName }]
+      : [],
+    album: {
+      id: attributes.albumName ? `${NAME}:album:${slugify(attributes.albumName)}` : null,
+      name: attributes.albumName || null,
+      releaseDate: attributes.releaseDate || null,
+      images: toImages(attributes.artwork)
+    },
+    previewUrl: (attributes.previews || []).map(preview => preview.url).find(Boolean) || null,
+    popularityScore: 0
+  };
+};
+
+/**
+ * Read a playlist from Apple Music API JSON: a playlist response with its
+ * tracks relationship, or a tracks response
+ * @param {Object} data - Parsed API response
+ * @param {string} content - Original content, for the ID of track-only lists
+ * @returns {Object} - Playlist-shaped data
+ */
+const fromApiResponse = (data, content) => {
+  if (!Array.isArray(data.data)) {
+    throw invalidImport('Apple Music JSON must be a playlist or a tracks response from the Apple Music API');
+  }
+
+  const playlist = data.data.find(resource => resource.type && resource.type.endsWith('playlists'));
+  const songs = playlist
+    ? ((playlist.relationships && playlist.relationships.tracks && playlist.relationships.tracks.data) || [])
+    : data.data;
+  const attributes = (playlist && playlist.attributes) || {};
+
+  return createPlaylistData({
+    id: playlist ? `${NAME}:${playlist.id}` : `${NAME}:${hashContent(content)}`,
+    name: attributes.name || 'Apple Music playlist',
+    description: attributes.description
+      ? attributes.description.standard || attributes.description.short || ''
+      : '',
+    owner: {
+      id: NAME,
+      displayName: attributes.curatorName || 'Apple Music'
+    },
+    images: toImages(attributes.artwork)
+  }, songs.filter(song => song.type !== 'music-videos').map(fromApiSong));
+};
+
+/**
+ * Read the song ID from an Apple Music song or album track URL
+ * @param {string} url - Track URL
+ * @returns {string|null} - Song ID
+ */
+const songIdFromUrl = (url) => {
+  const match = String(url || '').match(/[?&]i=(\d+)|\/song\/(?:[^/]+\/)?(\d+)/);
+  return match ? match[1] || match[2] : null;
+};
+
+/**
+ * Collect the names from a schema.org artist value
+ * @param {Object|Array|string} byArtist - One or more artists
+ * @returns {Array} - Artist names
+ */
+const artistNames = (byArtist) =>
+  [].concat(byArtist || [])
+    .map(artist => (typeof artist === 'string' ? artist : artist.name))
+    .filter(Boolean);
+
+/**
+ * Map a schema.org MusicRecording to the common format
+ * @param {Object} recording - MusicRecording
+ * @returns {Object} - Simplified track
+ */
+const fromRecording = (recording) => {
+  const names = artistNames(recording.byArtist);
+  const album = recording.inAlbum || {};
+  const songId = songIdFromUrl(recording.url) ||
+    `${slugify(names[0] || '')}:${slugify(recording.name || '')}`;
+
+  return {
+    id: `${NAME}:${songId}`,
+    name: recording.name,
+    artists: names.map(name => ({ id: `${NAME}:artist:${slugify(name)}`, name })),
+    album: {
+      id: album.name ? `${NAME}:album:${slugify(album.name)}` : null,
+      name: album.name || null,
+      releaseDate: album.datePublished || recording.datePublished || null,
+      images: []
+    },
+    previewUrl: (recording.audio && recording.audio.contentUrl) || null,
+    popularityScore: 0
+  };
+};
+
+/**
+ * Read a playlist from the structured data in a public Apple Music
+ * playlist page
+ * @param {string} html - Playlist page HTML
+ * @returns {Object} - Playlist-shaped data
+ */
+const fromPlaylistPage = (html) => {
+  const playlist = [...html.matchAll(JSON_LD_PATTERN)]
+    .map(match => parseJson(match[1], 'Apple Music page data'))
+    .flatMap(data => data['@graph'] || [data])
+    .find(data => data['@type'] === 'MusicPlaylist');
+
+  if (!playlist) {
+    throw invalidImport('No playlist data found in the Apple Music page');
+  }
+
+  const playlistId = String(playlist.url || '').match(/\/(pl\.[\w-]+)/);
+  const author = [].concat(playlist.author || [])[0];
+
+  return createPlaylistData({
+    id: playlistId ? `${NAME}:${playlistId[1]}` : `${NAME}:${hashContent(html)}`,
+    name: playlist.name || 'Apple Music playlist',
+    description: playlist.description || '',
+    owner: {
+      id: NAME,
+      displayName: (author && author.name) || 'Apple Music'
+    },
+    images: playlist.image ? [{ url: [].concat(playlist.image)[0], width: null, height: null }] : []
+  }, [].concat(playlist.track || []).map(fromRecording));
+};
+
+/**
+ * Read a playlist exported from the Music app as text: tab-separated,
+ * with Name, Artist, Album and Year columns
+ * @param {string} content - Exported text
+ * @returns {Object} - Playlist-shaped data
+ */
+const fromExportedText = (content) => {
+  const [header, ...rows] = content
+    .replace(/^\uFEFF/, '')
+    .split(/\r\n|\r|\n/)
+    .filter(line => line.trim())
+    .map(line => line.split('\t'));
+  const columns = header.map(column => column.trim().toLowerCase());
+  const column = (row, name) => (row[columns.indexOf(name)] || '').trim();
+
+  if (!columns.includes('name') || !columns.includes('artist')) {
+    throw invalidImport('Apple Music export must have Name and Artist columns');
+  }
+
+  const tracks = rows.map(row => {
+    const title = column(row, 'name');
+    const artist = column(row, 'artist');
+    const album = column(row, 'album');
+
+    return {
+      id: `${NAME}:${slugify(artist)}:${slugify(title)}`,
+      name: title,
+      artists: artist ? [{ id: `${NAME}:artist:${slugify(artist)}`, name: artist }] : [],
+      album: {
+        id: album ? `${NAME}:album:${slugify(album)}` : null,
+        name: album || null,
+        releaseDate: column(row, 'year') || null,
+        images: []
+      },
+      previewUrl: null,
+      popularityScore: 0
+    };
+  });
+
+  return createPlaylistData({
+    id: `${NAME}:${hashContent(content)}`,
+    name: 'Apple Music playlist',
+    description: '',
+    owner: {
+      id: NAME,
+      displayName: 'Apple Music'
+    }
+  }, tracks);
+};
+
+/**
+ * Pick the reader for the pasted content
+ * @param {string} content - Pasted content
+ * @returns {Object} - Playlist-shaped data
+ */
+const readContent = (content) => {
+  const trimmed = content.trim();
+  if (trimmed.startsWith('<')) return fromPlaylistPage(content);
+  if (trimmed.startsWith('{')) return fromApiResponse(parseJson(content, 'Apple Music playlist'), content);
+  return fromExportedText(content);
+};
+
+/**
+ * Apple Music playlists are imported from the pasted content, so no
+ * account is read
+ * @returns {boolean} - Always false
+ */
+const needsUserToken = () => false;
+
+/**
+ * Build playlist-shaped data from an Apple Music playlist: Apple Music API
+ * JSON, the HTML of its public playlist page or a Music app text export
+ * @param {Object} request - content, optional name
+ * @returns {Promise<Object>} - Playlist-shaped data with tracks
+ */
+const getSourceData = async ({ content, name }) => {
+  const playlist = readContent(content);
+
+  console.log(`Imported ${playlist.tracksCount} tracks from Apple Music playlist ${playlist.id}`);
+
+  return name ? { ...playlist, name } : playlist;
+};
+
+module.exports = {
+  name: NAME,
+  validateSourceRequest: validateContent,
+  needsUserToken,
+  getSourceData
+};
@@ -0,0 +1,155 @@
+// backend/src/services/musicSources/deezerProvider.js
+
+const {
+  invalidImport,
+  parseJson,
+  hashContent,
+  validateContent,
+  createPlaylistData
+} = require('./importUtils');
+
+const NAME = 'deezer';
+
+// Deezer track ranks run up to 1,000,000, popularity scores up to 100
+const RANK_PER_POPULARITY_POINT = 10000;
+
+// The playlist page embeds its data in this script variable
+const APP_STATE_PATTERN = /window\.__DZR_APP_STATE__\s*=\s*(\{[\s\S]*?\})\s*;?\s*<\/script>/;
+
+/**
+ * Convert a Deezer rank to a popularity score
+ * @param {number|string} rank - Deezer rank
+ * @returns {number} - Popularity score from 0 to 100
+ */
+const toPopularityScore = (rank) =>
+  Math.min(100, Math.round((Number(rank) || 0) / RANK_PER_POPULARITY_POINT));
+
+/**
+ * Map a track from the Deezer API to the common format
+ * @param {Object} track - Deezer API track
+ * @returns {Object} - Simplified track
+ */
+const fromApiTrack = (track) => ({
+  id: `${NAME}:${track.id}`,
+  name: track.title,
+  artists: track.artist ? [{ id: `${NAME}:artist:${track.artist.id}`, name: track.artist.name }] : [],
+  album: {
+    id: track.album ? `${NAME}:album:${track.album.id}` : null,
+    name: track.album ? track.album.title : null,
+    releaseDate: track.release_date || null,
+    images: track.album && track.album.cover_xl
+      ? [{ url: track.album.cover_xl, width: 1000, height: 1000 }]
+      : []
+  },
+  previewUrl: track.preview || null,
+  popularityScore: toPopularityScore(track.rank)
+});
+
+/**
+ * Map a song from the playlist page data to the common format
+ * @param {Object} song - Deezer page song
+ * @returns {Object} - Simplified track
+ */
+const fromPageSong = (song) => {
+  const artists = Array.isArray(song.ARTISTS) && song.ARTISTS.length > 0
+    ? song.ARTISTS
+    : [{ ART_ID: song.ART_ID, ART_NAME: song.ART_NAME }];
+
+  return {
+    id: `${NAME}:${song.SNG_ID}`,
+    name: song.SNG_TITLE,
+    artists: artists
+      .filter(artist => artist.ART_NAME)
+      .map(artist => ({ id: `${NAME}:artist:${artist.ART_ID}`, name: artist.ART_NAME })),
+    album: {
+      id: song.ALB_ID ? `${NAME}:album:${song.ALB_ID}` : null,
+      name: song.ALB_TITLE || null,
+      releaseDate: song.PHYSICAL_RELEASE_DATE || null,
+      images: song.ALB_PICTURE
+        ? [{ url: `https://e-cdns-images.dzcdn.net/images/cover/${song.ALB_PICTURE}/1000x1000-000000-80-0-0.jpg`, width: 1000, height: 1000 }]
+        : []
+    },
+    previewUrl: (song.MEDIA || []).map(media => media.HREF).find(Boolean) || null,
+    popularityScore: toPopularityScore(song.RANK_SNG)
+  };
+};
+
+/**
+ * Read a playlist from the Deezer API JSON (/playlist/{id}, or only its
+ * /tracks list)
+ * @param {Object} data - Parsed API response
+ * @param {string} content - Original content, for the ID of track-only lists
+ * @returns {Object} - Playlist-shaped data
+ */
+const fromApiPlaylist = (data, content) => {
+  const tracks = data.tracks ? data.tracks.data : data.data;
+  if (!Array.isArray(tracks)) {
+    throw invalidImport('Deezer JSON must be a playlist or a tracks list from the Deezer API');
+  }
+
+  return createPlaylistData({
+    id: data.id ? `${NAME}:${data.id}` : `${NAME}:${hashContent(content)}`,
+    name: data.title || 'Deezer playlist',
+    description: data.description || '',
+    owner: {
+      id: data.creator ? `${NAME}:user:${data.creator.id}` : NAME,
+      displayName: data.creator ? data.creator.name : 'Deezer'
+    },
+    images: data.picture_xl ? [{ url: data.picture_xl, width: 1000, height: 1000 }] : []
+  }, tracks.filter(track => track && track.type !== 'episode').map(fromApiTrack));
+};
+
+/**
+ * Read a playlist from the data embedded in a Deezer playlist page
+ * @param {string} html - Playlist page HTML
+ * @returns {Object} - Playlist-shaped data
+ */
+const fromPlaylistPage = (html) => {
+  const match = html.match(APP_STATE_PATTERN);
+  if (!match) {
+    throw invalidImport('No playlist data found in the Deezer page');
+  }
+
+  const state = parseJson(match[1], 'Deezer page data');
+  const playlist = state.DATA || {};
+  const songs = state.SONGS && Array.isArray(state.SONGS.data) ? state.SONGS.data : [];
+
+  return createPlaylistData({
+    id: playlist.PLAYLIST_ID ? `${NAME}:${playlist.PLAYLIST_ID}` : `${NAME}:${hashContent(html)}`,
+    name: playlist.TITLE || 'Deezer playlist',
+    description: playlist.DESCRIPTION || '',
+    owner: {
+      id: playlist.PARENT_USER_ID ? `${NAME}:user:${playlist.PARENT_USER_ID}` : NAME,
+      displayName: playlist.PARENT_USERNAME || 'Deezer'
+    }
+  }, songs.map(fromPageSong));
+};
+
+/**
+ * Deezer playlists are imported from the pasted content, so no account is read
+ * @returns {boolean} - Always false
+ */
+const needsUserToken = () => false;
+
+/**
+ * Build playlist-shaped data from a Deezer playlist: the Deezer API JSON or
+ * the HTML of its public playlist page
+ * @param {Object} request - content, optional name
+ * @returns {Promise<Object>} - Playlist-shaped data with tracks
+ */
+const getSourceData = async ({ content, name }) => {
+  const playlist = content.trim().startsWith('<')
+    ? fromPlaylistPage(content)
+    : fromApiPlaylist(parseJson(content, 'Deezer playlist'), content);
+
+  console.log(`Imported ${playlist.tracksCount} tracks from Deezer playlist ${playlist.id}`);
+
+  return name ? { ...playlist, name } : playlist;
+};
+
+module.exports = {
+  name: NAME,
+  validateSourceRequest: validateContent,
+  needsUserToken,
+  getSourceData
+};
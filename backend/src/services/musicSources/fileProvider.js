@@ -0,0 +1,209 @@
+// backend/src/services/musicSources/fileProvider.js
+
+const {
+  invalidImport,
+  parseJson,
+  hashContent,
+  slugify,
+  validateContent,
+  createPlaylistData
+} = require('./importUtils');
+
+const FORMATS = ['csv', 'json'];
+
+// Largest track list accepted from an upload
+const MAX_TRACKS = 500;
+
+// Accepted column names for each track field, lowercase
+const FIELD_ALIASES = {
+  title: ['title', 'name', 'track', 'song'],
+  artist: ['artist', 'artists'],
+  album: ['album'],
+  year: ['year', 'release_year', 'releaseyear']
+};
+
+/**
+ * Split CSV text into rows of fields. Handles quoted fields with commas,
+ * escaped quotes and line breaks.
+ * @param {string} text - CSV text
+ * @returns {Array} - Rows of field strings
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+/**
+ * Read a track field from a record, accepting the field's aliases
+ * @param {Object} record - Record with lowercase keys
+ * @param {string} field - Field name
+ * @returns {string} - Trimmed value or an empty string
+ */
+const readField = (record, field) => {
+  const key = FIELD_ALIASES[field].find(alias => record[alias] != null && String(record[alias]).trim());
+  return key ? String(record[key]).trim() : '';
+};
+
+/**
+ * Lowercase the keys of a record
+ * @param {Object} record - Record
+ * @returns {Object} - Record with lowercase keys
+ */
+const lowercaseKeys = (record) =>
+  Object.fromEntries(Object.entries(record).map(([key, value]) => [key.trim().toLowerCase(), value]));
+
+/**
+ * Parse uploaded track list content into records
+ * @param {string} content - CSV or JSON text
+ * @param {string} format - csv or json
+ * @returns {Array} - Records with lowercase keys
+ */
+const parseRecords = (content, format) => {
+  if (format === 'json') {
+    const data = parseJson(content, 'track list');
+    const records = Array.isArray(data) ? data : data.tracks;
+    if (!Array.isArray(records)) {
+      throw invalidImport('JSON track list must be an array or an object with a tracks array');
+    }
+    return records.filter(record => record && typeof record === 'object').map(lowercaseKeys);
+  }
+
+  const [header, ...rows] = parseCsv(content);
+  if (!header) {
+    throw invalidImport('CSV track list is empty');
+  }
+  const columns = header.map(column => column.trim().toLowerCase());
+
+  return rows.map(cells =>
+    Object.fromEntries(columns.map((column, index) => [column, cells[index]]))
+  );
+};
+
+/**
+ * Build a track in the common format from a record
+ * @param {Object} record - Record with lowercase keys
+ * @returns {Object|null} - Track or null if it has no title or artist
+ */
+const toTrack = (record) => {
+  const title = readField(record, 'title');
+  const artist = readField(record, 'artist');
+  if (!title || !artist) return null;
+
+  const album = readField(record, 'album');
+  const year = readField(record, 'year');
+
+  // Several artists can be separated with semicolons
+  const artists = artist.split(';').map(name => name.trim()).filter(Boolean);
+
+  return {
+    id: `file:${slugify(artists[0])}:${slugify(title)}`,
+    name: title,
+    artists: artists.map(name => ({ id: `file:${slugify(name)}`, name })),
+    album: {
+      id: album ? `file:${slugify(album)}` : null,
+      name: album || null,
+      releaseDate: year || null,
+      images: []
+    },
+    previewUrl: null,
+    popularityScore: 0
+  };
+};
+
+/**
+ * Validate a track list upload
+ * @param {Object} request - content and format (csv or json), optional name
+ * @returns {string|null} - Error message or null if valid
+ */
+const validateSourceRequest = (request = {}) => {
+  const contentError = validateContent(request);
+  if (contentError) {
+    return contentError;
+  }
+  if (!FORMATS.includes(request.format)) {
+    return `Format must be one of: ${FORMATS.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Track lists are uploaded with the request, so no account is read
+ * @returns {boolean} - Always false
+ */
+const needsUserToken = () => false;
+
+/**
+ * Build playlist-shaped data from an uploaded CSV or JSON track list with
+ * title, artist, album and year fields
+ * @param {Object} request - content and format (csv or json), optional name
+ * @returns {Promise<Object>} - Playlist-shaped data with tracks
+ */
+const getSourceData = async ({ content, format, name }) => {
+  const records = parseRecords(content, format);
+
+  // The same list always gets the same ID
+  const playlist = createPlaylistData({
+    id: `file:${hashContent(content)}`,
+    name: name || 'Imported tracks',
+    owner: {
+      id: 'file',
+      displayName: 'Imported list'
+    }
+  }, records.map(toTrack).filter(Boolean));
+
+  if (playlist.tracksCount > MAX_TRACKS) {
+    throw invalidImport(`Track list has ${playlist.tracksCount} tracks, the limit is ${MAX_TRACKS}`);
+  }
+
+  console.log(`Imported ${playlist.tracksCount} tracks from ${format.toUpperCase()}`);
+
+  return {
+    ...playlist,
+    description: `${playlist.tracksCount} tracks imported from ${format.toUpperCase()}`
+  };
+};
+
+module.exports = {
+  name: 'file',
+  validateSourceRequest,
+  needsUserToken,
+  getSourceData
+};
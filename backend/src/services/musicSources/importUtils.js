@@ -0,0 +1,88 @@
+// backend/src/services/musicSources/importUtils.js
+
+const crypto = require('crypto');
+
+/**
+ * Create an error for an import that cannot be used
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a 400 status code
+ */
+const invalidImport = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+/**
+ * Parse JSON import content
+ * @param {string} content - JSON text
+ * @param {string} label - What is being imported, for error messages
+ * @returns {*} - Parsed value
+ */
+const parseJson = (content, label) => {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw invalidImport(`Invalid JSON ${label}: ${error.message}`);
+  }
+};
+
+/**
+ * Hash import content into a short stable ID
+ * @param {string} content - Imported content
+ * @returns {string} - 12 hex characters
+ */
+const hashContent = (content) => crypto.createHash('sha1').update(content).digest('hex').slice(0, 12);
+
+/**
+ * Turn text into an ID-safe slug, falling back to a hash for text
+ * without Latin letters or digits
+ * @param {string} text - Text
+ * @returns {string} - Lowercase slug
+ */
+const slugify = (text) => (
+  text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') ||
+  crypto.createHash('sha1').update(text).digest('hex').slice(0, 8)
+);
+
+/**
+ * Validate an import request that carries the export or share payload
+ * @param {Object} request - content
+ * @returns {string|null} - Error message or null if valid
+ */
+const validateContent = ({ content } = {}) => {
+  if (typeof content !== 'string' || !content.trim()) {
+    return 'Missing required parameter: content';
+  }
+  return null;
+};
+
+/**
+ * Build playlist-shaped data from imported tracks, skipping tracks
+ * without a title or artist and repeats
+ * @param {Object} playlist - id, name, description, owner and images
+ * @param {Array} tracks - Tracks in the common format
+ * @returns {Object} - Playlist-shaped data with tracks
+ */
+const createPlaylistData = (playlist, tracks) => {
+  const seen = new Set();
+  const usableTracks = tracks.filter(track =>
+    track.name && track.artists.length > 0 && !seen.has(track.id) && seen.add(track.id)
+  );
+
+  if (usableTracks.length === 0) {
+    throw invalidImport('No tracks with a title and an artist found');
+  }
+
+  return {
+    images: [],
+    ...playlist,
+    tracks: usableTracks,
+    tracksCount: usableTracks.length
+  };
+};
+
+module.exports = {
+  invalidImport,
+  parseJson,
+  hashContent,
+  slugify,
+  validateContent,
+  createPlaylistData
+};
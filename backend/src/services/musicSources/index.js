@@ -0,0 +1,59 @@
+// backend/src/services/musicSources/index.js
+
+const spotifyService = require('../spotifyService');
+const fileProvider = require('./fileProvider');
+const appleMusicProvider = require('./appleMusicProvider');
+const deezerProvider = require('./deezerProvider');
+const youtubeMusicProvider = require('./youtubeMusicProvider');
+
+/**
+ * A MusicSourceProvider turns a request into playlist-shaped data:
+ * { id, name, description, owner, images, tracks, tracksCount } where each
+ * track is { id, name, artists, album, previewUrl, popularityScore }.
+ *
+ * @typedef {Object} MusicSourceProvider
+ * @property {string} name - Provider name used to select it per request
+ * @property {Function} validateSourceRequest - (request) => error message or null
+ * @property {Function} needsUserToken - (request) => true if the request reads a user's account
+ * @property {Function} getSourceData - async (request, options) => playlist-shaped data
+ */
+
+const DEFAULT_PROVIDER = spotifyService.name;
+
+// Registered music source providers, keyed by name
+const providers = new Map([
+  [spotifyService.name, spotifyService],
+  [fileProvider.name, fileProvider],
+  [appleMusicProvider.name, appleMusicProvider],
+  [deezerProvider.name, deezerProvider],
+  [youtubeMusicProvider.name, youtubeMusicProvider]
+]);
+
+/**
+ * Look up a music source provider by name
+ * @param {string} name - Provider name
+ * @returns {MusicSourceProvider} Provider
+ */
+const getProvider = (name = DEFAULT_PROVIDER) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown music source provider "${name}". Available providers: ${[...providers.keys()].join(', ')}`);
+  }
+  return provider;
+};
+
+/**
+ * Check whether a playlist ID belongs to imported content, which cannot be
+ * fetched again. Imported IDs start with their provider name.
+ * @param {string} playlistId - Playlist ID
+ * @returns {boolean} True for imported playlists
+ */
+const isImportedPlaylistId = (playlistId) =>
+  [...providers.keys()].some(name => name !== DEFAULT_PROVIDER && playlistId.startsWith(`${name}:`));
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  getProvider,
+  isImportedPlaylistId,
+  providerNames: [...providers.keys()]
+};
@@ -0,0 +1,233 @@
+// backend/src/services/musicSources/youtubeMusicProvider.js
+
+const {
+  invalidImport,
+  parseJson,
+  hashContent,
+  slugify,
+  validateContent,
+  createPlaylistData
+} = require('./importUtils');
+
+const NAME = 'youtube-music';
+
+// Auto-generated artist channels are named "<artist> - Topic"
+const TOPIC_CHANNEL_SUFFIX = / - Topic$/;
+
+// Video titles of uploads outside topic channels are usually "<artist> - <title>"
+const ARTIST_TITLE_SEPARATOR = / [-–—] /;
+
+// The playlist page embeds its data in this script variable
+const INITIAL_DATA_PATTERN = /(?:var |window\["|window\.)ytInitialData"?\]?\s*=\s*(\{[\s\S]*?\});\s*<\/script>/;
+
+/**
+ * Pick the largest thumbnail
+ * @param {Array} thumbnails - Thumbnails with url, width and height
+ * @returns {Array} - Images in the common format
+ */
+const toImages = (thumbnails) => {
+  const largest = [...(thumbnails || [])].sort((a, b) => (b.width || 0) - (a.width || 0))[0];
+  return largest ? [{ url: largest.url, width: largest.width || null, height: largest.height || null }] : [];
+};
+
+/**
+ * Build a track in the common format
+ * @param {Object} track - videoId, title, artists (names or { id, name }), album, year and thumbnails
+ * @returns {Object} - Simplified track
+ */
+const createTrack = ({ videoId, title, artists, album, year, thumbnails }) => ({
+  id: `${NAME}:${videoId || hashContent(`${artists.map(artist => artist.name || artist).join(';')}:${title}`)}`,
+  name: title,
+  artists: artists.map(artist => (typeof artist === 'string'
+    ? { id: `${NAME}:artist:${slugify(artist)}`, name: artist }
+    : { id: artist.id ? `${NAME}:artist:${artist.id}` : `${NAME}:artist:${slugify(artist.name)}`, name: artist.name })),
+  album: {
+    id: album && album.name ? `${NAME}:album:${album.id || slugify(album.name)}` : null,
+    name: (album && album.name) || null,
+    releaseDate: year ? String(year) : null,
+    images: toImages(thumbnails)
+  },
+  // YouTube has no audio previews
+  previewUrl: null,
+  popularityScore: 0
+});
+
+/**
+ * Split a video title and channel into a title and an artist
+ * @param {string} videoTitle - Video title
+ * @param {string} channel - Channel name
+ * @returns {Object} - title and artists
+ */
+const splitVideoTitle = (videoTitle, channel) => {
+  const channelName = String(channel || '').trim();
+  if (TOPIC_CHANNEL_SUFFIX.test(channelName)) {
+    return { title: videoTitle, artists: [channelName.replace(TOPIC_CHANNEL_SUFFIX, '')] };
+  }
+
+  const parts = videoTitle.split(ARTIST_TITLE_SEPARATOR);
+  if (parts.length > 1) {
+    return { title: parts.slice(1).join(' - ').trim(), artists: [parts[0].trim()] };
+  }
+
+  return { title: videoTitle, artists: channelName ? [channelName] : [] };
+};
+
+/**
+ * Read a playlist exported with ytmusicapi (get_playlist)
+ * @param {Object} data - Exported playlist
+ * @param {string} content - Original content, for playlists without an ID
+ * @returns {Object} - Playlist-shaped data
+ */
+const fromMusicExport = (data, content) => createPlaylistData({
+  id: `${NAME}:${data.id || hashContent(content)}`,
+  name: data.title || 'YouTube Music playlist',
+  description: data.description || '',
+  owner: {
+    id: data.author && data.author.id ? `${NAME}:user:${data.author.id}` : NAME,
+    displayName: (data.author && data.author.name) || 'YouTube Music'
+  },
+  images: toImages(data.thumbnails)
+}, data.tracks
+  .filter(track => track && track.title)
+  .map(track => createTrack({
+    videoId: track.videoId,
+    title: track.title,
+    artists: (track.artists || []).filter(artist => artist && artist.name),
+    album: track.album,
+    year: track.year,
+    thumbnails: track.thumbnails
+  })));
+
+/**
+ * Read a playlist from a YouTube Data API playlistItems response
+ * @param {Object} data - Parsed API response
+ * @param {string} content - Original content, for playlists without an ID
+ * @returns {Object} - Playlist-shaped data
+ */
+const fromPlaylistItems = (data, content) => {
+  const snippets = data.items.map(item => item.snippet).filter(Boolean);
+  const playlistId = snippets.map(snippet => snippet.playlistId).find(Boolean);
+
+  return createPlaylistData({
+    id: `${NAME}:${playlistId || hashContent(content)}`,
+    name: 'YouTube Music playlist',
+    description: '',
+    owner: {
+      id: NAME,
+      displayName: 'YouTube Music'
+    }
+  }, snippets
+    // Deleted and private videos keep their place without a title
+    .filter(snippet => snippet.title && snippet.videoOwnerChannelTitle)
+    .map(snippet => createTrack({
+      videoId: snippet.resourceId && snippet.resourceId.videoId,
+      ...splitVideoTitle(snippet.title, snippet.videoOwnerChannelTitle),
+      thumbnails: Object.values(snippet.thumbnails || {})
+    })));
+};
+
+/**
+ * Read the text of a YouTube page text object
+ * @param {Object} text - Object with simpleText or runs
+ * @returns {string} - Text
+ */
+const readText = (text) => {
+  if (!text) return '';
+  return text.simpleText || (text.runs || []).map(run => run.text).join('');
+};
+
+/**
+ * Find every value stored under a key anywhere in page data
+ * @param {*} node - Page data
+ * @param {string} key - Key to look for
+ * @param {Array} found - Values found so far
+ * @returns {Array} - Values found
+ */
+const findAll = (node, key, found = []) => {
+  if (Array.isArray(node)) {
+    node.forEach(child => findAll(child, key, found));
+  } else if (node && typeof node === 'object') {
+    Object.entries(node).forEach(([childKey, child]) => {
+      if (childKey === key) {
+        found.push(child);
+      } else {
+        findAll(child, key, found);
+      }
+    });
+  }
+  return found;
+};
+
+/**
+ * Read a playlist from the data embedded in a public YouTube playlist page
+ * @param {string} html - Playlist page HTML
+ * @returns {Object} - Playlist-shaped data
+ */
+const fromPlaylistPage = (html) => {
+  const match = html.match(INITIAL_DATA_PATTERN);
+  if (!match) {
+    throw invalidImport('No playlist data found in the YouTube page');
+  }
+
+  const data = parseJson(match[1], 'YouTube page data');
+  const metadata = findAll(data, 'playlistMetadataRenderer')[0] || {};
+  const playlistId = (html.match(/[?&]list=([\w-]+)/) || [])[1];
+
+  return createPlaylistData({
+    id: `${NAME}:${playlistId || hashContent(html)}`,
+    name: metadata.title || 'YouTube Music playlist',
+    description: metadata.description || '',
+    owner: {
+      id: NAME,
+      displayName: 'YouTube Music'
+    }
+  }, findAll(data, 'playlistVideoRenderer').map(video => createTrack({
+    videoId: video.videoId,
+    ...splitVideoTitle(readText(video.title), readText(video.shortBylineText)),
+    thumbnails: video.thumbnail && video.thumbnail.thumbnails
+  })));
+};
+
+/**
+ * Pick the reader for the pasted content
+ * @param {string} content - Pasted content
+ * @returns {Object} - Playlist-shaped data
+ */
+const readContent = (content) => {
+  if (content.trim().startsWith('<')) return fromPlaylistPage(content);
+
+  const data = parseJson(content, 'YouTube Music playlist');
+  if (data && Array.isArray(data.tracks)) return fromMusicExport(data, content);
+  if (data && Array.isArray(data.items)) return fromPlaylistItems(data, content);
+
+  throw invalidImport('YouTube Music JSON must be a ytmusicapi playlist export or a YouTube Data API playlistItems response');
+};
+
+/**
+ * YouTube Music playlists are imported from the pasted content, so no
+ * account is read
+ * @returns {boolean} - Always false
+ */
+const needsUserToken = () => false;
+
+/**
+ * Build playlist-shaped data from a YouTube Music playlist: a ytmusicapi
+ * export, a YouTube Data API playlistItems response or the HTML of its
+ * public YouTube playlist page
+ * @param {Object} request - content, optional name
+ * @returns {Promise<Object>} - Playlist-shaped data with tracks
+ */
+const getSourceData = async ({ content, name }) => {
+  const playlist = readContent(content);
+
+  console.log(`Imported ${playlist.tracksCount} tracks from YouTube Music playlist ${playlist.id}`);
+
+  return name ? { ...playlist, name } : playlist;
+};
+
+module.exports = {
+  name: NAME,
+  validateSourceRequest: validateContent,
+  needsUserToken,
+  getSourceData
+};
@@ -1,20 +1,110 @@
-const { OpenAI } = require('openai');
-require('dotenv').config();
+const llm = require('./llm');
+const { getLocale } = require('./locales');
+const {
+  DIFFICULTIES,
+  CATEGORIES,
+  getDifficultyTargets,
+  countByDifficulty,
+  parseQuestionList,
+  createQuestionScanner,
+  validateQuestions
+} = require('./questionSchema');
 
-// Initialize OpenAI client
-const openai = new OpenAI({ 
-  apiKey: process.env.OPENAI_API_KEY 
-});
+// Fewest questions a crossword can be built from
+const MIN_QUESTIONS = 3;
+
+// Follow-up requests asking the model to fix or replace invalid questions
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+
+// Validation errors quoted back to the model per repair request
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Describe rejected questions for a repair prompt
+ * @param {string|null} parseError - Error reading the response, if any
+ * @param {Array} rejected - Rejected items with their errors
+ * @returns {string} - One problem per line
+ */
+const describeProblems = (parseError, rejected) => {
+  const lines = rejected.slice(0, MAX_REPORTED_ERRORS).map(({ index, item, errors }) => {
+    const label = item && typeof item.question === 'string' ? `"${item.question.slice(0, 60)}"` : '';
+    return `- Item ${index + 1} ${label}: ${errors.join('; ')}`;
+  });
+  if (rejected.length > MAX_REPORTED_ERRORS) {
+    lines.push(`- ...and ${rejected.length - MAX_REPORTED_ERRORS} more invalid items`);
+  }
+  return [parseError ? `- ${parseError}` : null, ...lines].filter(Boolean).join('\n');
+};
+
+/**
+ * Describe a number of questions per difficulty
+ * @param {Object} counts - Number of questions per difficulty
+ * @returns {string} - Such as "2 easy, 3 hard"
+ */
+const describeDifficulties = (counts) => DIFFICULTIES
+  .filter(difficulty => counts[difficulty] > 0)
+  .map(difficulty => `${counts[difficulty]} ${difficulty}`)
+  .join(', ');
+
+/**
+ * Create a text listener that validates questions while a response streams
+ * in and reports each valid one once
+ * @param {Object} rules - Validation rules with the answers used so far
+ * @param {Object} limits - Most questions to report per difficulty
+ * @param {Function} onQuestion - Called with each valid question
+ * @returns {Object} - onText listener and the reported questions
+ */
+const createQuestionStream = (rules, limits, onQuestion) => {
+  const scan = createQuestionScanner();
+  const usedAnswers = new Set(rules.usedAnswers);
+  const reported = [];
+  const counts = countByDifficulty([]);
+
+  const onText = (text) => {
+    scan(text).forEach(itemText => {
+      let item;
+      try {
+        item = JSON.parse(itemText);
+      } catch (error) {
+        return;
+      }
+
+      const [question] = validateQuestions([item], { ...rules, usedAnswers }).valid;
+      if (!question || counts[question.difficulty] >= limits[question.difficulty]) return;
+      usedAnswers.add(question.answer);
+      reported.push(question);
+      counts[question.difficulty] += 1;
+      onQuestion(question);
+    });
+  };
+
+  return { onText, reported };
+};
 
 /**
  * Generate music-related questions for crossword puzzle
  * @param {Array} trackData - Array of track objects from Spotify
- * @param {Object} options - Generation options
- * @returns {Promise<Array>} - Array of generated questions
+ * @param {Object} options - Generation options, llm picks the provider and model,
+ * difficultyMix sets the share of easy, medium and hard questions, locale sets the
+ * language of the questions and the letters answers may use and maxRepairAttempts limits the follow-up requests for invalid questions
+ * @param {Object} listeners - Optional onStage(stage, details) and onQuestion(question),
+ * called with each valid question as soon as it is parsed
+ * @returns {Promise<Array>} - Array of generated questions, each with the confidence
+ * of its fact check against the track data
  */
-const generateQuestions = async (trackData, options = {}) => {
+const generateQuestions = async (trackData, options = {}, { onStage = () => {}, onQuestion } = {}) => {
   try {
-    const { maxQuestions = 15, minAnswerLength = 3, maxAnswerLength = 12 } = options;
+    const {
+      maxQuestions = 15,
+      minAnswerLength = 3,
+      maxAnswerLength = 12,
+      maxRepairAttempts = DEFAULT_REPAIR_ATTEMPTS,
+      difficultyMix,
+      locale: localeName,
+      llm: llmOptions
+    } = options;
+    const locale = getLocale(localeName);
+    const targets = getDifficultyTargets(difficultyMix, maxQuestions);
     
     // Prepare track data for the prompt, including track IDs
     const tracksForPrompt = trackData.map(track => ({
@@ -25,199 +115,149 @@ const generateQuestions = async (trackData, options = {}) => {
       year: track.album.releaseDate?.split('-')[0] || 'Unknown'
     }));
 
-    console.log('Track data for prompt:', JSON.stringify(tracksForPrompt));
-
     // Modified system prompt with strong emphasis on trackId requirement
     const systemPrompt = `You are an AI assistant specialized in creating music-themed crossword puzzles. Generate ${maxQuestions} unique questions based on the provided songs. 
     
 Follow these rules:
-1. Each answer must be a SINGLE WORD between ${minAnswerLength} and ${maxAnswerLength} characters
+1. Each answer must be a single word or a short name such as a band or album title, with ${minAnswerLength} to ${maxAnswerLength} letters not counting spaces
 2. Answers should be nouns, music terms, or artist names (no articles, pronouns)
 3. Don't only focus on general knowledge about these songs, artists, genres, or music terminology. It should also be questions about things in the song, stuff related to the artist, i dont mind if it's a bit far fetched question. 
-4. Create questions of varying difficulty levels
+4. Give each question a difficulty and create exactly ${describeDifficulties(targets)} questions. Easy clues ask about well-known facts such as the artist of a hit, medium clues need a fan's knowledge, hard clues ask about deep cuts, credits or music theory
 5. Each answer should be unique and not repeated
 6. Ensure answers can be clearly inferred from the clues
-7. Answers must contain only letters A-Z (no numbers, spaces, or special characters)
+7. Answers must contain only letters ${locale.alphabetLabel}, keeping the spaces, hyphens and apostrophes of names as written (no numbers or other characters)
 8. Make all answers UPPERCASE
 9. CRITICAL: Every question MUST include the exact trackId field from the provided song data
+10. Give each question the category it asks about, one of: ${CATEGORIES.join(', ')}. Spread the questions over as many categories as the songs allow: artist is trivia about the performers, era is the year or decade, wordplay is puns and anagrams on names and titles
+11. Write every question in ${locale.language}. Answers that are not names should be ${locale.language} words
+12. Release years, decades and album names in clues must match the provided song data. Questions that contradict it are rejected
 
-Your response should be in JSON format with an array of objects, where each object contains "question", "answer", and "trackId" fields, like this:
+Your response should be in JSON format with an array of objects, where each object contains "question", "answer", "trackId", "difficulty" and "category" fields, like this:
 [
   {
     "question": "Beatles drummer who narrated Thomas the Tank Engine",
     "answer": "STARR",
-    "trackId": "track-123"
+    "trackId": "track-123",
+    "difficulty": "medium",
+    "category": "artist"
+  },
+  {
+    "question": "Band behind The Dark Side of the Moon",
+    "answer": "PINK FLOYD",
+    "trackId": "track-123",
+    "difficulty": "easy",
+    "category": "artist"
   },
   {
     "question": "Musical term for very loud",
     "answer": "FORTISSIMO",
-    "trackId": "track-456"
+    "trackId": "track-456",
+    "difficulty": "hard",
+    "category": "music-theory"
   }
 ]`;
 
-    console.log('Sending request to OpenAI...');
-    
-    // Modified API call to strongly emphasize track ID inclusion
-    const response = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'o4-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { 
-          role: 'user', 
-          content: `Generate crossword questions based on these tracks, making sure to include the EXACT trackId for each question. Every question MUST have the correct trackId from this data: ${JSON.stringify(tracksForPrompt)}` 
-        }
-      ],
-      temperature: 1
-    });
+    const rules = {
+      trackIds: new Set(trackData.map(track => track.id)),
+      // Metadata the questions are fact-checked against
+      tracks: new Map(tracksForPrompt.map(track => [track.id, track])),
+      minAnswerLength,
+      maxAnswerLength,
+      locale
+    };
+    const questions = [];
+    // Valid questions of a difficulty that already has enough, used if
+    // other difficulties stay short
+    const spare = [];
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { 
+        role: 'user', 
+        content: `Generate crossword questions based on these tracks, making sure to include the EXACT trackId for each question. Every question MUST have the correct trackId from this data: ${JSON.stringify(tracksForPrompt)}` 
+      }
+    ];
 
-    console.log('Received response from OpenAI');
-    
-    // Get the response content
-    const content = response.choices[0].message.content;
-    console.log('Raw response:', content);
-    
-    // Try to parse the JSON
-    try {
-      // First try to parse the whole content as JSON
-      const parsedContent = JSON.parse(content);
-      
-      // Check if the result is an array
-      if (Array.isArray(parsedContent)) {
-        console.log(`Successfully parsed ${parsedContent.length} questions`);
-        
-        // Validate each question has a valid trackId
-        const validQuestions = parsedContent.filter(question => {
-          if (!question.trackId) {
-            console.error(`Rejecting question missing trackId: ${question.question}`);
-            return false;
-          }
-          
-          // Verify the trackId exists in our original track data
-          const validTrackId = trackData.some(track => track.id === question.trackId);
-          if (!validTrackId) {
-            console.error(`Rejecting question with invalid trackId ${question.trackId}: ${question.question}`);
-            return false;
-          }
-          
-          return true;
-        });
-        
-        console.log(`${validQuestions.length} of ${parsedContent.length} questions have valid track IDs`);
-        
-        if (validQuestions.length < 3) {
-          throw new Error('Not enough questions with valid track IDs generated. Need at least 3.');
-        }
-        
-        return validQuestions;
-      } 
-      // If it's an object with a questions property
-      else if (parsedContent.questions && Array.isArray(parsedContent.questions)) {
-        console.log(`Successfully parsed ${parsedContent.questions.length} questions from object`);
-        
-        // Validate each question has a valid trackId
-        const validQuestions = parsedContent.questions.filter(question => {
-          if (!question.trackId) {
-            console.error(`Rejecting question missing trackId: ${question.question}`);
-            return false;
-          }
-          
-          // Verify the trackId exists in our original track data
-          const validTrackId = trackData.some(track => track.id === question.trackId);
-          if (!validTrackId) {
-            console.error(`Rejecting question with invalid trackId ${question.trackId}: ${question.question}`);
-            return false;
-          }
-          
-          return true;
-        });
-        
-        console.log(`${validQuestions.length} of ${parsedContent.questions.length} questions have valid track IDs`);
-        
-        if (validQuestions.length < 3) {
-          throw new Error('Not enough questions with valid track IDs generated. Need at least 3.');
-        }
-        
-        return validQuestions;
+    // Ask again with the validation errors until there are enough questions
+    for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+      const usedAnswers = [...questions, ...spare].map(question => question.answer);
+      const remaining = maxQuestions - questions.length;
+      const counts = countByDifficulty(questions);
+      const missing = Object.fromEntries(DIFFICULTIES.map(difficulty => [difficulty, targets[difficulty] - counts[difficulty]]));
+      const stream = onQuestion ? createQuestionStream({ ...rules, usedAnswers }, { ...missing }, onQuestion) : null;
+
+      if (attempt === 0) {
+        console.log('Sending request to LLM...');
+        onStage('generating-questions', { tracks: trackData.length, maxQuestions });
+      } else {
+        console.log(`Sending repair request ${attempt} to LLM...`);
+        onStage('repairing-questions', { attempt, missing: remaining });
       }
-      else {
-        console.error('Parsed content is not an array or doesn\'t have questions property');
-        // Try to find and extract a JSON array in the content
-        const jsonArrayMatch = content.match(/\[\s*\{.*\}\s*\]/s);
-        if (jsonArrayMatch) {
-          const extractedJson = jsonArrayMatch[0];
-          const extractedQuestions = JSON.parse(extractedJson);
-          console.log(`Extracted ${extractedQuestions.length} questions from content`);
-          
-          // Validate each question has a valid trackId
-          const validQuestions = extractedQuestions.filter(question => {
-            if (!question.trackId) {
-              console.error(`Rejecting question missing trackId: ${question.question}`);
-              return false;
-            }
-            
-            // Verify the trackId exists in our original track data
-            const validTrackId = trackData.some(track => track.id === question.trackId);
-            if (!validTrackId) {
-              console.error(`Rejecting question with invalid trackId ${question.trackId}: ${question.question}`);
-              return false;
-            }
-            
-            return true;
-          });
-          
-          console.log(`${validQuestions.length} of ${extractedQuestions.length} questions have valid track IDs`);
-          
-          if (validQuestions.length < 3) {
-            throw new Error('Not enough questions with valid track IDs generated. Need at least 3.');
-          }
-          
-          return validQuestions;
+      const content = await llm.complete({
+        task: 'questions',
+        input: {
+          tracks: tracksForPrompt,
+          maxQuestions: remaining,
+          difficulties: missing,
+          minAnswerLength,
+          maxAnswerLength,
+          excludeAnswers: usedAnswers,
+          locale: locale.name
+        },
+        messages,
+        temperature: 1
+      }, llmOptions, { onText: stream && stream.onText });
+
+      console.log('Received response from LLM');
+
+      // Questions already reported while streaming count even if the whole
+      // response turns out to be truncated or broken
+      const streamed = stream ? stream.reported : [];
+      const streamedAnswers = new Set(streamed.map(question => question.answer));
+      streamed.forEach(question => {
+        missing[question.difficulty] -= 1;
+      });
+      questions.push(...streamed);
+
+      const { items, error } = parseQuestionList(content);
+      const { valid, rejected } = validateQuestions(items, { ...rules, usedAnswers });
+      const accepted = valid.filter(question => !streamedAnswers.has(question.answer)).filter(question => {
+        if (missing[question.difficulty] > 0) {
+          missing[question.difficulty] -= 1;
+          return true;
         }
-      }
-    } catch (parseError) {
-      console.error('Error parsing JSON response:', parseError);
-      
-      // Attempt to extract a JSON array from the content
-      const jsonArrayMatch = content.match(/\[\s*\{.*\}\s*\]/s);
-      if (jsonArrayMatch) {
-        try {
-          const extractedJson = jsonArrayMatch[0];
-          const extractedQuestions = JSON.parse(extractedJson);
-          console.log(`Extracted ${extractedQuestions.length} questions from content`);
-          
-          // Validate each question has a valid trackId
-          const validQuestions = extractedQuestions.filter(question => {
-            if (!question.trackId) {
-              console.error(`Rejecting question missing trackId: ${question.question}`);
-              return false;
-            }
-            
-            // Verify the trackId exists in our original track data
-            const validTrackId = trackData.some(track => track.id === question.trackId);
-            if (!validTrackId) {
-              console.error(`Rejecting question with invalid trackId ${question.trackId}: ${question.question}`);
-              return false;
-            }
-            
-            return true;
-          });
-          
-          console.log(`${validQuestions.length} of ${extractedQuestions.length} questions have valid track IDs`);
-          
-          if (validQuestions.length < 3) {
-            throw new Error('Not enough questions with valid track IDs generated. Need at least 3.');
-          }
-          
-          return validQuestions;
-        } catch (extractError) {
-          console.error('Error extracting JSON array:', extractError);
+        spare.push(question);
+        return false;
+      });
+      questions.push(...accepted);
+
+      // Report questions the stream scan did not catch
+      if (stream) accepted.forEach(onQuestion);
+
+      console.log(`${valid.length} of ${items.length} questions are valid, ${streamed.length} streamed, ${questions.length} of ${maxQuestions} collected`);
+      if (questions.length >= maxQuestions) break;
+
+      messages.push(
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: `${error || rejected.length > 0 ? `These problems were found in your response:\n${describeProblems(error, rejected)}\n\n` : ''}Generate ${maxQuestions - questions.length} more questions following all the rules: ${describeDifficulties(missing)}. Do not reuse these answers: ${[...questions, ...spare].map(question => question.answer).join(', ') || 'none'}. Respond with only the JSON array.`
         }
-      }
+      );
     }
-    
-    // If we reach here, we couldn't extract valid questions
-    console.error('Could not extract questions with valid track IDs from OpenAI response');
-    throw new Error('Failed to generate questions with valid track IDs');
+
+    // Make up for difficulties that stayed short with questions of the others
+    const fill = spare.slice(0, maxQuestions - questions.length);
+    questions.push(...fill);
+    if (onQuestion) fill.forEach(onQuestion);
+    if (fill.length > 0) {
+      console.log(`Filled ${fill.length} questions from other difficulties, mix is ${describeDifficulties(countByDifficulty(questions))}`);
+    }
+
+    if (questions.length < MIN_QUESTIONS) {
+      throw new Error(`Not enough valid questions generated: got ${questions.length}, need at least ${MIN_QUESTIONS}.`);
+    }
+
+    return questions;
   } catch (error) {
     console.error('Error generating questions:', error);
     throw error;
@@ -226,4 +266,4 @@ Your response should be in JSON format with an array of objects, where each obje
 
 module.exports = {
   generateQuestions
-};
\ No newline at end of file
+};
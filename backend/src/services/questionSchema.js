@@ -0,0 +1,328 @@
+// backend/src/services/questionSchema.js
+
+const { getLocale, normalizeAnswer, isAnswerText } = require('./locales');
+const { checkQuestion } = require('./factCheckService');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Relative share of each difficulty when a request names no mix
+const DEFAULT_DIFFICULTY_MIX = { easy: 3, medium: 4, hard: 3 };
+
+// What a clue asks about
+const CATEGORIES = ['artist', 'lyrics', 'album', 'era', 'instrument', 'genre', 'music-theory', 'wordplay'];
+
+// Other names models use for the categories
+const CATEGORY_ALIASES = {
+  'artist-trivia': 'artist',
+  band: 'artist',
+  lyric: 'lyrics',
+  year: 'era',
+  'year-era': 'era',
+  decade: 'era',
+  theory: 'music-theory',
+  'word-play': 'wordplay'
+};
+
+/**
+ * Normalize a category name, such as "Music theory" to "music-theory"
+ * @param {string} category - Category from a response
+ * @returns {string} - Normalized category, which may not be a known one
+ */
+const normalizeCategory = (category) => {
+  const name = String(category).trim().toLowerCase().replace(/[^a-z]+/g, '-').replace(/^-|-$/g, '');
+  return CATEGORY_ALIASES[name] || name;
+};
+
+// Fields of a generated question, all required
+const QUESTION_FIELDS = ['question', 'answer', 'trackId', 'difficulty', 'category'];
+
+/**
+ * Find the list of questions in a parsed response
+ * @param {*} data - Parsed JSON
+ * @returns {Array|null} - Question items or null if there is no list
+ */
+const findQuestionList = (data) => {
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.questions)) return data.questions;
+  return null;
+};
+
+/**
+ * Parse a model response into question items. Accepts a JSON array, an
+ * object with a questions array, or either wrapped in other text such as
+ * a Markdown code block.
+ * @param {string} content - Response text
+ * @returns {Object} - items, and error when no list could be read
+ */
+const parseQuestionList = (content) => {
+  const text = String(content || '').trim();
+
+  try {
+    const items = findQuestionList(JSON.parse(text));
+    if (items) return { items, error: null };
+  } catch (error) {
+    // Fall back to the first JSON array or object in the text
+  }
+
+  const embedded = text.match(/\[[\s\S]*\]/) || text.match(/\{[\s\S]*\}/);
+  if (embedded) {
+    try {
+      const items = findQuestionList(JSON.parse(embedded[0]));
+      if (items) return { items, error: null };
+    } catch (error) {
+      return { items: [], error: `Response is not valid JSON: ${error.message}` };
+    }
+  }
+
+  return { items: [], error: 'Response must be a JSON array of question objects' };
+};
+
+/**
+ * Validate a difficulty mix: relative weights per difficulty, such as
+ * { easy: 1, hard: 1 } for half easy and half hard questions
+ * @param {Object} mix - Optional difficulty mix
+ * @returns {string|null} - Error message or null if valid
+ */
+const validateDifficultyMix = (mix) => {
+  if (mix === undefined) return null;
+  if (!mix || typeof mix !== 'object' || Array.isArray(mix)) {
+    return `difficultyMix must be an object with a weight for each of: ${DIFFICULTIES.join(', ')}`;
+  }
+
+  const unknown = Object.keys(mix).filter(difficulty => !DIFFICULTIES.includes(difficulty));
+  if (unknown.length > 0) {
+    return `Unknown difficulty in difficultyMix: ${unknown.join(', ')}. Difficulties are: ${DIFFICULTIES.join(', ')}`;
+  }
+
+  const weights = Object.values(mix);
+  if (weights.some(weight => typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0)) {
+    return 'difficultyMix weights must be non-negative numbers';
+  }
+  if (!weights.some(weight => weight > 0)) {
+    return 'difficultyMix needs at least one weight above 0';
+  }
+  return null;
+};
+
+/**
+ * Split a number of questions over the difficulties of a mix, rounding so
+ * the counts add up to the total
+ * @param {Object} mix - Difficulty mix, defaulting to DEFAULT_DIFFICULTY_MIX
+ * @param {number} total - Number of questions
+ * @returns {Object} - Number of questions per difficulty
+ */
+const getDifficultyTargets = (mix = DEFAULT_DIFFICULTY_MIX, total) => {
+  const totalWeight = DIFFICULTIES.reduce((sum, difficulty) => sum + (mix[difficulty] || 0), 0);
+  const shares = DIFFICULTIES.map(difficulty => ((mix[difficulty] || 0) / totalWeight) * total);
+  const targets = Object.fromEntries(DIFFICULTIES.map((difficulty, i) => [difficulty, Math.floor(shares[i])]));
+
+  // Hand out what rounding down left over, largest remainder first
+  let left = total - Object.values(targets).reduce((sum, count) => sum + count, 0);
+  DIFFICULTIES
+    .map((difficulty, i) => ({ difficulty, remainder: shares[i] - targets[difficulty] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ difficulty }) => {
+      if (left > 0) {
+        targets[difficulty] += 1;
+        left -= 1;
+      }
+    });
+
+  return targets;
+};
+
+/**
+ * Count questions per difficulty
+ * @param {Array} questions - Validated questions
+ * @returns {Object} - Number of questions per difficulty
+ */
+const countByDifficulty = (questions) => {
+  const counts = Object.fromEntries(DIFFICULTIES.map(difficulty => [difficulty, 0]));
+  questions.forEach(question => {
+    if (question.difficulty in counts) counts[question.difficulty] += 1;
+  });
+  return counts;
+};
+
+/**
+ * Count questions per category
+ * @param {Array} questions - Validated questions
+ * @returns {Object} - Number of questions per category
+ */
+const countByCategory = (questions) => {
+  const counts = Object.fromEntries(CATEGORIES.map(category => [category, 0]));
+  questions.forEach(question => {
+    if (question.category in counts) counts[question.category] += 1;
+  });
+  return counts;
+};
+
+/**
+ * Tidy the answer of a question item, keeping its word breaks
+ * @param {string} answer - Answer from the response
+ * @param {Object} locale - Locale from getLocale
+ * @returns {string} - Uppercase answer with single spaces between words
+ */
+const formatAnswer = (answer, locale) => answer.trim().replace(/\s+/g, ' ').toLocaleUpperCase(locale.name);
+
+/**
+ * Validate one question item
+ * @param {*} item - Question item from the response
+ * @param {Object} rules - trackIds (Set), minAnswerLength, maxAnswerLength, usedAnswers (Set)
+ * and the locale whose alphabet answers must use. Answers are compared and
+ * measured by their letters, so PINK FLOYD is 9 letters long.
+ * @returns {Array} - Validation error messages, empty if valid
+ */
+const validateQuestion = (item, { trackIds, minAnswerLength, maxAnswerLength, usedAnswers, locale = getLocale() }) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return ['must be an object'];
+  }
+
+  const missing = QUESTION_FIELDS.filter(field => typeof item[field] !== 'string' || !item[field].trim());
+  if (missing.length > 0) {
+    return [`missing ${missing.join(', ')}`];
+  }
+
+  const errors = [];
+  const answer = formatAnswer(item.answer, locale);
+  const letters = normalizeAnswer(answer, locale);
+
+  if (!isAnswerText(answer, locale)) {
+    errors.push(`answer "${item.answer}" must contain only letters ${locale.alphabetLabel}, with spaces or hyphens between words and apostrophes, slashes or periods inside names`);
+  } else if (letters.length < minAnswerLength || letters.length > maxAnswerLength) {
+    errors.push(`answer "${answer}" must be ${minAnswerLength} to ${maxAnswerLength} letters long`);
+  } else if (usedAnswers.has(letters)) {
+    errors.push(`answer "${answer}" is already used`);
+  }
+
+  if (!trackIds.has(item.trackId)) {
+    errors.push(`trackId "${item.trackId}" is not one of the provided tracks`);
+  }
+
+  if (!DIFFICULTIES.includes(item.difficulty.trim().toLowerCase())) {
+    errors.push(`difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+
+  if (!CATEGORIES.includes(normalizeCategory(item.category))) {
+    errors.push(`category "${item.category}" must be one of: ${CATEGORIES.join(', ')}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Validate question items, keeping the valid ones in a normalized form.
+ * With the tracks of the prompt, questions are also fact-checked against
+ * them: contradictions reject a question, and the others get a confidence
+ * and the doubtful facts as factIssues.
+ * @param {Array} items - Question items from the response
+ * @param {Object} rules - trackIds (Set), minAnswerLength, maxAnswerLength, usedAnswers (Set)
+ * and optional locale and tracks (Map of prompt tracks by ID)
+ * @returns {Object} - valid questions and rejected items with their errors
+ */
+const validateQuestions = (items, rules) => {
+  const { locale = getLocale() } = rules;
+  // Used answers by their letters, so PINK FLOYD and PINKFLOYD clash
+  const usedAnswers = new Set([...(rules.usedAnswers || [])].map(answer => normalizeAnswer(answer, locale)));
+  const valid = [];
+  const rejected = [];
+
+  items.forEach((item, index) => {
+    const errors = validateQuestion(item, { ...rules, usedAnswers });
+    if (errors.length > 0) {
+      rejected.push({ index, item, errors });
+      return;
+    }
+
+    const question = {
+      question: item.question.trim(),
+      answer: formatAnswer(item.answer, locale),
+      trackId: item.trackId,
+      difficulty: item.difficulty.trim().toLowerCase(),
+      category: normalizeCategory(item.category)
+    };
+
+    if (rules.tracks) {
+      const { confidence, issues, contradictions } = checkQuestion(question, rules.tracks.get(question.trackId), locale);
+      if (contradictions.length > 0) {
+        rejected.push({ index, item, errors: contradictions });
+        return;
+      }
+      question.confidence = confidence;
+      question.factIssues = issues;
+    }
+
+    usedAnswers.add(normalizeAnswer(question.answer, locale));
+    valid.push(question);
+  });
+
+  return { valid, rejected };
+};
+
+/**
+ * Create a scanner that finds question objects in a response while it is
+ * still streaming. Objects directly inside an array are returned as soon
+ * as their closing brace arrives, so both a bare array and an object with
+ * a questions array work.
+ * @returns {Function} - (text) => JSON texts of the objects completed by this piece of text
+ */
+const createQuestionScanner = () => {
+  const containers = [];
+  let inString = false;
+  let escaped = false;
+  let item = null;
+
+  return (text) => {
+    const completed = [];
+
+    for (const char of text) {
+      if (item !== null) item += char;
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '[') {
+        containers.push(char);
+      } else if (char === '{') {
+        if (item === null && containers[containers.length - 1] === '[') {
+          item = char;
+          containers.push('item');
+        } else {
+          containers.push(char);
+        }
+      } else if (char === ']' || char === '}') {
+        if (containers.pop() === 'item') {
+          completed.push(item);
+          item = null;
+        }
+      }
+    }
+
+    return completed;
+  };
+};
+
+module.exports = {
+  DIFFICULTIES,
+  DEFAULT_DIFFICULTY_MIX,
+  CATEGORIES,
+  normalizeCategory,
+  validateDifficultyMix,
+  getDifficultyTargets,
+  countByDifficulty,
+  countByCategory,
+  parseQuestionList,
+  createQuestionScanner,
+  validateQuestion,
+  validateQuestions
+};
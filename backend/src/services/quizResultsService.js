@@ -0,0 +1,229 @@
+// backend/src/services/quizResultsService.js
+
+const Quiz = require('../../models/quiz');
+const Attempt = require('../../models/attempt');
+const { getLocale, normalizeAnswer } = require('./locales');
+
+const DIRECTIONS = ['across', 'down'];
+
+// Number of clues listed as hardest in the stats
+const HARDEST_CLUES_COUNT = 5;
+
+/**
+ * Key an entry by its number and direction
+ * @param {number} number - Entry number
+ * @param {string} direction - 'across' or 'down'
+ * @returns {string} - Entry key
+ */
+const entryKey = (number, direction) => `${number}-${direction}`;
+
+/**
+ * Check a non-negative number
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for finite numbers >= 0
+ */
+const isNonNegative = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validate a quiz results payload
+ * @param {Object} results - Results (entries, teams, completed, startedAt, completedAt)
+ * @returns {string|null} - Error message or null if valid
+ */
+const validateResults = (results) => {
+  if (!results || !Array.isArray(results.entries)) {
+    return 'Results must contain an entries array';
+  }
+
+  for (const entry of results.entries) {
+    if (!entry || typeof entry !== 'object' || !Number.isInteger(entry.number) || !DIRECTIONS.includes(entry.direction)) {
+      return 'Each result entry needs a number and a direction (across or down)';
+    }
+    if (entry.guess !== undefined && typeof entry.guess !== 'string') {
+      return `Guess for ${entry.number} ${entry.direction} must be a string`;
+    }
+    if (entry.timeMs !== undefined && !isNonNegative(entry.timeMs)) {
+      return `timeMs for ${entry.number} ${entry.direction} must be a non-negative number`;
+    }
+    if (entry.hintsUsed !== undefined && !(Number.isInteger(entry.hintsUsed) && entry.hintsUsed >= 0)) {
+      return `hintsUsed for ${entry.number} ${entry.direction} must be a non-negative integer`;
+    }
+  }
+
+  if (results.teams !== undefined) {
+    if (!Array.isArray(results.teams) ||
+        results.teams.some(team => !team || !team.name || typeof team.score !== 'number')) {
+      return 'Teams must be an array of objects with a name and a numeric score';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Store the results of a quiz attempt. Entries with a guess are checked
+ * against the stored answers, others use their correct flag.
+ * @param {number} quizId - Quiz ID
+ * @param {Object} results - Validated results
+ * @param {number} userId - Optional ID of the logged in player
+ * @returns {Promise<Object|null>} - Attempt summary or null if the quiz does not exist
+ */
+const recordResults = async (quizId, results, userId = null) => {
+  const quiz = await Quiz.getComplete(quizId);
+  if (!quiz) return null;
+
+  const layoutEntries = quiz.layout ? quiz.layout.entries : [];
+  const locale = getLocale(quiz.layout?.locale);
+  const layoutByKey = new Map(layoutEntries.map(entry => [entryKey(entry.number, entry.direction), entry]));
+  const trackByClue = new Map(quiz.questions.map(question => [question.question, question.track_id]));
+
+  const unknown = results.entries.find(entry => !layoutByKey.has(entryKey(entry.number, entry.direction)));
+  if (unknown) {
+    throw new Error(`Unknown crossword entry: ${unknown.number} ${unknown.direction}`);
+  }
+
+  const entryRows = results.entries.map(entry => {
+    const layoutEntry = layoutByKey.get(entryKey(entry.number, entry.direction));
+    const correct = entry.guess !== undefined
+      ? normalizeAnswer(entry.guess, locale) === normalizeAnswer(layoutEntry.answer, locale)
+      : Boolean(entry.correct);
+
+    return {
+      number: entry.number,
+      direction: entry.direction,
+      answer: layoutEntry.answer,
+      track_id: layoutEntry.trackId || trackByClue.get(layoutEntry.clue) || null,
+      correct,
+      time_ms: entry.timeMs !== undefined ? Math.round(entry.timeMs) : null,
+      hints_used: entry.hintsUsed || 0
+    };
+  });
+
+  const score = entryRows.filter(row => row.correct).length;
+  const total = layoutEntries.length || entryRows.length;
+
+  const attempt = await Quiz.recordAttempt({
+    quiz_id: quizId,
+    user_id: userId,
+    score,
+    total,
+    completed: results.completed !== undefined ? Boolean(results.completed) : score === total,
+    answers: results.entries,
+    teams: results.teams || null,
+    started_at: results.startedAt ? new Date(results.startedAt) : null,
+    completed_at: results.completedAt ? new Date(results.completedAt) : null
+  }, entryRows);
+
+  return {
+    id: attempt.id,
+    quizId,
+    score: attempt.score,
+    total: attempt.total,
+    completed: Boolean(attempt.completed),
+    teams: attempt.teams
+  };
+};
+
+/**
+ * Average a list of numbers
+ * @param {Array} values - Numbers
+ * @returns {number|null} - Rounded average or null for an empty list
+ */
+const average = (values) => (
+  values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null
+);
+
+/**
+ * Summarize a set of attempt entry rows
+ * @param {Array} rows - Attempt entry rows
+ * @returns {Object} - Attempts, solves, solve rate, average solve time and hints
+ */
+const summarizeEntries = (rows) => {
+  const solved = rows.filter(row => row.correct);
+
+  return {
+    attempts: rows.length,
+    solved: solved.length,
+    solveRate: rows.length > 0 ? solved.length / rows.length : 0,
+    averageSolveTimeMs: average(solved.map(row => row.time_ms).filter(time => time != null)),
+    averageHintsUsed: rows.length > 0
+      ? rows.reduce((sum, row) => sum + row.hints_used, 0) / rows.length
+      : 0
+  };
+};
+
+/**
+ * Analyze the stored attempts of a quiz
+ * @param {number} quizId - Quiz ID
+ * @returns {Promise<Object|null>} - Stats or null if the quiz does not exist
+ */
+const getQuizStats = async (quizId) => {
+  const quiz = await Quiz.getComplete(quizId);
+  if (!quiz) return null;
+
+  const [attempts, entryRows] = await Promise.all([
+    Attempt.getByQuizId(quizId),
+    Attempt.getEntriesByQuizId(quizId)
+  ]);
+
+  // SQLite returns booleans as 0/1
+  const rows = entryRows.map(row => ({ ...row, correct: Boolean(row.correct) }));
+
+  const rowsByEntry = new Map();
+  rows.forEach(row => {
+    const key = entryKey(row.number, row.direction);
+    if (!rowsByEntry.has(key)) {
+      rowsByEntry.set(key, []);
+    }
+    rowsByEntry.get(key).push(row);
+  });
+
+  const layoutEntries = quiz.layout ? quiz.layout.entries : [];
+  const clues = layoutEntries
+    .filter(entry => rowsByEntry.has(entryKey(entry.number, entry.direction)))
+    .map(entry => ({
+      number: entry.number,
+      direction: entry.direction,
+      clue: entry.clue,
+      answer: entry.answer,
+      trackId: entry.trackId || null,
+      ...summarizeEntries(rowsByEntry.get(entryKey(entry.number, entry.direction)))
+    }));
+
+  // Lowest solve rate first, slower average solve time breaks ties
+  const hardestClues = [...clues]
+    .sort((a, b) =>
+      a.solveRate - b.solveRate ||
+      (b.averageSolveTimeMs ?? Infinity) - (a.averageSolveTimeMs ?? Infinity))
+    .slice(0, HARDEST_CLUES_COUNT);
+
+  const songGroups = quiz.songGroups.map(group => {
+    const { solveRate, ...summary } = summarizeEntries(rows.filter(row => row.track_id === group.track_id));
+    return {
+      trackId: group.track_id,
+      name: group.name,
+      ...summary,
+      completionRate: solveRate
+    };
+  });
+
+  const completedAttempts = attempts.filter(attempt => attempt.completed).length;
+
+  return {
+    quizId,
+    attempts: attempts.length,
+    completedAttempts,
+    completionRate: attempts.length > 0 ? completedAttempts / attempts.length : 0,
+    averageScore: attempts.length > 0
+      ? attempts.reduce((sum, attempt) => sum + (attempt.score || 0), 0) / attempts.length
+      : 0,
+    averageSolveTimeMs: summarizeEntries(rows).averageSolveTimeMs,
+    hardestClues,
+    songGroups
+  };
+};
+
+module.exports = {
+  validateResults,
+  recordResults,
+  getQuizStats
+};
@@ -0,0 +1,239 @@
+// backend/src/services/quizService.js
+
+const Quiz = require('../../models/quiz');
+const questionRepository = require('../repositories/questionRepository');
+const crosswordRepository = require('../repositories/crosswordRepository');
+
+// Song group used by createQuizFromCrossword for questions without a track
+const GENERAL_GROUP_ID = 'general';
+
+/**
+ * Collect the questions of a crossword, preferring an explicit list, then the
+ * questions of its song groups, then its entries
+ * @param {Object} crossword - Crossword data from buildCrossword or createQuizFromCrossword
+ * @param {Array} questions - Optional explicit questions
+ * @returns {Array} - Unique questions
+ */
+const collectQuestions = (crossword, questions) => {
+  let collected;
+
+  if (Array.isArray(questions) && questions.length > 0) {
+    collected = questions;
+  } else if (Array.isArray(crossword.songGroups) && crossword.songGroups.length > 0) {
+    collected = crossword.songGroups.flatMap(group =>
+      (group.questions || []).map(question => ({
+        ...question,
+        trackId: question.trackId || group.id
+      }))
+    );
+  } else {
+    collected = (crossword.entries || []).map(entry => ({
+      question: entry.clue,
+      answer: entry.originalAnswer || entry.answer,
+      trackId: entry.trackId,
+      trackName: entry.trackName,
+      artists: entry.artists,
+      difficulty: entry.difficulty,
+      category: entry.category,
+      confidence: entry.confidence
+    }));
+  }
+
+  // Dedupe by question text
+  const seen = new Set();
+  return collected.filter(question => {
+    if (!question.question || seen.has(question.question)) return false;
+    seen.add(question.question);
+    return true;
+  });
+};
+
+/**
+ * Map a song group to a database row
+ * @param {Object} group - Song group object
+ * @returns {Object} - Song group row
+ */
+const toSongGroupRow = (group) => ({
+  track_id: group.id,
+  name: group.name || null,
+  artists: group.artists || [],
+  album: group.album || null,
+  preview_url: group.previewUrl || null,
+  image_url: group.imageUrl || null,
+  popularity_score: group.popularityScore ?? null
+});
+
+/**
+ * Map a song group row back to the API shape, attaching its questions and
+ * the questions that made it into the crossword
+ * @param {Object} row - Song group row
+ * @param {Array} questions - Questions of the quiz
+ * @param {Map} entriesByClue - Crossword entries keyed by clue
+ * @returns {Object} - Song group object
+ */
+const fromSongGroupRow = (row, questions, entriesByClue) => {
+  const groupQuestions = questions.filter(question =>
+    (question.trackId || GENERAL_GROUP_ID) === row.track_id
+  );
+
+  return {
+    id: row.track_id,
+    name: row.name,
+    artists: row.artists,
+    album: row.album,
+    previewUrl: row.preview_url,
+    imageUrl: row.image_url,
+    popularityScore: row.popularity_score,
+    questions: groupQuestions,
+    crosswordQuestions: groupQuestions
+      .filter(question => entriesByClue.has(question.question))
+      .map(question => ({ ...question, crosswordEntry: entriesByClue.get(question.question) }))
+  };
+};
+
+/**
+ * Map a complete quiz from the database to the API shape
+ * @param {Object} quiz - Quiz with questions, layout and songGroups
+ * @returns {Object} - Quiz with its crossword in the buildCrossword shape
+ */
+const formatQuiz = (quiz) => {
+  const questions = quiz.questions.map(questionRepository.fromRow);
+  const entries = quiz.layout ? quiz.layout.entries : [];
+  const entriesByClue = new Map(entries.map(entry => [entry.clue, entry]));
+
+  return {
+    id: quiz.id,
+    title: quiz.title,
+    description: quiz.description,
+    isPublic: Boolean(quiz.is_public),
+    userId: quiz.user_id,
+    createdAt: quiz.created_at,
+    updatedAt: quiz.updated_at,
+    crossword: quiz.layout
+      ? {
+        ...crosswordRepository.fromRow(quiz.layout),
+        songGroups: quiz.songGroups.map(row => fromSongGroupRow(row, questions, entriesByClue)),
+        playlist: quiz.playlist
+      }
+      : null,
+    questions
+  };
+};
+
+/**
+ * Map an API payload to the quiz row and its child rows
+ * @param {Object} data - Quiz payload (title, description, isPublic, crossword, questions)
+ * @returns {Object} - Quiz row, question rows and crossword rows
+ */
+const toRows = (data) => {
+  const { title, description, isPublic, crossword, questions } = data;
+  const quizRow = {};
+
+  if (title !== undefined) quizRow.title = title;
+  if (description !== undefined) quizRow.description = description;
+  if (isPublic !== undefined) quizRow.is_public = Boolean(isPublic);
+
+  if (!crossword) {
+    return {
+      quizRow,
+      questionRows: Array.isArray(questions) ? questions.map(questionRepository.toRow) : null,
+      crosswordRows: {}
+    };
+  }
+
+  if (crossword.playlist) {
+    quizRow.playlist_id = crossword.playlist.id || null;
+    quizRow.playlist = crossword.playlist;
+  }
+
+  return {
+    quizRow,
+    questionRows: collectQuestions(crossword, questions).map(questionRepository.toRow),
+    crosswordRows: {
+      layout: crosswordRepository.toRow(crossword),
+      songGroups: (crossword.songGroups || []).map(toSongGroupRow)
+    }
+  };
+};
+
+/**
+ * List quizzes
+ * @param {Object} options - Query options (userId, limit, offset)
+ * @returns {Promise<Array>} - Quiz summaries
+ */
+const listQuizzes = async (options = {}) => {
+  const quizzes = await Quiz.getAll(options);
+
+  return quizzes.map(quiz => ({
+    id: quiz.id,
+    title: quiz.title,
+    description: quiz.description,
+    isPublic: Boolean(quiz.is_public),
+    playlistId: quiz.playlist_id,
+    createdAt: quiz.created_at,
+    updatedAt: quiz.updated_at
+  }));
+};
+
+/**
+ * Get the owner and visibility of a quiz
+ * @param {number} id - Quiz ID
+ * @returns {Promise<Object|null>} - userId and isPublic, or null if not found
+ */
+const getQuizAccess = async (id) => {
+  const quiz = await Quiz.findById(id);
+  return quiz ? { userId: quiz.user_id, isPublic: Boolean(quiz.is_public) } : null;
+};
+
+/**
+ * Get a quiz with its crossword and questions
+ * @param {number} id - Quiz ID
+ * @returns {Promise<Object|null>} - Quiz or null if not found
+ */
+const getQuiz = async (id) => {
+  const quiz = await Quiz.getComplete(id);
+  return quiz ? formatQuiz(quiz) : null;
+};
+
+/**
+ * Store a new quiz
+ * @param {Object} data - Quiz payload (title, description, isPublic, crossword, questions)
+ * @param {number} userId - ID of the owning user
+ * @returns {Promise<Object>} - Stored quiz
+ */
+const createQuiz = async (data, userId) => {
+  const { quizRow, questionRows, crosswordRows } = toRows(data);
+  const quiz = await Quiz.create({ ...quizRow, user_id: userId }, questionRows || [], crosswordRows);
+  return formatQuiz(quiz);
+};
+
+/**
+ * Update a quiz, replacing its crossword and questions if given
+ * @param {number} id - Quiz ID
+ * @param {Object} data - Quiz payload (title, description, isPublic, crossword, questions)
+ * @returns {Promise<Object|null>} - Updated quiz or null if not found
+ */
+const updateQuiz = async (id, data) => {
+  const existing = await Quiz.findById(id);
+  if (!existing) return null;
+
+  const { quizRow, questionRows, crosswordRows } = toRows(data);
+  const quiz = await Quiz.update(id, quizRow, questionRows, crosswordRows);
+  return formatQuiz(quiz);
+};
+
+/**
+ * Delete a quiz
+ * @param {number} id - Quiz ID
+ * @returns {Promise<boolean>} - True if the quiz existed
+ */
+const deleteQuiz = async (id) => Quiz.delete(id);
+
+module.exports = {
+  listQuizzes,
+  getQuizAccess,
+  getQuiz,
+  createQuiz,
+  updateQuiz,
+  deleteQuiz
+};
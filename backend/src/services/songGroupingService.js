@@ -196,8 +196,8 @@ const enhanceCrosswordWithSongGroups = (crosswordData, songGroups) => {
 
   // Enhance entries and enforce strict matching
   const enhancedEntries = crosswordData.entries.map(entry => {
-    if (entry.trackId) {
-      return entry; // Keep existing trackId
+    if (entry.trackId || entry.isFill) {
+      return entry; // Keep existing trackId; fill words belong to no track
     }
 
     // Attempt to find a match using the clue text
@@ -17,16 +17,89 @@ const setupClientCredentials = async () => {
     console.log('Spotify access token retrieved');
     spotifyApi.setAccessToken(data.body.access_token);
     
-    // Set token refresh timeout (expires in 1 hour)
+    // Set token refresh timeout (expires in 1 hour). The timer alone does
+    // not keep the process running.
     setTimeout(() => {
       setupClientCredentials();
-    }, (data.body.expires_in - 60) * 1000); // Refresh 1 minute before expiration
+    }, (data.body.expires_in - 60) * 1000).unref(); // Refresh 1 minute before expiration
   } catch (error) {
     console.error('Error retrieving Spotify access token:', error);
     throw error;
   }
 };
 
+// Sources read from the logged in user's library
+const LIBRARY_SOURCES = ['saved-tracks', 'top-tracks', 'recently-played'];
+
+// Spotify time ranges for top tracks
+const TIME_RANGES = {
+  short_term: 'last 4 weeks',
+  medium_term: 'last 6 months',
+  long_term: 'all time'
+};
+
+// Cap on tracks loaded from a user's Liked Songs
+const MAX_SAVED_TRACKS = 200;
+
+// Market used for artist top tracks
+const DEFAULT_MARKET = 'US';
+
+// Discography sampled for artist sources: albums spread over the career,
+// a few tracks from each
+const ARTIST_SAMPLE_ALBUMS = 5;
+const ARTIST_SAMPLE_TRACKS_PER_ALBUM = 3;
+
+// Spotify item types that can be used as a track source
+const URL_TYPES = ['playlist', 'album', 'artist', 'track'];
+
+/**
+ * Get a Spotify client for a request. With a user access token the request
+ * can read private and collaborative playlists and the user's library.
+ * @param {string} accessToken - Optional user access token
+ * @returns {Promise<Object>} - Spotify API client
+ */
+const getClient = async (accessToken) => {
+  if (accessToken) {
+    return new SpotifyWebApi({ accessToken });
+  }
+
+  // Ensure we have an access token
+  if (!spotifyApi.getAccessToken()) {
+    await setupClientCredentials();
+  }
+  return spotifyApi;
+};
+
+/**
+ * Map a Spotify track to a simpler format
+ * @param {Object} track - Spotify track object
+ * @returns {Object} - Simplified track
+ */
+const simplifyTrack = (track) => ({
+  id: track.id,
+  name: track.name,
+  artists: track.artists.map(artist => ({
+    id: artist.id,
+    name: artist.name
+  })),
+  album: {
+    id: track.album.id,
+    name: track.album.name,
+    releaseDate: track.album.release_date,
+    images: track.album.images
+  },
+  previewUrl: track.preview_url,
+  popularityScore: track.popularity
+});
+
+/**
+ * Check whether a URL points to the user's Liked Songs
+ * @param {string} url - Spotify URL or URI
+ * @returns {boolean} - True for Liked Songs links
+ */
+const isLikedSongsUrl = (url) =>
+  /open\.spotify\.com\/collection\/tracks/.test(url) || /^spotify:user:[^:]+:collection$/.test(url);
+
 /**
  * Extract playlist ID from Spotify URL
  * @param {string} url - Spotify playlist URL
@@ -50,17 +123,38 @@ const extractPlaylistId = (url) => {
   return null;
 };
 
+/**
+ * Parse a Spotify URL or URI into its item type and ID
+ * @param {string} url - Spotify URL, URI or raw playlist ID
+ * @returns {Object|null} - type (playlist, album, artist, track or collection) and id, or null if invalid
+ */
+const parseSpotifyUrl = (url) => {
+  if (isLikedSongsUrl(url)) {
+    return { type: 'collection', id: 'tracks' };
+  }
+
+  const types = URL_TYPES.join('|');
+  const match = url.match(new RegExp(`spotify:(${types}):([a-zA-Z0-9]+)`)) ||
+    url.match(new RegExp(`open\\.spotify\\.com\\/(?:intl-[a-z-]+\\/)?(${types})\\/([a-zA-Z0-9]+)`));
+  if (match) {
+    return { type: match[1], id: match[2] };
+  }
+
+  // Raw IDs are treated as playlists
+  const playlistId = extractPlaylistId(url);
+  return playlistId ? { type: 'playlist', id: playlistId } : null;
+};
+
 /**
  * Get playlist data from Spotify
  * @param {string} playlistUrl - Spotify playlist URL
+ * @param {Object} options - Request options
+ * @param {string} options.accessToken - Optional user access token for private playlists
  * @returns {Promise<Object>} - Playlist data with tracks
  */
-const getPlaylistData = async (playlistUrl) => {
+const getPlaylistData = async (playlistUrl, options = {}) => {
   try {
-    // Ensure we have an access token
-    if (!spotifyApi.getAccessToken()) {
-      await setupClientCredentials();
-    }
+    const client = await getClient(options.accessToken);
 
     // Extract the playlist ID from the URL
     const playlistId = extractPlaylistId(playlistUrl);
@@ -69,14 +163,14 @@ const getPlaylistData = async (playlistUrl) => {
     }
 
     // Get playlist metadata
-    const playlistData = await spotifyApi.getPlaylist(playlistId);
+    const playlistData = await client.getPlaylist(playlistId);
     
     // We need to handle pagination for playlists with more than 100 tracks
     let tracks = playlistData.body.tracks.items;
     let nextUrl = playlistData.body.tracks.next;
     
     while (nextUrl) {
-      const moreTracksData = await spotifyApi.getPlaylistTracks(playlistId, {
+      const moreTracksData = await client.getPlaylistTracks(playlistId, {
         offset: tracks.length,
         limit: 100
       });
@@ -84,27 +178,10 @@ const getPlaylistData = async (playlistUrl) => {
       nextUrl = moreTracksData.body.next;
     }
     
-    // Map track data to a simpler format
-    const simplifiedTracks = tracks.map(item => {
-      if (!item.track) return null; // Skip null tracks
-      
-      return {
-        id: item.track.id,
-        name: item.track.name,
-        artists: item.track.artists.map(artist => ({
-          id: artist.id,
-          name: artist.name
-        })),
-        album: {
-          id: item.track.album.id,
-          name: item.track.album.name,
-          releaseDate: item.track.album.release_date,
-          images: item.track.album.images
-        },
-        previewUrl: item.track.preview_url,
-        popularityScore: item.track.popularity
-      };
-    }).filter(Boolean); // Remove null entries
+    // Map track data to a simpler format, skipping null tracks
+    const simplifiedTracks = tracks
+      .filter(item => item.track)
+      .map(item => simplifyTrack(item.track));
     
     return {
       id: playlistData.body.id,
@@ -124,12 +201,465 @@ const getPlaylistData = async (playlistUrl) => {
   }
 };
 
+/**
+ * Get the tracks the user saved to Liked Songs
+ * @param {Object} client - Spotify API client with a user token
+ * @returns {Promise<Array>} - Simplified tracks, most recently saved first
+ */
+const getSavedTracks = async (client) => {
+  let items = [];
+  let next = true;
+
+  while (next && items.length < MAX_SAVED_TRACKS) {
+    const data = await client.getMySavedTracks({ offset: items.length, limit: 50 });
+    items = [...items, ...data.body.items];
+    next = data.body.next;
+  }
+
+  return items
+    .slice(0, MAX_SAVED_TRACKS)
+    .filter(item => item.track)
+    .map(item => simplifyTrack(item.track));
+};
+
+/**
+ * Get the user's top tracks
+ * @param {Object} client - Spotify API client with a user token
+ * @param {string} timeRange - short_term, medium_term or long_term
+ * @returns {Promise<Array>} - Simplified tracks, most listened first
+ */
+const getTopTracks = async (client, timeRange) => {
+  const data = await client.getMyTopTracks({ time_range: timeRange, limit: 50 });
+  return data.body.items.map(simplifyTrack);
+};
+
+/**
+ * Get the user's recently played tracks, without repeats
+ * @param {Object} client - Spotify API client with a user token
+ * @returns {Promise<Array>} - Simplified tracks, most recent first
+ */
+const getRecentlyPlayed = async (client) => {
+  const data = await client.getMyRecentlyPlayedTracks({ limit: 50 });
+  const seen = new Set();
+
+  return data.body.items
+    .filter(item => item.track && !seen.has(item.track.id) && seen.add(item.track.id))
+    .map(item => simplifyTrack(item.track));
+};
+
+/**
+ * Get tracks from the logged in user's library, shaped like playlist data
+ * @param {string} source - saved-tracks, top-tracks or recently-played
+ * @param {Object} options - Request options
+ * @param {string} options.accessToken - User access token
+ * @param {string} options.timeRange - Time range for top tracks (default medium_term)
+ * @returns {Promise<Object>} - Playlist-shaped data with tracks
+ */
+const getLibraryData = async (source, options = {}) => {
+  const { accessToken, timeRange = 'medium_term' } = options;
+
+  if (!LIBRARY_SOURCES.includes(source)) {
+    throw new Error(`Unknown library source "${source}". Available sources: ${LIBRARY_SOURCES.join(', ')}`);
+  }
+  if (!accessToken) {
+    throw new Error('A Spotify login is required for library sources');
+  }
+  if (source === 'top-tracks' && !Object.hasOwn(TIME_RANGES, timeRange)) {
+    throw new Error(`Unknown time range "${timeRange}". Available time ranges: ${Object.keys(TIME_RANGES).join(', ')}`);
+  }
+
+  try {
+    const client = await getClient(accessToken);
+    const me = await client.getMe();
+
+    let tracks;
+    let id;
+    let name;
+    if (source === 'saved-tracks') {
+      tracks = await getSavedTracks(client);
+      id = 'saved-tracks';
+      name = 'Liked Songs';
+    } else if (source === 'top-tracks') {
+      tracks = await getTopTracks(client, timeRange);
+      id = `top-tracks-${timeRange}`;
+      name = `Top tracks (${TIME_RANGES[timeRange]})`;
+    } else {
+      tracks = await getRecentlyPlayed(client);
+      id = 'recently-played';
+      name = 'Recently played';
+    }
+
+    return {
+      // Library sources differ per user, so their IDs include the user
+      id: `${me.body.id}:${id}`,
+      name,
+      description: `${name} of ${me.body.display_name || me.body.id}`,
+      owner: {
+        id: me.body.id,
+        displayName: me.body.display_name
+      },
+      images: me.body.images || [],
+      tracks,
+      tracksCount: tracks.length
+    };
+  } catch (error) {
+    console.error(`Error fetching ${source}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get a single track as Spotify returns it
+ * @param {string} trackId - Spotify track ID
+ * @param {Object} options - Request options
+ * @param {string} options.accessToken - Optional user access token
+ * @returns {Promise<Object>} - Spotify track object
+ */
+const getTrack = async (trackId, options = {}) => {
+  const client = await getClient(options.accessToken);
+  const data = await client.getTrack(trackId);
+  return data.body;
+};
+
+/**
+ * Attach the album to the simplified tracks Spotify returns inside albums
+ * @param {Object} album - Spotify album object
+ * @param {Array} tracks - Simplified Spotify tracks of the album
+ * @returns {Array} - Simplified tracks in the common format
+ */
+const simplifyAlbumTracks = (album, tracks) =>
+  tracks.map(track => simplifyTrack({ ...track, album, popularity: album.popularity }));
+
+/**
+ * Get the tracks of an album, shaped like playlist data
+ * @param {string} albumId - Spotify album ID
+ * @param {Object} options - Request options
+ * @param {string} options.accessToken - Optional user access token
+ * @returns {Promise<Object>} - Playlist-shaped data with tracks
+ */
+const getAlbumData = async (albumId, options = {}) => {
+  try {
+    const client = await getClient(options.accessToken);
+    const albumData = await client.getAlbum(albumId);
+    const album = albumData.body;
+
+    // Albums list their first 50 tracks
+    let items = album.tracks.items;
+    let next = album.tracks.next;
+    while (next) {
+      const moreTracksData = await client.getAlbumTracks(albumId, { offset: items.length, limit: 50 });
+      items = [...items, ...moreTracksData.body.items];
+      next = moreTracksData.body.next;
+    }
+
+    const tracks = simplifyAlbumTracks(album, items);
+
+    return {
+      id: album.uri,
+      name: album.name,
+      description: `${album.album_type === 'single' ? 'Single' : 'Album'} by ${album.artists.map(artist => artist.name).join(', ')}`,
+      owner: {
+        id: album.artists[0].id,
+        displayName: album.artists[0].name
+      },
+      images: album.images,
+      tracks,
+      tracksCount: tracks.length
+    };
+  } catch (error) {
+    console.error('Error fetching album data:', error);
+    throw error;
+  }
+};
+
+/**
+ * Pick items spread evenly over a list
+ * @param {Array} items - Items to pick from
+ * @param {number} count - Number of items to pick
+ * @returns {Array} - Picked items in their original order
+ */
+const pickEvenly = (items, count) => {
+  if (items.length <= count) return items;
+
+  return Array.from({ length: count }, (_, i) =>
+    items[Math.floor((i * items.length) / count)]
+  );
+};
+
+/**
+ * Get an artist's top tracks plus a sample of their discography, shaped
+ * like playlist data
+ * @param {string} artistId - Spotify artist ID
+ * @param {Object} options - Request options
+ * @param {string} options.accessToken - Optional user access token
+ * @param {string} options.market - Market for top tracks (default US)
+ * @returns {Promise<Object>} - Playlist-shaped data with tracks
+ */
+const getArtistData = async (artistId, options = {}) => {
+  const { accessToken, market = DEFAULT_MARKET } = options;
+
+  try {
+    const client = await getClient(accessToken);
+    const [artistData, topTracksData, albumsData] = await Promise.all([
+      client.getArtist(artistId),
+      client.getArtistTopTracks(artistId, market),
+      client.getArtistAlbums(artistId, { include_groups: 'album,single', market, limit: 50 })
+    ]);
+
+    // Sample albums across the career, oldest first
+    const albums = [...albumsData.body.items]
+      .sort((a, b) => a.release_date.localeCompare(b.release_date));
+    const sampledAlbumIds = pickEvenly(albums, ARTIST_SAMPLE_ALBUMS).map(album => album.id);
+    const fullAlbums = sampledAlbumIds.length > 0
+      ? (await client.getAlbums(sampledAlbumIds)).body.albums
+      : [];
+
+    const discographyTracks = fullAlbums.flatMap(album =>
+      simplifyAlbumTracks(album, pickEvenly(album.tracks.items, ARTIST_SAMPLE_TRACKS_PER_ALBUM))
+    );
+
+    // Top tracks first; skip repeats, including the same song on another release
+    const seen = new Set();
+    const tracks = [...topTracksData.body.tracks.map(simplifyTrack), ...discographyTracks]
+      .filter(track => {
+        const key = track.name.toLowerCase();
+        if (seen.has(track.id) || seen.has(key)) return false;
+        seen.add(track.id);
+        seen.add(key);
+        return true;
+      });
+
+    const artist = artistData.body;
+    return {
+      id: artist.uri,
+      name: artist.name,
+      description: `Top tracks and a selection from the discography of ${artist.name}`,
+      owner: {
+        id: artist.id,
+        displayName: artist.name
+      },
+      images: artist.images,
+      tracks,
+      tracksCount: tracks.length
+    };
+  } catch (error) {
+    console.error('Error fetching artist data:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a single track, shaped like playlist data
+ * @param {string} trackId - Spotify track ID
+ * @param {Object} options - Request options
+ * @param {string} options.accessToken - Optional user access token
+ * @returns {Promise<Object>} - Playlist-shaped data with one track
+ */
+const getTrackData = async (trackId, options = {}) => {
+  try {
+    const track = await getTrack(trackId, options);
+
+    return {
+      id: track.uri,
+      name: track.name,
+      description: `Track by ${track.artists.map(artist => artist.name).join(', ')}`,
+      owner: {
+        id: track.artists[0].id,
+        displayName: track.artists[0].name
+      },
+      images: track.album.images,
+      tracks: [simplifyTrack(track)],
+      tracksCount: 1
+    };
+  } catch (error) {
+    console.error('Error fetching track data:', error);
+    throw error;
+  }
+};
+
+/**
+ * Search Spotify for tracks, shaped like playlist data
+ * @param {string} query - Free-text search query
+ * @param {Object} options - Request options
+ * @param {string} options.accessToken - Optional user access token
+ * @returns {Promise<Object>} - Playlist-shaped data with the matching tracks
+ */
+const searchTracks = async (query, options = {}) => {
+  try {
+    const client = await getClient(options.accessToken);
+    const data = await client.searchTracks(query, { limit: 50 });
+    const tracks = data.body.tracks.items.filter(Boolean).map(simplifyTrack);
+
+    return {
+      id: `search:${query}`,
+      name: `Search: ${query}`,
+      description: `Spotify tracks matching "${query}"`,
+      owner: {
+        id: 'spotify',
+        displayName: 'Spotify search'
+      },
+      images: [],
+      tracks,
+      tracksCount: tracks.length
+    };
+  } catch (error) {
+    console.error('Error searching tracks:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get tracks from any supported Spotify URL: playlists, albums, artists,
+ * single tracks and Liked Songs
+ * @param {string} url - Spotify URL, URI or raw playlist ID
+ * @param {Object} options - Request options
+ * @param {string} options.accessToken - Optional user access token
+ * @returns {Promise<Object>} - Playlist-shaped data with tracks
+ */
+const getUrlData = async (url, options = {}) => {
+  const parsed = parseSpotifyUrl(url);
+  if (!parsed) {
+    throw new Error('Invalid Spotify playlist URL');
+  }
+
+  switch (parsed.type) {
+    case 'collection':
+      // Liked Songs is not a real playlist
+      return getLibraryData('saved-tracks', options);
+    case 'album':
+      return getAlbumData(parsed.id, options);
+    case 'artist':
+      return getArtistData(parsed.id, options);
+    case 'track':
+      return getTrackData(parsed.id, options);
+    default:
+      return getPlaylistData(parsed.id, options);
+  }
+};
+
+/**
+ * Read a library source from the ID of its playlist data, such as
+ * 1234:top-tracks-short_term
+ * @param {string} id - Playlist data ID
+ * @returns {Object|null} - source and timeRange, or null for other IDs
+ */
+const parseLibraryId = (id) => {
+  const match = id.match(/^[^:]+:(saved-tracks|recently-played|top-tracks-(\w+))$/);
+  if (!match) return null;
+  if (!match[2]) return { source: match[1] };
+  return Object.hasOwn(TIME_RANGES, match[2]) ? { source: 'top-tracks', timeRange: match[2] } : null;
+};
+
+/**
+ * Get tracks again for the ID of playlist data from getSourceData, as
+ * stored with a quiz: a playlist ID, an album, artist or track URI, a
+ * search, or a library source of the logged in user
+ * @param {string} id - Playlist data ID
+ * @param {Object} options - Request options
+ * @param {string} options.accessToken - Optional user access token, required for library sources
+ * @returns {Promise<Object>} - Playlist-shaped data with tracks
+ */
+const getDataById = async (id, options = {}) => {
+  if (id.startsWith('search:')) {
+    return searchTracks(id.slice('search:'.length), options);
+  }
+
+  const library = parseLibraryId(id);
+  if (library) {
+    if (!options.accessToken) {
+      throw Object.assign(new Error('Log in with Spotify to use your library'), { statusCode: 401 });
+    }
+    const data = await getLibraryData(library.source, { ...options, timeRange: library.timeRange });
+    // The library read is always the caller's own
+    if (data.id !== id) {
+      throw Object.assign(new Error('Library sources can only be reloaded by the Spotify user they belong to'), { statusCode: 403 });
+    }
+    return data;
+  }
+
+  // Albums, artists and tracks are stored by URI, playlists by ID
+  const url = id.startsWith('spotify:') ? id : `spotify:playlist:${id}`;
+  if (!parseSpotifyUrl(url) || (!id.startsWith('spotify:') && !extractPlaylistId(id))) {
+    throw Object.assign(new Error(`Unknown Spotify source ID "${id}"`), { statusCode: 400 });
+  }
+  return getUrlData(url, options);
+};
+
+/**
+ * Validate a request for tracks from a Spotify URL, a search query or a
+ * library source
+ * @param {Object} request - playlistUrl, query, or source with an optional timeRange
+ * @returns {string|null} - Error message or null if valid
+ */
+const validateSourceRequest = ({ playlistUrl, query, source, timeRange } = {}) => {
+  if (!playlistUrl && !query && !source) {
+    return 'Missing required parameter: playlistUrl, query or source';
+  }
+  if (playlistUrl !== undefined && (typeof playlistUrl !== 'string' || !playlistUrl.trim())) {
+    return 'Playlist URL must be a non-empty string';
+  }
+  if (query !== undefined && (typeof query !== 'string' || !query.trim())) {
+    return 'Query must be a non-empty string';
+  }
+  if (source && !LIBRARY_SOURCES.includes(source)) {
+    return `Unknown source "${source}". Available sources: ${LIBRARY_SOURCES.join(', ')}`;
+  }
+  if (timeRange !== undefined && source !== 'top-tracks') {
+    return 'A time range can only be given for the top-tracks source';
+  }
+  if (timeRange !== undefined && !Object.hasOwn(TIME_RANGES, timeRange)) {
+    return `Unknown time range "${timeRange}". Available time ranges: ${Object.keys(TIME_RANGES).join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Get tracks from a Spotify URL, a search query or a library source
+ * @param {Object} request - playlistUrl, query, or source with an optional timeRange
+ * @param {Object} options - Request options
+ * @param {string} options.accessToken - Optional user access token
+ * @returns {Promise<Object>} - Playlist-shaped data with tracks
+ */
+const getSourceData = ({ playlistUrl, query, source, timeRange }, options = {}) => {
+  if (source) {
+    return getLibraryData(source, { ...options, timeRange });
+  }
+  if (query) {
+    return searchTracks(query.trim(), options);
+  }
+  return getUrlData(playlistUrl, options);
+};
+
+/**
+ * Check whether a request reads the logged in user's Spotify account
+ * @param {Object} request - playlistUrl, query, or source
+ * @returns {boolean} - True for library sources and Liked Songs
+ */
+const needsUserToken = ({ playlistUrl, source } = {}) =>
+  Boolean(source) || Boolean(playlistUrl && isLikedSongsUrl(playlistUrl));
+
 // Initialize the token on startup
 setupClientCredentials().catch(console.error);
 
 module.exports = {
+  // MusicSourceProvider, see musicSources/index.js
+  name: 'spotify',
+  validateSourceRequest,
+  needsUserToken,
+  getSourceData,
+  LIBRARY_SOURCES,
+  TIME_RANGES,
   spotifyApi,
   setupClientCredentials,
   getPlaylistData,
-  extractPlaylistId
+  getAlbumData,
+  getArtistData,
+  getTrackData,
+  getTrack,
+  searchTracks,
+  getUrlData,
+  getDataById,
+  getLibraryData,
+  extractPlaylistId,
+  parseSpotifyUrl
 };
\ No newline at end of file
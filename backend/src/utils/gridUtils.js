@@ -0,0 +1,442 @@
+// backend/src/utils/gridUtils.js
+
+// Size of the working canvas the layout strategies place words on
+const CANVAS_SIZE = 30;
+
+/**
+ * Initialize an empty grid of specified dimensions
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @returns {Array} 2D grid array
+ */
+const initializeEmptyGrid = (rows, cols) => {
+  return Array(rows).fill().map(() => Array(cols).fill(''));
+};
+
+/**
+ * Create a crossword entry from prepared word data and a placement
+ * @param {Object} wordData - Prepared word data (word, question, originalAnswer, enumeration, track info)
+ * @param {Object} placement - Placement information (row, col, direction)
+ * @param {number} number - Entry number
+ * @returns {Object} Crossword entry
+ */
+const createEntry = (wordData, placement, number) => ({
+  answer: wordData.word,
+  originalAnswer: wordData.originalAnswer || wordData.word, // Answer as written, such as PINK FLOYD
+  enumeration: wordData.enumeration || String(wordData.word.length), // Letters per word, such as 4,5
+  clue: wordData.question,
+  position: { row: placement.row, col: placement.col },
+  direction: placement.direction,
+  number,
+  trackId: wordData.trackId,      // Preserve track ID
+  trackName: wordData.trackName,  // Preserve track name
+  artists: wordData.artists,      // Preserve artists
+  difficulty: wordData.difficulty, // Preserve difficulty
+  category: wordData.category,    // Preserve category
+  confidence: wordData.confidence // Preserve fact-check confidence
+});
+
+/**
+ * Measure a grid and break down its score
+ * @param {Array} grid - 2D grid array
+ * @param {number} placedWords - Number of words placed in the grid
+ * @param {number} totalWords - Total number of words attempted
+ * @returns {Object} Filled cells, used width and height, density, aspect ratio,
+ * the placement, density and shape scores and their total
+ */
+const measureGrid = (grid, placedWords, totalWords) => {
+  // Basic score is the percentage of words placed
+  const placementScore = (placedWords / totalWords) * 100;
+
+  // Count filled cells and grid dimensions
+  let filledCells = 0;
+  let minRow = grid.length;
+  let maxRow = 0;
+  let minCol = grid[0].length;
+  let maxCol = 0;
+
+  for (let row = 0; row < grid.length; row++) {
+    for (let col = 0; col < grid[0].length; col++) {
+      if (grid[row][col] !== '') {
+        filledCells++;
+        minRow = Math.min(minRow, row);
+        maxRow = Math.max(maxRow, row);
+        minCol = Math.min(minCol, col);
+        maxCol = Math.max(maxCol, col);
+      }
+    }
+  }
+
+  // Calculate used grid area
+  const height = maxRow - minRow + 1;
+  const width = maxCol - minCol + 1;
+  const density = filledCells / (width * height);
+
+  // Density score is the percentage of filled cells in the used area
+  const densityScore = density * 20;  // Weight less than word placement
+
+  // Shape score favors more square-like grids
+  const aspectRatio = Math.max(height / width, width / height);
+  const shapeScore = (1 / aspectRatio) * 10;  // Better when closer to 1
+
+  return {
+    filledCells,
+    width,
+    height,
+    density,
+    aspectRatio,
+    placementScore,
+    densityScore,
+    shapeScore,
+    score: placementScore + densityScore + shapeScore
+  };
+};
+
+/**
+ * Score a grid based on various factors
+ * @param {Array} grid - 2D grid array
+ * @param {number} placedWords - Number of words placed in the grid
+ * @param {number} totalWords - Total number of words attempted
+ * @returns {number} Score
+ */
+const scoreGrid = (grid, placedWords, totalWords) => measureGrid(grid, placedWords, totalWords).score;
+
+/**
+ * Index the letters of a grid by character, so placements can be searched
+ * from the cells a word could cross instead of from every cell
+ * @param {Array} grid - 2D grid array
+ * @returns {Map} Cells by letter, each a Set of row * columns + col keys
+ */
+const createLetterIndex = (grid) => {
+  const index = new Map();
+  grid.forEach((cells, row) => cells.forEach((letter, col) => {
+    if (letter !== '') addToLetterIndex(index, grid, letter, row, col);
+  }));
+  return index;
+};
+
+/**
+ * Add a letter cell to a letter index
+ * @param {Map} index - Index from createLetterIndex
+ * @param {Array} grid - 2D grid array the index belongs to
+ * @param {string} letter - Letter in the cell
+ * @param {number} row - Cell row
+ * @param {number} col - Cell column
+ */
+const addToLetterIndex = (index, grid, letter, row, col) => {
+  if (!index.has(letter)) index.set(letter, new Set());
+  index.get(letter).add(row * grid[0].length + col);
+};
+
+/**
+ * Find every valid placement for a word in the grid. Every valid placement
+ * crosses a placed letter, so only the starts that line one of the word's
+ * letters up with the same letter in the grid are tested. They are tested
+ * in reading order, across before down, like a scan of every cell.
+ * @param {Array} grid - 2D grid array
+ * @param {string} word - Word to place
+ * @param {Map} index - Letter index of the grid, built from the grid if not given
+ * @param {Array} mask - Optional grid-sized 2D array of booleans, true for cells letters may use
+ * @returns {Array} Placements with row, col, direction and intersections
+ */
+const findPlacements = (grid, word, index = createLetterIndex(grid), mask) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  // Starts as (row * cols + col) * 2, plus 1 for down, so sorting them
+  // gives reading order with across first
+  const seen = new Uint8Array(rows * cols * 2);
+  const starts = [];
+  const addStart = (start) => {
+    if (seen[start] === 0) {
+      seen[start] = 1;
+      starts.push(start);
+    }
+  };
+
+  for (let i = 0; i < word.length; i++) {
+    const cells = index.get(word[i]);
+    if (!cells) continue;
+
+    for (const cell of cells) {
+      const row = Math.floor(cell / cols);
+      const col = cell - row * cols;
+      if (col >= i && col - i + word.length <= cols) addStart((cell - i) * 2);
+      if (row >= i && row - i + word.length <= rows) addStart((cell - i * cols) * 2 + 1);
+    }
+  }
+
+  const placements = [];
+  for (const start of Int32Array.from(starts).sort()) {
+    const cell = start >> 1;
+    const row = Math.floor(cell / cols);
+    const col = cell - row * cols;
+    const isAcross = (start & 1) === 0;
+    if (mask && !fitsMask(mask, word.length, { row, col, direction: isAcross ? 'across' : 'down' })) continue;
+    const check = isAcross
+      ? canPlaceWordHorizontally(grid, word, row, col)
+      : canPlaceWordVertically(grid, word, row, col);
+    if (check.canPlace) {
+      placements.push({ row, col, direction: isAcross ? 'across' : 'down', intersections: check.intersections });
+    }
+  }
+
+  return placements;
+};
+
+/**
+ * Check that every cell of a placement is open in a mask
+ * @param {Array} mask - 2D array of booleans, true for cells letters may use
+ * @param {number} length - Length of the word
+ * @param {Object} placement - Placement information (row, col, direction)
+ * @returns {boolean} True if the word lies inside the mask
+ */
+const fitsMask = (mask, length, { row, col, direction }) => {
+  for (let i = 0; i < length; i++) {
+    const cellRow = direction === 'across' ? row : row + i;
+    const cellCol = direction === 'across' ? col + i : col;
+    if (!mask[cellRow]?.[cellCol]) return false;
+  }
+  return true;
+};
+
+/**
+ * Find where the first word of a layout fits in a mask, as close to a
+ * target cell as possible and in the preferred direction if it fits that way
+ * @param {Array} mask - 2D array of booleans, true for cells letters may use
+ * @param {string} word - Word to place
+ * @param {Object} target - Cell (row, col) the word should start near
+ * @param {string} direction - Preferred direction, 'across' or 'down'
+ * @returns {Object|null} Placement information or null if the word fits nowhere
+ */
+const findMaskStart = (mask, word, target, direction) => {
+  let best = null;
+  let bestDistance = Infinity;
+
+  [direction, direction === 'across' ? 'down' : 'across'].forEach((candidateDirection, preference) => {
+    for (let row = 0; row < mask.length; row++) {
+      for (let col = 0; col < mask[0].length; col++) {
+        const placement = { row, col, direction: candidateDirection };
+        // Any fit in the preferred direction beats one in the other
+        const distance = preference * mask.length * mask[0].length + Math.abs(row - target.row) + Math.abs(col - target.col);
+        if (distance < bestDistance && fitsMask(mask, word.length, placement)) {
+          best = placement;
+          bestDistance = distance;
+        }
+      }
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Find the best placement for a word in the grid
+ * @param {Array} grid - 2D grid array
+ * @param {string} word - Word to place
+ * @param {Map} index - Letter index of the grid, built from the grid if not given
+ * @param {Array} mask - Optional grid-sized 2D array of booleans, true for cells letters may use
+ * @returns {Object|null} Placement information or null if no placement found
+ */
+const findBestPlacement = (grid, word, index, mask) => {
+  let bestScore = -1;
+  let bestPlacement = null;
+
+  findPlacements(grid, word, index, mask).forEach(({ row, col, direction, intersections }) => {
+    if (intersections > bestScore) {
+      bestScore = intersections;
+      bestPlacement = { row, col, direction };
+    }
+  });
+
+  return bestPlacement;
+};
+
+/**
+ * Check if a word can be placed horizontally
+ * @param {Array} grid - 2D grid array
+ * @param {string} word - Word to place
+ * @param {number} row - Starting row
+ * @param {number} col - Starting column
+ * @returns {Object} Object with canPlace and intersections properties
+ */
+const canPlaceWordHorizontally = (grid, word, row, col) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+
+  // Check if the word would go out of bounds
+  if (col + word.length > cols) {
+    return { canPlace: false, intersections: 0 };
+  }
+
+  // Check if the cell before the word is empty or out of bounds
+  if (col > 0 && grid[row][col - 1] !== '') {
+    return { canPlace: false, intersections: 0 };
+  }
+
+  // Check if the cell after the word is empty or out of bounds
+  if (col + word.length < cols && grid[row][col + word.length] !== '') {
+    return { canPlace: false, intersections: 0 };
+  }
+
+  let intersections = 0;
+
+  // Check each letter of the word
+  for (let i = 0; i < word.length; i++) {
+    const currentCol = col + i;
+    const currentCell = grid[row][currentCol];
+
+    if (currentCell !== '' && currentCell !== word[i]) {
+      // Cell is occupied by a different letter
+      return { canPlace: false, intersections: 0 };
+    }
+
+    if (currentCell === word[i]) {
+      // Intersection with existing letter, which must be where a vertical
+      // word crosses. A letter next to it along the word means the word
+      // would be laid over one already placed in the same direction.
+      const hasVerticalWord =
+        (row > 0 && grid[row - 1][currentCol] !== '') ||
+        (row < rows - 1 && grid[row + 1][currentCol] !== '');
+
+      if (!hasVerticalWord || (i > 0 && grid[row][currentCol - 1] !== '')) {
+        return { canPlace: false, intersections: 0 };
+      }
+
+      intersections++;
+    } else {
+      // Check if there are adjacent letters above or below
+      if (row > 0 && grid[row - 1][currentCol] !== '') {
+        return { canPlace: false, intersections: 0 };
+      }
+      if (row < rows - 1 && grid[row + 1][currentCol] !== '') {
+        return { canPlace: false, intersections: 0 };
+      }
+    }
+  }
+
+  // Valid placement if the word crosses at least one placed word
+  return { canPlace: intersections > 0, intersections };
+};
+
+/**
+ * Check if a word can be placed vertically
+ * @param {Array} grid - 2D grid array
+ * @param {string} word - Word to place
+ * @param {number} row - Starting row
+ * @param {number} col - Starting column
+ * @returns {Object} Object with canPlace and intersections properties
+ */
+const canPlaceWordVertically = (grid, word, row, col) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+
+  // Check if the word would go out of bounds
+  if (row + word.length > rows) {
+    return { canPlace: false, intersections: 0 };
+  }
+
+  // Check if the cell before the word is empty or out of bounds
+  if (row > 0 && grid[row - 1][col] !== '') {
+    return { canPlace: false, intersections: 0 };
+  }
+
+  // Check if the cell after the word is empty or out of bounds
+  if (row + word.length < rows && grid[row + word.length][col] !== '') {
+    return { canPlace: false, intersections: 0 };
+  }
+
+  let intersections = 0;
+
+  // Check each letter of the word
+  for (let i = 0; i < word.length; i++) {
+    const currentRow = row + i;
+    const currentCell = grid[currentRow][col];
+
+    if (currentCell !== '' && currentCell !== word[i]) {
+      // Cell is occupied by a different letter
+      return { canPlace: false, intersections: 0 };
+    }
+
+    if (currentCell === word[i]) {
+      // Intersection with existing letter, which must be where a horizontal
+      // word crosses. A letter next to it along the word means the word
+      // would be laid over one already placed in the same direction.
+      const hasHorizontalWord =
+        (col > 0 && grid[currentRow][col - 1] !== '') ||
+        (col < cols - 1 && grid[currentRow][col + 1] !== '');
+
+      if (!hasHorizontalWord || (i > 0 && grid[currentRow - 1][col] !== '')) {
+        return { canPlace: false, intersections: 0 };
+      }
+
+      intersections++;
+    } else {
+      // Check if there are adjacent letters to the left or right
+      if (col > 0 && grid[currentRow][col - 1] !== '') {
+        return { canPlace: false, intersections: 0 };
+      }
+      if (col < cols - 1 && grid[currentRow][col + 1] !== '') {
+        return { canPlace: false, intersections: 0 };
+      }
+    }
+  }
+
+  // Valid placement if the word crosses at least one placed word
+  return { canPlace: intersections > 0, intersections };
+};
+
+/**
+ * Place a word in the grid
+ * @param {Array} grid - 2D grid array
+ * @param {string} word - Word to place
+ * @param {Object} placement - Placement information
+ * @param {Map} index - Optional letter index to keep up to date
+ * @returns {Array} Cells that were empty before the word was placed
+ */
+const placeWordInGrid = (grid, word, placement, index) => {
+  const { row, col, direction } = placement;
+  const filledCells = [];
+
+  for (let i = 0; i < word.length; i++) {
+    const cellRow = direction === 'across' ? row : row + i;
+    const cellCol = direction === 'across' ? col + i : col;
+
+    if (grid[cellRow][cellCol] === '') {
+      filledCells.push({ row: cellRow, col: cellCol });
+      if (index) addToLetterIndex(index, grid, word[i], cellRow, cellCol);
+    }
+    grid[cellRow][cellCol] = word[i];
+  }
+
+  return filledCells;
+};
+
+/**
+ * Undo a word placement by clearing the cells it filled
+ * @param {Array} grid - 2D grid array
+ * @param {Array} filledCells - Cells returned by placeWordInGrid
+ * @param {Map} index - Optional letter index to keep up to date
+ */
+const clearCells = (grid, filledCells, index) => {
+  filledCells.forEach(({ row, col }) => {
+    if (index) index.get(grid[row][col]).delete(row * grid[0].length + col);
+    grid[row][col] = '';
+  });
+};
+
+module.exports = {
+  CANVAS_SIZE,
+  initializeEmptyGrid,
+  createEntry,
+  measureGrid,
+  scoreGrid,
+  createLetterIndex,
+  fitsMask,
+  findMaskStart,
+  findPlacements,
+  findBestPlacement,
+  canPlaceWordHorizontally,
+  canPlaceWordVertically,
+  placeWordInGrid,
+  clearCells
+};
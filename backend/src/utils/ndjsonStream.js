@@ -0,0 +1,37 @@
+// backend/src/utils/ndjsonStream.js
+
+/**
+ * Start a newline-delimited JSON response. Each event is written as one
+ * JSON line as soon as it is sent, so clients can show progress before
+ * the work is done.
+ * @param {Object} res - Express response object
+ * @returns {Object} - send(event) and end()
+ */
+const startNdjsonStream = (res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    // Keep proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  return {
+    send: (event) => {
+      // The client may have gone away; the work still finishes
+      if (!res.writableEnded && !res.destroyed) {
+        res.write(`${JSON.stringify(event)}\n`);
+      }
+    },
+    end: () => {
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  };
+};
+
+module.exports = {
+  startNdjsonStream
+};
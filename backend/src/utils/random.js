@@ -0,0 +1,73 @@
+// backend/src/utils/random.js
+
+/**
+ * Create a new random seed
+ * @returns {number} Unsigned 32-bit seed
+ */
+const generateSeed = () => Math.floor(Math.random() * 0x100000000);
+
+/**
+ * Check that a value can be used as a seed
+ * @param {*} seed - Candidate seed
+ * @returns {boolean} True for finite numbers and non-empty strings
+ */
+const isValidSeed = (seed) =>
+  (typeof seed === 'number' && Number.isFinite(seed)) ||
+  (typeof seed === 'string' && seed.length > 0);
+
+/**
+ * Turn a numeric or string seed into an unsigned 32-bit integer
+ * @param {number|string} seed - Seed value
+ * @returns {number} Unsigned 32-bit integer
+ */
+const hashSeed = (seed) => {
+  if (typeof seed === 'number') {
+    return seed >>> 0;
+  }
+
+  // FNV-1a hash for string seeds
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number|string} seed - Seed value
+ * @returns {Function} Function returning floats in [0, 1), like Math.random
+ */
+const createRandom = (seed) => {
+  let state = hashSeed(seed);
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+};
+
+/**
+ * Shuffle an array in place with the Fisher-Yates algorithm
+ * @param {Array} array - Array to shuffle
+ * @param {Function} random - Random number generator
+ * @returns {Array} The shuffled array
+ */
+const shuffle = (array, random) => {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+};
+
+module.exports = {
+  generateSeed,
+  isValidSeed,
+  createRandom,
+  shuffle
+};
@@ -0,0 +1,72 @@
+// backend/src/utils/wordList.js
+
+const fs = require('fs');
+const path = require('path');
+
+// Fill word lists, such as the English one derived from SCOWL (see
+// data/wordlist-COPYRIGHT.txt)
+const DATA_DIR = path.join(__dirname, '../data');
+
+// Words never used as fill, whatever the list: slurs, obscenities and
+// other words unfit for a puzzle, which fill entries show without a clue
+const BLOCKLIST_FILE = 'wordlist-blocklist.txt';
+
+// Loaded word lists, keyed by file name
+const cachedWords = new Map();
+
+/**
+ * Read a word file from src/data (uppercase, one word per line)
+ * @param {string} fileName - Word file in src/data
+ * @returns {Array} Array of words
+ */
+const readWords = (fileName) => fs.readFileSync(path.join(DATA_DIR, fileName), 'utf8')
+  .split('\n')
+  .map(word => word.trim())
+  .filter(Boolean);
+
+/**
+ * Load a local fill word list, leaving out the words on the blocklist
+ * @param {string} fileName - Word list file in src/data
+ * @returns {Array} Array of words
+ */
+const getWordList = (fileName = 'wordlist.txt') => {
+  if (!cachedWords.has(fileName)) {
+    const blocked = new Set(readWords(BLOCKLIST_FILE));
+    const words = readWords(fileName).filter(word => !blocked.has(word));
+    cachedWords.set(fileName, words);
+    console.log(`Loaded ${words.length} fill words from ${fileName}`);
+  }
+  return cachedWords.get(fileName);
+};
+
+/**
+ * Build a lookup index for pattern matching words
+ * @param {Array} words - Words to index, in order of preference
+ * @returns {Object} Index with byLength and byLetter maps
+ */
+const createWordIndex = (words) => {
+  const byLength = new Map();
+  const byLetter = new Map();
+
+  words.forEach(word => {
+    if (!byLength.has(word.length)) {
+      byLength.set(word.length, []);
+    }
+    byLength.get(word.length).push(word);
+
+    for (let i = 0; i < word.length; i++) {
+      const key = `${word.length}|${i}|${word[i]}`;
+      if (!byLetter.has(key)) {
+        byLetter.set(key, []);
+      }
+      byLetter.get(key).push(word);
+    }
+  });
+
+  return { byLength, byLetter };
+};
+
+module.exports = {
+  getWordList,
+  createWordIndex
+};
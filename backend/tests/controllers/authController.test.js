@@ -0,0 +1,251 @@
+process.env.SPOTIFY_CLIENT_ID = 'client-id';
+process.env.SPOTIFY_CLIENT_SECRET = 'client-secret';
+
+const axios = require('axios');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const apiRoutes = require('../../src/routes/api');
+const authService = require('../../src/services/authService');
+const { config } = require('../../config');
+const User = require('../../models/user');
+
+const app = express().use(express.json()).use('/api', apiRoutes);
+
+const profile = { id: 'spotify-user', display_name: 'Spotify User', email: 'listener@example.com' };
+
+/**
+ * Answer Spotify token requests and profile lookups like the accounts
+ * service and Web API would
+ * @param {Object} options - Tokens to issue and the profile to return
+ */
+const mockSpotify = ({ accessToken = 'access-1', refreshToken = 'refresh-1', me = profile } = {}) => {
+  jest.spyOn(axios, 'post').mockResolvedValue({
+    data: { access_token: accessToken, refresh_token: refreshToken, expires_in: 3600 }
+  });
+  jest.spyOn(axios, 'get').mockResolvedValue({ data: me });
+};
+
+/**
+ * Start a login and return the state and cookie the browser would get
+ * @returns {Promise<Object>} - state from the authorization URL and the cookie header
+ */
+const startLogin = async () => {
+  const res = await request(app).get('/api/auth/spotify');
+  const location = new URL(res.headers.location);
+  return {
+    state: location.searchParams.get('state'),
+    cookie: res.headers['set-cookie'][0].split(';')[0]
+  };
+};
+
+/**
+ * Complete a login through the callback
+ * @param {Object} options - Callback state, cookie and code
+ * @returns {Promise<Object>} - supertest response
+ */
+const callback = ({ state, cookie, code = 'auth-code' }) => {
+  const req = request(app)
+    .get('/api/auth/spotify/callback')
+    .query({ code, state })
+    .set('Accept', 'application/json');
+  return cookie ? req.set('Cookie', cookie) : req;
+};
+
+beforeAll(async () => {
+  await resetDatabase();
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('GET /api/auth/spotify', () => {
+  it('redirects to Spotify with a state bound to an httpOnly cookie', async () => {
+    const res = await request(app).get('/api/auth/spotify');
+
+    expect(res.status).toBe(302);
+    const location = new URL(res.headers.location);
+    expect(location.origin + location.pathname).toBe(`${config.spotify.accountsUrl}/authorize`);
+    expect(location.searchParams.get('client_id')).toBe('client-id');
+    expect(location.searchParams.get('state')).toBeTruthy();
+    expect(res.headers['set-cookie'][0]).toMatch(/^spotify_oauth_state=\w+;.*HttpOnly/);
+  });
+});
+
+describe('GET /api/auth/spotify/callback', () => {
+  it('exchanges the code, creates the user and issues a token', async () => {
+    mockSpotify();
+    const login = await startLogin();
+
+    const res = await callback(login);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user).toMatchObject({ displayName: 'Spotify User', email: 'listener@example.com', spotifyId: 'spotify-user' });
+    expect(axios.post).toHaveBeenCalledWith(
+      `${config.spotify.accountsUrl}/api/token`,
+      expect.stringContaining('grant_type=authorization_code&code=auth-code'),
+      expect.any(Object)
+    );
+    expect(res.headers['set-cookie'][0]).toMatch(/^spotify_oauth_state=;/);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${res.body.data.token}`);
+    expect(me.status).toBe(200);
+    expect(me.body.data.spotifyId).toBe('spotify-user');
+  });
+
+  it('logs a returning user into the same account', async () => {
+    mockSpotify({ accessToken: 'access-2' });
+    const before = await User.findBySpotifyId('spotify-user');
+
+    const res = await callback(await startLogin());
+
+    expect(res.body.data.user.id).toBe(before.id);
+    expect((await User.findById(before.id)).spotify_access_token).toBe('access-2');
+  });
+
+  it('rejects a state without the cookie of the browser that started the login', async () => {
+    mockSpotify();
+    const { state } = await startLogin();
+
+    const res = await callback({ state });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid or expired OAuth state');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('rejects a state issued to another browser', async () => {
+    mockSpotify();
+    const { state } = await startLogin();
+    const other = await startLogin();
+
+    const res = await callback({ state, cookie: other.cookie });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('rejects a forged or expired state', async () => {
+    mockSpotify();
+    const { cookie } = await startLogin();
+    const nonce = cookie.split('=')[1];
+    const forged = jwt.sign({ purpose: 'spotify-oauth-state', nonce }, config.jwtSecret);
+    const expired = jwt.sign({ purpose: 'spotify-oauth-state', nonce, exp: 1 }, config.oauthStateSecret);
+
+    expect((await callback({ state: forged, cookie })).status).toBe(400);
+    expect((await callback({ state: expired, cookie })).status).toBe(400);
+  });
+
+  it('never links a Spotify login to an account by email', async () => {
+    const existing = await User.create({ email: 'owner@example.com', display_name: 'Owner' });
+    mockSpotify({ me: { id: 'impostor', display_name: 'Impostor', email: 'owner@example.com' } });
+
+    const res = await callback(await startLogin());
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.id).not.toBe(existing.id);
+    expect(res.body.data.user.email).toBeNull();
+    expect((await User.findById(existing.id)).spotify_id).toBeNull();
+  });
+
+  it('reports a code Spotify refuses', async () => {
+    jest.spyOn(axios, 'post').mockRejectedValue(Object.assign(new Error('Bad code'), {
+      response: { status: 400, data: { error: 'invalid_grant' } }
+    }));
+
+    const res = await callback(await startLogin());
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('invalid_grant');
+  });
+});
+
+describe('authenticate', () => {
+  it('rejects the OAuth state as a bearer token', async () => {
+    const { state } = await startLogin();
+
+    const res = await request(app).get('/api/quizzes').set('Authorization', `Bearer ${state}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects a validly signed token without a user ID', async () => {
+    const token = jwt.sign({ purpose: 'anything' }, config.jwtSecret);
+
+    const res = await request(app).get('/api/quizzes').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid token');
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  it('refreshes the Spotify tokens and issues a new token', async () => {
+    mockSpotify();
+    const login = await callback(await startLogin());
+    jest.restoreAllMocks();
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: { access_token: 'access-3', expires_in: 3600 } });
+
+    const res = await request(app).post('/api/auth/refresh').set('Authorization', `Bearer ${login.body.data.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(axios.post).toHaveBeenCalledWith(expect.any(String), expect.stringContaining('grant_type=refresh_token&refresh_token=refresh-1'), expect.any(Object));
+    // Spotify kept the refresh token, so the stored one stays
+    const user = await User.findById(res.body.data.user.id);
+    expect(user).toMatchObject({ spotify_access_token: 'access-3', spotify_refresh_token: 'refresh-1' });
+  });
+
+  it('asks for a new login when Spotify revoked the refresh token', async () => {
+    mockSpotify();
+    const login = await callback(await startLogin());
+    jest.restoreAllMocks();
+    jest.spyOn(axios, 'post').mockRejectedValue(Object.assign(new Error('Revoked'), {
+      response: { status: 400, data: { error: 'invalid_grant' } }
+    }));
+
+    const res = await request(app).post('/api/auth/refresh').set('Authorization', `Bearer ${login.body.data.token}`);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('getSpotifyAccessToken', () => {
+  it('refreshes an access token about to expire', async () => {
+    const user = await User.create({
+      display_name: 'Expiring',
+      spotify_id: 'expiring',
+      spotify_access_token: 'old',
+      spotify_refresh_token: 'refresh-old',
+      spotify_token_expires_at: new Date(Date.now() + 1000)
+    });
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: { access_token: 'new', refresh_token: 'refresh-new', expires_in: 3600 } });
+
+    expect(await authService.getSpotifyAccessToken(user.id)).toBe('new');
+    expect((await User.findById(user.id)).spotify_refresh_token).toBe('refresh-new');
+  });
+
+  it('keeps an access token that is still valid', async () => {
+    const user = await User.create({
+      display_name: 'Fresh',
+      spotify_id: 'fresh',
+      spotify_access_token: 'current',
+      spotify_refresh_token: 'refresh',
+      spotify_token_expires_at: new Date(Date.now() + 3600 * 1000)
+    });
+    jest.spyOn(axios, 'post');
+
+    expect(await authService.getSpotifyAccessToken(user.id)).toBe('current');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,61 @@
+const express = require('express');
+const request = require('supertest');
+const apiRoutes = require('../../src/routes/api');
+const { LAYOUT_OPTION_LIMITS, clampLayoutOptions } = require('../../src/services/layoutStrategies');
+
+const app = express().use(express.json()).use('/api', apiRoutes);
+
+const questions = ['QUEEN', 'NIRVANA', 'OASIS', 'ABBA', 'PINK FLOYD']
+  .map(answer => ({ question: `Clue for ${answer}`, answer }));
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/build-crossword', () => {
+  it('builds a crossword', async () => {
+    const res = await request(app).post('/api/build-crossword').send({ questions, seed: 1 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.report.words.placed).toBeGreaterThanOrEqual(3);
+  });
+
+  it.each([
+    ['timeBudgetMs', -1],
+    ['timeBudgetMs', 'forever'],
+    ['attempts', 0],
+    ['beamWidth', 2.5]
+  ])('rejects %s of %p', async (name, value) => {
+    const res = await request(app).post('/api/build-crossword')
+      .send({ questions, options: { strategy: 'backtracking', [name]: value } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(`${name} must be a positive whole number`);
+  });
+
+  it('caps the search effort a request asks for', async () => {
+    const startedAt = Date.now();
+    const res = await request(app).post('/api/build-crossword')
+      .send({ questions, seed: 1, options: { strategy: 'backtracking', timeBudgetMs: 600000, beamWidth: 1000 } });
+
+    expect(res.status).toBe(200);
+    expect(Date.now() - startedAt).toBeLessThan(LAYOUT_OPTION_LIMITS.timeBudgetMs + 2000);
+  });
+});
+
+describe('clampLayoutOptions', () => {
+  it('caps effort options and keeps the rest', () => {
+    expect(clampLayoutOptions({ timeBudgetMs: 600000, attempts: 2, beamWidth: 100, strategy: 'greedy' })).toEqual({
+      timeBudgetMs: LAYOUT_OPTION_LIMITS.timeBudgetMs,
+      attempts: 2,
+      beamWidth: LAYOUT_OPTION_LIMITS.beamWidth,
+      strategy: 'greedy'
+    });
+  });
+});
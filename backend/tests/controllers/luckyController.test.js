@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const apiRoutes = require('../../src/routes/api');
+
+const app = express().use(express.json()).use('/api', apiRoutes);
+
+/**
+ * Read a music source fixture
+ * @param {string} name - File name in tests/fixtures/musicSources
+ * @returns {string} - File content
+ */
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '../fixtures/musicSources', name), 'utf8');
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/lucky-crossword', () => {
+  it.each([
+    ['deezer', 'deezer-playlist.json', {}],
+    ['youtube-music', 'youtube-music-export.json', {}],
+    ['file', 'tracks.csv', { format: 'csv' }]
+  ])('builds a crossword from a %s import with fixture questions', async (provider, fixture, fields) => {
+    const res = await request(app).post('/api/lucky-crossword')
+      .send({ provider, content: readFixture(fixture), ...fields, seed: 1, llm: { provider: 'fixture' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.playlist.id).toMatch(new RegExp(`^${provider}:`));
+    expect(res.body.data.entries.length).toBeGreaterThan(0);
+    expect(res.body.data.songGroups.length).toBeGreaterThan(0);
+    expect(res.body.data.songGroups.every(group => group.id.startsWith(`${provider}:`))).toBe(true);
+  });
+
+  it('rejects an unknown provider', async () => {
+    const res = await request(app).post('/api/lucky-crossword').send({ provider: 'napster', content: 'x' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^Unknown music source provider/);
+  });
+
+  it('rejects an import that cannot be read', async () => {
+    const res = await request(app).post('/api/lucky-crossword')
+      .send({ provider: 'deezer', content: '{"items": []}', llm: { provider: 'fixture' } });
+
+    expect(res.status).toBe(400);
+  });
+});
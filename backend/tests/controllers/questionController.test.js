@@ -0,0 +1,46 @@
+const express = require('express');
+const request = require('supertest');
+const apiRoutes = require('../../src/routes/api');
+
+const app = express().use(express.json()).use('/api', apiRoutes);
+
+const trackData = [
+  { id: 't1', name: 'Dancing Queen', artists: [{ name: 'ABBA' }], album: { name: 'Arrival', releaseDate: '1976-10-11' } },
+  { id: 't2', name: 'Bohemian Rhapsody', artists: [{ name: 'Queen' }], album: { name: 'A Night at the Opera', releaseDate: '1975-11-21' } }
+];
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/generate-questions', () => {
+  it('generates questions with the default model of the provider', async () => {
+    const res = await request(app).post('/api/generate-questions')
+      .send({ trackData, options: { maxQuestions: 4 }, llm: { provider: 'fixture', model: 'fixture' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.count).toBeGreaterThan(0);
+  });
+
+  it('rejects a model that is not allowed', async () => {
+    const res = await request(app).post('/api/generate-questions')
+      .send({ trackData, llm: { provider: 'openai', model: 'gpt-4-32k' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^Unknown model for LLM provider "openai"/);
+  });
+});
+
+describe('POST /api/tts', () => {
+  it('rejects a speech model that is not allowed', async () => {
+    const res = await request(app).post('/api/tts').send({ text: 'Hello', model: 'tts-1-hd', provider: 'openai' });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,328 @@
+const express = require('express');
+const request = require('supertest');
+const SpotifyWebApi = require('spotify-web-api-node');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const apiRoutes = require('../../src/routes/api');
+const { generateToken } = require('../../middleware/auth');
+const crosswordRepository = require('../../src/repositories/crosswordRepository');
+const questionRepository = require('../../src/repositories/questionRepository');
+const Attempt = require('../../models/attempt');
+const Quiz = require('../../models/quiz');
+const User = require('../../models/user');
+
+const app = express().use(express.json()).use('/api', apiRoutes);
+
+const layout = {
+  grid: { grid: [['A', 'B', 'B', 'A']] },
+  entries: [{ number: 1, direction: 'across', answer: 'ABBA', clue: 'Swedish pop group', position: { row: 0, col: 0 } }],
+  seed: 1,
+  locale: 'en-US'
+};
+const questions = [{ number: 1, question: 'Swedish pop group', answer: 'ABBA' }];
+const results = { entries: [{ number: 1, direction: 'across', guess: 'abba' }] };
+
+let owner;
+let other;
+let listener;
+let privateQuiz;
+let publicQuiz;
+
+/**
+ * Authorization header for a user
+ * @param {Object} user - User row
+ * @returns {string} - Bearer header value
+ */
+const bearer = (user) => `Bearer ${generateToken(user)}`;
+
+beforeAll(async () => {
+  await resetDatabase();
+  owner = await User.create({ email: 'owner@example.com', display_name: 'Owner' });
+  other = await User.create({ email: 'other@example.com', display_name: 'Other' });
+  privateQuiz = await Quiz.create({ user_id: owner.id, title: 'Private', playlist_id: 'private-playlist' }, questions, { layout });
+  publicQuiz = await Quiz.create({ user_id: owner.id, title: 'Public', playlist_id: 'public-playlist', is_public: true }, questions, { layout });
+  listener = await User.create({
+    email: 'listener@example.com',
+    display_name: 'Listener',
+    spotify_id: 'listener',
+    spotify_access_token: 'listener-token',
+    spotify_token_expires_at: new Date(Date.now() + 3600 * 1000)
+  });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('GET /api/song-groups/:playlistId', () => {
+  it('requires a login', async () => {
+    const res = await request(app).get('/api/song-groups/private-playlist');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('does not reveal the private quiz of another user', async () => {
+    const res = await request(app).get('/api/song-groups/private-playlist').set('Authorization', bearer(other));
+
+    expect(res.status).toBe(404);
+  });
+
+  describe('for each source ID', () => {
+    const track = {
+      id: 'track1',
+      name: 'Waterloo',
+      artists: [{ id: 'abba', name: 'ABBA' }],
+      album: { id: 'album1', name: 'Waterloo', release_date: '1974-03-04', images: [] },
+      popularity: 70
+    };
+    const album = { ...track.album, uri: 'spotify:album:album1', album_type: 'album', artists: track.artists, tracks: { items: [track], next: null } };
+    const me = { body: { id: 'listener', display_name: 'Listener' } };
+
+    /**
+     * Stub a Spotify Web API call, checking it is made with the listener's token
+     * @param {string} method - Client method name
+     * @param {Object} body - Response body
+     * @returns {Object} - Jest spy
+     */
+    const stub = (method, body) => jest.spyOn(SpotifyWebApi.prototype, method).mockImplementation(async function () {
+      expect(this.accessToken).toBe('listener-token');
+      return { body };
+    });
+
+    /**
+     * Save a quiz for a source ID and get its song groups as the listener
+     * @param {string} playlistId - Source ID stored with the quiz
+     * @param {Object} user - User asking for the song groups
+     * @returns {Promise<Object>} - Response
+     */
+    const getSongGroups = async (playlistId, user = listener) => {
+      await Quiz.create({ user_id: user.id, title: playlistId, playlist_id: playlistId }, questions, { layout });
+      return request(app).get(`/api/song-groups/${encodeURIComponent(playlistId)}`).set('Authorization', bearer(user));
+    };
+
+    it('loads a playlist', async () => {
+      const getPlaylist = stub('getPlaylist', {
+        id: 'playlist1', name: 'Pop', description: '', owner: { id: 'listener', display_name: 'Listener' }, images: [],
+        tracks: { items: [{ track }], next: null }
+      });
+
+      const res = await getSongGroups('playlist1');
+
+      expect(res.status).toBe(200);
+      expect(getPlaylist).toHaveBeenCalledWith('playlist1');
+    });
+
+    it('loads an album by URI', async () => {
+      const getAlbum = stub('getAlbum', album);
+
+      const res = await getSongGroups('spotify:album:album1');
+
+      expect(res.status).toBe(200);
+      expect(getAlbum).toHaveBeenCalledWith('album1');
+    });
+
+    it('repeats a search', async () => {
+      const searchTracks = stub('searchTracks', { tracks: { items: [track] } });
+
+      const res = await getSongGroups('search:abba');
+
+      expect(res.status).toBe(200);
+      expect(searchTracks).toHaveBeenCalledWith('abba', { limit: 50 });
+    });
+
+    it('loads saved tracks', async () => {
+      stub('getMe', me.body);
+      const getMySavedTracks = stub('getMySavedTracks', { items: [{ track }], next: null });
+
+      const res = await getSongGroups('listener:saved-tracks');
+
+      expect(res.status).toBe(200);
+      expect(getMySavedTracks).toHaveBeenCalled();
+    });
+
+    it('loads top tracks for the stored time range', async () => {
+      stub('getMe', me.body);
+      const getMyTopTracks = stub('getMyTopTracks', { items: [track] });
+
+      const res = await getSongGroups('listener:top-tracks-short_term');
+
+      expect(res.status).toBe(200);
+      expect(getMyTopTracks).toHaveBeenCalledWith({ time_range: 'short_term', limit: 50 });
+    });
+
+    it('loads recently played tracks', async () => {
+      stub('getMe', me.body);
+      const getMyRecentlyPlayedTracks = stub('getMyRecentlyPlayedTracks', { items: [{ track }] });
+
+      const res = await getSongGroups('listener:recently-played');
+
+      expect(res.status).toBe(200);
+      expect(getMyRecentlyPlayedTracks).toHaveBeenCalled();
+    });
+
+    it('needs a Spotify login for library sources', async () => {
+      const res = await getSongGroups('someone:saved-tracks', owner);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('refuses the library of another Spotify user', async () => {
+      stub('getMe', me.body);
+      stub('getMySavedTracks', { items: [{ track }], next: null });
+
+      const res = await getSongGroups('someone:saved-tracks');
+
+      expect(res.status).toBe(403);
+    });
+
+    it('rejects an unknown source ID', async () => {
+      const res = await getSongGroups('spotify:show:abc');
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
+
+describe('playlist repositories', () => {
+  it('find the private quiz of a playlist for its owner only', async () => {
+    expect(await crosswordRepository.getByPlaylistId('private-playlist', owner.id)).toMatchObject({ seed: 1 });
+    expect(await questionRepository.getByPlaylistId('private-playlist', owner.id)).toHaveLength(1);
+    expect(await crosswordRepository.getByPlaylistId('private-playlist', other.id)).toBeNull();
+    expect(await questionRepository.getByPlaylistId('private-playlist', other.id)).toBeNull();
+  });
+
+  it('find public quizzes for everyone', async () => {
+    expect(await crosswordRepository.getByPlaylistId('public-playlist', other.id)).toMatchObject({ seed: 1 });
+    expect(await crosswordRepository.getByPlaylistId('public-playlist')).toMatchObject({ seed: 1 });
+  });
+});
+
+describe('POST /api/quiz-results/:quizId', () => {
+  it('stores results of a public quiz without a login', async () => {
+    const res = await request(app).post(`/api/quiz-results/${publicQuiz.id}`).send({ results });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ score: 1, total: 1 });
+  });
+
+  it('stores results of a private quiz for its owner', async () => {
+    const res = await request(app).post(`/api/quiz-results/${privateQuiz.id}`)
+      .set('Authorization', bearer(owner))
+      .send({ results });
+
+    expect(res.status).toBe(200);
+  });
+
+  it('refuses results of a private quiz from anyone else', async () => {
+    const anonymous = await request(app).post(`/api/quiz-results/${privateQuiz.id}`).send({ results });
+    const stranger = await request(app).post(`/api/quiz-results/${privateQuiz.id}`)
+      .set('Authorization', bearer(other))
+      .send({ results });
+
+    expect(anonymous.status).toBe(403);
+    expect(stranger.status).toBe(403);
+  });
+
+  it('reports a missing quiz', async () => {
+    const res = await request(app).post('/api/quiz-results/9999').send({ results });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('rejects entries that are not objects', async () => {
+    const res = await request(app).post(`/api/quiz-results/${publicQuiz.id}`).send({ results: { entries: [null] } });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('stores the logged in player with the attempt', async () => {
+    const res = await request(app).post(`/api/quiz-results/${publicQuiz.id}`)
+      .set('Authorization', bearer(other))
+      .send({ results });
+
+    const attempts = await Attempt.getByQuizId(publicQuiz.id);
+    expect(attempts.find(attempt => attempt.id === res.body.data.id).user_id).toBe(other.id);
+  });
+});
+
+describe('GET /api/quizzes/:id/stats', () => {
+  let statsQuiz;
+
+  beforeAll(async () => {
+    statsQuiz = await Quiz.create({ user_id: owner.id, title: 'Stats', playlist_id: 'stats-playlist', is_public: true }, questions, { layout });
+    await request(app).post(`/api/quiz-results/${statsQuiz.id}`)
+      .send({ results: { entries: [{ number: 1, direction: 'across', guess: 'ABBA', timeMs: 1000 }] } });
+    await request(app).post(`/api/quiz-results/${statsQuiz.id}`)
+      .send({ results: { entries: [{ number: 1, direction: 'across', guess: 'ABBO', timeMs: 3000 }] } });
+  });
+
+  it('summarizes the stored attempts for the quiz owner', async () => {
+    const res = await request(app).get(`/api/quizzes/${statsQuiz.id}/stats`).set('Authorization', bearer(owner));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      quizId: statsQuiz.id,
+      attempts: 2,
+      completedAttempts: 1,
+      completionRate: 0.5,
+      averageScore: 0.5,
+      averageSolveTimeMs: 1000
+    });
+    expect(res.body.data.hardestClues).toEqual([expect.objectContaining({
+      number: 1,
+      direction: 'across',
+      attempts: 2,
+      solved: 1,
+      solveRate: 0.5
+    })]);
+  });
+
+  it('requires a login', async () => {
+    const res = await request(app).get(`/api/quizzes/${statsQuiz.id}/stats`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('is only for the quiz owner', async () => {
+    const res = await request(app).get(`/api/quizzes/${statsQuiz.id}/stats`).set('Authorization', bearer(other));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('reports a missing quiz', async () => {
+    const res = await request(app).get('/api/quizzes/9999/stats').set('Authorization', bearer(owner));
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/quizzes', () => {
+  const crossword = { ...layout, report: { words: { placed: 1, dropped: 0 } }, mask: [[true, true, true, true], [false, true, true, false], [true, true, true, true]] };
+
+  it('stores the layout report and mask with the quiz', async () => {
+    const created = await request(app).post('/api/quizzes')
+      .set('Authorization', bearer(owner))
+      .send({ title: 'Shaped', crossword, questions });
+
+    const res = await request(app).get(`/api/quizzes/${created.body.data.id}`).set('Authorization', bearer(owner));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.crossword).toMatchObject({ report: crossword.report, mask: crossword.mask });
+  });
+
+  it('rejects a mask that is not a grid of cells', async () => {
+    const res = await request(app).post('/api/quizzes')
+      .set('Authorization', bearer(owner))
+      .send({ title: 'Broken', crossword: { ...crossword, mask: [['x']] }, questions });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,44 @@
+const { db, resetDatabase, closeDatabase } = require('../helpers/db');
+
+const TABLES = ['users', 'quizzes', 'questions', 'crossword_layouts', 'song_groups', 'attempts', 'attempt_entries', 'jobs'];
+
+beforeAll(async () => {
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('migrations', () => {
+  it('create every table', async () => {
+    for (const table of TABLES) {
+      expect(await db.schema.hasTable(table)).toBe(true);
+    }
+  });
+
+  it.each([
+    ['users', 'spotify_id'],
+    ['users', 'spotify_refresh_token'],
+    ['questions', 'difficulty'],
+    ['questions', 'category'],
+    ['questions', 'confidence'],
+    ['crossword_layouts', 'locale'],
+    ['crossword_layouts', 'report'],
+    ['crossword_layouts', 'mask']
+  ])('add %s.%s', async (table, column) => {
+    expect(await db.schema.hasColumn(table, column)).toBe(true);
+  });
+
+  it('roll back completely and apply again', async () => {
+    await db.migrate.rollback(undefined, true);
+    for (const table of TABLES) {
+      expect(await db.schema.hasTable(table)).toBe(false);
+    }
+
+    await db.migrate.latest();
+    const [completed, pending] = await db.migrate.list();
+    expect(completed.length).toBeGreaterThan(0);
+    expect(pending).toEqual([]);
+  });
+});
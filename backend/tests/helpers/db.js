@@ -0,0 +1,23 @@
+const { db } = require('../../db');
+
+/**
+ * Rebuild the test database from the migrations
+ * @returns {Promise<Object>} - Knex instance
+ */
+const resetDatabase = async () => {
+  await db.migrate.rollback(undefined, true);
+  await db.migrate.latest();
+  return db;
+};
+
+/**
+ * Close the test database connection
+ * @returns {Promise<void>}
+ */
+const closeDatabase = () => db.destroy();
+
+module.exports = {
+  db,
+  resetDatabase,
+  closeDatabase
+};
@@ -0,0 +1,49 @@
+/**
+ * Stand-in for spotify-web-api-node, so tests never reach Spotify. The
+ * client credentials grant succeeds with a test token; every Web API call
+ * fails unless a test stubs it on the prototype, for example
+ * jest.spyOn(SpotifyWebApi.prototype, 'getPlaylist').mockResolvedValue(...).
+ */
+
+const API_METHODS = [
+  'getAlbum',
+  'getAlbumTracks',
+  'getAlbums',
+  'getArtist',
+  'getArtistAlbums',
+  'getArtistTopTracks',
+  'getMe',
+  'getMyRecentlyPlayedTracks',
+  'getMySavedTracks',
+  'getMyTopTracks',
+  'getPlaylist',
+  'getPlaylistTracks',
+  'getTrack',
+  'searchTracks'
+];
+
+class SpotifyWebApi {
+  constructor({ accessToken } = {}) {
+    this.accessToken = accessToken;
+  }
+
+  setAccessToken(accessToken) {
+    this.accessToken = accessToken;
+  }
+
+  getAccessToken() {
+    return this.accessToken;
+  }
+
+  async clientCredentialsGrant() {
+    return { body: { access_token: 'test-client-token', expires_in: 3600 } };
+  }
+}
+
+API_METHODS.forEach(method => {
+  SpotifyWebApi.prototype[method] = async function () {
+    throw new Error(`Spotify Web API call ${method} is not stubbed in this test`);
+  };
+});
+
+module.exports = SpotifyWebApi;
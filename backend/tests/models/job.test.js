@@ -0,0 +1,34 @@
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const Job = require('../../models/job');
+
+beforeAll(async () => {
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Job', () => {
+  it('claims due jobs once, oldest first', async () => {
+    const first = await Job.create({ type: 'lucky', payload: { n: 1 }, max_attempts: 3, run_at: Date.now() - 1000 });
+    const second = await Job.create({ type: 'lucky', payload: { n: 2 }, max_attempts: 3, run_at: Date.now() - 500 });
+    await Job.create({ type: 'lucky', payload: { n: 3 }, max_attempts: 3, run_at: Date.now() + 60000 });
+
+    const leaseUntil = Date.now() + 10000;
+    const claimed = [await Job.claimNext(['lucky'], leaseUntil), await Job.claimNext(['lucky'], leaseUntil)];
+
+    expect(claimed.map(job => job.id)).toEqual([first.id, second.id]);
+    expect(claimed[0]).toMatchObject({ status: 'running', attempts: 1, payload: { n: 1 }, run_at: leaseUntil });
+    expect(await Job.claimNext(['lucky'], leaseUntil)).toBeNull();
+  });
+
+  it('stores the result of a succeeded job', async () => {
+    await Job.create({ type: 'other', payload: {}, max_attempts: 1, run_at: Date.now() - 1 });
+    const job = await Job.claimNext(['other'], Date.now() + 10000);
+
+    await Job.succeed(job, { quizId: 5 }, Date.now() + 60000);
+
+    expect(await Job.findById(job.id)).toMatchObject({ status: 'succeeded', result: { quizId: 5 } });
+  });
+});
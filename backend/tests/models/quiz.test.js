@@ -0,0 +1,107 @@
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const Quiz = require('../../models/quiz');
+const User = require('../../models/user');
+
+const layout = {
+  grid: { grid: [['A', 'B', 'B', 'A']], bounds: { minRow: 0, maxRow: 0, minCol: 0, maxCol: 3 } },
+  entries: [{ number: 1, direction: 'across', answer: 'ABBA', clue: 'Swedish pop group', position: { row: 0, col: 0 } }],
+  dropped_words: [{ answer: 'XYZ', reason: 'Shares no letters with the placed answers' }],
+  seed: 'abc',
+  locale: 'sv-SE'
+};
+
+const questions = [
+  { number: 1, question: 'Swedish pop group', answer: 'ABBA', track_id: 't1', artists: [{ name: 'ABBA' }], difficulty: 'easy' }
+];
+
+const songGroups = [{ track_id: 't1', name: 'Waterloo', artists: [{ name: 'ABBA' }] }];
+
+let user;
+
+beforeAll(async () => {
+  await resetDatabase();
+  user = await User.create({ email: 'quiz@example.com', display_name: 'Quiz Maker' });
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Quiz', () => {
+  it('stores a quiz with its questions, layout and song groups', async () => {
+    const quiz = await Quiz.create(
+      { user_id: user.id, title: 'Eurovision', playlist_id: 'pl1', playlist: { id: 'pl1', name: 'Mix' } },
+      questions,
+      { layout, songGroups }
+    );
+
+    expect(quiz.playlist).toEqual({ id: 'pl1', name: 'Mix' });
+    expect(quiz.questions).toHaveLength(1);
+    expect(quiz.questions[0]).toMatchObject({ answer: 'ABBA', artists: [{ name: 'ABBA' }], difficulty: 'easy' });
+    expect(quiz.layout).toMatchObject({
+      grid: layout.grid,
+      entries: layout.entries,
+      dropped_words: layout.dropped_words,
+      seed: 'abc',
+      locale: 'sv-SE'
+    });
+    expect(quiz.songGroups.map(group => group.track_id)).toEqual(['t1']);
+  });
+
+  it('replaces questions and layout on update', async () => {
+    const created = await Quiz.create({ user_id: user.id, title: 'Draft' }, questions, { layout });
+
+    const updated = await Quiz.update(created.id, { title: 'Final', is_public: true },
+      [{ ...questions[0], number: 1, answer: 'QUEEN', question: 'British rock band' }],
+      { layout: { ...layout, seed: 7 } });
+
+    expect(updated.title).toBe('Final');
+    expect(Boolean(updated.is_public)).toBe(true);
+    expect(updated.questions.map(question => question.answer)).toEqual(['QUEEN']);
+    expect(updated.layout.seed).toBe(7);
+  });
+
+  it('finds the latest quiz of a playlist', async () => {
+    const first = await Quiz.create({ user_id: user.id, title: 'First', playlist_id: 'pl2' });
+    const second = await Quiz.create({ user_id: user.id, title: 'Second', playlist_id: 'pl2' });
+
+    const latest = await Quiz.findLatestByPlaylistId('pl2', user.id);
+
+    expect([first.id, second.id]).toContain(latest.id);
+    expect(latest.id).toBe(second.id);
+  });
+
+  it('finds only public quizzes of a playlist for other users', async () => {
+    const stranger = await User.create({ email: 'stranger@example.com', display_name: 'Stranger' });
+    await Quiz.create({ user_id: user.id, title: 'Private', playlist_id: 'pl3' });
+
+    expect(await Quiz.findLatestByPlaylistId('pl3', stranger.id)).toBeUndefined();
+    expect(await Quiz.findLatestByPlaylistId('pl3')).toBeUndefined();
+
+    const shared = await Quiz.create({ user_id: user.id, title: 'Shared', playlist_id: 'pl3', is_public: true });
+
+    expect((await Quiz.findLatestByPlaylistId('pl3', stranger.id)).id).toBe(shared.id);
+  });
+
+  it('lists only the quizzes of the given user', async () => {
+    const other = await User.create({ email: 'other@example.com', display_name: 'Someone Else' });
+    await Quiz.create({ user_id: other.id, title: 'Not yours' });
+
+    const quizzes = await Quiz.getAll({ userId: user.id, limit: 100 });
+
+    expect(quizzes.length).toBeGreaterThan(0);
+    expect(quizzes.every(quiz => quiz.user_id === user.id)).toBe(true);
+  });
+
+  it('refuses to list quizzes without a user', async () => {
+    await expect(Quiz.getAll({})).rejects.toThrow('A user ID is required to list quizzes');
+  });
+
+  it('deletes a quiz with its questions and layout', async () => {
+    const quiz = await Quiz.create({ user_id: user.id, title: 'Gone' }, questions, { layout });
+
+    expect(await Quiz.delete(quiz.id)).toBe(true);
+    expect(await Quiz.getComplete(quiz.id)).toBeNull();
+    expect(await Quiz.delete(quiz.id)).toBe(false);
+  });
+});
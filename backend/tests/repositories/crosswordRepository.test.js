@@ -0,0 +1,72 @@
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const crosswordRepository = require('../../src/repositories/crosswordRepository');
+const { buildCrossword } = require('../../src/services/crosswordService');
+const CrosswordLayout = require('../../models/crosswordLayout');
+const Quiz = require('../../models/quiz');
+const User = require('../../models/user');
+
+const questions = ['QUEEN', 'NIRVANA', 'OASIS', 'ABBA', 'PINK FLOYD', 'BLONDIE']
+  .map(answer => ({ question: `Clue for ${answer}`, answer }));
+
+let user;
+
+beforeAll(async () => {
+  await resetDatabase();
+  user = await User.create({ email: 'layouts@example.com', display_name: 'Layouts' });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+/**
+ * Store a crossword as the layout of a new quiz and read it back
+ * @param {Object} crossword - Crossword from buildCrossword
+ * @returns {Promise<Object>} - Crossword data read from the layout row
+ */
+const roundTrip = async (crossword) => {
+  const quiz = await Quiz.create({ user_id: user.id, title: 'Layout' });
+  await CrosswordLayout.save(quiz.id, crosswordRepository.toRow(crossword));
+  return crosswordRepository.fromRow(await CrosswordLayout.getByQuizId(quiz.id));
+};
+
+describe('crosswordRepository', () => {
+  it('keeps the layout report of a stored crossword', async () => {
+    const crossword = buildCrossword(questions, { seed: 1 });
+
+    const stored = await roundTrip(crossword);
+
+    expect(stored.report).toEqual(crossword.report);
+    expect(stored.mask).toBeNull();
+    // Fields without a value are not stored
+    expect(stored).toMatchObject(JSON.parse(JSON.stringify({ grid: crossword.grid, entries: crossword.entries, seed: 1, locale: 'en-US' })));
+  });
+
+  it('keeps the mask of a crossword laid out inside a shape', async () => {
+    const crossword = buildCrossword(questions, { seed: 1, mask: 'vinyl' });
+
+    const stored = await roundTrip(crossword);
+
+    expect(stored.mask).toEqual(crossword.mask);
+    expect(stored.report).toEqual(crossword.report);
+  });
+
+  it('reads layouts stored without a report or mask', async () => {
+    const quiz = await Quiz.create({ user_id: user.id, title: 'Old layout' });
+    await CrosswordLayout.save(quiz.id, { grid: { grid: [['A']] }, entries: [] });
+
+    const stored = crosswordRepository.fromRow(await CrosswordLayout.getByQuizId(quiz.id));
+
+    expect(stored.report).toBeNull();
+    expect(stored.mask).toBeNull();
+  });
+});
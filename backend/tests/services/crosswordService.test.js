@@ -0,0 +1,66 @@
+const { buildCrossword, relayoutCrossword } = require('../../src/services/crosswordService');
+const { validateLayout } = require('../../src/services/layoutValidator');
+
+/**
+ * Make question objects for answers
+ * @param {Array} answers - Answers
+ * @returns {Array} Question objects with question and answer
+ */
+const toQuestions = (answers) => answers.map(answer => ({ question: `Clue for ${answer}`, answer }));
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('relayoutCrossword', () => {
+  const questions = toQuestions(['ELVIS', 'OPERA', 'SONGS', 'PRESLEY', 'ORGAN', 'VIOLIN', 'LYRICS']);
+
+  it.each([
+    ['ELVISES', 'ELVIS'],
+    ['OPERAS', 'OPERA'],
+    ['SONGSTER', 'SONGS']
+  ])('places %s somewhere other than over the locked %s, or reports a conflict', (word, lockedWord) => {
+    for (let seed = 1; seed <= 5; seed++) {
+      const crossword = buildCrossword(questions, { seed });
+      const locked = crossword.entries.find(entry => entry.answer === lockedWord);
+
+      let result = null;
+      try {
+        result = relayoutCrossword(crossword, { add: toQuestions([word]) });
+      } catch (error) {
+        expect(error.statusCode).toBe(409);
+        expect(error.unplaced.map(({ answer }) => answer)).toEqual([word]);
+      }
+
+      if (result) {
+        expect(validateLayout(result.grid.grid, result.entries).valid).toBe(true);
+        const added = result.entries.find(entry => entry.answer === word);
+        const kept = result.entries.find(entry => entry.answer === lockedWord);
+        expect(added).toBeDefined();
+        expect(kept.direction).toBe(locked.direction);
+        expect(added.position).not.toEqual(kept.position);
+      }
+    }
+  });
+
+  it('keeps locked entries in place and adds new words', () => {
+    const crossword = buildCrossword(questions, { seed: 1 });
+
+    const result = relayoutCrossword(crossword, { add: toQuestions(['PIANO']) });
+
+    expect(validateLayout(result.grid.grid, result.entries).valid).toBe(true);
+    expect(result.entries.map(entry => entry.answer).sort()).toEqual(
+      [...crossword.entries.map(entry => entry.answer), 'PIANO'].sort());
+  });
+
+  it('rejects removing an answer that is not in the crossword', () => {
+    const crossword = buildCrossword(questions, { seed: 1 });
+
+    expect(() => relayoutCrossword(crossword, { remove: ['MISSING'] })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
@@ -0,0 +1,115 @@
+const { toDecade, checkQuestion } = require('../../src/services/factCheckService');
+const { getLocale } = require('../../src/services/locales');
+
+const promptTrack = { id: 't1', title: 'Billie Jean', artists: 'Michael Jackson', album: 'Thriller', year: '1982' };
+
+// The same song as a music source returns it
+const sourceTrack = {
+  id: 't1',
+  name: 'Billie Jean',
+  artists: [{ name: 'Michael Jackson' }],
+  album: { name: 'Thriller', releaseDate: '1982-11-30' }
+};
+
+describe('checkQuestion', () => {
+  describe('album questions', () => {
+    it.each([
+      ['prompt', promptTrack],
+      ['music source', sourceTrack]
+    ])('confirms an answer from the album title of a %s track', (_, track) => {
+      const result = checkQuestion({ question: 'Album that has "Billie Jean"', answer: 'THRILLER', category: 'album' }, track);
+
+      expect(result.contradictions).toEqual([]);
+      expect(result.issues).toEqual([]);
+      expect(result.confidence).toBe(1);
+    });
+
+    it('rejects the song title as the album of a clue naming the song', () => {
+      const result = checkQuestion({ question: 'Album that has "Billie Jean"', answer: 'BILLIE', category: 'album' }, sourceTrack);
+
+      expect(result.contradictions).toEqual(['answer "BILLIE" is not in the album title "Thriller" of "Billie Jean"']);
+    });
+
+    it('doubts an album answer that is not in the album title', () => {
+      const result = checkQuestion({ question: 'Album of the King of Pop', answer: 'JACKSON', category: 'album' }, promptTrack);
+
+      expect(result.contradictions).toEqual([]);
+      expect(result.issues).toHaveLength(1);
+      expect(result.confidence).toBeLessThan(0.6);
+    });
+
+    it('accepts an album title written without spaces', () => {
+      const track = { ...promptTrack, album: 'Off the Wall' };
+
+      const result = checkQuestion({ question: 'Album before Thriller', answer: 'OFFTHEWALL', category: 'album' }, track);
+
+      expect(result.issues).toEqual([]);
+      expect(result.confidence).toBeGreaterThan(0.6);
+    });
+  });
+
+  describe('decades', () => {
+    const wartime = { id: 't2', title: 'Moonlight Serenade', artists: 'Glenn Miller', album: 'Moonlight Serenade', year: '1946' };
+
+    it.each(["'40s", '40s', '1940s'])('reads the %s as the decade of a song from 1946', (decade) => {
+      const result = checkQuestion({ question: `Big band hit "Moonlight Serenade" from the ${decade}`, answer: 'MILLER', category: 'era' }, wartime);
+
+      expect(result.contradictions).toEqual([]);
+      expect(result.issues).toEqual([]);
+    });
+
+    it('reads the 00s as this century for a song from the late nineties', () => {
+      const track = { ...promptTrack, title: 'Tubthumping', album: 'Tubthumper', year: '1997' };
+
+      const result = checkQuestion({ question: '"Tubthumping" hit of the 00s', answer: 'CHUMBAWAMBA', category: 'era' }, track);
+
+      expect(result.contradictions).toEqual(['clue mentions the 00s but "Tubthumping" was released in 1997']);
+    });
+
+    it('finds a decade that contradicts the release', () => {
+      const result = checkQuestion({ question: '"Billie Jean" topped the charts in the \'70s', answer: 'JACKSON', category: 'era' }, sourceTrack);
+
+      expect(result.contradictions).toEqual(['clue mentions the \'70s but "Billie Jean" was released in 1982']);
+    });
+
+    it('reads the release year of a music source track', () => {
+      const result = checkQuestion({ question: 'Decade of "Billie Jean"', answer: 'SEVENTIES', category: 'era' }, sourceTrack);
+
+      expect(result.contradictions).toEqual(['answer "SEVENTIES" is not the decade of "Billie Jean", released in 1982']);
+    });
+
+    it('checks decade answers in the locale', () => {
+      const result = checkQuestion({ question: 'Årtiondet då "Billie Jean" kom ut', answer: 'ÅTTIOTALET', category: 'era' }, promptTrack, getLocale('sv-SE'));
+
+      expect(result.contradictions).toEqual([]);
+      expect(result.confidence).toBe(1);
+    });
+  });
+
+  it('skips date checks for a track without a known year', () => {
+    const result = checkQuestion({ question: 'Hit of the \'70s', answer: 'JACKSON', category: 'era' }, { ...promptTrack, year: 'Unknown' });
+
+    expect(result.contradictions).toEqual([]);
+    expect(result.issues).toEqual([]);
+  });
+});
+
+describe('toDecade', () => {
+  it('reads a decade with its century as written', () => {
+    expect(toDecade('19', '4', 199)).toBe(194);
+  });
+
+  it.each([
+    ['4', 194, 194],
+    ['0', 199, 200],
+    ['9', 200, 199],
+    ['8', 181, 188]
+  ])('takes the %s0s closest to the decade %i', (digit, releaseDecade, decade) => {
+    expect(toDecade(undefined, digit, releaseDecade)).toBe(decade);
+  });
+
+  it('keeps the earlier century in a tie', () => {
+    // A song from 1998 is 5 decades from both the 1940s and the 2040s
+    expect(toDecade(undefined, '4', 199)).toBe(194);
+  });
+});
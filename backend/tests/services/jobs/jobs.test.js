@@ -0,0 +1,166 @@
+const { db, resetDatabase, closeDatabase } = require('../../helpers/db');
+const { enqueueJob, getJob, startWorker, stopWorker } = require('../../../src/services/jobs');
+const luckyCrosswordJob = require('../../../src/services/jobs/luckyCrosswordJob');
+const Job = require('../../../models/job');
+const { config } = require('../../../config');
+
+const jobsConfig = { ...config.jobs };
+const type = luckyCrosswordJob.type;
+
+/**
+ * Wait until a job reaches a status
+ * @param {string} id - Job ID
+ * @param {Function} check - (job) => true once the job is as expected
+ * @returns {Promise<Object>} - The job
+ */
+const waitForJob = async (id, check) => {
+  const deadline = Date.now() + 2000;
+  for (;;) {
+    const job = await getJob(id);
+    if (check(job)) return job;
+    if (Date.now() > deadline) {
+      throw new Error(`Job ${id} is still ${job.status}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const finished = (job) => ['succeeded', 'failed'].includes(job.status);
+
+let run;
+
+beforeAll(async () => {
+  await resetDatabase();
+  Object.assign(config.jobs, { pollIntervalMs: 10, retryDelayMs: 1000, maxAttempts: 3 });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  run = jest.spyOn(luckyCrosswordJob, 'run').mockResolvedValue({ quizId: 1 });
+});
+
+afterEach(async () => {
+  stopWorker();
+  jest.restoreAllMocks();
+  Object.assign(config.jobs, { leaseMs: jobsConfig.leaseMs });
+  await db(Job.tableName).delete();
+});
+
+afterAll(async () => {
+  Object.assign(config.jobs, jobsConfig);
+  await closeDatabase();
+});
+
+describe('job worker', () => {
+  it('runs a queued job and stores its result and progress', async () => {
+    run.mockImplementation(async (payload, { onProgress }) => {
+      onProgress({ stage: 'building' });
+      return { quizId: payload.n };
+    });
+    const { id } = await enqueueJob(type, { n: 7 }, { userId: null });
+
+    startWorker();
+    const job = await waitForJob(id, finished);
+
+    expect(job).toMatchObject({ status: 'succeeded', attempts: 1, result: { quizId: 7 }, progress: { stage: 'building' } });
+    expect(run).toHaveBeenCalledWith({ n: 7 }, expect.objectContaining({ userId: null }));
+    expect(console.log).toHaveBeenCalledWith(`Job ${id} succeeded`);
+  });
+
+  it('picks up jobs queued while it runs', async () => {
+    startWorker();
+    const jobs = await Promise.all([1, 2, 3].map(n => enqueueJob(type, { n })));
+
+    await Promise.all(jobs.map(({ id }) => waitForJob(id, finished)));
+
+    expect(run).toHaveBeenCalledTimes(3);
+  });
+
+  it('stops claiming jobs once stopped', async () => {
+    startWorker();
+    stopWorker();
+    const { id } = await enqueueJob(type, {});
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect((await getJob(id)).status).toBe('queued');
+    expect(run).not.toHaveBeenCalled();
+  });
+
+  it('retries a failed attempt with backoff', async () => {
+    run.mockRejectedValue(new Error('Spotify is down'));
+    const { id } = await enqueueJob(type, {});
+
+    const before = Date.now();
+    startWorker();
+    const job = await waitForJob(id, ({ status, error }) => status === 'queued' && error);
+
+    expect(job).toMatchObject({ attempts: 1, error: 'Spotify is down' });
+    expect(job.run_at).toBeGreaterThanOrEqual(before + 1000);
+    expect(job.run_at).toBeLessThan(Date.now() + 1000);
+  });
+
+  it('doubles the delay after each failed attempt', async () => {
+    run.mockRejectedValue(new Error('Spotify is down'));
+    const { id } = await Job.create({ type, payload: {}, attempts: 1, max_attempts: 3, run_at: Date.now() });
+
+    const before = Date.now();
+    startWorker();
+    const job = await waitForJob(id, ({ attempts, status }) => attempts === 2 && status === 'queued');
+
+    expect(job.run_at).toBeGreaterThanOrEqual(before + 2000);
+    expect(job.run_at).toBeLessThan(Date.now() + 2000);
+  });
+
+  it('fails a job once it used all its attempts', async () => {
+    run.mockRejectedValue(new Error('Spotify is down'));
+    const { id } = await Job.create({ type, payload: {}, attempts: 2, max_attempts: 3, run_at: Date.now() });
+
+    startWorker();
+    const job = await waitForJob(id, finished);
+
+    expect(job).toMatchObject({ status: 'failed', attempts: 3, error: 'Spotify is down' });
+  });
+
+  it.each([400, 401])('does not retry a job failing with status %i', async (statusCode) => {
+    run.mockRejectedValue(Object.assign(new Error('Bad request'), { statusCode }));
+    const { id } = await enqueueJob(type, {});
+
+    startWorker();
+    const job = await waitForJob(id, finished);
+
+    expect(job).toMatchObject({ status: 'failed', attempts: 1, error: 'Bad request' });
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  it('queues jobs again whose lease ran out', async () => {
+    const { id } = await Job.create({ type, payload: {}, status: 'running', attempts: 1, max_attempts: 3, run_at: Date.now() - 1 });
+    // Leases are checked at most once a minute
+    const later = Date.now() + 2 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+
+    startWorker();
+    const job = await waitForJob(id, finished);
+
+    expect(job).toMatchObject({ status: 'succeeded', attempts: 2, error: null });
+  });
+
+  it('discards the result of an attempt that lost its lease', async () => {
+    config.jobs.leaseMs = 20;
+    run.mockImplementationOnce(async () => {
+      // Another worker sees the lease run out while this attempt is busy
+      await Job.expireLeases(Date.now() + config.jobs.leaseMs, Date.now());
+      return { quizId: 1 };
+    }).mockResolvedValueOnce({ quizId: 2 });
+    const { id } = await enqueueJob(type, {});
+
+    startWorker();
+    const job = await waitForJob(id, finished);
+
+    expect(job).toMatchObject({ status: 'succeeded', attempts: 2, result: { quizId: 2 } });
+    expect(console.warn).toHaveBeenCalledWith(`Job ${id} finished after losing its lease, result discarded`);
+    expect(console.log.mock.calls.filter(([message]) => message === `Job ${id} succeeded`)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { getStrategy } = require('../../../src/services/layoutStrategies');
+const { buildCrossword } = require('../../../src/services/crosswordService');
+const { validateLayout } = require('../../../src/services/layoutValidator');
+const { createRandom } = require('../../../src/utils/random');
+
+const FIXTURES = path.join(__dirname, '../../../scripts/fixtures');
+
+/**
+ * Read a benchmark word list as questions
+ * @param {string} name - Fixture file name
+ * @returns {Array} Question objects with question and answer
+ */
+const readQuestions = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8')
+  .split('\n')
+  .filter(Boolean)
+  .map(answer => ({ question: `Clue for ${answer}`, answer }));
+
+/**
+ * Prepare words the way buildCrossword hands them to a strategy, but in
+ * the order given, so shorter words can be placed before longer ones
+ * containing them
+ * @param {Array} answers - Answers in order
+ * @returns {Array} Prepared word data
+ */
+const wordsInOrder = (answers) => answers.map(word => ({ word, question: `Clue for ${word}`, originalAnswer: word }));
+
+/**
+ * Validation errors of a raw strategy layout, which is numbered in
+ * placement order until buildCrossword numbers it
+ * @param {Object} layout - Layout from a strategy
+ * @returns {Array} Errors other than numbering
+ */
+const layoutErrors = (layout) => validateLayout(layout.grid, layout.entries).errors
+  .filter(error => error.check !== 'numbering');
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe.each(['greedy', 'backtracking'])('%s strategy', (name) => {
+  const strategy = getStrategy(name);
+
+  it('never lays a word over a shorter one it contains', () => {
+    const words = wordsInOrder(['ORALS', 'SOLO', 'CORPORALS', 'ELVIS', 'ELVISES', 'OPERA', 'OPERAS', 'SONGS', 'SONGSTER']);
+
+    const layout = strategy.layout(words, { timeBudgetMs: 200, random: createRandom(1) });
+
+    expect(layoutErrors(layout)).toEqual([]);
+  });
+});
+
+describe('backtracking strategy', () => {
+  const strategy = getStrategy('backtracking');
+
+  it('returns the best partial layout when time runs out before a complete one', () => {
+    const words = wordsInOrder(readQuestions('words-60.txt').map(({ answer }) => answer)
+      .sort((a, b) => b.length - a.length));
+    const now = jest.spyOn(Date, 'now');
+    // The clock passes the deadline at the second search step
+    now.mockReturnValueOnce(0).mockReturnValueOnce(0).mockReturnValue(1000);
+
+    const layout = strategy.layout(words, { timeBudgetMs: 10 });
+
+    expect(layout).not.toBeNull();
+    expect(layout.attempts).toBe(0);
+    expect(layout.entries.length).toBeGreaterThanOrEqual(3);
+    expect(layoutErrors(layout)).toEqual([]);
+  });
+});
+
+describe('buildCrossword', () => {
+  const questions = readQuestions('words-20.txt');
+
+  it.each(['greedy', 'backtracking'])('builds valid layouts with the %s strategy', (strategy) => {
+    for (let seed = 1; seed <= 5; seed++) {
+      const crossword = buildCrossword(questions, { strategy, seed, timeBudgetMs: 300 });
+
+      expect(validateLayout(crossword.grid.grid, crossword.entries)).toMatchObject({ valid: true, errors: [] });
+    }
+  });
+
+  it('builds valid layouts with the fixed strategy when the fill succeeds', () => {
+    // The fill gives up on some seeds within the budget, which is not an invalid layout
+    for (let seed = 1; seed <= 3; seed++) {
+      let crossword = null;
+      try {
+        crossword = buildCrossword(questions, { strategy: 'fixed', gridSize: 13, seed, timeBudgetMs: 1500 });
+      } catch (error) {
+        expect(error.message).toMatch(/Failed to create a valid crossword/);
+      }
+
+      if (crossword) {
+        expect(validateLayout(crossword.grid.grid, crossword.entries)).toMatchObject({ valid: true, errors: [] });
+      }
+    }
+  });
+
+  it('builds valid layouts inside a mask', () => {
+    for (let seed = 1; seed <= 3; seed++) {
+      const crossword = buildCrossword(questions, { strategy: 'backtracking', mask: 'vinyl', seed, timeBudgetMs: 300 });
+
+      expect(validateLayout(crossword.grid.grid, crossword.entries).valid).toBe(true);
+    }
+  });
+});
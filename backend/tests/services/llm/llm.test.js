@@ -0,0 +1,61 @@
+const llm = require('../../../src/services/llm');
+const { config } = require('../../../config');
+
+const messages = [{ role: 'user', content: 'Say hi' }];
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  config.llm.allowedModels = [];
+});
+
+describe('validateLlmOptions', () => {
+  it('accepts the default models of a provider', () => {
+    expect(llm.validateLlmOptions({ provider: 'openai', model: config.openai.model })).toBeNull();
+    expect(llm.validateLlmOptions({ provider: 'openai', model: config.openai.ttsModel })).toBeNull();
+    expect(llm.validateLlmOptions({ provider: 'local', model: config.llm.local.model })).toBeNull();
+    expect(llm.validateLlmOptions({ provider: 'fixture' })).toBeNull();
+  });
+
+  it('rejects models that are not allowed', () => {
+    expect(llm.validateLlmOptions({ provider: 'openai', model: 'gpt-4-32k' })).toBe(
+      `Unknown model for LLM provider "openai". Available models: ${config.openai.model}, ${config.openai.ttsModel}`);
+    expect(llm.validateLlmOptions({ provider: 'local', model: config.openai.model })).toMatch(/^Unknown model/);
+  });
+
+  it('accepts the models of LLM_ALLOWED_MODELS', () => {
+    config.llm.allowedModels = ['gpt-4.1-mini'];
+
+    expect(llm.validateLlmOptions({ provider: 'openai', model: 'gpt-4.1-mini' })).toBeNull();
+  });
+
+  it.each([
+    ['null', null, 'llm must be an object with an optional provider and model'],
+    ['an empty model', { model: ' ' }, 'llm.model must be a non-empty string'],
+    ['an unknown provider', { provider: 'nope' }, 'Unknown LLM provider. Available providers: openai, local, fixture']
+  ])('rejects %s', (_, options, error) => {
+    expect(llm.validateLlmOptions(options)).toBe(error);
+  });
+});
+
+describe('complete', () => {
+  it('runs with the default model of the provider', async () => {
+    const provider = llm.getProvider('fixture');
+    jest.spyOn(provider, 'complete').mockResolvedValue('hi');
+
+    expect(await llm.complete({ task: 'test', messages }, { provider: 'fixture' })).toBe('hi');
+    expect(provider.complete).toHaveBeenCalledWith(expect.objectContaining({ model: 'fixture' }));
+  });
+
+  it('refuses a model that is not allowed', async () => {
+    const provider = llm.getProvider('fixture');
+    jest.spyOn(provider, 'complete');
+
+    await expect(llm.complete({ task: 'test', messages }, { provider: 'fixture', model: 'gpt-4-32k' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(provider.complete).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,34 @@
+const { getEnumeration, getLocale } = require('../../src/services/locales');
+
+describe('getEnumeration', () => {
+  it.each([
+    ['ABBA', '4'],
+    ['PINK FLOYD', '4,5'],
+    ['HI-HO', '2-2'],
+    ["GUNS N' ROSES", '4,1,5'],
+    ['AC/DC', '4'],
+    ['R.E.M.', '3'],
+    ['BEYONCÉ', '7']
+  ])('describes %s as %s', (answer, enumeration) => {
+    expect(getEnumeration(answer)).toBe(enumeration);
+  });
+
+  it.each([
+    [' PINK  FLOYD ', '4,5'],
+    ['-HI-HO-', '2-2'],
+    ['HI - HO', '2,2'],
+    ['ROCK & ROLL', '4,4']
+  ])('ignores separators at the ends and runs of them in %j', (answer, enumeration) => {
+    expect(getEnumeration(answer)).toBe(enumeration);
+  });
+
+  it('counts the letters of the locale', () => {
+    expect(getEnumeration('SVENSKA BJÖRNSTAMMEN', getLocale('sv-SE'))).toBe('7,12');
+    expect(getEnumeration('MÖTLEY CRÜE', getLocale('sv-SE'))).toBe('6,4');
+  });
+
+  it('is empty for an answer without letters', () => {
+    expect(getEnumeration('')).toBe('');
+    expect(getEnumeration(' - ')).toBe('');
+  });
+});
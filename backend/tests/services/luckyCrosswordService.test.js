@@ -0,0 +1,151 @@
+const { validateSelectionQuotas, selectBestQuestions } = require('../../src/services/luckyCrosswordService');
+const { countByDifficulty } = require('../../src/services/questionSchema');
+
+/**
+ * Build a validated question
+ * @param {number} n - Number making the answer unique
+ * @param {Object} fields - difficulty, category, trackId and confidence to override
+ * @returns {Object} - Question
+ */
+const question = (n, fields = {}) => ({
+  question: `Clue ${n}`,
+  answer: `WORD${String.fromCharCode(65 + n)}`,
+  trackId: `t${n}`,
+  difficulty: 'medium',
+  category: 'artist',
+  confidence: 1,
+  ...fields
+});
+
+/**
+ * List the numbers of selected questions
+ * @param {Array} questions - Selected questions
+ * @returns {Array} - Clue numbers
+ */
+const numbers = (questions) => questions.map(({ question: clue }) => Number(clue.split(' ')[1]));
+
+describe('selectBestQuestions', () => {
+  it('needs enough answers of a usable length', () => {
+    const questions = [0, 1, 2, 3, 4].map(n => question(n, { answer: n < 2 ? 'AB' : `WORD${n}` }));
+
+    expect(() => selectBestQuestions(questions))
+      .toThrow('Not enough valid questions. Need at least 5 valid questions to create a crossword.');
+  });
+
+  it('selects at most 15 questions', () => {
+    const questions = Array.from({ length: 20 }, (_, n) => question(n));
+
+    expect(selectBestQuestions(questions)).toHaveLength(15);
+  });
+
+  it('follows the difficulty mix', () => {
+    // Easy questions come first, so only the mix brings in the hard ones
+    const questions = Array.from({ length: 20 }, (_, n) => question(n, { difficulty: n < 15 ? 'easy' : 'hard' }));
+
+    const selected = selectBestQuestions(questions, { difficultyMix: { easy: 2, hard: 1 } });
+
+    expect(countByDifficulty(selected)).toEqual({ easy: 10, medium: 0, hard: 5 });
+  });
+
+  it('picks the difficulties that are short of the mix first', () => {
+    const questions = [
+      question(0, { difficulty: 'easy' }),
+      question(1, { difficulty: 'easy' }),
+      question(2, { difficulty: 'easy' }),
+      question(3, { difficulty: 'hard' }),
+      question(4, { difficulty: 'hard' }),
+      question(5, { difficulty: 'hard' })
+    ];
+
+    const selected = selectBestQuestions(questions, { difficultyMix: { easy: 1, hard: 2 } });
+
+    expect(numbers(selected)).toEqual([0, 1, 3, 4, 5, 2]);
+  });
+
+  it('fills a difficulty that runs short with the others', () => {
+    const questions = [0, 1, 2, 3, 4, 5].map(n => question(n, { difficulty: n === 5 ? 'hard' : 'easy' }));
+
+    const selected = selectBestQuestions(questions, { difficultyMix: { hard: 1 } });
+
+    expect(numbers(selected)).toEqual([5, 0, 1, 2, 3, 4]);
+  });
+
+  it('spreads the questions over categories, then tracks', () => {
+    const questions = [
+      question(0, { category: 'artist', trackId: 'a' }),
+      question(1, { category: 'artist', trackId: 'b' }),
+      question(2, { category: 'album', trackId: 'a' }),
+      question(3, { category: 'album', trackId: 'c' }),
+      question(4, { category: 'era', trackId: 'b' }),
+      question(5, { category: 'era', trackId: 'c' })
+    ];
+
+    const selected = selectBestQuestions(questions);
+
+    expect(numbers(selected)).toEqual([0, 3, 4, 1, 2, 5]);
+  });
+
+  it('prefers the most confident of otherwise equal questions', () => {
+    const questions = [0, 1, 2, 3, 4].map(n => question(n, { trackId: 'a', confidence: n === 0 ? 0.4 : 0.6 + n / 10 }));
+
+    expect(numbers(selectBestQuestions(questions))).toEqual([4, 3, 2, 1, 0]);
+  });
+
+  describe('with quotas', () => {
+    it('takes at most maxPerTrack questions of a track', () => {
+      const questions = Array.from({ length: 8 }, (_, n) => question(n, { trackId: n < 4 ? 'a' : `t${n}` }));
+
+      const selected = selectBestQuestions(questions, { quotas: { maxPerTrack: 2 } });
+
+      expect(numbers(selected)).toEqual([0, 4, 5, 6, 7, 1]);
+    });
+
+    it('takes at most maxPerCategory questions of a category', () => {
+      const questions = Array.from({ length: 8 }, (_, n) => question(n, { category: n < 6 ? 'artist' : 'album' }));
+
+      const selected = selectBestQuestions(questions, { quotas: { maxPerCategory: 3 } });
+
+      expect(numbers(selected)).toEqual([0, 6, 1, 7, 2]);
+    });
+
+    it('takes at most the count of a named category', () => {
+      const questions = Array.from({ length: 8 }, (_, n) => question(n, { category: n % 2 ? 'lyrics' : 'artist' }));
+
+      const selected = selectBestQuestions(questions, { quotas: { categories: { lyrics: 1, artist: 5 }, maxPerCategory: 4 } });
+
+      expect(numbers(selected)).toEqual([0, 1, 2, 4, 6]);
+    });
+
+    it('fails when the quotas leave too few questions', () => {
+      const questions = Array.from({ length: 8 }, (_, n) => question(n, { trackId: n < 6 ? 'a' : 'b' }));
+
+      expect(() => selectBestQuestions(questions, { quotas: { maxPerTrack: 2 } }))
+        .toThrow('Not enough valid questions within the selection quotas: got 4, need at least 5.');
+    });
+  });
+});
+
+describe('validateSelectionQuotas', () => {
+  it('accepts no quotas or valid ones', () => {
+    expect(validateSelectionQuotas(undefined)).toBeNull();
+    expect(validateSelectionQuotas({ maxPerCategory: 3, maxPerTrack: 2, categories: { lyrics: 0, era: 2 } })).toBeNull();
+  });
+
+  it.each([
+    [null, 'quotas must be an object with optional maxPerCategory, maxPerTrack and categories'],
+    [[1], 'quotas must be an object with optional maxPerCategory, maxPerTrack and categories'],
+    [{ maxPerCategory: 0 }, 'quotas.maxPerCategory must be a positive integer'],
+    [{ maxPerTrack: 1.5 }, 'quotas.maxPerTrack must be a positive integer'],
+    [{ maxPerTrack: '2' }, 'quotas.maxPerTrack must be a positive integer'],
+    [{ categories: ['era'] }, 'quotas.categories must be an object with the most questions per category'],
+    [{ categories: { era: -1 } }, 'quotas.categories counts must be non-negative integers']
+  ])('rejects %j', (quotas, error) => {
+    expect(validateSelectionQuotas(quotas)).toBe(error);
+  });
+
+  it('rejects unknown categories', () => {
+    expect(validateSelectionQuotas({ categories: { gossip: 1, era: 1 } })).toBe(
+      'Unknown category in quotas.categories: gossip. Categories are: artist, lyrics, album, era, instrument, genre, music-theory, wordplay'
+    );
+  });
+});
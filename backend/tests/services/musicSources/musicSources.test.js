@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const { getProvider, isImportedPlaylistId, providerNames } = require('../../../src/services/musicSources');
+
+/**
+ * Read a music source fixture
+ * @param {string} name - File name in tests/fixtures/musicSources
+ * @returns {string} - File content
+ */
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '../../fixtures/musicSources', name), 'utf8');
+
+/**
+ * Import a fixture with a provider
+ * @param {string} provider - Provider name
+ * @param {string} fixture - Fixture file name
+ * @param {Object} request - Other request fields, such as format or name
+ * @returns {Promise<Object>} - Playlist-shaped data
+ */
+const importFixture = (provider, fixture, request = {}) =>
+  getProvider(provider).getSourceData({ content: readFixture(fixture), ...request });
+
+/**
+ * Describe tracks by title and artist names
+ * @param {Object} playlist - Playlist-shaped data
+ * @returns {Array} - [title, artists] pairs
+ */
+const describeTracks = (playlist) => playlist.tracks.map(track => [track.name, track.artists.map(artist => artist.name)]);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('music source providers', () => {
+  it('registers every provider', () => {
+    expect(providerNames).toEqual(['spotify', 'file', 'apple-music', 'deezer', 'youtube-music']);
+    expect(() => getProvider('napster')).toThrow('Unknown music source provider "napster"');
+  });
+
+  it.each(['file', 'apple-music', 'deezer', 'youtube-music'])('%s imports need content and no Spotify login', (name) => {
+    const provider = getProvider(name);
+
+    expect(provider.validateSourceRequest({})).toBe('Missing required parameter: content');
+    expect(provider.needsUserToken({ content: 'x' })).toBe(false);
+  });
+
+  it('tells imported playlist IDs from Spotify ones', () => {
+    expect(isImportedPlaylistId('deezer:908622995')).toBe(true);
+    expect(isImportedPlaylistId('file:0123456789ab')).toBe(true);
+    expect(isImportedPlaylistId('37i9dQZF1DXcBWIGoYBM5M')).toBe(false);
+  });
+});
+
+describe('file provider', () => {
+  it('reads a CSV track list', async () => {
+    const playlist = await importFixture('file', 'tracks.csv', { format: 'csv' });
+
+    expect(describeTracks(playlist)).toEqual([
+      ['Dancing Queen', ['ABBA']],
+      ['Hey Brother', ['Avicii']],
+      ['Under Pressure', ['Queen', 'David Bowie']],
+      ['Say "Hello"', ['Nobody']]
+    ]);
+    expect(playlist.tracks[0]).toEqual({
+      id: 'file:abba:dancing-queen',
+      name: 'Dancing Queen',
+      artists: [{ id: 'file:abba', name: 'ABBA' }],
+      album: { id: 'file:arrival', name: 'Arrival', releaseDate: '1976', images: [] },
+      previewUrl: null,
+      popularityScore: 0
+    });
+    expect(playlist).toMatchObject({
+      id: expect.stringMatching(/^file:[0-9a-f]{12}$/),
+      name: 'Imported tracks',
+      tracksCount: 4,
+      description: '4 tracks imported from CSV'
+    });
+  });
+
+  it('reads a JSON track list with other column names', async () => {
+    const playlist = await importFixture('file', 'tracks.json', { format: 'json', name: 'ABBA' });
+
+    expect(describeTracks(playlist)).toEqual([['Dancing Queen', ['ABBA']], ['Waterloo', ['ABBA']]]);
+    expect(playlist.tracks[0].album).toMatchObject({ name: 'Arrival', releaseDate: '1976' });
+    expect(playlist.name).toBe('ABBA');
+  });
+
+  it('gives the same list the same ID', async () => {
+    const first = await importFixture('file', 'tracks.csv', { format: 'csv' });
+    const second = await importFixture('file', 'tracks.csv', { format: 'csv' });
+
+    expect(first.id).toBe(second.id);
+  });
+
+  it('rejects unknown formats and unusable lists', async () => {
+    expect(getProvider('file').validateSourceRequest({ content: 'a', format: 'xml' })).toBe('Format must be one of: csv, json');
+    await expect(getProvider('file').getSourceData({ content: '{"songs": []}', format: 'json' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'JSON track list must be an array or an object with a tracks array' });
+    await expect(getProvider('file').getSourceData({ content: 'title,artist\nNo artist,', format: 'csv' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'No tracks with a title and an artist found' });
+  });
+});
+
+describe('Deezer provider', () => {
+  it('reads a playlist from the Deezer API, skipping episodes and repeats', async () => {
+    const playlist = await importFixture('deezer', 'deezer-playlist.json');
+
+    expect(playlist).toMatchObject({
+      id: 'deezer:908622995',
+      name: 'Swedish Pop Classics',
+      description: 'Hits from Stockholm',
+      owner: { id: 'deezer:user:2529', displayName: 'Deezer Editor' },
+      tracksCount: 2
+    });
+    expect(describeTracks(playlist)).toEqual([['Dancing Queen', ['ABBA']], ['Dancing On My Own', ['Robyn']]]);
+    expect(playlist.tracks[0]).toMatchObject({
+      id: 'deezer:3135556',
+      album: { id: 'deezer:album:302127', name: 'Arrival' },
+      previewUrl: 'https://cdns-preview-1.dzcdn.net/stream/dancing-queen.mp3',
+      popularityScore: 91
+    });
+    expect(playlist.tracks[1].previewUrl).toBeNull();
+  });
+
+  it('reads a playlist from the Deezer playlist page', async () => {
+    const playlist = await importFixture('deezer', 'deezer-page.html', { name: 'Party' });
+
+    expect(playlist).toMatchObject({ id: 'deezer:908622995', name: 'Party', owner: { displayName: 'Deezer Editor' } });
+    expect(describeTracks(playlist)).toEqual([
+      ['Dancing Queen', ['ABBA']],
+      ["Don't You Worry Child", ['Swedish House Mafia', 'John Martin']]
+    ]);
+    expect(playlist.tracks[0].album).toMatchObject({ releaseDate: '1976-10-11', images: [expect.objectContaining({ width: 1000 })] });
+  });
+
+  it('rejects JSON that is not a Deezer playlist', async () => {
+    await expect(getProvider('deezer').getSourceData({ content: '{"items": []}' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(getProvider('deezer').getSourceData({ content: '<html></html>' }))
+      .rejects.toThrow('No playlist data found in the Deezer page');
+  });
+});
+
+describe('Apple Music provider', () => {
+  it('reads a playlist from the Apple Music API, skipping music videos', async () => {
+    const playlist = await importFixture('apple-music', 'apple-music-playlist.json');
+
+    expect(playlist).toMatchObject({
+      id: 'apple-music:pl.u-8aAVZAaTDN0zGP',
+      name: 'Eighties Anthems',
+      description: 'Big songs from the big-hair decade.',
+      owner: { displayName: 'Apple Music Pop' },
+      images: [{ url: 'https://is1-ssl.mzstatic.com/image/thumb/playlist/1000x1000bb.jpg', width: 1000, height: 1000 }]
+    });
+    expect(describeTracks(playlist)).toEqual([
+      ['Take On Me', ['a-ha']],
+      ['Sweet Dreams (Are Made of This)', ['Eurythmics, Annie Lennox & Dave Stewart']]
+    ]);
+    // Library songs use their catalog ID
+    expect(playlist.tracks[0]).toMatchObject({
+      id: 'apple-music:1035047659',
+      album: { name: 'Hunting High and Low', releaseDate: '1985-06-01' },
+      previewUrl: 'https://audio-ssl.itunes.apple.com/take-on-me.m4a'
+    });
+  });
+
+  it('reads a playlist from the structured data of the playlist page', async () => {
+    const playlist = await importFixture('apple-music', 'apple-music-page.html');
+
+    expect(playlist).toMatchObject({ id: 'apple-music:pl.u-8aAVZAaTDN0zGP', owner: { displayName: 'Apple Music Pop' } });
+    expect(describeTracks(playlist)).toEqual([['Take On Me', ['a-ha']], ['Under Pressure', ['Queen', 'David Bowie']]]);
+    expect(playlist.tracks[0].id).toBe('apple-music:1035047659');
+    expect(playlist.tracks[1]).toMatchObject({ id: 'apple-music:queen:under-pressure', album: { name: null, releaseDate: '1981-10-26' } });
+  });
+
+  it('reads a Music app text export', async () => {
+    const playlist = await importFixture('apple-music', 'apple-music-export.txt');
+
+    expect(describeTracks(playlist)).toEqual([['Take On Me', ['a-ha']], ['Under Pressure', ['Queen & David Bowie']]]);
+    expect(playlist.tracks[1].album).toMatchObject({ name: 'Hot Space', releaseDate: '1982' });
+  });
+
+  it('rejects an export without name and artist columns', async () => {
+    await expect(getProvider('apple-music').getSourceData({ content: 'Title\tYear\nTake On Me\t1985' }))
+      .rejects.toThrow('Apple Music export must have Name and Artist columns');
+  });
+});
+
+describe('YouTube Music provider', () => {
+  it('reads a ytmusicapi playlist export', async () => {
+    const playlist = await importFixture('youtube-music', 'youtube-music-export.json');
+
+    expect(playlist).toMatchObject({
+      id: 'youtube-music:PLFgquLnL59alW3xmYiWRaoz0oM3H17Lth',
+      name: 'Nordic Hits',
+      owner: { id: 'youtube-music:user:UCmusic' },
+      images: [{ url: 'https://i.ytimg.com/vi/large.jpg', width: 544 }]
+    });
+    expect(describeTracks(playlist)).toEqual([['The Final Countdown', ['Europe']], ['Hey Brother', ['Avicii']]]);
+    expect(playlist.tracks[0]).toMatchObject({
+      id: 'youtube-music:Unp8rbxOzS8',
+      artists: [{ id: 'youtube-music:artist:UCeurope' }],
+      album: { id: 'youtube-music:album:MPREb_final', releaseDate: '1986' }
+    });
+  });
+
+  it('reads a YouTube Data API playlistItems response, skipping private videos', async () => {
+    const playlist = await importFixture('youtube-music', 'youtube-playlist-items.json');
+
+    expect(playlist.id).toBe('youtube-music:PLnordic');
+    // Topic channels name the artist; other uploads put it in the title
+    expect(describeTracks(playlist)).toEqual([
+      ['The Final Countdown', ['Europe']],
+      ['The Look (Official Music Video)', ['Roxette']]
+    ]);
+    expect(playlist.tracks[0].album.images).toEqual([{ url: 'https://i.ytimg.com/vi/Unp8rbxOzS8/hqdefault.jpg', width: 480, height: 360 }]);
+  });
+
+  it('reads a playlist from the YouTube playlist page', async () => {
+    const playlist = await importFixture('youtube-music', 'youtube-page.html');
+
+    expect(playlist).toMatchObject({ id: 'youtube-music:PLnordic', name: 'Nordic Hits', description: 'Songs from the north' });
+    expect(describeTracks(playlist)).toEqual([['The Final Countdown', ['Europe']], ['The Look', ['Roxette']]]);
+  });
+
+  it('rejects JSON that is not a playlist', async () => {
+    await expect(getProvider('youtube-music').getSourceData({ content: '{"data": []}' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,121 @@
+const llm = require('../../src/services/llm');
+const { generateQuestions } = require('../../src/services/openaiService');
+
+const fixture = llm.getProvider('fixture');
+
+/**
+ * Build a track in the shape music sources return
+ * @param {string} id - Track ID
+ * @param {string} name - Track title
+ * @param {string} artist - Artist name
+ * @param {string} album - Album title
+ * @param {string} releaseDate - Album release date
+ * @returns {Object} - Track
+ */
+const track = (id, name, artist, album, releaseDate) => ({
+  id,
+  name,
+  artists: [{ name: artist }],
+  album: { name: album, releaseDate }
+});
+
+const tracks = [
+  track('t1', 'Dancing Queen', 'ABBA', 'Arrival', '1976-10-11'),
+  track('t2', 'Billie Jean', 'Michael Jackson', 'Thriller', '1982-11-30'),
+  track('t3', 'Wonderwall', 'Oasis', 'Morning Glory', '1995-10-02'),
+  track('t4', 'Hey Jude', 'The Beatles', 'Hey Jude', '1968-08-26')
+];
+
+/**
+ * Get the last message of a completion request
+ * @param {number} call - Index of the call to the fixture provider
+ * @returns {string} - Message content
+ */
+const lastMessage = (call) => {
+  const { messages } = fixture.complete.mock.calls[call][0];
+  return messages[messages.length - 1].content;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(fixture, 'complete');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('generateQuestions', () => {
+  it('generates questions from the fixture provider in one request', async () => {
+    const questions = await generateQuestions(tracks, { maxQuestions: 4 });
+
+    expect(questions).toHaveLength(4);
+    expect(fixture.complete).toHaveBeenCalledTimes(1);
+  });
+
+  it('asks again with the problems of a response that is not JSON', async () => {
+    fixture.complete.mockResolvedValueOnce('Sorry, here are some questions: none');
+
+    const questions = await generateQuestions(tracks, { maxQuestions: 4 });
+
+    expect(questions).toHaveLength(4);
+    expect(fixture.complete).toHaveBeenCalledTimes(2);
+    expect(lastMessage(1)).toContain('- Response must be a JSON array of question objects');
+  });
+
+  it('quotes invalid questions back and keeps the valid ones', async () => {
+    fixture.complete.mockResolvedValueOnce(JSON.stringify([
+      { question: 'Swedish pop group', answer: 'ABBA', trackId: 't1', difficulty: 'easy', category: 'artist' },
+      { question: 'Made up song', answer: 'NOPE', trackId: 't9', difficulty: 'medium', category: 'wordplay' }
+    ]));
+
+    const questions = await generateQuestions(tracks, { maxQuestions: 4 });
+
+    expect(questions).toHaveLength(4);
+    expect(questions[0]).toMatchObject({ answer: 'ABBA', trackId: 't1' });
+    expect(fixture.complete).toHaveBeenCalledTimes(2);
+    expect(lastMessage(1)).toContain('- Item 2 "Made up song": trackId "t9" is not one of the provided tracks');
+    expect(lastMessage(1)).toContain('Generate 3 more questions');
+    expect(fixture.complete.mock.calls[1][0].input.excludeAnswers).toEqual(['ABBA']);
+  });
+
+  it('stops after the repair attempts run out', async () => {
+    fixture.complete.mockResolvedValue('[]');
+
+    await expect(generateQuestions(tracks, { maxQuestions: 4, maxRepairAttempts: 1 }))
+      .rejects.toThrow('Not enough valid questions generated: got 0, need at least 3.');
+    expect(fixture.complete).toHaveBeenCalledTimes(2);
+  });
+
+  describe('with a question listener', () => {
+    it('keeps the questions streamed from a truncated response', async () => {
+      const streamed = [
+        { question: 'Swedish pop group', answer: 'ABBA', trackId: 't1', difficulty: 'easy', category: 'artist' },
+        { question: 'Album that has "Billie Jean"', answer: 'THRILLER', trackId: 't2', difficulty: 'hard', category: 'album' }
+      ];
+      fixture.complete.mockResolvedValueOnce(`${JSON.stringify(streamed).slice(0, -1)},{"question": "Band from Manchester", "ans`);
+      const onQuestion = jest.fn();
+
+      const questions = await generateQuestions(tracks, { maxQuestions: 4 }, { onQuestion });
+
+      expect(questions).toHaveLength(4);
+      expect(questions.slice(0, 2)).toMatchObject([{ answer: 'ABBA' }, { answer: 'THRILLER' }]);
+      expect(onQuestion.mock.calls.map(([question]) => question)).toEqual(questions);
+      expect(lastMessage(1)).toMatch(/- Response is not valid JSON/);
+      expect(fixture.complete.mock.calls[1][0].input).toMatchObject({
+        maxQuestions: 2,
+        excludeAnswers: ['ABBA', 'THRILLER']
+      });
+    });
+
+    it('reports each question once when the whole response parses', async () => {
+      const onQuestion = jest.fn();
+
+      const questions = await generateQuestions(tracks, { maxQuestions: 4 }, { onQuestion });
+
+      expect(onQuestion.mock.calls.map(([question]) => question)).toEqual(questions);
+      expect(fixture.complete).toHaveBeenCalledTimes(1);
+    });
+  });
+});
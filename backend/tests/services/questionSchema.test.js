@@ -0,0 +1,115 @@
+const { parseQuestionList, validateQuestion } = require('../../src/services/questionSchema');
+const { getLocale } = require('../../src/services/locales');
+
+const item = { question: 'Swedish pop group', answer: 'ABBA', trackId: 't1', difficulty: 'easy', category: 'artist' };
+
+describe('parseQuestionList', () => {
+  it('reads a JSON array', () => {
+    expect(parseQuestionList(JSON.stringify([item]))).toEqual({ items: [item], error: null });
+  });
+
+  it('reads an object with a questions array', () => {
+    expect(parseQuestionList(JSON.stringify({ questions: [item] }))).toEqual({ items: [item], error: null });
+  });
+
+  it('reads a list wrapped in a Markdown code block', () => {
+    const content = `Here are your questions:\n\`\`\`json\n${JSON.stringify([item], null, 2)}\n\`\`\``;
+
+    expect(parseQuestionList(content)).toEqual({ items: [item], error: null });
+  });
+
+  it('reports broken JSON', () => {
+    const { items, error } = parseQuestionList('[{"question": "Swedish pop group", "answer": ]');
+
+    expect(items).toEqual([]);
+    expect(error).toMatch(/^Response is not valid JSON: /);
+  });
+
+  it.each(['', 'No questions today', '{"answer": "ABBA"}'])('reports a response without a list: %j', (content) => {
+    expect(parseQuestionList(content)).toEqual({ items: [], error: 'Response must be a JSON array of question objects' });
+  });
+});
+
+describe('validateQuestion', () => {
+  const rules = { trackIds: new Set(['t1']), minAnswerLength: 3, maxAnswerLength: 12, usedAnswers: new Set() };
+
+  it('accepts a valid question', () => {
+    expect(validateQuestion(item, rules)).toEqual([]);
+  });
+
+  it('measures an answer by its letters', () => {
+    expect(validateQuestion({ ...item, answer: 'Pink Floyd' }, { ...rules, maxAnswerLength: 9 })).toEqual([]);
+  });
+
+  it.each([
+    ['AB', 'answer "AB" must be 3 to 12 letters long'],
+    ['SUPERCALIFRAGILISTIC', 'answer "SUPERCALIFRAGILISTIC" must be 3 to 12 letters long']
+  ])('rejects the answer %s for its length', (answer, error) => {
+    expect(validateQuestion({ ...item, answer }, rules)).toEqual([error]);
+  });
+
+  it.each(['BLINK 182', 'ABBA!', '- -'])('rejects the answer %s for its characters', (answer) => {
+    expect(validateQuestion({ ...item, answer }, rules)).toEqual([
+      `answer "${answer}" must contain only letters A-Z, with spaces or hyphens between words and apostrophes, slashes or periods inside names`
+    ]);
+  });
+
+  it('rejects an answer that is already used, by its letters', () => {
+    const usedAnswers = new Set(['PINKFLOYD']);
+
+    expect(validateQuestion({ ...item, answer: 'PINK FLOYD' }, { ...rules, usedAnswers }))
+      .toEqual(['answer "PINK FLOYD" is already used']);
+  });
+
+  it('rejects an unknown trackId', () => {
+    expect(validateQuestion({ ...item, trackId: 't9' }, rules))
+      .toEqual(['trackId "t9" is not one of the provided tracks']);
+  });
+
+  it('rejects an unknown difficulty and category', () => {
+    expect(validateQuestion({ ...item, difficulty: 'expert', category: 'gossip' }, rules)).toEqual([
+      'difficulty must be one of: easy, medium, hard',
+      'category "gossip" must be one of: artist, lyrics, album, era, instrument, genre, music-theory, wordplay'
+    ]);
+  });
+
+  it('lists missing fields', () => {
+    expect(validateQuestion({ question: 'Swedish pop group', answer: ' ' }, rules))
+      .toEqual(['missing answer, trackId, difficulty, category']);
+  });
+
+  it.each([null, 'ABBA', [item]])('rejects the item %j', (value) => {
+    expect(validateQuestion(value, rules)).toEqual(['must be an object']);
+  });
+
+  describe.each(['en-US', 'sv-SE'])('in %s', (localeName) => {
+    const localeRules = { ...rules, locale: getLocale(localeName) };
+
+    it.each(['BEYONCÉ', 'MÖTLEY CRÜE', 'SIGUR RÓS', 'Beyoncé'])('accepts the accented answer %s', (answer) => {
+      expect(validateQuestion({ ...item, answer }, localeRules)).toEqual([]);
+    });
+
+    it.each(['AC/DC', 'R.E.M.', "GUNS N' ROSES", 'ROCK’N’ROLL'])('accepts the punctuation of %s', (answer) => {
+      expect(validateQuestion({ ...item, answer }, localeRules)).toEqual([]);
+    });
+
+    it('measures and compares answers without their punctuation', () => {
+      expect(validateQuestion({ ...item, answer: 'R.E.M.' }, { ...localeRules, minAnswerLength: 4 }))
+        .toEqual(['answer "R.E.M." must be 4 to 12 letters long']);
+      expect(validateQuestion({ ...item, answer: 'AC/DC' }, { ...localeRules, usedAnswers: new Set(['ACDC']) }))
+        .toEqual(['answer "AC/DC" is already used']);
+    });
+
+    it.each(['AC DC!', 'MÖTLEY & CRÜE', 'BLINK-182'])('rejects other characters in %s', (answer) => {
+      expect(validateQuestion({ ...item, answer }, localeRules)).toEqual([
+        expect.stringMatching(new RegExp(`^answer "${answer}" must contain only letters ${localeRules.locale.alphabetLabel}`))
+      ]);
+    });
+  });
+
+  it('uses the letters of the locale', () => {
+    const swedish = { ...rules, locale: getLocale('sv-SE') };
+
+    expect(validateQuestion({ ...item, answer: 'Hörselgång' }, swedish)).toEqual([]);
+  });
+});
@@ -0,0 +1,108 @@
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { validateResults, recordResults } = require('../../src/services/quizResultsService');
+const Attempt = require('../../models/attempt');
+const Quiz = require('../../models/quiz');
+const User = require('../../models/user');
+
+const layout = {
+  grid: { grid: [['A', 'B', 'B', 'A'], [null, null, null, 'C']] },
+  entries: [
+    { number: 1, direction: 'across', answer: 'ABBA', clue: 'Swedish pop group', position: { row: 0, col: 0 }, trackId: 't1' },
+    { number: 2, direction: 'down', answer: 'AC', clue: 'Half of a rock band', position: { row: 0, col: 3 } }
+  ],
+  seed: 1,
+  locale: 'en-US'
+};
+const questions = [
+  { number: 1, question: 'Swedish pop group', answer: 'ABBA', track_id: 't1' },
+  { number: 2, question: 'Half of a rock band', answer: 'AC', track_id: 't2' }
+];
+
+let quiz;
+let player;
+
+beforeAll(async () => {
+  await resetDatabase();
+  player = await User.create({ email: 'player@example.com', display_name: 'Player' });
+  quiz = await Quiz.create({ title: 'Results', playlist_id: 'results-playlist', is_public: true }, questions, { layout });
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('validateResults', () => {
+  it('accepts entries with guesses, times and hints', () => {
+    expect(validateResults({
+      entries: [{ number: 1, direction: 'across', guess: 'abba', timeMs: 1200, hintsUsed: 1 }],
+      teams: [{ name: 'Red', score: 3 }]
+    })).toBeNull();
+  });
+
+  it('needs an entries array', () => {
+    expect(validateResults({})).toBe('Results must contain an entries array');
+    expect(validateResults(null)).toBe('Results must contain an entries array');
+  });
+
+  it.each([null, 'ABBA', 7, []])('rejects the entry %j', (entry) => {
+    expect(validateResults({ entries: [entry] })).toBe('Each result entry needs a number and a direction (across or down)');
+  });
+
+  it.each([
+    [{ guess: 12 }, 'Guess for 1 across must be a string'],
+    [{ timeMs: -1 }, 'timeMs for 1 across must be a non-negative number'],
+    [{ hintsUsed: 1.5 }, 'hintsUsed for 1 across must be a non-negative integer']
+  ])('rejects %j', (fields, message) => {
+    expect(validateResults({ entries: [{ number: 1, direction: 'across', ...fields }] })).toBe(message);
+  });
+
+  it('rejects teams without a name and score', () => {
+    expect(validateResults({ entries: [], teams: [{ name: 'Red' }] }))
+      .toBe('Teams must be an array of objects with a name and a numeric score');
+  });
+});
+
+describe('recordResults', () => {
+  it('scores guesses against the stored answers in the quiz locale', async () => {
+    const attempt = await recordResults(quiz.id, {
+      entries: [
+        { number: 1, direction: 'across', guess: ' abba ', timeMs: 900.4 },
+        { number: 2, direction: 'down', guess: 'AD', hintsUsed: 2 }
+      ]
+    });
+
+    expect(attempt).toMatchObject({ quizId: quiz.id, score: 1, total: 2, completed: false });
+
+    const entries = await Attempt.getEntriesByQuizId(quiz.id);
+    const mine = entries.filter(entry => entry.attempt_id === attempt.id);
+    expect(mine.map(entry => [entry.number, Boolean(entry.correct), entry.time_ms, entry.hints_used, entry.track_id]))
+      .toEqual(expect.arrayContaining([[1, true, 900, 0, 't1'], [2, false, null, 2, 't2']]));
+  });
+
+  it('uses the correct flag of entries without a guess', async () => {
+    const attempt = await recordResults(quiz.id, {
+      entries: [{ number: 1, direction: 'across', correct: true }, { number: 2, direction: 'down', correct: true }],
+      teams: [{ name: 'Red', score: 2 }]
+    });
+
+    expect(attempt).toMatchObject({ score: 2, total: 2, completed: true, teams: [{ name: 'Red', score: 2 }] });
+  });
+
+  it('stores the player of the attempt', async () => {
+    const signedIn = await recordResults(quiz.id, { entries: [{ number: 1, direction: 'across', guess: 'ABBA' }] }, player.id);
+    const anonymous = await recordResults(quiz.id, { entries: [{ number: 1, direction: 'across', guess: 'ABBA' }] });
+
+    const attempts = await Attempt.getByQuizId(quiz.id);
+    expect(attempts.find(attempt => attempt.id === signedIn.id).user_id).toBe(player.id);
+    expect(attempts.find(attempt => attempt.id === anonymous.id).user_id).toBeNull();
+  });
+
+  it('rejects entries that are not in the crossword', async () => {
+    await expect(recordResults(quiz.id, { entries: [{ number: 9, direction: 'down', guess: 'X' }] }))
+      .rejects.toThrow('Unknown crossword entry: 9 down');
+  });
+
+  it('returns null for a missing quiz', async () => {
+    expect(await recordResults(9999, { entries: [] })).toBeNull();
+  });
+});
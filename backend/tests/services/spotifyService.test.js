@@ -0,0 +1,41 @@
+const { validateSourceRequest } = require('../../src/services/spotifyService');
+
+describe('validateSourceRequest', () => {
+  it.each([
+    [{ playlistUrl: 'https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M' }],
+    [{ query: 'abba' }],
+    [{ source: 'saved-tracks' }],
+    [{ source: 'top-tracks' }],
+    [{ source: 'top-tracks', timeRange: 'short_term' }]
+  ])('accepts %j', (request) => {
+    expect(validateSourceRequest(request)).toBeNull();
+  });
+
+  it('needs a URL, query or source', () => {
+    expect(validateSourceRequest({})).toBe('Missing required parameter: playlistUrl, query or source');
+  });
+
+  it.each([123, ['spotify:playlist:1'], { url: 'x' }, '  '])('rejects the playlist URL %j', (playlistUrl) => {
+    expect(validateSourceRequest({ playlistUrl })).toBe('Playlist URL must be a non-empty string');
+  });
+
+  it('rejects a query that is not a string', () => {
+    expect(validateSourceRequest({ query: 42 })).toBe('Query must be a non-empty string');
+  });
+
+  it('rejects an unknown source', () => {
+    expect(validateSourceRequest({ source: 'podcasts' })).toMatch(/^Unknown source "podcasts"/);
+  });
+
+  it.each([
+    [{ source: 'saved-tracks', timeRange: 'short_term' }],
+    [{ query: 'abba', timeRange: 'short_term' }],
+    [{ playlistUrl: 'spotify:playlist:1', timeRange: 'long_term' }]
+  ])('rejects a time range without the top-tracks source in %j', (request) => {
+    expect(validateSourceRequest(request)).toBe('A time range can only be given for the top-tracks source');
+  });
+
+  it.each(['yearly', 'toString', 'constructor'])('rejects the unknown time range %s', (timeRange) => {
+    expect(validateSourceRequest({ source: 'top-tracks', timeRange })).toMatch(/^Unknown time range/);
+  });
+});
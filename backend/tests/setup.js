@@ -0,0 +1,11 @@
+// Tests use an in-memory SQLite database. Set TEST_DB_CLIENT=pg to run
+// them against the PostgreSQL database configured by DB_HOST, DB_NAME and
+// the other DB_ variables instead; its tables are dropped and rebuilt.
+process.env.DB_CLIENT = process.env.TEST_DB_CLIENT || 'better-sqlite3';
+process.env.DB_FILENAME = ':memory:';
+process.env.JOB_WORKER = 'false';
+process.env.LLM_PROVIDER = 'fixture';
+process.env.JWT_SECRET = 'test-secret';
+
+// Never call Spotify from tests, see tests/helpers/spotifyWebApi.js
+jest.mock('spotify-web-api-node', () => require('./helpers/spotifyWebApi'));
@@ -0,0 +1,74 @@
+const {
+  initializeEmptyGrid,
+  placeWordInGrid,
+  createLetterIndex,
+  findPlacements,
+  canPlaceWordHorizontally,
+  canPlaceWordVertically
+} = require('../../src/utils/gridUtils');
+
+/**
+ * Build a grid with words already placed
+ * @param {Array} placements - Words with row, col and direction
+ * @returns {Array} 2D grid array
+ */
+const gridWith = (placements) => {
+  const grid = initializeEmptyGrid(15, 15);
+  placements.forEach(({ word, ...placement }) => placeWordInGrid(grid, word, placement));
+  return grid;
+};
+
+describe('canPlaceWordHorizontally', () => {
+  it('allows a word crossing a down word', () => {
+    const grid = gridWith([{ word: 'QUEEN', row: 2, col: 5, direction: 'down' }]);
+
+    expect(canPlaceWordHorizontally(grid, 'NIRVANA', 6, 5)).toEqual({ canPlace: true, intersections: 1 });
+  });
+
+  it('rejects a word laid over an across word it extends', () => {
+    // ORALS across, crossed by SOLO down through its O
+    const grid = gridWith([
+      { word: 'ORALS', row: 5, col: 6, direction: 'across' },
+      { word: 'SOLO', row: 4, col: 6, direction: 'down' }
+    ]);
+
+    expect(canPlaceWordHorizontally(grid, 'CORPORALS', 5, 2).canPlace).toBe(false);
+  });
+
+  it('rejects sharing a letter no down word runs through', () => {
+    const grid = gridWith([{ word: 'ELVIS', row: 5, col: 5, direction: 'across' }]);
+
+    expect(canPlaceWordHorizontally(grid, 'ELVISES', 5, 5).canPlace).toBe(false);
+  });
+
+  it('rejects a word with no intersection', () => {
+    const grid = gridWith([{ word: 'QUEEN', row: 2, col: 5, direction: 'down' }]);
+
+    expect(canPlaceWordHorizontally(grid, 'ABBA', 10, 0).canPlace).toBe(false);
+  });
+});
+
+describe('canPlaceWordVertically', () => {
+  it('rejects a word laid over a down word it extends', () => {
+    const grid = gridWith([
+      { word: 'OPERA', row: 3, col: 7, direction: 'down' },
+      { word: 'TOP', row: 3, col: 6, direction: 'across' }
+    ]);
+
+    expect(canPlaceWordVertically(grid, 'OPERAS', 3, 7).canPlace).toBe(false);
+  });
+});
+
+describe('findPlacements', () => {
+  it('never offers a placement on top of a word in the same direction', () => {
+    const grid = gridWith([
+      { word: 'SONGS', row: 7, col: 5, direction: 'across' },
+      { word: 'STAR', row: 7, col: 9, direction: 'down' }
+    ]);
+
+    const placements = findPlacements(grid, 'SONGSTER', createLetterIndex(grid));
+
+    expect(placements.length).toBeGreaterThan(0);
+    expect(placements.filter(p => p.direction === 'across' && p.row === 7)).toEqual([]);
+  });
+});
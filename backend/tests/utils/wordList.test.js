@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+const { getWordList } = require('../../src/utils/wordList');
+
+const blocklist = fs.readFileSync(path.join(__dirname, '../../src/data/wordlist-blocklist.txt'), 'utf8')
+  .split('\n')
+  .filter(Boolean);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getWordList', () => {
+  it('leaves out every word on the blocklist', () => {
+    const words = new Set(getWordList());
+
+    expect(blocklist.filter(word => words.has(word))).toEqual([]);
+  });
+
+  it.each(['RAPE', 'WHORE', 'SLUT', 'RETARD', 'BITCH', 'ASS'])('never offers %s as fill', (word) => {
+    expect(getWordList()).not.toContain(word);
+  });
+
+  it('keeps ordinary words', () => {
+    expect(getWordList()).toEqual(expect.arrayContaining(['MUSIC', 'GUITAR', 'PIANO']));
+  });
+});
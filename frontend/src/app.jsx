@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { QueryClient, QueryClientProvider, useMutation } from '@tanstack/react-query';
 import CrosswordEditor from './components/CrosswordEditor';import PlayQuiz from './components/PlayQuiz';
 import ErrorBoundary from './components/ErrorBoundary';
-import { spotifyApi, questionApi, crosswordApi, luckyApi } from './services/api';
+import { spotifyApi, questionApi, crosswordApi, luckyApi, authApi } from './services/api';
 // Import the debug components
 import DebugPanel from './components/DebugPanel';
 import { 
@@ -14,9 +14,32 @@ import HostMode from './components/HostModeInterface';
 import HostModeButton from './components/HostModeButton';
 import { Music, Play, Pause, Edit, RefreshCw, Check, Mic } from 'lucide-react';
 import AIHostMode from './components/AIHostMode';
+import GenerationProgress from './components/GenerationProgress';
+import ConfidenceBadge from './components/ConfidenceBadge';
+import { LOCALES, DEFAULT_LOCALE, LOCALE_LABELS, ALPHABET_LABELS, normalizeAnswer } from './utils/locale';
+import { MASKS, MASK_LABELS } from './utils/mask';
 
 
 // Create a client for React Query
+// Playlist exports that can be imported instead of a Spotify playlist
+const IMPORT_PROVIDERS = [
+  { value: 'file', label: 'Track list (CSV or JSON with title, artist, album and year)', accept: '.csv,.json' },
+  { value: 'apple-music', label: 'Apple Music (API JSON, saved playlist page or Music app text export)', accept: '.json,.html,.htm,.txt' },
+  { value: 'deezer', label: 'Deezer (API JSON or saved playlist page)', accept: '.json,.html,.htm' },
+  { value: 'youtube-music', label: 'YouTube Music (ytmusicapi or YouTube API JSON, or saved playlist page)', accept: '.json,.html,.htm' }
+];
+
+/**
+ * Read an uploaded file as text. The Music app exports playlists as UTF-16.
+ * @param {File} file - Uploaded file
+ * @returns {Promise<string>} - File content
+ */
+const readFileText = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const isUtf16 = bytes[0] === 0xff && bytes[1] === 0xfe;
+  return new TextDecoder(isUtf16 ? 'utf-16le' : 'utf-8').decode(bytes);
+};
+
 const queryClient = new QueryClient({
   defaultOptions: {
     queries: {
@@ -27,13 +50,50 @@ const queryClient = new QueryClient({
 });
 
 function App() {
+  const [user, setUser] = useState(null);
+
+  // Pick up the login token the Spotify callback passes in the URL fragment
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    if (params.has('authToken')) {
+      authApi.setToken(params.get('authToken'));
+    }
+    if (params.has('authError')) {
+      console.error('Spotify login failed:', params.get('authError'));
+    }
+    if (params.has('authToken') || params.has('authError')) {
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+
+    if (authApi.isLoggedIn()) {
+      authApi.getCurrentUser()
+        .then(response => setUser(response.data.data))
+        .catch(() => authApi.logout());
+    }
+  }, []);
+
+  const handleLogout = () => {
+    authApi.logout();
+    setUser(null);
+  };
+
   return (
     <QueryClientProvider client={queryClient}>
       <div className="min-h-screen bg-gray-50">
         <header className="bg-primary-600 text-white p-4 shadow-md">
-          <div className="container mx-auto">
-            <h1 className="text-2xl font-bold">Music Crossword Generator</h1>
-            <p className="text-sm">Create crossword puzzles from your Spotify playlists</p>
+          <div className="container mx-auto flex items-center justify-between">
+            <div>
+              <h1 className="text-2xl font-bold">Music Crossword Generator</h1>
+              <p className="text-sm">Create crossword puzzles from your Spotify playlists</p>
+            </div>
+            {user ? (
+              <div className="text-sm">
+                <span className="mr-3">{user.displayName}</span>
+                <button onClick={handleLogout} className="underline">Log out</button>
+              </div>
+            ) : (
+              <a href={authApi.loginUrl} className="text-sm underline">Log in with Spotify</a>
+            )}
           </div>
         </header>
         
@@ -62,6 +122,12 @@ function MusicCrossword() {
   const [isHostMode, setIsHostMode] = useState(false);
   const [enhancedCrosswordData, setEnhancedCrosswordData] = useState(null);
   const [aiHostMode, setAIHostMode] = useState(false); // Add this state
+  const [importProvider, setImportProvider] = useState('file');
+  const [progress, setProgress] = useState({ stages: [], questions: [] });
+  // Language of the generated questions and the letters of the grid
+  const [locale, setLocale] = useState(DEFAULT_LOCALE);
+  // Built-in shape the crossword is laid out in, or '' for a free layout
+  const [mask, setMask] = useState('');
 
   // Debug state
   const [showDebugPanel, setShowDebugPanel] = useState(false);
@@ -89,7 +155,10 @@ function MusicCrossword() {
   
   // Mutation for fetching playlist data
   const playlistMutation = useMutation({
-    mutationFn: (url) => spotifyApi.getPlaylistData(url),
+    // Anything that isn't a Spotify link is used as a search query
+    mutationFn: (input) => /spotify[:.]|^[a-zA-Z0-9]{22}$/.test(input.trim())
+      ? spotifyApi.getPlaylistData(input.trim())
+      : spotifyApi.searchTracks(input.trim()),
     onSuccess: (response) => {
       setPlaylistData(response.data.data);
       setStep(2);
@@ -100,9 +169,51 @@ function MusicCrossword() {
     }
   });
   
+  // Mutation for fetching tracks from the user's Spotify library
+  const libraryMutation = useMutation({
+    mutationFn: ({ source, timeRange }) => spotifyApi.getLibraryTracks(source, timeRange),
+    onSuccess: (response) => {
+      setPlaylistData(response.data.data);
+      setStep(2);
+    },
+    onError: (error) => {
+      console.error('Error fetching library tracks:', error.response?.data || error.message);
+    }
+  });
+  
+  // Mutation for importing a track list or a playlist export
+  const importMutation = useMutation({
+    mutationFn: async (file) => {
+      const content = await readFileText(file);
+      if (importProvider !== 'file') {
+        return spotifyApi.importPlaylist(importProvider, content);
+      }
+      const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+      return spotifyApi.importTrackList(content, format, file.name.replace(/\.[^.]+$/, ''));
+    },
+    onSuccess: (response) => {
+      setPlaylistData(response.data.data);
+      setStep(2);
+    },
+    onError: (error) => {
+      console.error('Error importing track list:', error.response?.data || error.message);
+    }
+  });
+  
+  // Collect stage and question events from the streaming endpoints
+  const resetProgress = () => setProgress({ stages: [], questions: [] });
+  const handleProgressEvent = (event) => {
+    if (event.type === 'stage') {
+      setProgress(prev => ({ ...prev, stages: [...prev.stages, event] }));
+    } else if (event.type === 'question') {
+      setProgress(prev => ({ ...prev, questions: [...prev.questions, event.question] }));
+    }
+  };
+  
   // Mutation for generating questions
   const questionsMutation = useMutation({
-    mutationFn: (tracks) => questionApi.generateQuestions(tracks),
+    mutationFn: (tracks) => questionApi.streamQuestions(tracks, handleProgressEvent, { locale }),
+    onMutate: resetProgress,
     onSuccess: (response) => {
       setGeneratedQuestions(response.data.data.questions);
       setStep(3);
@@ -111,7 +222,7 @@ function MusicCrossword() {
   
   // Mutation for building crossword
   const crosswordMutation = useMutation({
-    mutationFn: (questions) => crosswordApi.buildCrossword(questions),
+    mutationFn: (questions) => crosswordApi.buildCrossword(questions, { locale, mask: mask || undefined }),
     onSuccess: (response) => {
       console.log('Crossword data received:', response.data.data); // Debug log
       setCrosswordData(response.data.data); // Ensure state is updated
@@ -125,7 +236,8 @@ function MusicCrossword() {
 
   // Add this after the existing mutations
   const luckyCrosswordMutation = useMutation({
-  mutationFn: (url) => luckyApi.createLuckyCrossword(url),
+  mutationFn: (url) => luckyApi.streamLuckyCrossword(url, handleProgressEvent, undefined, locale),
+  onMutate: resetProgress,
   onSuccess: (response) => {
     console.log('Lucky crossword response:', response);
     console.log('Full lucky crossword data:', JSON.stringify(response.data.data, null, 2));
@@ -148,7 +260,8 @@ function MusicCrossword() {
   });
 
   const aiHostCrosswordMutation = useMutation({
-    mutationFn: (url) => luckyApi.createLuckyCrossword(url),
+    mutationFn: (url) => luckyApi.streamLuckyCrossword(url, handleProgressEvent, undefined, locale),
+    onMutate: resetProgress,
     onSuccess: (response) => {
       console.log('AI Host crossword response:', response.data.data);
       
@@ -396,8 +509,7 @@ const handleAIHostCrossword = () => {
   // Sanitize questions for compatible answers
   const validateQuestion = (question) => {
     if (!question.answer) return false;
-    const answer = question.answer.toUpperCase().replace(/[^A-Z]/g, '');
-    return answer.length >= 3 && /^[A-Z]+$/.test(answer);
+    return normalizeAnswer(question.answer, locale).length >= 3;
   };
   //
   return (
@@ -411,6 +523,7 @@ const handleAIHostCrossword = () => {
             onLoadMockQuestions={handleLoadMockQuestions}
             onLoadMockCrossword={handleLoadMockCrossword}
             onReset={handleResetState}
+            crosswordData={crosswordData}
           />
         </>
       )} 
@@ -444,12 +557,12 @@ const handleAIHostCrossword = () => {
       {/* Step 1: Enter Spotify playlist */}
       {step === 1 && (
         <div>
-          <h2 className="text-xl font-semibold mb-4">Enter a Spotify Playlist URL</h2>
+          <h2 className="text-xl font-semibold mb-4">Enter a Spotify Link or Search</h2>
           
           <form onSubmit={handlePlaylistSubmit} className="space-y-4">
             <div>
               <label htmlFor="playlist-url" className="label">
-                Spotify Playlist URL
+                Spotify playlist, album, artist or track URL, or search words
               </label>
               <div className="flex">
                 <input
@@ -483,13 +596,76 @@ const handleAIHostCrossword = () => {
           </form>
           
           <div className="mt-6 text-gray-500 text-sm">
-            <p className="mb-2">Example playlist URLs:</p>
+            <p className="mb-2">Examples:</p>
             <ul className="list-disc pl-5 space-y-1">
               <li>https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M</li>
               <li>spotify:playlist:37i9dQZF1DXcBWIGoYBM5M</li>
+              <li>https://open.spotify.com/album/... or https://open.spotify.com/artist/...</li>
+              <li>90s britpop</li>
             </ul>
           </div>
           
+          <div className="mt-6 border-t pt-4">
+            <p className="text-sm text-gray-600 mb-2">Or use your Spotify library (requires login):</p>
+            <div className="flex flex-wrap gap-2">
+              {[
+                { label: 'Liked Songs', source: 'saved-tracks' },
+                { label: 'Top tracks, last 4 weeks', source: 'top-tracks', timeRange: 'short_term' },
+                { label: 'Top tracks, last 6 months', source: 'top-tracks', timeRange: 'medium_term' },
+                { label: 'Top tracks, all time', source: 'top-tracks', timeRange: 'long_term' },
+                { label: 'Recently played', source: 'recently-played' }
+              ].map(({ label, source, timeRange }) => (
+                <button
+                  key={label}
+                  type="button"
+                  className="btn btn-secondary text-sm"
+                  disabled={libraryMutation.isPending}
+                  onClick={() => libraryMutation.mutate({ source, timeRange })}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {libraryMutation.isError && (
+              <p className="text-red-500 mt-2">
+                {libraryMutation.error.response?.data?.error || 'Failed to load your library'}
+              </p>
+            )}
+          </div>
+          
+          <div className="mt-6 border-t pt-4">
+            <label htmlFor="track-list-file" className="text-sm text-gray-600 block mb-2">
+              Or import a track list or a playlist from another service without Spotify:
+            </label>
+            <select
+              value={importProvider}
+              onChange={(e) => setImportProvider(e.target.value)}
+              className="text-sm border rounded p-1 mb-2 block"
+              disabled={importMutation.isPending}
+            >
+              {IMPORT_PROVIDERS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <input
+              id="track-list-file"
+              type="file"
+              accept={IMPORT_PROVIDERS.find(({ value }) => value === importProvider).accept}
+              className="text-sm"
+              disabled={importMutation.isPending}
+              onChange={(e) => {
+                const file = e.target.files?.[0];
+                if (file) importMutation.mutate(file);
+                e.target.value = '';
+              }}
+            />
+            {importMutation.isError && (
+              <p className="text-red-500 mt-2">
+                {importMutation.error.response?.data?.error || 'Failed to import the track list'}
+              </p>
+            )}
+          </div>
+          
           {isDevelopment && (
             <div className="mt-6 border-t pt-4">
               <p className="text-sm text-gray-500">
@@ -518,6 +694,18 @@ const handleAIHostCrossword = () => {
         This might take a minute or two depending on the playlist size.
       </p>
       
+      <label htmlFor="quiz-locale" className="block text-sm font-medium mb-1">Language</label>
+      <select
+        id="quiz-locale"
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="border rounded px-2 py-1 text-sm mb-4"
+      >
+        {LOCALES.map(value => (
+          <option key={value} value={value}>{LOCALE_LABELS[value]}</option>
+        ))}
+      </select>
+      
       {/* Original button */}
       <button
         onClick={handleGenerateQuestions}
@@ -603,6 +791,10 @@ const handleAIHostCrossword = () => {
         )}
       </button>
       
+      {(questionsMutation.isPending || luckyCrosswordMutation.isPending || aiHostCrosswordMutation.isPending) && (
+        <GenerationProgress stages={progress.stages} questions={progress.questions} />
+      )}
+      
       {/* Error messages */}
       {questionsMutation.isError && (
         <p className="text-red-500 mt-2">
@@ -662,9 +854,9 @@ const handleAIHostCrossword = () => {
         For best results, select answers that:
       </p>
       <ul className="list-disc pl-5 text-sm text-blue-700 mt-1">
-        <li>Contain only letters (A-Z)</li>
-        <li>Are at least 3 characters long</li>
-        <li>Have no spaces or special characters</li>
+        <li>Contain only letters ({ALPHABET_LABELS[locale]})</li>
+        <li>Are at least 3 letters long</li>
+        <li>Use only spaces or hyphens between words, and apostrophes, slashes or periods inside names</li>
       </ul>
     </div>
     
@@ -731,6 +923,7 @@ const handleAIHostCrossword = () => {
                       <p className="font-medium">{question.question}</p>
                       <p className="text-sm text-gray-500">
                         Answer: {question.answer}
+                        <ConfidenceBadge confidence={question.confidence} issues={question.factIssues} />
                         {!isValid && (
                           <span className="text-red-500 ml-2">
                             (Not usable in crossword)
@@ -765,7 +958,20 @@ const handleAIHostCrossword = () => {
         )}
       </p>
       
-      <div className="space-x-2">
+      <div className="space-x-2 flex items-center">
+        <label htmlFor="crossword-mask" className="text-sm font-medium">Shape</label>
+        <select
+          id="crossword-mask"
+          value={mask}
+          onChange={(e) => setMask(e.target.value)}
+          className="border rounded px-2 py-1 text-sm"
+        >
+          <option value="">None</option>
+          {MASKS.map(value => (
+            <option key={value} value={value}>{MASK_LABELS[value]}</option>
+          ))}
+        </select>
+        
         <button 
           onClick={() => setStep(2)} 
           className="btn btn-outline"
@@ -865,6 +1071,11 @@ const handleAIHostCrossword = () => {
         <CrosswordEditor 
           crosswordData={crosswordData} 
           onBack={handleBackToQuestions}
+          onChange={(data) => {
+            setCrosswordData(data);
+            // Keep the host mode on the changed words too
+            setEnhancedCrosswordData(enhanced => enhanced && data);
+          }}
         />
       )}
     </>
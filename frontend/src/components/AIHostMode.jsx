@@ -2,6 +2,10 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Play, Pause, SkipForward, Volume2, Award, VolumeX, ChevronRight, Mic } from 'lucide-react';
 import { ttsApi } from '../services/api';
 import ErrorBoundary from './ErrorBoundary';
+import DifficultyPicker from './DifficultyPicker';
+import { DEFAULT_LEVEL, hasDifficulties, isWithinLevel } from '../utils/difficulty';
+import { getCrosswordLocale, translate } from '../utils/locale';
+import { formatAnswerPattern, getEnumeration, getWordLengths } from '../utils/enumeration';
 
 /**
  * AI Host Mode - presents an existing crossword as an automated quiz
@@ -19,6 +23,7 @@ const AIHostMode = ({
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
   const [isRevealed, setIsRevealed] = useState(false);
   const [timeRemaining, setTimeRemaining] = useState(0);
+  const [difficulty, setDifficulty] = useState(DEFAULT_LEVEL);
   const [teams, setTeams] = useState([
     { id: 1, name: 'Team 1', score: 0, color: 'bg-red-500' },
     { id: 2, name: 'Team 2', score: 0, color: 'bg-blue-500' }
@@ -37,6 +42,10 @@ const AIHostMode = ({
   const quizFlowTimeoutRef = useRef(null);
   const songGroups = crosswordData?.songGroups || [];
   
+  // Host scripts are spoken in the language of the crossword
+  const locale = getCrosswordLocale(crosswordData);
+  const t = (key, params) => translate(locale, key, params);
+  
   // Debug logging
   useEffect(() => {
     console.log('AIHostMode mounted with crossword data:', crosswordData);
@@ -160,7 +169,7 @@ const AIHostMode = ({
         voice: ttsVoice,
         model: 'gpt-4o-mini-tts',
         responseFormat: 'mp3',
-        instructions: 'Speak in a clear, engaging tone suitable for a quiz host'
+        instructions: t('host.voiceInstructions')
       };
       
       console.log('Generating speech for:', text.substring(0, 30) + '...');
@@ -250,7 +259,7 @@ const AIHostMode = ({
   
   // Welcome and introduction
   const welcomeIntroduction = () => {
-    const welcomeText = `Welcome to the Music Crossword Quiz! We'll be exploring ${songGroups.length} different songs and testing your knowledge with crossword clues. I'll be your automated quiz host for today. Let's get started!`;
+    const welcomeText = t('host.welcome', { count: songGroups.length });
     
     speak(welcomeText, () => {
       // Move to the first song after introduction
@@ -299,15 +308,15 @@ const AIHostMode = ({
   
   // Get song introduction text
   const getSongIntroduction = (songGroup) => {
-    if (!songGroup) return "Let's continue with our music quiz!";
+    if (!songGroup) return t('host.continue');
     
-    const artistNames = songGroup.artists?.map(a => a.name).join(', ') || 'Unknown Artist';
+    const artistNames = songGroup.artists?.map(a => a.name).join(', ') || t('host.unknownArtist');
     
     if (songGroup.id === 'general') {
-      return `Now let's test your general music knowledge with some crossword clues!`;
+      return t('host.generalIntro');
     }
     
-    return `Now let's listen to "${songGroup.name}" by ${artistNames}. Here's a short preview before we tackle some crossword clues related to this song.`;
+    return t('host.songIntro', { song: songGroup.name, artists: artistNames });
   };
   
   // Start presenting questions for current song
@@ -335,7 +344,7 @@ const AIHostMode = ({
     if (!entries || questionIndex >= entries.length) {
       // No more questions for this song, move to next song
       quizFlowTimeoutRef.current = setTimeout(() => {
-        const transitionText = "That's all for this song! Let's move on to the next one.";
+        const transitionText = t('host.songDone');
         speak(transitionText, () => {
           startSongGroup(songIndex + 1);
         });
@@ -347,7 +356,21 @@ const AIHostMode = ({
     setIsRevealed(false);
     
     const entry = entries[questionIndex];
-    const questionText = `Question ${questionIndex + 1} of ${entries.length}: ${entry.clue}. This is a ${entry.answer.length} letter word.`;
+    const wordLengths = getWordLengths(entry);
+    const questionText = wordLengths.length > 1
+      ? t('host.questionPhrase', {
+        number: questionIndex + 1,
+        total: entries.length,
+        clue: entry.clue,
+        count: wordLengths.length,
+        lengths: new Intl.ListFormat(locale, { type: 'conjunction' }).format(wordLengths.map(String))
+      })
+      : t('host.question', {
+        number: questionIndex + 1,
+        total: entries.length,
+        clue: entry.clue,
+        length: entry.answer.length
+      });
     
     speak(questionText, () => {
       // Start timer after question is read
@@ -385,9 +408,9 @@ const AIHostMode = ({
         
         // Announce time remaining at certain intervals
         if (prev === 10) {
-          speak("10 seconds remaining!");
+          speak(t('host.tenSeconds'));
         } else if (prev === 5) {
-          speak("5 seconds left!");
+          speak(t('host.fiveSeconds'));
         }
         
         return prev - 1;
@@ -411,7 +434,7 @@ const AIHostMode = ({
     setIsRevealed(true);
     
     // Generate answer reveal text
-    let answerText = `Time's up! The answer is ${entry.answer}.`;
+    let answerText = t('host.answer', { answer: entry.originalAnswer || entry.answer });
     
     speak(answerText, () => {
       // Move to next question after a short delay
@@ -429,17 +452,17 @@ const AIHostMode = ({
     const sortedTeams = [...teams].sort((a, b) => b.score - a.score);
     const winner = sortedTeams[0];
     
-    let endText = `That's the end of our music crossword quiz! `;
+    let endText = `${t('host.end')} `;
     
     if (teams.length > 1) {
       if (sortedTeams[0].score > sortedTeams[1].score) {
-        endText += `${winner.name} wins with ${winner.score} points! Congratulations! `;
+        endText += `${t('host.winner', { team: winner.name, score: winner.score })} `;
       } else if (sortedTeams[0].score === sortedTeams[1].score) {
-        endText += `We have a tie! ${sortedTeams[0].name} and ${sortedTeams[1].name} both scored ${sortedTeams[0].score} points! `;
+        endText += `${t('host.tie', { first: sortedTeams[0].name, second: sortedTeams[1].name, score: sortedTeams[0].score })} `;
       }
     }
     
-    endText += `Thanks for playing!`;
+    endText += t('host.thanks');
     
     speak(endText);
   };
@@ -463,11 +486,11 @@ const AIHostMode = ({
         clearTimeout(quizFlowTimeoutRef.current);
       }
       
-      speak("Quiz paused! Take a break and resume when you're ready.");
+      speak(t('host.paused'));
     } else if (quizState === 'paused') {
       // Resume the quiz
       setQuizState('playing');
-      speak("Quiz resumed! Let's continue.", () => {
+      speak(t('host.resumed'), () => {
         // Resume the quiz flow where we left off
         // This is a simplified resume - a full implementation would need more state tracking
         if (timeRemaining > 0) {
@@ -532,8 +555,11 @@ const AIHostMode = ({
     const team = teams.find(t => t.id === teamId);
     if (team) {
       const newScore = team.score + points;
-      const pointsText = points > 0 ? `gained ${points}` : `lost ${Math.abs(points)}`;
-      speak(`${team.name} ${pointsText} points! Their score is now ${newScore}.`);
+      speak(t(points > 0 ? 'host.gained' : 'host.lost', {
+        team: team.name,
+        points: Math.abs(points),
+        score: newScore
+      }));
     }
   };
   
@@ -542,7 +568,9 @@ const AIHostMode = ({
     if (!songGroup || !crosswordData?.entries) return [];
     console.log(`Getting entries for song: ${songGroup.name} (ID: ${songGroup.id})`);
   
-    const entries = crosswordData.entries.filter(entry => entry.trackId === songGroup.id);
+    const entries = crosswordData.entries.filter(entry =>
+      entry.trackId === songGroup.id && isWithinLevel(entry, difficulty)
+    );
     console.log(`Found ${entries.length} entries for song ${songGroup.name}`);
   
     return entries;
@@ -601,6 +629,17 @@ const AIHostMode = ({
         </ul>
       </div>
       
+      {hasDifficulties(crosswordData?.entries) && (
+        <div className="mb-8">
+          <h3 className="font-bold mb-3">Difficulty</h3>
+          <DifficultyPicker
+            items={crosswordData.entries}
+            value={difficulty}
+            onChange={setDifficulty}
+          />
+        </div>
+      )}
+      
       <div className="mb-8">
         <h3 className="font-bold mb-3">Teams</h3>
         <div className="space-y-2 mb-3">
@@ -803,13 +842,11 @@ const AIHostMode = ({
               </div>
               
               <div className="flex items-center mt-4">
-                <p className="font-mono tracking-widest text-xl">
-                  {isRevealed 
-                    ? currentEntry.answer.split('').join(' ')
-                    : Array(currentEntry.answer.length).fill('_').join(' ')}
+                <p className="font-mono tracking-widest text-xl whitespace-pre">
+                  {formatAnswerPattern(currentEntry, isRevealed)}
                 </p>
                 <span className="ml-2 text-sm text-gray-500">
-                  ({currentEntry.answer.length} letters)
+                  ({getEnumeration(currentEntry)} letters)
                 </span>
               </div>
             </div>
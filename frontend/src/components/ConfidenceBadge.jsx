@@ -0,0 +1,31 @@
+// frontend/src/components/ConfidenceBadge.jsx
+
+import React from 'react';
+
+/**
+ * Show how confident the fact check of a clue is, with the doubtful facts
+ * it found as a tooltip. Renders nothing for clues that were not checked.
+ * @param {Object} props - Component props
+ * @param {number} props.confidence - Confidence from 0 to 1
+ * @param {Array} props.issues - Doubtful facts found by the check
+ */
+const ConfidenceBadge = ({ confidence, issues = [] }) => {
+  if (typeof confidence !== 'number') return null;
+
+  const color = confidence >= 0.8
+    ? 'bg-green-100 text-green-700'
+    : confidence >= 0.5
+      ? 'bg-yellow-100 text-yellow-800'
+      : 'bg-red-100 text-red-700';
+
+  return (
+    <span
+      className={`ml-2 text-xs px-2 py-0.5 rounded-full ${color}`}
+      title={issues.length > 0 ? issues.join('\n') : 'Nothing in the clue contradicts the track data'}
+    >
+      {Math.round(confidence * 100)}% confident
+    </span>
+  );
+};
+
+export default ConfidenceBadge;
@@ -315,6 +315,7 @@ export const CreateQuiz = () => {
               crosswordData={crosswordData}
               onSave={() => {/* Save functionality will be added later */}}
               onBack={() => setStep(3)}
+              onChange={setCrosswordData}
             />
           ) : (
             <CrosswordPlayer 
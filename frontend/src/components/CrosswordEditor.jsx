@@ -1,5 +1,27 @@
 import React, { useState, useEffect } from 'react';
-import { ArrowLeft, RefreshCw } from 'lucide-react';
+import { useMutation } from '@tanstack/react-query';
+import { ArrowLeft, RefreshCw, Lock, Unlock, Trash2, Plus, X } from 'lucide-react';
+import { crosswordApi } from '../services/api';
+import { getEnumeration } from '../utils/enumeration';
+import ConfidenceBadge from './ConfidenceBadge';
+import LayoutReport from './LayoutReport';
+
+/**
+ * Describe why a layout update failed, naming the locked entries in the way
+ * @param {Object} data - Error response of the relayout endpoint
+ * @returns {Array} - One message per problem
+ */
+const describeLayoutError = (data) => {
+  if (!data) return ['Could not update the layout. Please try again.'];
+  const describeEntry = ({ number, direction, answer }) => `${number} ${direction} (${answer})`;
+  const messages = [
+    ...(data.unplaced || []).map(({ answer, blockedBy }) => (blockedBy.length > 0
+      ? `${answer} has no room, blocked by ${blockedBy.map(describeEntry).join(', ')}`
+      : `${answer} shares no letter with a free spot in the grid`)),
+    ...(data.disconnected || []).map(entry => `${describeEntry(entry)} would be cut off from the rest of the grid`)
+  ];
+  return messages.length > 0 ? messages : [data.error];
+};
 
 /**
  * CrosswordEditor component for displaying and managing the crossword grid in edit/preview mode
@@ -8,11 +30,67 @@ import { ArrowLeft, RefreshCw } from 'lucide-react';
  * @param {Object} props.crosswordData - Crossword data with grid and entries
  * @param {Function} props.onSave - Function to save the crossword
  * @param {Function} props.onBack - Function to go back
+ * @param {Function} props.onChange - Called with the crossword after words are added or
+ * removed; without it the words can't be edited
  */
-const CrosswordEditor = ({ questions, crosswordData, onSave, onBack }) => {
+const CrosswordEditor = ({ questions, crosswordData, onSave, onBack, onChange }) => {
   const [selectedCell, setSelectedCell] = useState(null);
   const [selectedEntry, setSelectedEntry] = useState(null);
   const [error, setError] = useState(null);
+  // Pending word changes, by grid answer; entries not unlocked stay in place
+  const [unlockedAnswers, setUnlockedAnswers] = useState(new Set());
+  const [removedAnswers, setRemovedAnswers] = useState(new Set());
+  const [addedWords, setAddedWords] = useState([]);
+  const [newClue, setNewClue] = useState('');
+  const [newAnswer, setNewAnswer] = useState('');
+
+  const relayoutMutation = useMutation({
+    mutationFn: () => crosswordApi.relayoutCrossword(crosswordData, {
+      add: addedWords,
+      remove: [...removedAnswers],
+      locked: crosswordData.entries
+        .filter(entry => !removedAnswers.has(entry.answer) && !unlockedAnswers.has(entry.answer))
+        .map(entry => entry.answer)
+    }),
+    onSuccess: (response) => {
+      setUnlockedAnswers(new Set());
+      setRemovedAnswers(new Set());
+      setAddedWords([]);
+      setSelectedEntry(null);
+      setSelectedCell(null);
+      onChange({ ...crosswordData, ...response.data.data });
+    },
+    onError: (error) => {
+      console.error('Error updating crossword layout:', error);
+    }
+  });
+
+  const hasChanges = addedWords.length > 0 || removedAnswers.size > 0 || unlockedAnswers.size > 0;
+
+  /**
+   * Add an answer to a set of answers, or take it out if it is in it already
+   * @param {Function} setAnswers - State setter of the set
+   * @param {string} answer - Grid answer of an entry
+   */
+  const toggleAnswer = (setAnswers, answer) => {
+    setAnswers(answers => {
+      const next = new Set(answers);
+      if (next.has(answer)) {
+        next.delete(answer);
+      } else {
+        next.add(answer);
+      }
+      return next;
+    });
+  };
+
+  const addWord = (event) => {
+    event.preventDefault();
+    if (!newClue.trim() || !newAnswer.trim()) return;
+    setAddedWords(words => [...words, { question: newClue.trim(), answer: newAnswer.trim().toUpperCase() }]);
+    setNewClue('');
+    setNewAnswer('');
+  };
   
   // Validate crossword data on mount
   useEffect(() => {
@@ -79,6 +157,33 @@ const CrosswordEditor = ({ questions, crosswordData, onSave, onBack }) => {
     }
   };
   
+  // Render the lock and remove buttons of a clue
+  const renderEntryControls = (entry) => {
+    const isRemoved = removedAnswers.has(entry.answer);
+    const isLocked = !unlockedAnswers.has(entry.answer);
+
+    return (
+      <span className="float-right space-x-1" onClick={(event) => event.stopPropagation()}>
+        {!isRemoved && (
+          <button
+            onClick={() => toggleAnswer(setUnlockedAnswers, entry.answer)}
+            className={`p-1 rounded hover:bg-gray-200 ${isLocked ? 'text-gray-700' : 'text-gray-400'}`}
+            title={isLocked ? 'Locked in place, click to let it move' : 'May move, click to lock in place'}
+          >
+            {isLocked ? <Lock size={14} /> : <Unlock size={14} />}
+          </button>
+        )}
+        <button
+          onClick={() => toggleAnswer(setRemovedAnswers, entry.answer)}
+          className={`p-1 rounded hover:bg-gray-200 ${isRemoved ? 'text-red-600' : 'text-gray-400'}`}
+          title={isRemoved ? 'Keep this word' : 'Remove this word'}
+        >
+          <Trash2 size={14} />
+        </button>
+      </span>
+    );
+  };
+
   // Render a cell in the crossword grid
   const renderCell = (row, col) => {
     // Check if this cell is part of the grid
@@ -204,6 +309,14 @@ const CrosswordEditor = ({ questions, crosswordData, onSave, onBack }) => {
               ))}
             </div>
           </div>
+
+          {/* Layout quality */}
+          {crosswordData.report && (
+            <div className="mt-4 max-w-md">
+              <h3 className="font-medium mb-2">Layout Report</h3>
+              <LayoutReport report={crosswordData.report} />
+            </div>
+          )}
         </div>
         
         {/* Clues List */}
@@ -224,11 +337,15 @@ const CrosswordEditor = ({ questions, crosswordData, onSave, onBack }) => {
                       className={`p-2 rounded hover:bg-gray-50 cursor-pointer ${
                         selectedEntry && selectedEntry.number === entry.number && 
                         selectedEntry.direction === 'across' ? 'bg-blue-50' : ''
-                      }`}
+                      } ${removedAnswers.has(entry.answer) ? 'line-through text-gray-400' : ''}`}
                       onClick={() => selectCell(entry.position.row, entry.position.col)}
                     >
-                      <span className="font-medium">{entry.number}.</span> {entry.clue}
-                      <span className="text-xs text-gray-500 ml-1">({entry.answer.length})</span>
+                      <span className="font-medium">{entry.number}.</span> {entry.clue || (
+                        <span className="italic text-gray-400">Fill word, needs a clue</span>
+                      )}
+                      <span className="text-xs text-gray-500 ml-1">({getEnumeration(entry)})</span>
+                      <ConfidenceBadge confidence={entry.confidence} />
+                      {onChange && renderEntryControls(entry)}
                     </li>
                   ))}
               </ul>
@@ -247,16 +364,88 @@ const CrosswordEditor = ({ questions, crosswordData, onSave, onBack }) => {
                       className={`p-2 rounded hover:bg-gray-50 cursor-pointer ${
                         selectedEntry && selectedEntry.number === entry.number && 
                         selectedEntry.direction === 'down' ? 'bg-blue-50' : ''
-                      }`}
+                      } ${removedAnswers.has(entry.answer) ? 'line-through text-gray-400' : ''}`}
                       onClick={() => selectCell(entry.position.row, entry.position.col)}
                     >
-                      <span className="font-medium">{entry.number}.</span> {entry.clue}
-                      <span className="text-xs text-gray-500 ml-1">({entry.answer.length})</span>
+                      <span className="font-medium">{entry.number}.</span> {entry.clue || (
+                        <span className="italic text-gray-400">Fill word, needs a clue</span>
+                      )}
+                      <span className="text-xs text-gray-500 ml-1">({getEnumeration(entry)})</span>
+                      <ConfidenceBadge confidence={entry.confidence} />
+                      {onChange && renderEntryControls(entry)}
                     </li>
                   ))}
               </ul>
             </div>
           </div>
+
+          {/* Word changes, laid out around the locked entries */}
+          {onChange && (
+            <div className="mt-6 border-t pt-4">
+              <h3 className="font-medium mb-1">Change Words</h3>
+              <p className="text-xs text-gray-500 mb-3">
+                Locked words stay where they are. New and unlocked words are fitted around them.
+              </p>
+
+              <form onSubmit={addWord} className="flex gap-2 mb-3">
+                <input
+                  type="text"
+                  value={newClue}
+                  onChange={(event) => setNewClue(event.target.value)}
+                  placeholder="Clue"
+                  className="flex-1 border rounded px-2 py-1 text-sm"
+                />
+                <input
+                  type="text"
+                  value={newAnswer}
+                  onChange={(event) => setNewAnswer(event.target.value)}
+                  placeholder="Answer"
+                  className="w-32 border rounded px-2 py-1 text-sm uppercase"
+                />
+                <button
+                  type="submit"
+                  className="px-2 py-1 bg-gray-200 hover:bg-gray-300 rounded flex items-center text-sm"
+                >
+                  <Plus size={14} className="mr-1" />
+                  Add
+                </button>
+              </form>
+
+              {addedWords.length > 0 && (
+                <ul className="space-y-1 mb-3 text-sm">
+                  {addedWords.map((word, index) => (
+                    <li key={`${word.answer}-${index}`} className="flex items-center justify-between p-1 bg-green-50 rounded">
+                      <span><span className="font-medium">{word.answer}</span> {word.question}</span>
+                      <button
+                        onClick={() => setAddedWords(words => words.filter((_, i) => i !== index))}
+                        className="p-1 text-gray-400 hover:text-gray-700"
+                        title="Don't add this word"
+                      >
+                        <X size={14} />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {relayoutMutation.isError && (
+                <ul className="mb-3 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-600 list-disc list-inside">
+                  {describeLayoutError(relayoutMutation.error.response?.data).map(message => (
+                    <li key={message}>{message}</li>
+                  ))}
+                </ul>
+              )}
+
+              <button
+                onClick={() => relayoutMutation.mutate()}
+                disabled={!hasChanges || relayoutMutation.isPending}
+                className="px-4 py-2 bg-primary-600 hover:bg-primary-700 text-white rounded flex items-center disabled:opacity-50"
+              >
+                <RefreshCw className={`mr-2 ${relayoutMutation.isPending ? 'animate-spin' : ''}`} size={16} />
+                Update Layout
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </div>
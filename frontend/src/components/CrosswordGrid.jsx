@@ -1,5 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Check, X } from 'lucide-react';
+import WordBreakMarks from './WordBreakMarks';
+import { getWordBreaks } from '../utils/enumeration';
 
 export interface Placement {
   clue: string;
@@ -8,6 +10,7 @@ export interface Placement {
   starty: number;
   orientation: 'across' | 'down';
   position: number;
+  enumeration?: string;
 }
 
 interface Props {
@@ -44,6 +47,15 @@ export const CrosswordGrid: React.FC<Props> = ({
     numberMap.set(`${starty},${startx}`, position);
   });
 
+  // Map the cells that end a word of a multi-word answer to the separator after them
+  const wordBreakMap = new Map<string, { across?: string, down?: string }>();
+  result.forEach(({ answer, startx, starty, orientation, enumeration }) => {
+    getWordBreaks(enumeration || String(answer.length)).forEach(({ index, separator }) => {
+      const key = orientation === 'across' ? `${starty},${startx + index}` : `${starty + index},${startx}`;
+      wordBreakMap.set(key, { ...wordBreakMap.get(key), [orientation]: separator });
+    });
+  });
+
   // Group clues by orientation
   const acrossClues = result.filter(p => p.orientation === 'across')
     .sort((a, b) => a.position - b.position);
@@ -127,8 +139,8 @@ export const CrosswordGrid: React.FC<Props> = ({
 
   // Handle input change
   const handleInputChange = (y: number, x: number, value: string) => {
-    // Only allow letters
-    if (/^[a-zA-Z]?$/.test(value)) {
+    // Only allow letters, including ones such as Å and Ö
+    if (/^\p{L}?$/u.test(value)) {
       const newValue = value.toUpperCase();
       
       setUserAnswers(prev => ({
@@ -331,6 +343,7 @@ export const CrosswordGrid: React.FC<Props> = ({
                 }`}
               >
                 <span className="font-medium">{clue.position}.</span> {clue.clue}
+                <span className="text-xs text-gray-500 ml-1">({clue.enumeration || clue.answer.length})</span>
               </li>
             ))}
           </ul>
@@ -351,6 +364,7 @@ export const CrosswordGrid: React.FC<Props> = ({
                 }`}
               >
                 <span className="font-medium">{clue.position}.</span> {clue.clue}
+                <span className="text-xs text-gray-500 ml-1">({clue.enumeration || clue.answer.length})</span>
               </li>
             ))}
           </ul>
@@ -417,6 +431,7 @@ export const CrosswordGrid: React.FC<Props> = ({
                       {number}
                     </div>
                   )}
+                  <WordBreakMarks {...wordBreakMap.get(key)} />
                   <input
                     ref={el => cellRefs.current[key] = el}
                     type="text"
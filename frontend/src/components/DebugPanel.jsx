@@ -1,5 +1,6 @@
 import React from 'react';
 import { RefreshCw, Bug, Zap } from 'lucide-react';
+import LayoutReport from './LayoutReport';
 
 /**
  * Debug panel for development and testing
@@ -8,6 +9,7 @@ import { RefreshCw, Bug, Zap } from 'lucide-react';
  * @param {Function} props.onLoadMockQuestions - Function to load mock questions
  * @param {Function} props.onLoadMockCrossword - Function to load mock crossword
  * @param {Function} props.onReset - Function to reset the app state
+ * @param {Object} props.crosswordData - Current crossword, to show its layout report
  * @param {boolean} props.isVisible - Whether the panel is visible
  */
 const DebugPanel = ({ 
@@ -15,6 +17,7 @@ const DebugPanel = ({
   onLoadMockQuestions, 
   onLoadMockCrossword, 
   onReset,
+  crosswordData,
   isVisible = true
 }) => {
   if (!isVisible) return null;
@@ -83,6 +86,15 @@ const DebugPanel = ({
           </div>
         </div>
         
+        {crosswordData?.report && (
+          <div className="border-t border-gray-700 mt-4 pt-2">
+            <div className="text-xs text-gray-400 mb-1">
+              Layout Report:
+            </div>
+            <LayoutReport report={crosswordData.report} dark compact />
+          </div>
+        )}
+        
         <div className="mt-4 text-xs text-gray-400">
           Press F8 to toggle this panel
         </div>
@@ -0,0 +1,44 @@
+// frontend/src/components/DifficultyPicker.jsx
+
+import React from 'react';
+import { DIFFICULTIES, countByLevel } from '../utils/difficulty';
+import { DEFAULT_LOCALE, translate } from '../utils/locale';
+
+/**
+ * Let players pick which clue difficulties to play
+ * @param {Object} props - Component props
+ * @param {Array} props.items - Entries or questions, to show how many clues each level has
+ * @param {string} props.value - Picked level
+ * @param {Function} props.onChange - Called with the new level
+ * @param {boolean} props.compact - Show only the level names and counts, for narrow panels
+ * @param {string} props.locale - Locale of the labels
+ */
+const DifficultyPicker = ({ items, value, onChange, compact = false, locale = DEFAULT_LOCALE }) => {
+  const counts = countByLevel(items);
+  const description = (level) => translate(locale, `levelDescription.${level}`);
+
+  return (
+    <div className="grid grid-cols-3 gap-2">
+      {DIFFICULTIES.map(level => (
+        <button
+          key={level}
+          type="button"
+          onClick={() => onChange(level)}
+          title={description(level)}
+          className={`${compact ? 'p-2 text-sm' : 'p-3'} rounded-lg border text-left transition-colors ${
+            value === level
+              ? 'bg-purple-100 border-purple-400 text-purple-800'
+              : 'bg-white border-gray-200 hover:bg-gray-50 text-gray-700'
+          }`}
+        >
+          <span className="block font-medium">{translate(locale, `level.${level}`)}</span>
+          <span className="block text-xs text-gray-500">
+            {compact ? counts[level] : `${description(level)} (${counts[level]})`}
+          </span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default DifficultyPicker;
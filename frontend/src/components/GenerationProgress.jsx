@@ -0,0 +1,76 @@
+// frontend/src/components/GenerationProgress.jsx
+
+import React from 'react';
+import { Check, RefreshCw } from 'lucide-react';
+
+// Labels for the stages the streaming endpoints report, in order
+const STAGE_LABELS = {
+  'fetching-tracks': 'Fetching tracks',
+  'generating-questions': 'Writing questions',
+  'repairing-questions': 'Fixing invalid questions',
+  'selecting-questions': 'Picking the best questions',
+  'building-crossword': 'Laying out the crossword',
+  'grouping-songs': 'Grouping clues by song'
+};
+
+/**
+ * Describe a stage event for display
+ * @param {Object} event - Stage event
+ * @returns {string} - Label with the stage details
+ */
+const describeStage = (event) => {
+  const label = STAGE_LABELS[event.stage] || event.stage;
+  if (event.stage === 'generating-questions' && event.tracks) {
+    return `${label} for ${event.tracks} tracks`;
+  }
+  if (event.stage === 'repairing-questions' && event.missing) {
+    return `${label} (${event.missing} still needed)`;
+  }
+  return label;
+};
+
+/**
+ * Show which generation step is running and the questions received so far
+ * @param {Object} props - Component props
+ * @param {Array} props.stages - Stage events received so far
+ * @param {Array} props.questions - Questions received so far
+ */
+const GenerationProgress = ({ stages, questions }) => {
+  if (stages.length === 0 && questions.length === 0) return null;
+
+  return (
+    <div className="mb-4 p-3 bg-gray-50 rounded-lg border">
+      <ul className="space-y-1 text-sm mb-2">
+        {stages.map((event, index) => {
+          const isCurrent = index === stages.length - 1;
+          return (
+            <li key={index} className={`flex items-center ${isCurrent ? 'text-gray-900' : 'text-gray-500'}`}>
+              {isCurrent ? (
+                <RefreshCw className="animate-spin mr-2 flex-shrink-0" size={14} />
+              ) : (
+                <Check className="mr-2 text-green-600 flex-shrink-0" size={14} />
+              )}
+              {describeStage(event)}
+            </li>
+          );
+        })}
+      </ul>
+
+      {questions.length > 0 && (
+        <div className="border-t pt-2">
+          <p className="text-xs text-gray-500 mb-1">{questions.length} questions so far</p>
+          <ul className="max-h-48 overflow-y-auto text-sm space-y-1">
+            {questions.map((question) => (
+              <li key={question.answer} className="flex justify-between gap-2">
+                <span className="text-gray-700">{question.question}</span>
+                <span className="font-mono text-gray-900">{question.answer}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GenerationProgress;
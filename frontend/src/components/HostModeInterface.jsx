@@ -1,7 +1,10 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Music, Play, Pause, SkipForward, Volume2, Award, Clock, Users, Mic, Zap, Settings, VolumeX } from 'lucide-react';
 import ErrorBoundary from './ErrorBoundary';
+import DifficultyPicker from './DifficultyPicker';
 import { ttsApi } from '../services/api';
+import { DEFAULT_LEVEL, hasDifficulties, isWithinLevel } from '../utils/difficulty';
+import { formatAnswerPattern, getEnumeration } from '../utils/enumeration';
 
 /**
  * Component to display clues related to a song group
@@ -55,16 +58,16 @@ const RelatedCluesContent = ({
 
                 <p className="mt-2">
                   {isRevealed ? (
-                    <span className="font-mono font-bold text-green-600 tracking-widest">
-                      {entry.answer.split('').join(' ')}
+                    <span className="font-mono font-bold text-green-600 tracking-widest whitespace-pre">
+                      {formatAnswerPattern(entry, true)}
                     </span>
                   ) : (
-                    <span className="font-mono">
-                      {Array(entry.answer.length).fill('_').join(' ')}
+                    <span className="font-mono whitespace-pre">
+                      {formatAnswerPattern(entry, false)}
                     </span>
                   )}
                   <span className="ml-1 text-xs text-gray-500">
-                    ({entry.answer.length} letters)
+                    ({getEnumeration(entry)} letters)
                   </span>
                 </p>
               </div>
@@ -125,6 +128,7 @@ const HostModeInterface = ({
   const [quizMasterActive, setQuizMasterActive] = useState(false);
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [revealedAnswers, setRevealedAnswers] = useState({});
+  const [difficulty, setDifficulty] = useState(DEFAULT_LEVEL);
 
   // TTS specific states
   const [useOpenAITTS, setUseOpenAITTS] = useState(true);
@@ -336,12 +340,12 @@ const getGroupEntries = () => {
   if (!selectedGroup || !crosswordData?.entries) return [];
 
   if (selectedGroup.entries && selectedGroup.entries.length > 0) {
-    return selectedGroup.entries;
+    return selectedGroup.entries.filter(entry => isWithinLevel(entry, difficulty));
   }
   
   console.log("Finding entries for group:", selectedGroup.id);
   const matchingEntries = crosswordData.entries.filter(entry => 
-    entry.trackId === selectedGroup.id
+    entry.trackId === selectedGroup.id && isWithinLevel(entry, difficulty)
   );
   
   console.log(`Found ${matchingEntries.length} entries for track "${selectedGroup.name}" (ID: ${selectedGroup.id})`);
@@ -782,6 +786,19 @@ useEffect(() => {
       <div className="flex">
         {/* Left sidebar */}
         <div className="w-1/4 bg-gray-100 p-4 border-r min-h-[550px]">
+          {/* Difficulty of the clues to ask */}
+          {hasDifficulties(crosswordData?.entries) && (
+            <div className="mb-4">
+              <p className="text-sm text-gray-500 mb-2">Difficulty:</p>
+              <DifficultyPicker
+                items={crosswordData.entries}
+                value={difficulty}
+                onChange={setDifficulty}
+                compact
+              />
+            </div>
+          )}
+          
           {/* Tab selector */}
           <div className="flex border-b border-gray-300 mb-4">
             <button
@@ -821,8 +838,10 @@ useEffect(() => {
               
               <div className="space-y-2 max-h-[400px] overflow-y-auto pr-2">
                 {(trackGroups.length > 0 ? trackGroups : (crosswordData?.songGroups || [])).map((group) => {
-                  const actualClueCount = group.entries?.length || 
-                    crosswordData.entries.filter(entry => entry.trackId === group.id).length;
+                  const actualClueCount = (group.entries?.length > 0
+                    ? group.entries
+                    : crosswordData.entries.filter(entry => entry.trackId === group.id)
+                  ).filter(entry => isWithinLevel(entry, difficulty)).length;
                   
                   return (
                     <button
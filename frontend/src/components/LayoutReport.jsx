@@ -0,0 +1,72 @@
+// frontend/src/components/LayoutReport.jsx
+
+import React from 'react';
+
+/**
+ * Format a ratio as a percentage
+ * @param {number} value - Ratio from 0 to 1
+ * @returns {string} Percentage such as "42%"
+ */
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * Show the quality report of a crossword layout, so a layout can be judged
+ * before it is published
+ * @param {Object} props - Component props
+ * @param {Object} props.report - Report from build-crossword
+ * @param {boolean} props.dark - Use colors for dark panels such as the debug panel
+ * @param {boolean} props.compact - Leave out the intersections per entry
+ */
+const LayoutReport = ({ report, dark = false, compact = false }) => {
+  if (!report) return null;
+
+  const muted = dark ? 'text-gray-400' : 'text-gray-500';
+  const stats = [
+    ['Words placed', `${report.words.placed} of ${report.words.total}${report.words.fill ? ` + ${report.words.fill} fill` : ''}`],
+    ['Intersections per entry', report.averageIntersections],
+    ['Unchecked cells', percent(report.uncheckedRatio)],
+    ['Density', percent(report.density)],
+    ['Size', `${report.width} x ${report.height} (aspect ${report.aspectRatio})`],
+    ['Score', `${report.scores.total} (placement ${report.scores.placement}, density ${report.scores.density}, shape ${report.scores.shape})`],
+    ['Attempts', `${report.attempts} with ${report.strategy} in ${report.durationMs} ms`]
+  ];
+  const droppedReasons = Object.entries(report.droppedByReason || {});
+  const weakEntries = report.intersections.filter(entry => entry.intersections <= 1);
+
+  return (
+    <div className="text-sm">
+      <dl className="grid grid-cols-2 gap-x-4 gap-y-1">
+        {stats.map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt className={muted}>{label}</dt>
+            <dd>{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+
+      {droppedReasons.length > 0 && (
+        <div className="mt-3">
+          <p className={muted}>Dropped words</p>
+          <ul className="list-disc pl-5">
+            {droppedReasons.map(([reason, count]) => (
+              <li key={reason}>{count} x {reason}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!compact && weakEntries.length > 0 && (
+        <div className="mt-3">
+          <p className={muted}>Entries crossing one word or none</p>
+          <p>
+            {weakEntries
+              .map(entry => `${entry.number} ${entry.direction} (${entry.answer}, ${entry.intersections})`)
+              .join(', ')}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LayoutReport;
@@ -0,0 +1,23 @@
+// frontend/src/components/MaskOutline.jsx
+
+import React from 'react';
+
+/**
+ * Lines on the edges of a grid cell where the outline of a crossword's
+ * shape runs
+ * @param {Object} props - Component props
+ * @param {boolean} props.top - Outline above the cell
+ * @param {boolean} props.right - Outline right of the cell
+ * @param {boolean} props.bottom - Outline below the cell
+ * @param {boolean} props.left - Outline left of the cell
+ */
+const MaskOutline = ({ top, right, bottom, left }) => (
+  <>
+    {top && <span className="absolute -top-px left-0 w-full h-1 bg-primary-600 z-10 pointer-events-none" />}
+    {right && <span className="absolute top-0 -right-px h-full w-1 bg-primary-600 z-10 pointer-events-none" />}
+    {bottom && <span className="absolute -bottom-px left-0 w-full h-1 bg-primary-600 z-10 pointer-events-none" />}
+    {left && <span className="absolute top-0 -left-px h-full w-1 bg-primary-600 z-10 pointer-events-none" />}
+  </>
+);
+
+export default MaskOutline;
@@ -1,7 +1,22 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { Check, RotateCcw, ArrowRightLeft } from 'lucide-react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { Check, RotateCcw, ArrowRightLeft, Play } from 'lucide-react';
+import DifficultyPicker from './DifficultyPicker';
+import WordBreakMarks from './WordBreakMarks';
+import MaskOutline from './MaskOutline';
+import { DEFAULT_LEVEL, hasDifficulties, isWithinLevel } from '../utils/difficulty';
+import { getCrosswordLocale, isLetterKey, translate } from '../utils/locale';
+import { getEnumeration, getWordBreakCells } from '../utils/enumeration';
+import { isInMask, getMaskEdges } from '../utils/mask';
 
 const PlayQuiz = ({ crosswordData, onReset }) => {
+  const locale = getCrosswordLocale(crosswordData);
+  const t = (key, params) => translate(locale, key, params);
+  
+  // Players pick a level first when the clues have difficulties; clues
+  // above the level are given, filled in and locked
+  const canPickLevel = hasDifficulties(crosswordData?.entries);
+  const [difficulty, setDifficulty] = useState(DEFAULT_LEVEL);
+  const [hasStarted, setHasStarted] = useState(!canPickLevel);
   const [userAnswers, setUserAnswers] = useState({});
   const [selectedCell, setSelectedCell] = useState(null);
   const [selectedEntry, setSelectedEntry] = useState(null);
@@ -10,23 +25,53 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
   const [showAnswers, setShowAnswers] = useState(false);
   const [checkResults, setCheckResults] = useState(null);
   
+  // Word breaks of multi-word answers, keyed by cell
+  const wordBreakCells = useMemo(
+    () => getWordBreakCells(crosswordData?.entries),
+    [crosswordData]
+  );
+  
+  // Letters of the given entries, keyed by cell
+  const givenCells = useMemo(() => {
+    const cells = new Map();
+    (crosswordData?.entries || [])
+      .filter(entry => !isWithinLevel(entry, difficulty))
+      .forEach(entry => {
+        entry.answer.split('').forEach((letter, index) => {
+          const row = entry.position.row + (entry.direction === 'down' ? index : 0);
+          const col = entry.position.col + (entry.direction === 'across' ? index : 0);
+          cells.set(`${row}-${col}`, letter);
+        });
+      });
+    return cells;
+  }, [crosswordData, difficulty]);
+  
+  const isGivenCell = (row, col) => givenCells.has(`${row}-${col}`);
+  
   // Initialize user answers based on the data structure
   useEffect(() => {
-    if (!crosswordData || !crosswordData.entries) return;
+    if (!crosswordData || !crosswordData.entries || !hasStarted) return;
     
     const initialAnswers = {};
-    // Initialize empty answers for each entry using the same ID structure the other components use
+    // Initialize answers for each entry using the same ID structure the other
+    // components use, with the letters of given entries filled in
     crosswordData.entries.forEach(entry => {
       // Create a unique ID for each entry
       const entryId = getEntryId(entry);
-      initialAnswers[entryId] = Array(entry.answer.length).fill('');
+      initialAnswers[entryId] = entry.answer.split('').map((_, index) => {
+        const row = entry.position.row + (entry.direction === 'down' ? index : 0);
+        const col = entry.position.col + (entry.direction === 'across' ? index : 0);
+        return givenCells.get(`${row}-${col}`) || '';
+      });
     });
     
     setUserAnswers(initialAnswers);
+    setCheckResults(null);
     
-    // Select the first entry by default
-    if (crosswordData.entries.length > 0) {
-      const firstEntry = crosswordData.entries[0];
+    // Select the first entry to solve by default
+    const playedEntries = crosswordData.entries.filter(entry => isWithinLevel(entry, difficulty));
+    if (playedEntries.length > 0) {
+      const firstEntry = playedEntries[0];
       setSelectedEntry(firstEntry);
       setSelectedCell({ 
         row: firstEntry.position.row, 
@@ -34,7 +79,7 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
       });
       setDirection(firstEntry.direction);
     }
-  }, [crosswordData]);
+  }, [crosswordData, hasStarted, givenCells]);
   
   // Helper function to get a consistent entry ID
   const getEntryId = (entry) => {
@@ -159,7 +204,7 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
         
       default:
         // Only handle single letter keys
-        if (/^[a-zA-Z]$/.test(e.key)) {
+        if (isLetterKey(e.key, locale)) {
           e.preventDefault();
           handleLetterInput(e.key);
         }
@@ -173,6 +218,12 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
     const { row, col } = selectedCell;
     const entryId = getEntryId(selectedEntry);
     
+    // Given letters stay as they are
+    if (isGivenCell(row, col)) {
+      moveToNextCellInEntry();
+      return;
+    }
+    
     // Calculate the position within the entry
     let index;
     if (selectedEntry.direction === 'across') {
@@ -185,7 +236,7 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
     setUserAnswers(prev => {
       const newAnswers = { ...prev };
       const answerArray = [...(newAnswers[entryId] || [])];
-      answerArray[index] = letter.toUpperCase();
+      answerArray[index] = letter.toLocaleUpperCase(locale);
       newAnswers[entryId] = answerArray;
       return newAnswers;
     });
@@ -211,7 +262,7 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
     const currentAnswer = userAnswers[entryId] || [];
     const currentValue = currentAnswer[index] || '';
     
-    if (currentValue) {
+    if (currentValue && !isGivenCell(row, col)) {
       // Clear current cell
       setUserAnswers(prev => {
         const newAnswers = { ...prev };
@@ -295,20 +346,22 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
   const checkAnswers = () => {
     if (!isComplete) return;
     
-    const results = crosswordData.entries.map(entry => {
-      const entryId = getEntryId(entry);
-      const userAnswer = userAnswers[entryId]?.join('') || '';
-      
-      return {
-        entryId,
-        clue: entry.clue,
-        number: entry.number,
-        direction: entry.direction,
-        userAnswer,
-        correctAnswer: entry.answer,
-        isCorrect: userAnswer.toUpperCase() === entry.answer.toUpperCase()
-      };
-    });
+    const results = crosswordData.entries
+      .filter(entry => isWithinLevel(entry, difficulty))
+      .map(entry => {
+        const entryId = getEntryId(entry);
+        const userAnswer = userAnswers[entryId]?.join('') || '';
+        
+        return {
+          entryId,
+          clue: entry.clue,
+          number: entry.number,
+          direction: entry.direction,
+          userAnswer,
+          correctAnswer: entry.answer,
+          isCorrect: userAnswer.toLocaleUpperCase(locale) === entry.answer.toLocaleUpperCase(locale)
+        };
+      });
     
     setCheckResults(results);
   };
@@ -353,13 +406,26 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
     // Check if this cell is part of the crossword (not empty)
     const isValidCell = gridCellValue !== '';
     
+    // Cells outside the shape of a masked crossword are left blank
+    const mask = crosswordData.mask;
+    if (!isValidCell && !isInMask(mask, row, col)) {
+      return (
+        <div
+          key={`${row}-${col}`}
+          className="w-10 h-10 bg-gray-50 border border-gray-50"
+        />
+      );
+    }
+    
     // Return black cell for empty positions (same as Editor)
     if (!isValidCell) {
       return (
         <div
           key={`${row}-${col}`}
-          className="w-10 h-10 bg-black border border-black"
-        />
+          className="w-10 h-10 bg-black border border-black relative"
+        >
+          <MaskOutline {...getMaskEdges(mask, row, col)} />
+        </div>
       );
     }
     
@@ -396,15 +462,18 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
     
     const userCellValue = getCellValue(row, col);
     const correctLetter = showAnswers ? gridCellValue : '';
+    const isGiven = isGivenCell(row, col);
     
     return (
       <div
         key={`${row}-${col}`}
         className={`
           w-10 h-10 border border-gray-300 relative cursor-pointer
+          ${isGiven ? 'text-gray-500' : ''}
           ${isSelected ? 'bg-blue-300 border-blue-600' : 
             isInSelectedEntry ? 'bg-blue-100' : 
             isInPath ? 'bg-blue-50' : 
+            isGiven ? 'bg-gray-100' :
             'bg-white'}
         `}
         onClick={() => handleCellSelect(row, col)}
@@ -414,6 +483,8 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
             {entryNumber}
           </span>
         )}
+        <WordBreakMarks {...wordBreakCells.get(`${row}-${col}`)} />
+        <MaskOutline {...getMaskEdges(mask, row, col)} />
         <span className="flex items-center justify-center h-full text-lg font-semibold relative">
           {showAnswers ? correctLetter : userCellValue}
           {isSelected && !userCellValue && !showAnswers && (
@@ -429,18 +500,50 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
   if (!crosswordData || !crosswordData.grid?.grid || !crosswordData.entries) {
     return (
       <div className="p-6 bg-red-50 rounded-lg border border-red-200">
-        <h3 className="text-xl font-medium text-red-700">Error loading crossword</h3>
-        <p className="mt-2">The crossword data is invalid or incomplete. Please try again.</p>
+        <h3 className="text-xl font-medium text-red-700">{t('play.errorTitle')}</h3>
+        <p className="mt-2">{t('play.errorText')}</p>
         <button 
           onClick={onReset}
           className="mt-4 px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700"
         >
-          Go Back
+          {t('play.goBack')}
         </button>
       </div>
     );
   }
   
+  if (!hasStarted) {
+    return (
+      <div className="max-w-xl mx-auto p-6 bg-white rounded-lg border">
+        <h2 className="text-xl font-semibold mb-2">{t('play.chooseDifficulty')}</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {t('play.chooseDifficultyHint')}
+        </p>
+        <DifficultyPicker
+          items={crosswordData.entries}
+          value={difficulty}
+          onChange={setDifficulty}
+          locale={locale}
+        />
+        <div className="mt-6 flex justify-end space-x-2">
+          <button 
+            onClick={onReset}
+            className="px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded"
+          >
+            {t('play.back')}
+          </button>
+          <button 
+            onClick={() => setHasStarted(true)}
+            className="px-4 py-2 bg-primary-500 hover:bg-primary-600 text-white rounded flex items-center"
+          >
+            <Play className="mr-1" size={16} />
+            {t('play.start')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+  
   return (
     <div 
       className="flex flex-col"
@@ -449,10 +552,24 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
     >
       <div className="flex justify-between items-center mb-6">
         <h2 className="text-xl font-semibold">
-          Crossword Puzzle
+          {t('play.title')}
+          {canPickLevel && (
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              {t(`level.${difficulty}`)}
+            </span>
+          )}
         </h2>
         
         <div className="flex items-center space-x-2">
+          {canPickLevel && (
+            <button 
+              onClick={() => setHasStarted(false)}
+              className="px-3 py-1 bg-gray-200 hover:bg-gray-300 rounded text-sm"
+            >
+              {t('play.changeDifficulty')}
+            </button>
+          )}
+          
           <button 
             onClick={toggleDirection}
             className={`px-3 py-1 rounded flex items-center text-sm ${
@@ -462,7 +579,7 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
             }`}
           >
             <ArrowRightLeft className="mr-1" size={16} />
-            {direction === 'across' ? 'Across' : 'Down'}
+            {t(`play.${direction}`)}
           </button>
           
           <button 
@@ -470,7 +587,7 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
             className="px-3 py-1 bg-gray-200 hover:bg-gray-300 rounded flex items-center text-sm"
           >
             <RotateCcw className="mr-1" size={16} />
-            Reset
+            {t('play.reset')}
           </button>
           
           <button 
@@ -483,14 +600,14 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
             disabled={!isComplete}
           >
             <Check className="mr-1" size={16} />
-            Check Answers
+            {t('play.checkAnswers')}
           </button>
           
           <button 
             onClick={() => setShowAnswers(!showAnswers)}
             className="px-3 py-1 bg-secondary-500 hover:bg-secondary-600 text-white rounded text-sm"
           >
-            {showAnswers ? 'Hide Answers' : 'Show Answers'}
+            {showAnswers ? t('play.hideAnswers') : t('play.showAnswers')}
           </button>
         </div>
       </div>
@@ -499,13 +616,15 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
       {selectedEntry && (
         <div className="mb-4 p-3 bg-blue-50 rounded-lg">
           <h3 className="font-medium text-blue-800">
-            Current clue ({direction === 'across' ? 'Across' : 'Down'}):
+            {t('play.currentClue', { direction: t(`play.${direction}`) })}
           </h3>
           <p className="text-blue-900">
-            {selectedEntry.number}. {selectedEntry.clue}
+            {selectedEntry.number}. {selectedEntry.clue || (
+              <span className="italic">{t('play.fillClue')}</span>
+            )}
           </p>
           <p className="text-sm text-blue-700 mt-1">
-            Press Tab/Enter to switch between across/down. Click the same cell to toggle direction.
+            {t('play.navigationHint')}
           </p>
         </div>
       )}
@@ -526,12 +645,12 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
         
         {/* Clues List */}
         <div className="flex-1 border rounded-lg p-4">
-          <h3 className="font-medium mb-3">Clues</h3>
+          <h3 className="font-medium mb-3">{t('play.clues')}</h3>
           
           <div className="space-y-6">
             {/* Across Clues */}
             <div>
-              <h4 className="font-medium text-sm text-gray-500 mb-2">Across</h4>
+              <h4 className="font-medium text-sm text-gray-500 mb-2">{t('play.across')}</h4>
               <ul className="space-y-2">
                 {crosswordData.entries
                   .filter(entry => entry.direction === 'across')
@@ -562,12 +681,17 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
                           setDirection('across');
                         }}
                       >
-                        <span className="font-medium">{entry.number}.</span> {entry.clue}
-                        <span className="text-xs text-gray-500 ml-1">({entry.answer.length})</span>
+                        <span className="font-medium">{entry.number}.</span> {entry.clue || (
+                          <span className="italic text-gray-500">{t('play.fillClue')}</span>
+                        )}
+                        <span className="text-xs text-gray-500 ml-1">({getEnumeration(entry)})</span>
+                        {!isWithinLevel(entry, difficulty) && (
+                          <span className="text-xs text-gray-400 ml-1">{t('play.given')}</span>
+                        )}
                         
                         {showAnswers && (
                           <span className="text-green-600 ml-2 font-medium">
-                            {entry.answer}
+                            {entry.originalAnswer || entry.answer}
                           </span>
                         )}
                         
@@ -584,7 +708,7 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
             
             {/* Down Clues */}
             <div>
-              <h4 className="font-medium text-sm text-gray-500 mb-2">Down</h4>
+              <h4 className="font-medium text-sm text-gray-500 mb-2">{t('play.down')}</h4>
               <ul className="space-y-2">
                 {crosswordData.entries
                   .filter(entry => entry.direction === 'down')
@@ -615,12 +739,17 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
                           setDirection('down');
                         }}
                       >
-                        <span className="font-medium">{entry.number}.</span> {entry.clue}
-                        <span className="text-xs text-gray-500 ml-1">({entry.answer.length})</span>
+                        <span className="font-medium">{entry.number}.</span> {entry.clue || (
+                          <span className="italic text-gray-500">{t('play.fillClue')}</span>
+                        )}
+                        <span className="text-xs text-gray-500 ml-1">({getEnumeration(entry)})</span>
+                        {!isWithinLevel(entry, difficulty) && (
+                          <span className="text-xs text-gray-400 ml-1">{t('play.given')}</span>
+                        )}
                         
                         {showAnswers && (
                           <span className="text-green-600 ml-2 font-medium">
-                            {entry.answer}
+                            {entry.originalAnswer || entry.answer}
                           </span>
                         )}
                         
@@ -645,10 +774,10 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
             <Check className="h-8 w-8 text-green-500 mr-3" />
             <div>
               <h3 className="text-lg font-medium text-green-800">
-                Crossword Complete!
+                {t('play.completeTitle')}
               </h3>
               <p className="text-sm text-green-700">
-                You've filled in all the answers. Click "Check Answers" to see if they're correct!
+                {t('play.completeText')}
               </p>
             </div>
           </div>
@@ -672,12 +801,15 @@ const PlayQuiz = ({ crosswordData, onReset }) => {
             <div className="ml-3">
               <h3 className="text-lg font-medium">
                 {checkResults.every(r => r.isCorrect) 
-                  ? 'Perfect! All answers are correct!' 
-                  : 'Almost there! Some answers need correction.'}
+                  ? t('play.allCorrect') 
+                  : t('play.someWrong')}
               </h3>
               <div className="mt-2 text-sm">
                 <p>
-                  {checkResults.filter(r => r.isCorrect).length} of {checkResults.length} answers correct
+                  {t('play.score', {
+                    correct: checkResults.filter(r => r.isCorrect).length,
+                    total: checkResults.length
+                  })}
                 </p>
               </div>
             </div>
@@ -0,0 +1,29 @@
+// frontend/src/components/WordBreakMarks.jsx
+
+import React from 'react';
+
+/**
+ * Bars on the edges of a grid cell that ends a word of a multi-word answer.
+ * Spaces get a full bar, hyphens a short dash across the edge.
+ * @param {Object} props - Component props
+ * @param {string} props.across - Separator after the cell in the across answer (, or -)
+ * @param {string} props.down - Separator after the cell in the down answer (, or -)
+ */
+const WordBreakMarks = ({ across, down }) => (
+  <>
+    {across === ',' && (
+      <span className="absolute top-0 -right-px h-full w-1 bg-gray-900 z-10 pointer-events-none" />
+    )}
+    {across === '-' && (
+      <span className="absolute top-1/2 -right-1.5 w-3 h-0.5 bg-gray-900 z-10 pointer-events-none" />
+    )}
+    {down === ',' && (
+      <span className="absolute left-0 -bottom-px w-full h-1 bg-gray-900 z-10 pointer-events-none" />
+    )}
+    {down === '-' && (
+      <span className="absolute left-1/2 -bottom-1.5 h-3 w-0.5 bg-gray-900 z-10 pointer-events-none" />
+    )}
+  </>
+);
+
+export default WordBreakMarks;
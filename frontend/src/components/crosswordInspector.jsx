@@ -80,6 +80,9 @@ const CrosswordInspector = ({
             <div className="mb-2">
               <span className="text-gray-400">Number of entries:</span> {crosswordData?.entries?.length || 0}
             </div>
+            <div className="mb-2">
+              <span className="text-gray-400">Layout seed:</span> {crosswordData?.seed ?? 'N/A'}
+            </div>
             {crosswordData?.entries?.length > 0 && (
               <div className="mt-4">
                 <h5 className="font-semibold mb-2">First entry sample:</h5>
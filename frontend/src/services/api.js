@@ -1,37 +1,176 @@
 // frontend/src/services/api.js
 
 import axios from 'axios';
+import { getFromLocalStorage, saveToLocalStorage, removeFromLocalStorage } from '../utils/storage';
+
+const AUTH_TOKEN_KEY = 'auth-token';
 
 // Create axios instance with base URL
 const api = axios.create({
   baseURL: '/api'
 });
 
+// Send the login token with every request
+api.interceptors.request.use((config) => {
+  const token = getFromLocalStorage(AUTH_TOKEN_KEY);
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+/**
+ * POST to an endpoint that streams newline-delimited JSON events, calling
+ * onEvent for each one. Resolves like an axios response with the result
+ * event as data, and rejects with an axios-like error.response on an error
+ * status or error event.
+ * @param {string} path - API path
+ * @param {Object} body - Request body
+ * @param {Function} onEvent - Called with each event
+ * @returns {Promise<Object>} - { data: result event }
+ */
+const postStream = async (path, body, onEvent) => {
+  const token = getFromLocalStorage(AUTH_TOKEN_KEY);
+  const response = await fetch(`/api${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify(body)
+  });
+
+  const fail = (status, data) => {
+    const error = new Error(data?.error || `Request failed with status ${status}`);
+    error.response = { status, data };
+    throw error;
+  };
+
+  if (!response.ok) {
+    fail(response.status, await response.json().catch(() => null));
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  let result = null;
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    const event = JSON.parse(line);
+    if (event.type === 'error') {
+      fail(event.status, event);
+    }
+    if (event.type === 'result') {
+      result = event;
+    }
+    onEvent(event);
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffered += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    lines.forEach(handleLine);
+    if (done) break;
+  }
+  handleLine(buffered);
+
+  if (!result) {
+    fail(response.status, { error: 'The stream ended without a result' });
+  }
+  return { data: result };
+};
+
+// Auth endpoints
+export const authApi = {
+  // Page that starts the Spotify login flow
+  loginUrl: '/api/auth/spotify',
+  
+  getCurrentUser: () => {
+    return api.get('/auth/me');
+  },
+  
+  refreshToken: () => {
+    return api.post('/auth/refresh');
+  },
+  
+  isLoggedIn: () => {
+    return Boolean(getFromLocalStorage(AUTH_TOKEN_KEY));
+  },
+  
+  setToken: (token) => {
+    saveToLocalStorage(AUTH_TOKEN_KEY, token);
+  },
+  
+  logout: () => {
+    removeFromLocalStorage(AUTH_TOKEN_KEY);
+  }
+};
+
 // Spotify API endpoints
 export const spotifyApi = {
   getPlaylistData: (url) => {
     return api.post('/playlist', { playlistUrl: url });
+  },
+  
+  // Tracks matching a free-text Spotify search
+  searchTracks: (query) => {
+    return api.post('/playlist', { query });
+  },
+  
+  // Tracks from the logged in user's library: saved-tracks, top-tracks or recently-played
+  getLibraryTracks: (source, timeRange) => {
+    return api.post('/playlist', { source, timeRange });
+  },
+  
+  // Tracks from an uploaded CSV or JSON track list (title, artist, album, year)
+  importTrackList: (content, format, name) => {
+    return api.post('/playlist', { provider: 'file', content, format, name });
+  },
+
+  // Tracks from an Apple Music, Deezer or YouTube Music playlist export or saved page
+  importPlaylist: (provider, content) => {
+    return api.post('/playlist', { provider, content });
   }
 };
 
 // Question API endpoints
 export const questionApi = {
-  generateQuestions: (tracks) => {
-    return api.post('/generate-questions', { trackData: tracks });
+  // options can set the locale the questions are written in
+  generateQuestions: (tracks, options = {}) => {
+    return api.post('/generate-questions', { trackData: tracks, options });
+  },
+
+  // Same as generateQuestions, calling onEvent with stage and question events as they arrive
+  streamQuestions: (tracks, onEvent, options = {}) => {
+    return postStream('/generate-questions/stream', { trackData: tracks, options }, onEvent);
   }
 };
 
 // Crossword API endpoints
 export const crosswordApi = {
-  buildCrossword: (questions) => {
-    return api.post('/build-crossword', { questions });
+  buildCrossword: (questions, options = {}) => {
+    const { seed, ...layoutOptions } = options;
+    return api.post('/build-crossword', { questions, seed, options: layoutOptions });
+  },
+
+  // Add and remove words of a crossword, keeping the locked entries in place
+  relayoutCrossword: (crossword, { add = [], remove = [], locked } = {}) => {
+    return api.post('/crosswords/relayout', { crossword, add, remove, locked });
   }
 };
 
 // Lucky crossword
 export const luckyApi = {
-  createLuckyCrossword: (url) => {
-    return api.post('/lucky-crossword', { playlistUrl: url });
+  createLuckyCrossword: (url, seed, locale) => {
+    return api.post('/lucky-crossword', { playlistUrl: url, seed, locale });
+  },
+
+  // Same as createLuckyCrossword, calling onEvent with stage and question events as they arrive
+  streamLuckyCrossword: (url, onEvent, seed, locale) => {
+    return postStream('/lucky-crossword/stream', { playlistUrl: url, seed, locale }, onEvent);
   },
   
   // Create a quiz from an existing crossword
@@ -46,6 +185,31 @@ export const luckyApi = {
 
 // Quiz-specific endpoints
 export const quizApi = {
+  // List stored quizzes
+  getQuizzes: (params = {}) => {
+    return api.get('/quizzes', { params });
+  },
+  
+  // Get a stored quiz with its crossword
+  getQuiz: (id) => {
+    return api.get(`/quizzes/${id}`);
+  },
+  
+  // Store a quiz with its crossword
+  saveQuiz: (data) => {
+    return api.post('/quizzes', data);
+  },
+  
+  // Update a stored quiz
+  updateQuiz: (id, data) => {
+    return api.put(`/quizzes/${id}`, data);
+  },
+  
+  // Delete a stored quiz
+  deleteQuiz: (id) => {
+    return api.delete(`/quizzes/${id}`);
+  },
+  
   // Get song groups for a playlist
   getSongGroups: (playlistId) => {
     return api.get(`/song-groups/${playlistId}`);
@@ -0,0 +1,43 @@
+/**
+ * Utilities for the difficulty levels players pick before a game.
+ * A level includes its own clues and all easier ones; clues without a
+ * difficulty (crosswords made before clues were tagged) are always played.
+ */
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Level that plays every clue
+export const DEFAULT_LEVEL = 'hard';
+
+/**
+ * Check whether a clue is played at a level
+ *
+ * @param {Object} item - Entry or question with an optional difficulty
+ * @param {string} level - Picked level
+ * @returns {boolean} True if the clue is at or below the level
+ */
+export const isWithinLevel = (item, level) => {
+  const index = DIFFICULTIES.indexOf(item?.difficulty);
+  return index === -1 || index <= DIFFICULTIES.indexOf(level);
+};
+
+/**
+ * Check whether any clue has a difficulty, so a level can be picked
+ *
+ * @param {Array} items - Entries or questions
+ * @returns {boolean} True if at least one clue is tagged
+ */
+export const hasDifficulties = (items = []) =>
+  items.some(item => DIFFICULTIES.includes(item.difficulty));
+
+/**
+ * Count the clues played at each level
+ *
+ * @param {Array} items - Entries or questions
+ * @returns {Object} Number of clues per level
+ */
+export const countByLevel = (items = []) =>
+  Object.fromEntries(DIFFICULTIES.map(level => [
+    level,
+    items.filter(item => isWithinLevel(item, level)).length
+  ]));
@@ -0,0 +1,88 @@
+/**
+ * Utilities for answer enumerations, the word lengths such as "4,5" that
+ * clues show after their text. A comma stands for a space and a hyphen for
+ * a hyphen; the grid marks both between the cells of the words.
+ */
+
+/**
+ * Get the enumeration of an entry
+ *
+ * @param {Object} entry - Entry with answer and an optional enumeration
+ * @returns {string} Enumeration such as "4,5", or the answer length for
+ * entries made before answers kept their word breaks
+ */
+export const getEnumeration = (entry) => entry.enumeration || String(entry.answer.length);
+
+/**
+ * Find the word breaks in an enumeration
+ *
+ * @param {string} enumeration - Enumeration such as "4,5"
+ * @returns {Array} Breaks with the index of the letter before them and the separator (, or -)
+ */
+export const getWordBreaks = (enumeration) => {
+  const breaks = [];
+  let index = -1;
+
+  // Odd parts are the separators the split captured
+  String(enumeration).split(/([,-])/).forEach((part, i) => {
+    if (i % 2 === 1) {
+      breaks.push({ index, separator: part });
+    } else {
+      index += Number(part);
+    }
+  });
+
+  return breaks;
+};
+
+/**
+ * Map the cells that end a word to the separator after them
+ *
+ * @param {Array} entries - Entries with position, direction and enumeration
+ * @returns {Map} Separators by "row-col" key, as { across, down }
+ */
+export const getWordBreakCells = (entries = []) => {
+  const cells = new Map();
+
+  entries.forEach(entry => {
+    getWordBreaks(getEnumeration(entry)).forEach(({ index, separator }) => {
+      const row = entry.position.row + (entry.direction === 'down' ? index : 0);
+      const col = entry.position.col + (entry.direction === 'across' ? index : 0);
+      const key = `${row}-${col}`;
+      cells.set(key, { ...cells.get(key), [entry.direction]: separator });
+    });
+  });
+
+  return cells;
+};
+
+/**
+ * Get the letter counts of the words of an entry
+ *
+ * @param {Object} entry - Entry with answer and an optional enumeration
+ * @returns {Array} Letters per word
+ */
+export const getWordLengths = (entry) => getEnumeration(entry).split(/[,-]/).map(Number);
+
+/**
+ * Spell out an answer with a space between letters and wider gaps between
+ * words, or as blanks while the answer is hidden
+ *
+ * @param {Object} entry - Entry with answer and an optional enumeration
+ * @param {boolean} revealed - Show the letters rather than blanks
+ * @returns {string} Pattern such as "P I N K   F L O Y D" or "_ _ - _ _"
+ */
+export const formatAnswerPattern = (entry, revealed) => {
+  const letters = revealed ? entry.answer.split('') : Array(entry.answer.length).fill('_');
+  const breaks = new Map(getWordBreaks(getEnumeration(entry)).map(({ index, separator }) => [index, separator]));
+
+  return letters
+    .map((letter, index) => {
+      if (index === letters.length - 1) return letter;
+      const separator = breaks.get(index);
+      if (separator === ',') return `${letter}   `;
+      if (separator === '-') return `${letter} - `;
+      return `${letter} `;
+    })
+    .join('');
+};
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import {
+  formatAnswerPattern,
+  getEnumeration,
+  getWordBreakCells,
+  getWordBreaks,
+  getWordLengths
+} from './enumeration';
+
+const pinkFloyd = { answer: 'PINKFLOYD', enumeration: '4,5', position: { row: 0, col: 0 }, direction: 'across' };
+
+describe('getEnumeration', () => {
+  it('uses the stored enumeration', () => {
+    expect(getEnumeration(pinkFloyd)).toBe('4,5');
+  });
+
+  it('falls back to the answer length for older entries', () => {
+    expect(getEnumeration({ answer: 'ABBA' })).toBe('4');
+  });
+});
+
+describe('getWordBreaks', () => {
+  it('finds the letter before each break', () => {
+    expect(getWordBreaks('4,5')).toEqual([{ index: 3, separator: ',' }]);
+    expect(getWordBreaks('2-2')).toEqual([{ index: 1, separator: '-' }]);
+    expect(getWordBreaks('4,1,5')).toEqual([{ index: 3, separator: ',' }, { index: 4, separator: ',' }]);
+  });
+
+  it('has no breaks in a single word', () => {
+    expect(getWordBreaks('6')).toEqual([]);
+  });
+});
+
+describe('getWordBreakCells', () => {
+  it('marks the cell ending each word in its direction', () => {
+    const hiHo = { answer: 'HIHO', enumeration: '2-2', position: { row: 0, col: 3 }, direction: 'down' };
+
+    const cells = getWordBreakCells([pinkFloyd, hiHo]);
+
+    expect([...cells.entries()]).toEqual([
+      ['0-3', { across: ',' }],
+      ['1-3', { down: '-' }]
+    ]);
+  });
+
+  it('keeps the marks of both directions in a shared cell', () => {
+    const crossing = { answer: 'KISS', enumeration: '1,3', position: { row: 0, col: 3 }, direction: 'down' };
+
+    expect(getWordBreakCells([pinkFloyd, crossing]).get('0-3')).toEqual({ across: ',', down: ',' });
+  });
+
+  it('has no marks without entries', () => {
+    expect(getWordBreakCells().size).toBe(0);
+  });
+});
+
+describe('getWordLengths', () => {
+  it('lists the letters per word', () => {
+    expect(getWordLengths({ answer: 'GUNSNROSES', enumeration: '4,1,5' })).toEqual([4, 1, 5]);
+    expect(getWordLengths({ answer: 'ABBA' })).toEqual([4]);
+  });
+});
+
+describe('formatAnswerPattern', () => {
+  it('spells out a revealed answer with gaps between words', () => {
+    expect(formatAnswerPattern(pinkFloyd, true)).toBe('P I N K   F L O Y D');
+    expect(formatAnswerPattern({ answer: 'HIHO', enumeration: '2-2' }, true)).toBe('H I - H O');
+  });
+
+  it('shows blanks while the answer is hidden', () => {
+    expect(formatAnswerPattern({ answer: 'HIHO', enumeration: '2-2' }, false)).toBe('_ _ - _ _');
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Utilities for the puzzle locales: the letters players can type and the
+ * strings shown and spoken during a game. A crossword keeps the locale it
+ * was generated in; crosswords made before locales were added are English.
+ */
+
+export const LOCALES = ['en-US', 'sv-SE'];
+
+export const DEFAULT_LOCALE = 'en-US';
+
+export const LOCALE_LABELS = {
+  'en-US': 'English',
+  'sv-SE': 'Svenska'
+};
+
+// Letters a grid cell can hold
+const ALPHABETS = {
+  'en-US': 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  'sv-SE': 'ABCDEFGHIJKLMNOPQRSTUVWXYZÅÄÖ'
+};
+
+export const ALPHABET_LABELS = {
+  'en-US': 'A-Z',
+  'sv-SE': 'A-Z, Å, Ä and Ö'
+};
+
+// Strings per locale, with {name} placeholders. Missing strings fall back
+// to English.
+const STRINGS = {
+  'en-US': {
+    'level.easy': 'Easy',
+    'level.medium': 'Medium',
+    'level.hard': 'Hard',
+    'levelDescription.easy': 'Easy clues only',
+    'levelDescription.medium': 'Easy and medium clues',
+    'levelDescription.hard': 'All clues',
+
+    'play.errorTitle': 'Error loading crossword',
+    'play.errorText': 'The crossword data is invalid or incomplete. Please try again.',
+    'play.goBack': 'Go Back',
+    'play.chooseDifficulty': 'Choose a difficulty',
+    'play.chooseDifficultyHint': 'Clues above your level are filled in for you.',
+    'play.back': 'Back',
+    'play.start': 'Start',
+    'play.title': 'Crossword Puzzle',
+    'play.changeDifficulty': 'Change Difficulty',
+    'play.across': 'Across',
+    'play.down': 'Down',
+    'play.reset': 'Reset',
+    'play.checkAnswers': 'Check Answers',
+    'play.showAnswers': 'Show Answers',
+    'play.hideAnswers': 'Hide Answers',
+    'play.currentClue': 'Current clue ({direction}):',
+    'play.navigationHint': 'Press Tab/Enter to switch between across/down. Click the same cell to toggle direction.',
+    'play.clues': 'Clues',
+    'play.given': 'given',
+    'play.fillClue': 'Fill word without a clue, solve it from the crossing answers',
+    'play.completeTitle': 'Crossword Complete!',
+    'play.completeText': 'You\'ve filled in all the answers. Click "Check Answers" to see if they\'re correct!',
+    'play.allCorrect': 'Perfect! All answers are correct!',
+    'play.someWrong': 'Almost there! Some answers need correction.',
+    'play.score': '{correct} of {total} answers correct',
+
+    'host.voiceInstructions': 'Speak in a clear, engaging tone suitable for a quiz host',
+    'host.welcome': 'Welcome to the Music Crossword Quiz! We\'ll be exploring {count} different songs and testing your knowledge with crossword clues. I\'ll be your automated quiz host for today. Let\'s get started!',
+    'host.continue': 'Let\'s continue with our music quiz!',
+    'host.unknownArtist': 'Unknown Artist',
+    'host.generalIntro': 'Now let\'s test your general music knowledge with some crossword clues!',
+    'host.songIntro': 'Now let\'s listen to "{song}" by {artists}. Here\'s a short preview before we tackle some crossword clues related to this song.',
+    'host.songDone': 'That\'s all for this song! Let\'s move on to the next one.',
+    'host.question': 'Question {number} of {total}: {clue}. This is a {length} letter word.',
+    'host.questionPhrase': 'Question {number} of {total}: {clue}. The answer is {count} words of {lengths} letters.',
+    'host.tenSeconds': '10 seconds remaining!',
+    'host.fiveSeconds': '5 seconds left!',
+    'host.answer': 'Time\'s up! The answer is {answer}.',
+    'host.end': 'That\'s the end of our music crossword quiz!',
+    'host.winner': '{team} wins with {score} points! Congratulations!',
+    'host.tie': 'We have a tie! {first} and {second} both scored {score} points!',
+    'host.thanks': 'Thanks for playing!',
+    'host.paused': 'Quiz paused! Take a break and resume when you\'re ready.',
+    'host.resumed': 'Quiz resumed! Let\'s continue.',
+    'host.gained': '{team} gained {points} points! Their score is now {score}.',
+    'host.lost': '{team} lost {points} points! Their score is now {score}.'
+  },
+  'sv-SE': {
+    'level.easy': 'Lätt',
+    'level.medium': 'Medel',
+    'level.hard': 'Svår',
+    'levelDescription.easy': 'Bara lätta ledtrådar',
+    'levelDescription.medium': 'Lätta och medelsvåra ledtrådar',
+    'levelDescription.hard': 'Alla ledtrådar',
+
+    'play.errorTitle': 'Korsordet kunde inte laddas',
+    'play.errorText': 'Korsordet är ogiltigt eller ofullständigt. Försök igen.',
+    'play.goBack': 'Tillbaka',
+    'play.chooseDifficulty': 'Välj svårighetsgrad',
+    'play.chooseDifficultyHint': 'Ledtrådar över din nivå fylls i åt dig.',
+    'play.back': 'Tillbaka',
+    'play.start': 'Starta',
+    'play.title': 'Korsord',
+    'play.changeDifficulty': 'Byt svårighetsgrad',
+    'play.across': 'Vågrätt',
+    'play.down': 'Lodrätt',
+    'play.reset': 'Börja om',
+    'play.checkAnswers': 'Rätta svaren',
+    'play.showAnswers': 'Visa svaren',
+    'play.hideAnswers': 'Dölj svaren',
+    'play.currentClue': 'Aktuell ledtråd ({direction}):',
+    'play.navigationHint': 'Tryck Tab/Enter för att växla mellan vågrätt och lodrätt. Klicka på samma ruta för att byta riktning.',
+    'play.clues': 'Ledtrådar',
+    'play.given': 'ifylld',
+    'play.fillClue': 'Utfyllnadsord utan ledtråd, lös det med hjälp av korsande svar',
+    'play.completeTitle': 'Korsordet är ifyllt!',
+    'play.completeText': 'Du har fyllt i alla svar. Klicka på "Rätta svaren" för att se om de stämmer!',
+    'play.allCorrect': 'Perfekt! Alla svar är rätt!',
+    'play.someWrong': 'Nästan! Några svar behöver rättas.',
+    'play.score': '{correct} av {total} svar rätt',
+
+    'host.voiceInstructions': 'Speak Swedish in a clear, engaging tone suitable for a quiz host',
+    'host.welcome': 'Välkommen till musikkorsordet! Vi ska gå igenom {count} olika låtar och testa era kunskaper med korsordsledtrådar. Jag är er frågesportvärd i dag. Nu kör vi!',
+    'host.continue': 'Vi fortsätter med musikfrågorna!',
+    'host.unknownArtist': 'okänd artist',
+    'host.generalIntro': 'Nu testar vi era allmänna musikkunskaper med några korsordsledtrådar!',
+    'host.songIntro': 'Nu lyssnar vi på "{song}" med {artists}. Här kommer en kort bit innan vi tar oss an ledtrådarna till den här låten.',
+    'host.songDone': 'Det var allt för den här låten! Vi går vidare till nästa.',
+    'host.question': 'Fråga {number} av {total}: {clue}. Svaret har {length} bokstäver.',
+    'host.questionPhrase': 'Fråga {number} av {total}: {clue}. Svaret är {count} ord på {lengths} bokstäver.',
+    'host.tenSeconds': '10 sekunder kvar!',
+    'host.fiveSeconds': '5 sekunder kvar!',
+    'host.answer': 'Tiden är ute! Svaret är {answer}.',
+    'host.end': 'Det var slutet på vårt musikkorsord!',
+    'host.winner': '{team} vinner med {score} poäng! Grattis!',
+    'host.tie': 'Det blev oavgjort! {first} och {second} fick båda {score} poäng!',
+    'host.thanks': 'Tack för att ni spelade!',
+    'host.paused': 'Pausat! Ta en paus och fortsätt när ni är redo.',
+    'host.resumed': 'Då fortsätter vi!',
+    'host.gained': '{team} fick {points} poäng! Laget har nu {score} poäng.',
+    'host.lost': '{team} förlorade {points} poäng! Laget har nu {score} poäng.'
+  }
+};
+
+/**
+ * Get the locale of a crossword
+ *
+ * @param {Object} crossword - Crossword data with an optional locale
+ * @returns {string} Supported locale name
+ */
+export const getCrosswordLocale = (crossword) =>
+  LOCALES.includes(crossword?.locale) ? crossword.locale : DEFAULT_LOCALE;
+
+/**
+ * Check whether a key press is a letter of the locale's alphabet
+ *
+ * @param {string} key - KeyboardEvent key
+ * @param {string} locale - Locale name
+ * @returns {boolean} True for letters a cell can hold
+ */
+export const isLetterKey = (key, locale = DEFAULT_LOCALE) =>
+  key.length === 1 && ALPHABETS[locale].includes(key.toLocaleUpperCase(locale));
+
+/**
+ * Uppercase an answer and keep only the letters of the locale's alphabet,
+ * dropping accents from other letters the same way the server does
+ *
+ * @param {string} text - Answer text
+ * @param {string} locale - Locale name
+ * @returns {string} Grid letters
+ */
+export const normalizeAnswer = (text, locale = DEFAULT_LOCALE) => {
+  const alphabet = ALPHABETS[locale];
+  const folded = Array.from(String(text || '').normalize('NFC').toLocaleUpperCase(locale))
+    .map(char => (alphabet.includes(char) ? char : char.normalize('NFD').replace(/[\u0300-\u036f]/g, '')))
+    .join('');
+  return Array.from(folded).filter(char => alphabet.includes(char)).join('');
+};
+
+/**
+ * Look up a string and fill in its placeholders
+ *
+ * @param {string} locale - Locale name
+ * @param {string} key - String key, such as play.title
+ * @param {Object} params - Values for the {name} placeholders
+ * @returns {string} Translated string
+ */
+export const translate = (locale, key, params = {}) => {
+  const text = STRINGS[locale]?.[key] ?? STRINGS[DEFAULT_LOCALE][key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
@@ -0,0 +1,42 @@
+/**
+ * Utilities for shape masks, which keep the letters of a themed crossword
+ * inside an outline such as a music note. A crossword built with a mask
+ * returns it as a matrix over its grid, true for cells inside the shape.
+ */
+
+// Built-in masks of the backend
+export const MASKS = ['note', 'guitar', 'vinyl'];
+
+export const MASK_LABELS = {
+  note: 'Music note',
+  guitar: 'Guitar',
+  vinyl: 'Vinyl record'
+};
+
+/**
+ * Check whether a cell is inside a mask
+ *
+ * @param {Array} mask - Mask matrix, or nothing for crosswords without a shape
+ * @param {number} row - Cell row
+ * @param {number} col - Cell column
+ * @returns {boolean} True if the cell is inside the shape or there is no mask
+ */
+export const isInMask = (mask, row, col) => !mask || Boolean(mask[row]?.[col]);
+
+/**
+ * Find the edges of a cell that lie on the outline of a mask
+ *
+ * @param {Array} mask - Mask matrix
+ * @param {number} row - Cell row
+ * @param {number} col - Cell column
+ * @returns {Object} top, right, bottom and left, true where the outline runs
+ */
+export const getMaskEdges = (mask, row, col) => {
+  if (!mask || !isInMask(mask, row, col)) return {};
+  return {
+    top: !isInMask(mask, row - 1, col),
+    right: !isInMask(mask, row, col + 1),
+    bottom: !isInMask(mask, row + 1, col),
+    left: !isInMask(mask, row, col - 1)
+  };
+};
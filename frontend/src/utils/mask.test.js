@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { getMaskEdges, isInMask } from './mask';
+
+// A plus sign in a 3x3 grid
+const mask = [
+  [false, true, false],
+  [true, true, true],
+  [false, true, false]
+];
+
+describe('isInMask', () => {
+  it('finds cells inside the shape', () => {
+    expect(isInMask(mask, 1, 1)).toBe(true);
+    expect(isInMask(mask, 0, 0)).toBe(false);
+  });
+
+  it('treats cells off the grid as outside', () => {
+    expect(isInMask(mask, -1, 1)).toBe(false);
+    expect(isInMask(mask, 1, 3)).toBe(false);
+  });
+
+  it('treats every cell as inside without a mask', () => {
+    expect(isInMask(null, 5, 5)).toBe(true);
+  });
+});
+
+describe('getMaskEdges', () => {
+  it('draws the outline where the shape ends', () => {
+    expect(getMaskEdges(mask, 0, 1)).toEqual({ top: true, right: true, bottom: false, left: true });
+    expect(getMaskEdges(mask, 1, 1)).toEqual({ top: false, right: false, bottom: false, left: false });
+    expect(getMaskEdges(mask, 1, 2)).toEqual({ top: true, right: true, bottom: true, left: false });
+  });
+
+  it('draws nothing outside the shape or without a mask', () => {
+    expect(getMaskEdges(mask, 0, 0)).toEqual({});
+    expect(getMaskEdges(undefined, 1, 1)).toEqual({});
+  });
+});